@@ -7,6 +7,7 @@ const {
     checkAndWrite8,
 
 } = require("../util");
+const { createDecodeContext, TruncatedPacketError, InvalidFieldError } = require("../errors");
 
 // ┌─────────────────────────────────────────┐
 // │  Hardware Type (2 bytes) - Ethernet=1   │
@@ -94,116 +95,90 @@ function Encode(hType, pType, hLen, pLen, oper, senderHwAddr, senderProtoAddr, t
 }
 
 
+// [field, offset, expected value] for Ethernet/IPv4 ARP
+const ARP_HEADER_FIELDS = [
+    ['hType', 0, 0x0001],
+    ['pType', 2, 0x0800],
+    ['hLen', 4, 6],
+    ['pLen', 5, 4]
+];
+
+// [field, start, end, reader] for the address block
+const ARP_ADDRESS_FIELDS = [
+    ['senderMAC', 8, 14, readMAC],
+    ['senderIP', 14, 18, readIP],
+    ['targetMAC', 18, 24, readMAC],
+    ['targetIP', 24, 28, readIP]
+];
 
 /**
  * Decodes an ARP packet.
- * @param {Buffer} packet - ARP packet buffer (28 bytes)
- * @returns {Object} Decoded ARP packet with all fields
+ * @param {Buffer} packet - ARP packet buffer (28 bytes; trailing Ethernet padding is ignored)
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @returns {Object} Decoded ARP packet with all fields (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, on truncated packets or non Ethernet/IPv4 fields
  */
-function Decode(packet) {
-
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
     const output = {};
 
     // -------------------------
     // Basic length validation
     // -------------------------
     if (!Buffer.isBuffer(packet)) {
-        throw new Error("[ARP] Decode error: input must be a Buffer");
+        throw new TypeError("[ARP] Decode error: input must be a Buffer");
     }
 
-    if (packet.length !== 28) {
-        console.warn(`[ARP] Invalid ARP packet length: ${packet.length} bytes (expected 28)`);
+    if (packet.length < 28) {
+        ctx.report(new TruncatedPacketError(`[ARP] Invalid ARP packet length: ${packet.length} bytes (expected 28)`, {
+            layer: 'arp', field: packet.length < 8 ? 'header' : 'addresses', offset: 0, expected: 28, actual: packet.length
+        }));
+        if (packet.length < 8) {
+            return ctx.finish(output);
+        }
     }
 
     // -------------------------
     // Extract header fields
     // -------------------------
-    const hType = checkAndRead16(packet, 0);
-    const pType = checkAndRead16(packet, 2);
-    const hLen = checkAndRead8(packet, 4);
-    const pLen = checkAndRead8(packet, 5);
-    const oper = checkAndRead16(packet, 6);
-
-    output.hType = hType;
-    output.pType = pType;
-    output.hLen = hLen;
-    output.pLen = pLen;
-    output.oper = oper;
+    output.hType = checkAndRead16(packet, 0);
+    output.pType = checkAndRead16(packet, 2);
+    output.hLen = checkAndRead8(packet, 4);
+    output.pLen = checkAndRead8(packet, 5);
+    output.oper = checkAndRead16(packet, 6);
 
     // -------------------------
     // Validate ARP/Ethernet/IP header
     // -------------------------
-    const arpValid =
-        hType === 0x0001 &&
-        pType === 0x0800 &&
-        hLen === 6 &&
-        pLen === 4;
-
-    if (!arpValid) {
-        console.warn("[ARP] Warning: Non-standard ARP header detected");
-        console.warn(`HTYPE=${hType}, PTYPE=${pType}, HLEN=${hLen}, PLEN=${pLen}`);
+    for (const [field, offset, expected] of ARP_HEADER_FIELDS) {
+        if (output[field] !== expected) {
+            ctx.report(new InvalidFieldError(
+                `[ARP] Non-standard ${field}: ${output[field]} (only Ethernet/IPv4 ARP is supported)`,
+                { layer: 'arp', field, offset, value: output[field] }
+            ));
+        }
     }
 
     // -------------------------
     // Operation validation
     // -------------------------
-    if (oper !== 1 && oper !== 2) {
-        console.warn(`[ARP] Invalid opcode: ${oper} (must be 1=request or 2=reply)`);
+    if (output.oper !== 1 && output.oper !== 2) {
+        ctx.report(new InvalidFieldError(`[ARP] Invalid opcode: ${output.oper} (must be 1=request or 2=reply)`, {
+            layer: 'arp', field: 'oper', offset: 6, value: output.oper
+        }));
     }
 
     // -------------------------
-    // Extract raw address bytes
+    // Convert addresses that are fully present to readable format
     // -------------------------
-    const senderMACbuf = packet.subarray(8, 14);
-    const senderIPbuf = packet.subarray(14, 18);
-    const targetMACbuf = packet.subarray(18, 24);
-    const targetIPbuf = packet.subarray(24, 28);
-
-    // -------------------------
-    // Validate MAC binary size
-    // -------------------------
-    if (senderMACbuf.length !== 6 || targetMACbuf.length !== 6) {
-        console.warn("[ARP] Invalid MAC address length (must be exactly 6 bytes)");
+    for (const [field, start, end, read] of ARP_ADDRESS_FIELDS) {
+        if (packet.length >= end) {
+            output[field] = read(packet.subarray(start, end));
+        }
     }
 
-    // -------------------------
-    // Validate IP binary size
-    // -------------------------
-    if (senderIPbuf.length !== 4 || targetIPbuf.length !== 4) {
-        console.warn("[ARP] Invalid IPv4 address length (must be exactly 4 bytes)");
-    }
-
-    // -------------------------
-    // Convert to readable format
-    // -------------------------
-    const senderMAC = readMAC(senderMACbuf);
-    const senderIP = readIP(senderIPbuf);
-    const targetMAC = readMAC(targetMACbuf);
-    const targetIP = readIP(targetIPbuf);
-
-    // -------------------------
-    // Validate printable MAC / IP values
-    // -------------------------
-    const macRegex = /^[0-9A-Fa-f]{2}(:[0-9A-Fa-f]{2}){5}$/;
-
-    if (!macRegex.test(senderMAC) || !macRegex.test(targetMAC)) {
-        console.warn("[ARP] Invalid decoded MAC address format");
-    }
-
-    if (!isValidIP(senderIP) || !isValidIP(targetIP)) {
-        console.warn("[ARP] Invalid decoded IPv4 address");
-    }
-
-    // -------------------------
-    // Save readable outputs
-    // -------------------------
-    output.senderMAC = senderMAC;
-    output.senderIP = senderIP;
-    output.targetMAC = targetMAC;
-    output.targetIP = targetIP;
-
-    return output;
+    return ctx.finish(output);
 }
 
-
 module.exports = { Encode, Decode }
\ No newline at end of file
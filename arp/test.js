@@ -188,7 +188,7 @@ console.log('\n📝 Test 7: Edge Cases');
 try {
     // Maximum values
     const maxPacket = ARP.Encode(0xFFFF, 0xFFFF, 0xFF, 0xFF, 0xFFFF, "ff:ff:ff:ff:ff:ff", "255.255.255.255", "ff:ff:ff:ff:ff:ff", "255.255.255.255");
-    const maxDecoded = ARP.Decode(maxPacket);
+    const maxDecoded = ARP.Decode(maxPacket, { mode: 'lenient' });
 
     assertEqual(maxDecoded.hType, 0xFFFF, 'Max hardware type');
     assertEqual(maxDecoded.pType, 0xFFFF, 'Max protocol type');
@@ -196,11 +196,12 @@ try {
 
     // Minimum values  
     const minPacket = ARP.Encode(0, 0, 0, 0, 0, "00:00:00:00:00:00", "0.0.0.0", "00:00:00:00:00:00", "0.0.0.0");
-    const minDecoded = ARP.Decode(minPacket);
+    const minDecoded = ARP.Decode(minPacket, { mode: 'lenient' });
 
     assertEqual(minDecoded.hType, 0, 'Min hardware type');
     assertEqual(minDecoded.pType, 0, 'Min protocol type');
     assertEqual(minDecoded.oper, 0, 'Min operation');
+    assertEqual(minDecoded.anomalies.length, 5, 'Non-standard fields reported as anomalies');
 
 } catch (error) {
     console.log(`❌ FAIL: Edge cases test - ${error.message}`);
@@ -227,6 +228,38 @@ try {
     failedTests.push('ARP Spoofing scenario test');
 }
 
+// ===== Test 9: Decode Modes =====
+console.log('\n📝 Test 9: Decode Modes');
+try {
+    const packet = ARP.Encode(1, 0x0800, 6, 4, 2, "aa:bb:cc:dd:ee:ff", "192.168.1.1", "11:22:33:44:55:66", "192.168.1.2");
+    const truncated = packet.subarray(0, 20);
+
+    try {
+        ARP.Decode(truncated);
+        assert(false, 'Strict mode throws on truncated packet');
+    } catch (error) {
+        assertEqual(error.name, 'TruncatedPacketError', 'Strict mode throws on truncated packet');
+        assertEqual(error.layer, 'arp', 'Error carries layer');
+    }
+
+    const partial = ARP.Decode(truncated, { mode: 'lenient' });
+    assertEqual(partial.senderIP, '192.168.1.1', 'Lenient mode keeps complete addresses');
+    assertEqual(partial.targetIP, undefined, 'Lenient mode omits missing addresses');
+    assertEqual(partial.anomalies.length, 1, 'Truncation reported once');
+
+    const badOpcode = Buffer.from(packet);
+    badOpcode.writeUInt16BE(9, 6);
+    const anomaly = ARP.Decode(badOpcode, { mode: 'lenient' }).anomalies[0];
+    assertEqual(anomaly.type, 'InvalidFieldError', 'Invalid opcode anomaly type');
+    assertEqual(anomaly.field, 'oper', 'Invalid opcode anomaly field');
+    assertEqual(anomaly.offset, 6, 'Invalid opcode anomaly offset');
+    assertEqual(ARP.Decode(Buffer.concat([packet, Buffer.alloc(18)])).targetIP, '192.168.1.2', 'Ethernet padding ignored');
+
+} catch (error) {
+    console.log(`❌ FAIL: Decode modes test - ${error.message}`);
+    failedTests.push('Decode modes test');
+}
+
 // ===== Test Results Summary =====
 console.log('\n📊 Test Results Summary');
 console.log('='.repeat(60));
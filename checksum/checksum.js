@@ -0,0 +1,264 @@
+// checksum.js
+// Internet checksum (RFC 1071) shared by IPv4, TCP, UDP and ICMP
+//
+// The sum runs over any number of buffer segments as if they were one
+// contiguous buffer, so a pseudo-header, a header and a payload can be
+// summed in place without Buffer.concat. A segment with an odd length
+// carries its last byte over into the next segment's first word.
+//
+// IPv4 pseudo-header (RFC 793 / RFC 768):
+// ┌─────────────────────────────────────────┐
+// │  Source Address (4 bytes)               │
+// ├─────────────────────────────────────────┤
+// │  Destination Address (4 bytes)          │
+// ├─────────────────────────────────────────┤
+// │  Zero (1) │ Protocol (1) │ Length (2)   │
+// └─────────────────────────────────────────┘
+//
+// IPv6 pseudo-header (RFC 8200 §8.1):
+// ┌─────────────────────────────────────────┐
+// │  Source Address (16 bytes)              │
+// ├─────────────────────────────────────────┤
+// │  Destination Address (16 bytes)         │
+// ├─────────────────────────────────────────┤
+// │  Upper-Layer Packet Length (4 bytes)    │
+// ├─────────────────────────────────────────┤
+// │  Zero (3 bytes) │ Next Header (1 byte)  │
+// └─────────────────────────────────────────┘
+
+const { expandIPv6 } = require('../ipv6/util');
+
+const ZERO_WORD = Buffer.alloc(2);
+
+/**
+ * Fold carries back into 16 bits
+ * @param {number} sum - Unfolded sum
+ * @returns {number} 16-bit one's complement sum
+ */
+function fold(sum) {
+    while (sum > 0xFFFF) {
+        sum = (sum & 0xFFFF) + Math.floor(sum / 0x10000);
+    }
+    return sum;
+}
+
+/**
+ * One's complement sum over one or more buffer segments
+ * @param {...Buffer} segments - Buffers summed as if concatenated
+ * @returns {number} 16-bit one's complement sum (not inverted)
+ */
+function sum(...segments) {
+    let total = 0;
+    let odd = false; // Next byte is the low byte of a word
+
+    for (const segment of segments) {
+        let i = 0;
+
+        if (odd && segment.length > 0) {
+            total += segment[0];
+            i = 1;
+            odd = false;
+        }
+        for (; i + 1 < segment.length; i += 2) {
+            total += (segment[i] << 8) | segment[i + 1];
+        }
+        if (i < segment.length) {
+            total += segment[i] << 8; // Pad with zero unless the next segment continues the word
+            odd = true;
+        }
+
+        // Keep the accumulator well inside the safe integer range
+        if (total > 0xFFFFFFFF) {
+            total = fold(total);
+        }
+    }
+
+    return fold(total);
+}
+
+/**
+ * Internet checksum over one or more buffer segments
+ * @param {...Buffer} segments - Buffers summed as if concatenated
+ * @returns {number} 16-bit checksum, ready to write into a header
+ */
+function checksum(...segments) {
+    return ~sum(...segments) & 0xFFFF;
+}
+
+/**
+ * Build an IPv4 pseudo-header
+ * @param {string} srcIp - Source address (dotted decimal)
+ * @param {string} destIp - Destination address (dotted decimal)
+ * @param {number} protocol - IP protocol number (6 = TCP, 17 = UDP)
+ * @param {number} length - Transport header + data length
+ * @returns {Buffer} 12-byte pseudo-header
+ */
+function ipv4PseudoHeader(srcIp, destIp, protocol, length) {
+    const header = Buffer.alloc(12);
+
+    srcIp.split('.').forEach((octet, i) => {
+        header[i] = parseInt(octet, 10);
+    });
+    destIp.split('.').forEach((octet, i) => {
+        header[i + 4] = parseInt(octet, 10);
+    });
+    header[9] = protocol;
+    header.writeUInt16BE(length & 0xFFFF, 10);
+
+    return header;
+}
+
+/**
+ * Build an IPv6 pseudo-header
+ * @param {string} srcIp - Source address
+ * @param {string} destIp - Destination address
+ * @param {number} nextHeader - Upper-layer protocol (6 = TCP, 17 = UDP, 58 = ICMPv6)
+ * @param {number} length - Upper-layer packet length
+ * @returns {Buffer} 40-byte pseudo-header
+ */
+function ipv6PseudoHeader(srcIp, destIp, nextHeader, length) {
+    const header = Buffer.alloc(40);
+
+    expandIPv6(srcIp).copy(header, 0);
+    expandIPv6(destIp).copy(header, 16);
+    header.writeUInt32BE(length >>> 0, 32);
+    header[39] = nextHeader;
+
+    return header;
+}
+
+/**
+ * Build the pseudo-header matching the address family
+ * @param {string} srcIp - Source address (IPv4 or IPv6)
+ * @param {string} destIp - Destination address (same family)
+ * @param {number} protocol - IP protocol / next header number
+ * @param {number} length - Transport header + data length
+ * @returns {Buffer} 12-byte (IPv4) or 40-byte (IPv6) pseudo-header
+ */
+function pseudoHeader(srcIp, destIp, protocol, length) {
+    const v6 = isIPv6(srcIp);
+
+    if (v6 !== isIPv6(destIp)) {
+        throw new Error(`Pseudo-header addresses must share a family: ${srcIp}, ${destIp}`);
+    }
+    return v6
+        ? ipv6PseudoHeader(srcIp, destIp, protocol, length)
+        : ipv4PseudoHeader(srcIp, destIp, protocol, length);
+}
+
+/**
+ * Checksum of a transport segment including its pseudo-header
+ * @param {string} srcIp - Source address (IPv4 or IPv6)
+ * @param {string} destIp - Destination address
+ * @param {number} protocol - IP protocol / next header number
+ * @param {...Buffer} segments - Segment bytes (checksum field zeroed or left out)
+ * @returns {number} 16-bit checksum
+ *
+ * @example
+ * // Verify a received segment without copying it: skip the checksum field
+ * const expected = transportChecksum(src, dst, 6, tcp.subarray(0, 16), Buffer.alloc(2), tcp.subarray(18));
+ */
+function transportChecksum(srcIp, destIp, protocol, ...segments) {
+    const length = segments.reduce((total, segment) => total + segment.length, 0);
+    return checksum(pseudoHeader(srcIp, destIp, protocol, length), ...segments);
+}
+
+/**
+ * Compute a checksum with its own field treated as zero, without copying
+ * @param {Buffer} data - Checksummed bytes, including the checksum field
+ * @param {number} checksumOffset - Offset of the 16-bit checksum field (even)
+ * @param {...Buffer} prefix - Segments summed before data (e.g. a pseudo-header)
+ * @returns {number} The checksum the field should hold
+ */
+function expectedChecksum(data, checksumOffset, ...prefix) {
+    return checksum(...prefix, data.subarray(0, checksumOffset), ZERO_WORD, data.subarray(checksumOffset + 2));
+}
+
+/**
+ * RFC 1624 incremental update for one 16-bit word: HC' = ~(~HC + ~m + m')
+ * @param {number} oldChecksum - Current checksum field value
+ * @param {number} oldWord - Old 16-bit word value
+ * @param {number} newWord - New 16-bit word value
+ * @returns {number} Updated checksum
+ */
+function update(oldChecksum, oldWord, newWord) {
+    return ~fold((~oldChecksum & 0xFFFF) + (~oldWord & 0xFFFF) + (newWord & 0xFFFF)) & 0xFFFF;
+}
+
+/**
+ * Rewrite a field of an existing packet and patch its checksum in place (RFC 1624)
+ *
+ * Works for fields of any size and alignment: the old and new bytes are
+ * summed at their word positions relative to `start`, where the checksummed
+ * region begins. The pseudo-header is 12 or 40 bytes, so for TCP/UDP the
+ * transport header start works for address-independent fields.
+ *
+ * @param {Buffer} packet - Packet to modify
+ * @param {number} checksumOffset - Offset of the 16-bit checksum field
+ * @param {number} offset - Offset of the field to rewrite
+ * @param {Buffer|number} value - New bytes, or a number written big-endian over `size` bytes
+ * @param {number} [size] - Field size in bytes when value is a number (1-4)
+ * @param {number} [start=0] - Offset where the checksummed region starts
+ * @returns {number} The new checksum
+ *
+ * @example
+ * patchField(ipPacket, 10, 8, 1, 1);            // TTL = 1, header checksum fixed up
+ * patchField(segment, 16, 2, 8080, 2);          // TCP destination port
+ * patchField(segment, 16, 4, 0xDEADBEEF, 4);    // TCP sequence number
+ */
+function patchField(packet, checksumOffset, offset, value, size, start = 0) {
+    const bytes = Buffer.isBuffer(value) ? value : numberToBytes(value, size);
+
+    if (offset < 0 || offset + bytes.length > packet.length) {
+        throw new Error(`Field at offset ${offset} (${bytes.length} bytes) is outside the packet`);
+    }
+    if (offset < checksumOffset + 2 && checksumOffset < offset + bytes.length) {
+        throw new Error('Field overlaps the checksum; write the checksum directly instead');
+    }
+
+    const oldSum = alignedSum(packet.subarray(offset, offset + bytes.length), offset - start);
+    const newSum = alignedSum(bytes, offset - start);
+
+    const patched = update(packet.readUInt16BE(checksumOffset), oldSum, newSum);
+
+    bytes.copy(packet, offset);
+    packet.writeUInt16BE(patched, checksumOffset);
+    return patched;
+}
+
+/**
+ * Sum bytes at their position within the 16-bit words of the covered region
+ */
+function alignedSum(bytes, position) {
+    return position % 2 === 0 ? sum(bytes) : sum(Buffer.from([0]), bytes);
+}
+
+function numberToBytes(value, size) {
+    if (!Number.isInteger(size) || size < 1 || size > 4) {
+        throw new Error(`Field size must be 1-4 bytes when a number is given (got ${size})`);
+    }
+    if (!Number.isInteger(value) || value < 0 || value >= 2 ** (size * 8)) {
+        throw new Error(`Value ${value} does not fit in ${size} byte(s)`);
+    }
+
+    const bytes = Buffer.alloc(size);
+    bytes.writeUIntBE(value, 0, size);
+    return bytes;
+}
+
+function isIPv6(address) {
+    return typeof address === 'string' && address.includes(':');
+}
+
+module.exports = {
+    sum,
+    checksum,
+    fold,
+    ipv4PseudoHeader,
+    ipv6PseudoHeader,
+    pseudoHeader,
+    transportChecksum,
+    expectedChecksum,
+    update,
+    patchField
+};
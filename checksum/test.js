@@ -0,0 +1,221 @@
+const Checksum = require('./checksum');
+const IPv4 = require('../ipv4/ipv4');
+const TCP = require('../tcp/tcp');
+const UDP = require('../udp/udp');
+
+// Test utilities
+let testCount = 0;
+let passedTests = 0;
+let failedTests = [];
+
+function assert(condition, testName) {
+    testCount++;
+    if (condition) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    } else {
+        console.log(`❌ FAIL: ${testName}`);
+        failedTests.push(testName);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    const condition = actual === expected;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected}`);
+        console.log(`  Actual: ${actual}`);
+    }
+}
+
+function assertBufferEqual(actual, expected, testName) {
+    const condition = Buffer.compare(actual, expected) === 0;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected.toString('hex')}`);
+        console.log(`  Actual: ${actual.toString('hex')}`);
+    }
+}
+
+function assertThrows(fn, testName) {
+    try {
+        fn();
+        assert(false, testName);
+    } catch (error) {
+        assert(true, testName);
+    }
+}
+
+console.log('🧪 Starting Internet Checksum Test Suite\n');
+
+// ===== Test 1: RFC 1071 Checksum =====
+console.log('📝 Test 1: RFC 1071 Checksum');
+try {
+    // RFC 1071 §3 example: 00 01 f2 03 f4 f5 f6 f7 sums to 0xddf2
+    const rfcExample = Buffer.from('0001f203f4f5f6f7', 'hex');
+    assertEqual(Checksum.sum(rfcExample), 0xddf2, 'RFC 1071 example sum');
+    assertEqual(Checksum.checksum(rfcExample), 0x220d, 'RFC 1071 example checksum');
+
+    // Well-known IPv4 header with checksum 0xb861
+    const header = Buffer.from('450000730000400040110000c0a80001c0a800c7', 'hex');
+    assertEqual(Checksum.checksum(header), 0xb861, 'IPv4 header checksum');
+
+    header.writeUInt16BE(0xb861, 10);
+    assertEqual(Checksum.sum(header), 0xFFFF, 'Header including its checksum sums to all ones');
+
+    assertEqual(Checksum.checksum(Buffer.alloc(0)), 0xFFFF, 'Empty input checksums to 0xFFFF');
+    assertEqual(Checksum.checksum(Buffer.from([0xAB])), ~0xAB00 & 0xFFFF, 'Odd final byte padded with zero');
+
+} catch (error) {
+    console.log(`❌ FAIL: RFC 1071 checksum test - ${error.message}`);
+    failedTests.push('RFC 1071 checksum test');
+}
+
+// ===== Test 2: Multi-segment Sums =====
+console.log('\n📝 Test 2: Multi-segment Sums');
+try {
+    const whole = Buffer.from('0123456789abcdeffedcba98765432', 'hex');
+    const expected = Checksum.checksum(whole);
+
+    assertEqual(Checksum.checksum(whole.subarray(0, 4), whole.subarray(4)), expected, 'Even split matches');
+    assertEqual(Checksum.checksum(whole.subarray(0, 3), whole.subarray(3)), expected, 'Odd split carries the byte over');
+    assertEqual(
+        Checksum.checksum(whole.subarray(0, 1), whole.subarray(1, 2), whole.subarray(2, 7), whole.subarray(7)),
+        expected,
+        'Many odd splits match'
+    );
+    assertEqual(
+        Checksum.checksum(whole.subarray(0, 5), Buffer.alloc(0), whole.subarray(5)),
+        expected,
+        'Empty segment in the middle is ignored'
+    );
+
+    // Large input stays exact (no overflow in the accumulator)
+    const big = Buffer.alloc(1 << 20, 0xFF);
+    assertEqual(Checksum.sum(big), 0xFFFF, 'Large all-ones buffer folds correctly');
+
+} catch (error) {
+    console.log(`❌ FAIL: Multi-segment test - ${error.message}`);
+    failedTests.push('Multi-segment test');
+}
+
+// ===== Test 3: Pseudo-headers =====
+console.log('\n📝 Test 3: Pseudo-headers');
+try {
+    const v4 = Checksum.ipv4PseudoHeader('192.168.1.1', '10.0.0.1', 6, 40);
+    assertBufferEqual(v4, Buffer.from('c0a801010a00000100060028', 'hex'), 'IPv4 pseudo-header layout');
+
+    const v6 = Checksum.ipv6PseudoHeader('2001:db8::1', 'fe80::2', 17, 70000);
+    assertEqual(v6.length, 40, 'IPv6 pseudo-header is 40 bytes');
+    assertBufferEqual(v6.subarray(0, 4), Buffer.from('20010db8', 'hex'), 'IPv6 source address');
+    assertEqual(v6[31], 2, 'IPv6 destination address');
+    assertEqual(v6.readUInt32BE(32), 70000, 'IPv6 upper-layer length is 32 bits');
+    assertBufferEqual(v6.subarray(36, 39), Buffer.alloc(3), 'IPv6 zero padding');
+    assertEqual(v6[39], 17, 'IPv6 next header');
+
+    assertEqual(Checksum.pseudoHeader('10.0.0.1', '10.0.0.2', 6, 20).length, 12, 'IPv4 addresses pick IPv4 layout');
+    assertEqual(Checksum.pseudoHeader('::1', '::2', 6, 20).length, 40, 'IPv6 addresses pick IPv6 layout');
+    assertThrows(() => Checksum.pseudoHeader('10.0.0.1', '::2', 6, 20), 'Mixed families rejected');
+
+} catch (error) {
+    console.log(`❌ FAIL: Pseudo-header test - ${error.message}`);
+    failedTests.push('Pseudo-header test');
+}
+
+// ===== Test 4: Transport Checksums =====
+console.log('\n📝 Test 4: Transport Checksums');
+try {
+    const segment = TCP.Encode('192.168.1.1', '192.168.1.2', 12345, 80, 1000, 0, { syn: true }, 8192, 0, Buffer.alloc(0), Buffer.from('hi'));
+    const stored = segment.readUInt16BE(16);
+
+    assertEqual(
+        Checksum.expectedChecksum(segment, 16, Checksum.pseudoHeader('192.168.1.1', '192.168.1.2', 6, segment.length)),
+        stored,
+        'expectedChecksum matches TCP.Encode'
+    );
+    assertEqual(
+        Checksum.transportChecksum('192.168.1.1', '192.168.1.2', 6, segment.subarray(0, 16), Buffer.alloc(2), segment.subarray(18)),
+        stored,
+        'transportChecksum over segments matches'
+    );
+    assertEqual(segment.readUInt16BE(16), stored, 'Segment left untouched');
+
+    const datagram = UDP.Encode('10.0.0.1', '10.0.0.2', 5000, 53, Buffer.from('odd'));
+    assertEqual(
+        Checksum.expectedChecksum(datagram, 6, Checksum.pseudoHeader('10.0.0.1', '10.0.0.2', 17, datagram.length)),
+        datagram.readUInt16BE(6),
+        'expectedChecksum matches UDP.Encode'
+    );
+
+} catch (error) {
+    console.log(`❌ FAIL: Transport checksum test - ${error.message}`);
+    failedTests.push('Transport checksum test');
+}
+
+// ===== Test 5: RFC 1624 Incremental Update =====
+console.log('\n📝 Test 5: RFC 1624 Incremental Update');
+try {
+    // RFC 1624 §4 example: HC = 0xDD2F, m = 0x5555 → m' = 0x3285 gives 0x0000
+    assertEqual(Checksum.update(0xDD2F, 0x5555, 0x3285), 0x0000, 'RFC 1624 example yields 0x0000, not 0xFFFF');
+
+    const packet = IPv4.Encode('192.168.1.1', '192.168.1.2', 4, 0, 0, 1, '', 0, 64, 'tcp', [], Buffer.alloc(8));
+    Checksum.patchField(packet, 10, 8, 1, 1);
+    assertEqual(packet[8], 1, 'TTL rewritten');
+    assertEqual(IPv4.Decode(packet).checksumValid, true, 'IPv4 checksum still valid after TTL patch');
+
+    Checksum.patchField(packet, 10, 12, Buffer.from([172, 16, 0, 9]));
+    assertEqual(IPv4.Decode(packet).srcIp, '172.16.0.9', 'Source address rewritten');
+    assertEqual(IPv4.Decode(packet).checksumValid, true, 'IPv4 checksum valid after address patch');
+
+} catch (error) {
+    console.log(`❌ FAIL: Incremental update test - ${error.message}`);
+    failedTests.push('Incremental update test');
+}
+
+// ===== Test 6: Patching Transport Fields =====
+console.log('\n📝 Test 6: Patching Transport Fields');
+try {
+    const addresses = { srcIp: '192.168.1.1', destIp: '192.168.1.2' };
+    const segment = TCP.Encode('192.168.1.1', '192.168.1.2', 12345, 80, 1000, 0, { ack: true }, 8192, 0, Buffer.alloc(0), Buffer.from('payload'));
+
+    Checksum.patchField(segment, 16, 2, 8080, 2);
+    Checksum.patchField(segment, 16, 4, 0xDEADBEEF, 4);
+    Checksum.patchField(segment, 16, 13, 0x18, 1); // Odd-aligned flags byte
+
+    const decoded = TCP.Decode(segment, addresses);
+    assertEqual(decoded.destinationPort, 8080, 'Port rewritten');
+    assertEqual(decoded.sequenceNumber, 0xDEADBEEF, 'Sequence number rewritten');
+    assertEqual(decoded.checksumValid, true, 'TCP checksum valid after patches');
+
+    // Patching a field inside a larger buffer: start marks the checksummed region
+    const framed = Buffer.concat([Buffer.alloc(3), segment]);
+    Checksum.patchField(framed, 3 + 16, 3 + 13, 0x02, 1, 3);
+    assertEqual(TCP.Decode(framed.subarray(3), addresses).checksumValid, true, 'Alignment follows the start offset');
+
+    assertThrows(() => Checksum.patchField(segment, 16, 15, Buffer.from([0, 0])), 'Overlapping the checksum rejected');
+    assertThrows(() => Checksum.patchField(segment, 16, segment.length - 1, 0, 2), 'Field past the end rejected');
+    assertThrows(() => Checksum.patchField(segment, 16, 2, 70000, 2), 'Value too large rejected');
+
+} catch (error) {
+    console.log(`❌ FAIL: Transport patch test - ${error.message}`);
+    failedTests.push('Transport patch test');
+}
+
+// ===== Test Results Summary =====
+console.log('\n📊 Test Results Summary');
+console.log('='.repeat(50));
+console.log(`Total Tests: ${testCount}`);
+console.log(`✅ Passed: ${passedTests}`);
+console.log(`❌ Failed: ${testCount - passedTests}`);
+console.log(`Success Rate: ${((passedTests / testCount) * 100).toFixed(1)}%`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test, index) => {
+        console.log(`   ${index + 1}. ${test}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
@@ -0,0 +1,514 @@
+// dissect.js
+// Recursive auto-dissection of a captured frame into all of its layers
+//
+// Each layer is described as:
+// {
+//     protocol: 'ipv4',
+//     offset: 14,             // Absolute offset of the layer in the buffer
+//     headerLength: 20,
+//     length: 60,             // Header + payload bytes covered by this layer
+//     fields: { ttl: { value: 64, offset: 22, length: 1 }, ... },
+//     decoded: { ... }        // Output of the protocol's own Decode()
+// }
+//
+// Bit fields share their containing bytes and carry a `mask` over the
+// big-endian value of those bytes. Payloads that cannot be identified (or
+// fail to decode) are returned as a final 'raw' layer. In lenient mode each
+// layer also carries the `anomalies` its decoder reported, with offsets made
+// absolute like the fields. A TLS record that continues in the next TCP
+// segment is marked `partial: true`, as are the layers of a datagram quoted
+// by an ICMP error when the quote stops short of it (RFC 792 only requires
+// the IP header + 8 bytes).
+
+const Ethernet = require('../ethernet/ethernet');
+const ARP = require('../arp/arp');
+const IPv4 = require('../ipv4/ipv4');
+const IPv6 = require('../ipv6/ipv6');
+const TCP = require('../tcp/tcp');
+const UDP = require('../udp/udp');
+const ICMP = require('../icmp/icmp');
+const DNS = require('../dns/dns');
+const TLS = require('../tls/tls');
+const { LINKTYPES } = require('../pcap/constants');
+const { processLinkType } = require('../pcap/utils');
+
+const DNS_PORTS = [53, 5353];
+const TLS_PORTS = [443, 465, 636, 853, 993, 995, 8443];
+
+// ICMP error messages quote the offending IP header + 8 bytes of its payload
+const ICMP_ERROR_TYPES = [3, 4, 5, 11, 12];
+
+// [name, offset, length, mask?] relative to the start of each header
+const ARP_LAYOUT = [
+    ['hType', 0, 2], ['pType', 2, 2], ['hLen', 4, 1], ['pLen', 5, 1], ['oper', 6, 2],
+    ['senderMAC', 8, 6], ['senderIP', 14, 4], ['targetMAC', 18, 6], ['targetIP', 24, 4]
+];
+
+const IPV4_LAYOUT = [
+    ['version', 0, 1, 0xF0], ['IHL', 0, 1, 0x0F], ['DSCP', 1, 1, 0xFC], ['ECN', 1, 1, 0x03],
+    ['totalLength', 2, 2], ['identification', 4, 2], ['flags', 6, 1, 0xE0],
+    ['fragmentOffset', 6, 2, 0x1FFF], ['ttl', 8, 1], ['protocol', 9, 1], ['checksum', 10, 2],
+    ['srcIp', 12, 4], ['destIp', 16, 4]
+];
+
+const IPV6_LAYOUT = [
+    ['Version', 0, 1, 0xF0], ['DSCP', 0, 2, 0x0FC0], ['ECN', 1, 1, 0x30], ['flowLabel', 1, 3, 0x0FFFFF],
+    ['payloadLength', 4, 2], ['nextHeader', 6, 1], ['hopLimit', 7, 1],
+    ['sourceAddr', 8, 16], ['destinationAddr', 24, 16]
+];
+
+const TCP_LAYOUT = [
+    ['sourcePort', 0, 2], ['destinationPort', 2, 2], ['sequenceNumber', 4, 4],
+    ['acknowledgmentNumber', 8, 4], ['dataOffset', 12, 1, 0xF0], ['flags', 13, 1],
+    ['windowSize', 14, 2], ['checksum', 16, 2], ['urgentPointer', 18, 2]
+];
+
+const UDP_LAYOUT = [
+    ['SourcePort', 0, 2], ['destinationPort', 2, 2], ['length', 4, 2], ['checksum', 6, 2]
+];
+
+const ICMP_LAYOUT = [
+    ['type', 0, 1], ['code', 1, 1], ['checksum', 2, 2], ['identifier', 4, 2], ['sequence', 6, 2]
+];
+
+const DNS_LAYOUT = [
+    ['transactionId', 0, 2], ['flags', 2, 2], ['questionCount', 4, 2],
+    ['answerCount', 6, 2], ['authorityCount', 8, 2], ['additionalCount', 10, 2]
+];
+
+const TLS_LAYOUT = [
+    ['contentType', 0, 1], ['protocolVersion', 1, 2], ['length', 3, 2]
+];
+
+/**
+ * Dissect a captured frame into an ordered list of layers
+ * @param {Buffer} buffer - Frame or packet bytes
+ * @param {Object} [options={}] - Dissection options
+ * @param {string|number} [options.linkType='ethernet'] - 'ethernet', 'raw', 'ipv4', 'ipv6' or LINKTYPE_* value
+ * @param {boolean} [options.fcs=false] - Ethernet frames end with a 4-byte FCS
+ * @param {string} [options.mode='strict'] - Decoder mode; 'lenient' keeps decoding past anomalies
+ * @param {boolean} [options.verifyChecksum=true] - Set false for captures with checksum offload
+ * @returns {Array<Object>} Layers, outermost first
+ *
+ * @example
+ * for await (const record of pcap.read('capture.pcap')) {
+ *     const layers = dissect(record.data, { linkType: record.linkType });
+ *     console.log(layers.map(l => l.protocol).join(' / '));
+ * }
+ */
+function dissect(buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer)) {
+        throw new Error('[Dissect] Input must be a Buffer');
+    }
+
+    const { linkType = LINKTYPES.ETHERNET, fcs = false, mode = 'strict', verifyChecksum = true } = options;
+    const layers = [];
+    let next = { protocol: firstProtocol(processLinkType(linkType), buffer), offset: 0, end: buffer.length };
+
+    while (next && next.offset <= next.end) {
+        const dissector = DISSECTORS[next.protocol];
+        let result;
+
+        try {
+            result = dissector(buffer, next.offset, next.end, { fcs, mode, verifyChecksum, ...next.context });
+        } catch (error) {
+            layers.push(rawLayer(buffer, next.offset, next.end, `${next.protocol}: ${error.message}`));
+            break;
+        }
+
+        layers.push(...[].concat(result.layer));
+        next = result.next;
+    }
+
+    return layers;
+}
+
+/**
+ * Choose the first dissector from the capture link type
+ */
+function firstProtocol(linkType, buffer) {
+    switch (linkType) {
+        case LINKTYPES.ETHERNET:
+            return 'ethernet';
+        case LINKTYPES.IPV4:
+            return 'ipv4';
+        case LINKTYPES.IPV6:
+            return 'ipv6';
+        case LINKTYPES.RAW:
+            return buffer.length && (buffer[0] >> 4) === 6 ? 'ipv6' : 'ipv4';
+        default:
+            return 'raw';
+    }
+}
+
+function dissectEthernet(buffer, offset, end, context) {
+    const { fcs } = context;
+    const frame = buffer.subarray(offset, end);
+    const decoded = Ethernet.Decode(frame, { fcs, mode: context.mode });
+    requireHeader(decoded);
+    if (decoded.headerLength === undefined) {
+        throw new Error('Frame truncated inside VLAN tag stack');
+    }
+    const fields = {
+        destMAC: field(decoded.destMAC, offset, 6),
+        srcMAC: field(decoded.srcMAC, offset + 6, 6)
+    };
+
+    decoded.vlans.forEach((tag, i) => {
+        fields[`vlan${i}`] = field(tag, offset + 12 + i * 4, 4);
+    });
+    fields[decoded.etherType === null ? 'length' : 'etherType'] = field(
+        decoded.etherType === null ? decoded.length : decoded.etherType,
+        offset + decoded.headerLength - 2,
+        2
+    );
+    if (fcs) {
+        fields.fcs = field(decoded.fcs, end - 4, 4);
+    }
+
+    const payloadEnd = fcs ? end - 4 : end;
+    const protocols = { 0x0800: 'ipv4', 0x86DD: 'ipv6', 0x0806: 'arp' };
+
+    return {
+        layer: layer('ethernet', offset, decoded.headerLength, end - offset, fields, decoded),
+        next: follow(protocols[decoded.etherType], offset + decoded.headerLength, payloadEnd)
+    };
+}
+
+function dissectArp(buffer, offset, end, context) {
+    if (end - offset < 28) {
+        throw new Error(`ARP packet truncated (${end - offset} bytes)`);
+    }
+
+    const decoded = ARP.Decode(buffer.subarray(offset, offset + 28), decodeOptions(context));
+
+    return {
+        layer: layer('arp', offset, 28, 28, describe(decoded, ARP_LAYOUT, offset), decoded),
+        // Anything after the ARP body is Ethernet padding
+        next: offset + 28 < end ? follow('raw', offset + 28, end) : null
+    };
+}
+
+function dissectIPv4(buffer, offset, end, context) {
+    const decoded = IPv4.Decode(buffer.subarray(offset, end), quotedOptions(context));
+    requireHeader(decoded);
+
+    // A quoted datagram may be cut anywhere after its header
+    const partial = Boolean(context.quoted) && decoded.totalLength > end - offset;
+    if (context.quoted) {
+        tolerate(decoded, context, anomaly => partial && anomaly.field === 'totalLength');
+    }
+
+    // A bogus IHL (lenient mode) still leaves the fixed 20-byte header
+    const headerLength = Math.min(Math.max(decoded.headerLength, 20), end - offset);
+    const fields = describe({ ...decoded, flags: flagBits(decoded.flags) }, IPV4_LAYOUT, offset);
+
+    if (headerLength > 20) {
+        fields.options = field(buffer.subarray(offset + 20, offset + headerLength), offset + 20, headerLength - 20);
+    }
+
+    // Only the first fragment carries the transport header
+    const protocols = { 1: 'icmp', 4: 'ipv4', 6: 'tcp', 17: 'udp', 41: 'ipv6' };
+    const protocol = decoded.fragmentOffset === 0 ? protocols[decoded.protocol] : undefined;
+    const payloadEnd = Math.min(end, Math.max(offset + decoded.totalLength, offset + headerLength));
+
+    const result = layer('ipv4', offset, headerLength, payloadEnd - offset, fields, decoded);
+    if (partial) {
+        result.partial = true;
+    }
+
+    // The transport checksum of a cut quote cannot be verified
+    const next = context.quoted
+        ? { ip: decoded, quoted: true, verifyChecksum: context.verifyChecksum && !partial }
+        : { ip: decoded };
+
+    return {
+        layer: result,
+        next: follow(protocol, offset + headerLength, payloadEnd, next)
+    };
+}
+
+function dissectIPv6(buffer, offset, end, context) {
+    const decoded = IPv6.Decode(buffer.subarray(offset, end), { ...decodeOptions(context), parseExtensions: true });
+    requireHeader(decoded);
+    const payloadEnd = decoded.payloadLength > 0 ? Math.min(end, offset + 40 + decoded.payloadLength) : end;
+    const protocols = { 4: 'ipv4', 6: 'tcp', 17: 'udp', 41: 'ipv6', 58: 'icmpv6' };
+
+    // Extension headers are part of the IPv6 layer
+    const headerLength = decoded.extensionHeaders.reduce((total, header) => total + header.length, 40);
+    const fields = describe(decoded, IPV6_LAYOUT, offset);
+    if (headerLength > 40) {
+        fields.extensionHeaders = field(decoded.extensionHeaders, offset + 40, headerLength - 40);
+    }
+
+    // Only the first fragment carries the upper-layer header
+    const fragment = decoded.extensionHeaders.find(header => header.header === 'fragment');
+    const protocol = fragment && fragment.fragmentOffset !== 0 ? undefined : protocols[decoded.upperLayerProtocol];
+
+    return {
+        layer: layer('ipv6', offset, headerLength, payloadEnd - offset, fields, decoded),
+        next: follow(protocol, offset + headerLength, payloadEnd, { ip: decoded })
+    };
+}
+
+function dissectTcp(buffer, offset, end, context) {
+    // A quote may stop after the ports and sequence number
+    if (context.quoted && end - offset >= 8 && end - offset < 20) {
+        const prefix = TCP.Decode(buffer.subarray(offset, end), quotedOptions(context));
+        tolerate(prefix, context, anomaly => anomaly.field === 'header');
+
+        const result = layer('tcp', offset, end - offset, end - offset, describe(prefix, TCP_LAYOUT.slice(0, 3), offset), prefix);
+        result.partial = true;
+        return { layer: result, next: null };
+    }
+
+    const decoded = TCP.Decode(buffer.subarray(offset, end), { ...decodeOptions(context), ip: context.ip });
+    requireHeader(decoded);
+
+    const headerLength = end - offset - decoded.dataPayload.length;
+    const fields = describe(decoded, TCP_LAYOUT, offset);
+    if (headerLength > 20) {
+        fields.options = field(decoded.options, offset + 20, headerLength - 20);
+    }
+
+    const ports = [decoded.sourcePort, decoded.destinationPort];
+    const payloadOffset = offset + headerLength;
+    let protocol;
+    if (payloadOffset < end) {
+        if (ports.some(port => DNS_PORTS.includes(port))) {
+            protocol = 'dns-tcp';
+        } else if (ports.some(port => TLS_PORTS.includes(port)) || looksLikeTls(buffer, payloadOffset, end)) {
+            protocol = 'tls';
+        }
+    }
+
+    return {
+        layer: layer('tcp', offset, headerLength, end - offset, fields, decoded),
+        next: follow(protocol, payloadOffset, end)
+    };
+}
+
+function dissectUdp(buffer, offset, end, context) {
+    const decoded = UDP.Decode(buffer.subarray(offset, end), { ...quotedOptions(context), ip: context.ip });
+    requireHeader(decoded);
+
+    const partial = Boolean(context.quoted) && decoded.length > end - offset;
+    if (context.quoted) {
+        tolerate(decoded, context, anomaly => partial && anomaly.field === 'data');
+    }
+
+    const payloadEnd = offset + 8 + decoded.data.length;
+    const ports = [decoded.SourcePort, decoded.destinationPort];
+    const protocol = ports.some(port => DNS_PORTS.includes(port)) && decoded.data.length ? 'dns' : undefined;
+
+    const result = layer('udp', offset, 8, payloadEnd - offset, describe(decoded, UDP_LAYOUT, offset), decoded);
+    if (partial) {
+        result.partial = true;
+    }
+
+    return {
+        layer: result,
+        next: follow(protocol, offset + 8, payloadEnd)
+    };
+}
+
+function dissectIcmp(buffer, offset, end, context = {}) {
+    // ICMPv6 checksums cover an IPv6 pseudo-header that ICMP.Decode does not build
+    const decoded = ICMP.Decode(buffer.subarray(offset, end), {
+        ...decodeOptions(context),
+        verifyChecksum: context.verifyChecksum && !context.icmpv6
+    });
+    requireHeader(decoded);
+    const name = context.icmpv6 ? 'icmpv6' : 'icmp';
+
+    // Recurse into the quoted datagram of ICMPv4 error messages
+    const quoted = !context.icmpv6 && ICMP_ERROR_TYPES.includes(decoded.type) ? 'ipv4' : undefined;
+
+    return {
+        layer: layer(name, offset, 8, end - offset, describe(decoded, ICMP_LAYOUT, offset), decoded),
+        next: follow(quoted, offset + 8, end, { quoted: Boolean(quoted) })
+    };
+}
+
+function dissectIcmpv6(buffer, offset, end, context) {
+    return dissectIcmp(buffer, offset, end, { ...context, icmpv6: true });
+}
+
+function dissectDns(buffer, offset, end, context = {}) {
+    let start = offset;
+    const extra = {};
+
+    // DNS over TCP prefixes each message with a 2-byte length
+    if (context.tcp) {
+        if (end - offset < 2) {
+            throw new Error('DNS length prefix truncated');
+        }
+        extra.messageLength = field(buffer.readUInt16BE(offset), offset, 2);
+        start += 2;
+    }
+
+    const decoded = DNS.Decode(buffer.subarray(start, end), decodeOptions(context));
+    requireHeader(decoded);
+
+    return {
+        layer: layer('dns', offset, start - offset + 12, end - offset,
+            { ...extra, ...describe(decoded, DNS_LAYOUT, start) }, decoded, start),
+        next: null
+    };
+}
+
+function dissectDnsTcp(buffer, offset, end, context) {
+    return dissectDns(buffer, offset, end, { ...context, tcp: true });
+}
+
+function dissectTls(buffer, offset, end, context) {
+    const records = [];
+    let cursor = offset;
+
+    // A segment may carry several records; the last may continue in the next
+    // segment. That is normal for TCP, so the record is decoded leniently and
+    // marked `partial` instead of failing on its length
+    while (end - cursor >= 5) {
+        const decoded = TLS.DecodeRecord(buffer.subarray(cursor, end), { ...decodeOptions(context), mode: 'lenient' });
+        const recordLength = Math.min(5 + decoded.length, end - cursor);
+        const partial = recordLength < 5 + decoded.length;
+        tolerate(decoded, context, anomaly => partial && anomaly.field === 'payload');
+
+        const fields = describe(decoded, TLS_LAYOUT, cursor);
+        fields.payload = field(decoded.payload, cursor + 5, recordLength - 5);
+
+        const record = layer('tls', cursor, 5, recordLength, fields, decoded);
+        if (partial) {
+            record.partial = true;
+        }
+        records.push(record);
+        cursor += recordLength;
+    }
+
+    if (records.length === 0) {
+        throw new Error('TLS record header truncated');
+    }
+
+    return {
+        layer: records,
+        next: cursor < end ? follow('raw', cursor, end) : null
+    };
+}
+
+function dissectRaw(buffer, offset, end) {
+    return { layer: rawLayer(buffer, offset, end), next: null };
+}
+
+const DISSECTORS = {
+    ethernet: dissectEthernet,
+    arp: dissectArp,
+    ipv4: dissectIPv4,
+    ipv6: dissectIPv6,
+    tcp: dissectTcp,
+    udp: dissectUdp,
+    icmp: dissectIcmp,
+    icmpv6: dissectIcmpv6,
+    dns: dissectDns,
+    'dns-tcp': dissectDnsTcp,
+    tls: dissectTls,
+    raw: dissectRaw
+};
+
+/**
+ * Decide where dissection continues; unknown protocols fall through to raw,
+ * and empty payloads end the walk. The context is handed to the next
+ * dissector (e.g. the enclosing IP header for pseudo-header checksums).
+ */
+function follow(protocol, offset, end, context = {}) {
+    if (offset >= end) {
+        return null;
+    }
+    return { protocol: protocol || 'raw', offset, end, context };
+}
+
+function decodeOptions(context) {
+    return { mode: context.mode, verifyChecksum: context.verifyChecksum };
+}
+
+// Quoted datagrams are decoded leniently, then held to the requested mode by tolerate()
+function quotedOptions(context) {
+    return context.quoted ? { ...decodeOptions(context), mode: 'lenient' } : decodeOptions(context);
+}
+
+/**
+ * Drop the anomalies a lenient decode is expected to report (a cut quote, a
+ * record continuing in the next segment); outside lenient mode any other
+ * anomaly still fails the layer, like a strict decode would
+ */
+function tolerate(decoded, context, expected) {
+    decoded.anomalies = decoded.anomalies.filter(anomaly => !expected(anomaly));
+
+    if (context.mode !== 'lenient') {
+        if (decoded.anomalies.length > 0) {
+            throw new Error(decoded.anomalies[0].message);
+        }
+        delete decoded.anomalies;
+    }
+}
+
+function looksLikeTls(buffer, offset, end) {
+    return end - offset >= 5 &&
+        buffer[offset] >= 20 && buffer[offset] <= 23 &&
+        buffer[offset + 1] === 3 && buffer[offset + 2] <= 4;
+}
+
+/**
+ * Build a layer; lenient-mode anomalies move from the decode onto the layer
+ * with offsets relative to the whole buffer (decodeStart is where the
+ * decoder's input began, when that differs from the layer offset)
+ */
+function layer(protocol, offset, headerLength, length, fields, decoded, decodeStart = offset) {
+    const result = { protocol, offset, headerLength, length, fields, decoded };
+
+    if (decoded && decoded.anomalies) {
+        result.anomalies = decoded.anomalies.map(anomaly => ({
+            ...anomaly,
+            offset: anomaly.offset === null ? null : anomaly.offset + decodeStart
+        }));
+        delete decoded.anomalies;
+    }
+    return result;
+}
+
+/**
+ * A lenient decode may stop short of the fixed header; there is nothing to
+ * dissect further, so treat it like a strict failure
+ */
+function requireHeader(decoded) {
+    const missing = (decoded.anomalies || []).find(anomaly => anomaly.field === 'header');
+    if (missing) {
+        throw new Error(missing.message);
+    }
+}
+
+function rawLayer(buffer, offset, end, error) {
+    const data = buffer.subarray(offset, end);
+    const result = layer('raw', offset, 0, data.length, { data: field(data, offset, data.length) }, null);
+    if (error) {
+        result.error = error;
+    }
+    return result;
+}
+
+function field(value, offset, length, mask) {
+    return mask === undefined ? { value, offset, length } : { value, offset, length, mask };
+}
+
+function describe(decoded, layout, base) {
+    const fields = {};
+    for (const [name, offset, length, mask] of layout) {
+        fields[name] = field(decoded[name], base + offset, length, mask);
+    }
+    return fields;
+}
+
+function flagBits(flags) {
+    return (flags.DF ? 0b010 : 0) | (flags.MF ? 0b001 : 0);
+}
+
+module.exports = { dissect };
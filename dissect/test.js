@@ -0,0 +1,341 @@
+// Packet Dissection Test Suite
+
+const { dissect } = require('./dissect');
+const { stack, ether, arp, ipv4, ipv6, tcp, udp, icmp, raw } = require('../stack/stack');
+const DNS = require('../dns/dns');
+const { ExtensionHeaders } = require('../ipv6/ipv6');
+
+// Test utilities
+let testCount = 0;
+let passedTests = 0;
+let failedTests = [];
+
+function assert(condition, testName) {
+    testCount++;
+    if (condition) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    } else {
+        console.log(`❌ FAIL: ${testName}`);
+        failedTests.push(testName);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    const condition = actual === expected;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected}`);
+        console.log(`  Actual: ${actual}`);
+    }
+}
+
+function assertBufferEqual(actual, expected, testName) {
+    const condition = Buffer.compare(actual, expected) === 0;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected.toString('hex')}`);
+        console.log(`  Actual: ${actual.toString('hex')}`);
+    }
+}
+
+function assertThrows(fn, testName) {
+    testCount++;
+    try {
+        fn();
+        console.log(`❌ FAIL: ${testName} (expected error but none thrown)`);
+        failedTests.push(testName);
+    } catch (error) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    }
+}
+
+function protocols(layers) {
+    return layers.map(layer => layer.protocol).join('/');
+}
+
+console.log('🧪 Starting Packet Dissection Test Suite\n');
+
+// ===== Test 1: Ethernet / IPv4 / TCP / Raw =====
+console.log('📝 Test 1: Ethernet / IPv4 / TCP / Raw');
+try {
+    const payload = Buffer.from('GET / HTTP/1.0\r\n\r\n');
+    const frame = stack(
+        ether({ src: 'aa:bb:cc:dd:ee:ff', dst: '11:22:33:44:55:66' }),
+        ipv4({ src: '10.0.0.1', dst: '10.0.0.2', ttl: 128 }),
+        tcp({ sport: 40000, dport: 80, seq: 1000, flags: { psh: true, ack: true } }),
+        raw(payload)
+    );
+    const layers = dissect(frame);
+
+    assertEqual(protocols(layers), 'ethernet/ipv4/tcp/raw', 'Layers identified in order');
+    assertEqual(layers[0].fields.srcMAC.value.toLowerCase(), 'aa:bb:cc:dd:ee:ff', 'Ethernet source MAC decoded');
+    assertEqual(layers[0].fields.etherType.offset, 12, 'EtherType offset recorded');
+
+    const ip = layers[1];
+    assertEqual(ip.offset, 14, 'IPv4 layer offset');
+    assertEqual(ip.fields.ttl.offset, 22, 'TTL absolute offset');
+    assertEqual(frame[ip.fields.ttl.offset], 128, 'TTL offset points at TTL byte');
+    assertEqual(ip.fields.IHL.mask, 0x0F, 'IHL carries nibble mask');
+    assertEqual(ip.fields.srcIp.value, '10.0.0.1', 'Source address decoded');
+
+    const segment = layers[2];
+    assertEqual(segment.offset, 34, 'TCP layer offset');
+    assertEqual(frame.readUInt16BE(segment.fields.destinationPort.offset), 80, 'Destination port offset');
+    assertEqual(segment.fields.sequenceNumber.value, 1000, 'Sequence number decoded');
+
+    assertEqual(layers[3].offset, 54, 'Payload offset');
+    assertBufferEqual(layers[3].fields.data.value, payload, 'Payload bytes exposed');
+
+} catch (error) {
+    console.log(`❌ FAIL: Ethernet/IPv4/TCP dissection test - ${error.message}`);
+    failedTests.push('Ethernet/IPv4/TCP dissection test');
+}
+
+// ===== Test 2: UDP / DNS =====
+console.log('\n📝 Test 2: UDP / DNS');
+try {
+    const header = DNS.Encode(0x1234, 0x0100, 1, 0, 0, 0);
+    const packet = stack(ipv4({ src: '192.168.1.10', dst: '8.8.8.8' }), udp({ sport: 5353, dport: 53 }), raw(header));
+    const layers = dissect(packet, { linkType: 'raw' });
+
+    assertEqual(protocols(layers), 'ipv4/udp/dns', 'DNS recognised on port 53');
+    assertEqual(layers[2].offset, 28, 'DNS layer offset');
+    assertEqual(layers[2].fields.transactionId.value, 0x1234, 'DNS transaction ID decoded');
+    assertEqual(layers[2].fields.questionCount.offset, 32, 'DNS question count offset');
+
+    const prefixed = Buffer.concat([Buffer.from([0x00, header.length]), header]);
+    const overTcp = dissect(stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 53, dport: 1024, flags: { ack: true } }), raw(prefixed)), { linkType: 'ipv4' });
+    assertEqual(protocols(overTcp), 'ipv4/tcp/dns', 'DNS recognised over TCP');
+    assertEqual(overTcp[2].fields.messageLength.value, header.length, 'TCP length prefix recorded');
+    assertEqual(overTcp[2].fields.transactionId.offset, 42, 'Header offset skips length prefix');
+
+} catch (error) {
+    console.log(`❌ FAIL: UDP/DNS dissection test - ${error.message}`);
+    failedTests.push('UDP/DNS dissection test');
+}
+
+// ===== Test 3: TLS Records =====
+console.log('\n📝 Test 3: TLS Records');
+try {
+    const records = Buffer.from('1703030005010203040516030100020a0b', 'hex');
+    const packet = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 443, dport: 50000, flags: { ack: true } }), raw(records));
+    const layers = dissect(packet, { linkType: 'raw' });
+
+    assertEqual(protocols(layers), 'ipv4/tcp/tls/tls', 'Every TLS record in the segment dissected');
+    assertEqual(layers[2].fields.contentType.value, 23, 'Application data record');
+    assertEqual(layers[3].offset, 50, 'Second record offset');
+    assertEqual(layers[3].fields.protocolVersion.value, 0x0301, 'Second record version');
+
+    const offPort = dissect(stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 1234, dport: 4433, flags: { ack: true } }), raw(records)), { linkType: 'raw' });
+    assertEqual(offPort[2].protocol, 'tls', 'TLS detected by record header on other ports');
+
+    // A 4 KB handshake record starts in this segment and continues in the next
+    const start = Buffer.concat([Buffer.from('1603031000', 'hex'), Buffer.alloc(1000, 0x0b)]);
+    const spanning = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 443, dport: 50000, flags: { ack: true } }), raw(start));
+    for (const mode of ['strict', 'lenient']) {
+        const spanned = dissect(spanning, { linkType: 'raw', mode });
+        assertEqual(protocols(spanned), 'ipv4/tcp/tls', `Record spanning segments dissected (${mode})`);
+        assertEqual(spanned[2].partial, true, `Spanning record marked partial (${mode})`);
+        assertEqual(spanned[2].fields.length.value + ' ' + spanned[2].length, '4096 1005', `Declared and present record length (${mode})`);
+        assertEqual((spanned[2].anomalies || []).length, 0, `Spanning record is no anomaly (${mode})`);
+    }
+
+    const unknownType = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 443, dport: 50000, flags: { ack: true } }), raw(Buffer.from('6303030002aabb', 'hex')));
+    assertEqual(dissect(unknownType, { linkType: 'raw' })[2].protocol, 'raw', 'Unknown content type still fails in strict mode');
+
+} catch (error) {
+    console.log(`❌ FAIL: TLS dissection test - ${error.message}`);
+    failedTests.push('TLS dissection test');
+}
+
+// ===== Test 4: ARP, ICMP and Quoted Datagrams =====
+console.log('\n📝 Test 4: ARP, ICMP and Quoted Datagrams');
+try {
+    const frame = stack(ether({ src: 'aa:bb:cc:dd:ee:ff' }), arp({ hwsrc: 'aa:bb:cc:dd:ee:ff', psrc: '10.0.0.5', pdst: '10.0.0.1' }));
+    const layers = dissect(frame);
+    assertEqual(protocols(layers), 'ethernet/arp/raw', 'ARP followed by Ethernet padding');
+    assertEqual(layers[1].fields.targetIP.value, '10.0.0.1', 'ARP target decoded');
+    assertEqual(layers[1].fields.targetIP.offset, 38, 'ARP target offset');
+
+    const unreachable = stack(
+        ipv4({ src: '10.0.0.2', dst: '10.0.0.1' }),
+        icmp({ type: 3, code: 3 }),
+        ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }),
+        udp({ sport: 40000, dport: 33434 })
+    );
+    const icmpLayers = dissect(unreachable, { linkType: 'ipv4' });
+    assertEqual(protocols(icmpLayers), 'ipv4/icmp/ipv4/udp', 'Quoted datagram dissected');
+    assertEqual(icmpLayers[2].offset, 28, 'Quoted IPv4 offset');
+    assertEqual(icmpLayers[3].fields.destinationPort.value, 33434, 'Quoted UDP port decoded');
+
+    // RFC 792 quotes only the IP header + 8 bytes of the original datagram
+    const probes = {
+        udp: stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), udp({ sport: 40000, dport: 33434 }), raw(Buffer.alloc(32, 1))),
+        tcp: stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 40000, dport: 80, seq: 1000, flags: { syn: true } }), raw(Buffer.alloc(32, 1)))
+    };
+    for (const [name, probe] of Object.entries(probes)) {
+        const error = stack(ipv4({ src: '10.0.0.2', dst: '10.0.0.1' }), icmp({ type: 3, code: 3 }), raw(probe.subarray(0, 28)));
+        for (const mode of ['strict', 'lenient']) {
+            const cut = dissect(error, { linkType: 'ipv4', mode });
+            assertEqual(protocols(cut), `ipv4/icmp/ipv4/${name}`, `Quote cut after 8 bytes of ${name} dissected (${mode})`);
+            assertEqual(cut[2].partial && cut[3].partial, true, `Cut quote marked partial (${name}, ${mode})`);
+            assertEqual(cut[3].fields.destinationPort.value, name === 'udp' ? 33434 : 80, `Port read from cut ${name} quote (${mode})`);
+            assertEqual(cut.every(each => (each.anomalies || []).length === 0), true, `Cut quote is no anomaly (${name}, ${mode})`);
+        }
+    }
+    const tcpPrefix = dissect(stack(ipv4({ src: '10.0.0.2', dst: '10.0.0.1' }), icmp({ type: 11 }), raw(probes.tcp.subarray(0, 28))), { linkType: 'ipv4' })[3];
+    assertEqual(tcpPrefix.fields.sequenceNumber.value + ' ' + tcpPrefix.headerLength, '1000 8', 'Sequence number read from an 8-byte TCP quote');
+
+    // Truncation is only excused inside a quote
+    assertEqual(dissect(probes.udp.subarray(0, 28), { linkType: 'ipv4' })[0].protocol, 'raw', 'Cut datagram outside a quote still fails in strict mode');
+
+    const echo = dissect(stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), icmp({ id: 1, seq: 2 }), raw('ping')), { linkType: 'ipv4' });
+    assertEqual(protocols(echo), 'ipv4/icmp/raw', 'Echo payload left raw');
+
+} catch (error) {
+    console.log(`❌ FAIL: ARP/ICMP dissection test - ${error.message}`);
+    failedTests.push('ARP/ICMP dissection test');
+}
+
+// ===== Test 5: IPv6, VLANs and Tunnels =====
+console.log('\n📝 Test 5: IPv6, VLANs and Tunnels');
+try {
+    const frame = stack(
+        ether({ vlans: [{ vid: 100 }] }),
+        ipv6({ src: '2001:db8::1', dst: '2001:db8::2', nextHeader: 59, flowLabel: 0x12345 }),
+        raw('abc')
+    );
+    const layers = dissect(frame);
+    assertEqual(protocols(layers), 'ethernet/ipv6/raw', 'IPv6 behind VLAN tag');
+    assertEqual(layers[0].fields.vlan0.value.vid, 100, 'VLAN tag recorded');
+    assertEqual(layers[1].offset, 18, 'IPv6 offset after VLAN tag');
+    assertEqual(layers[1].fields.flowLabel.value, 0x12345, 'Flow label decoded');
+    assertEqual(layers[2].length, 3, 'Payload bounded by payload length, not Ethernet padding');
+
+    const tunnel = stack(ipv4({ src: '1.1.1.1', dst: '2.2.2.2' }), ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), udp({ sport: 1, dport: 2 }));
+    assertEqual(protocols(dissect(tunnel, { linkType: 'raw' })), 'ipv4/ipv4/udp', 'IP-in-IP dissected');
+
+    const v6raw = stack(ipv6({ src: '::1', dst: '::2', nextHeader: 59 }), raw('x'));
+    assertEqual(dissect(v6raw, { linkType: 101 })[0].protocol, 'ipv6', 'Raw link type picks IPv6 from version nibble');
+
+    const { hopByHop, fragment, routerAlert } = ExtensionHeaders;
+    const chained = stack(
+        ipv6({ src: '2001:db8::1', dst: '2001:db8::2', extensions: [hopByHop([routerAlert(0)]), fragment({ identification: 1 })] }),
+        tcp({ sport: 1, dport: 2 })
+    );
+    const chainLayers = dissect(chained, { linkType: 'raw' });
+    assertEqual(protocols(chainLayers), 'ipv6/tcp', 'Extension header chain followed to TCP');
+    assertEqual(chainLayers[0].headerLength, 56, 'Extension headers counted in the IPv6 header');
+    assertEqual(chainLayers[0].fields.extensionHeaders.value.length, 2, 'Extension headers described');
+    assertEqual(chainLayers[1].decoded.checksumValid, true, 'TCP checksum verified behind extension headers');
+
+    const laterFragment = stack(
+        ipv6({ src: '2001:db8::1', dst: '2001:db8::2', nextHeader: 6, extensions: [fragment({ fragmentOffset: 4, identification: 1 })] }),
+        raw(Buffer.alloc(16))
+    );
+    assertEqual(protocols(dissect(laterFragment, { linkType: 'raw' })), 'ipv6/raw', 'Non-first IPv6 fragment left raw');
+
+} catch (error) {
+    console.log(`❌ FAIL: IPv6/VLAN dissection test - ${error.message}`);
+    failedTests.push('IPv6/VLAN dissection test');
+}
+
+// ===== Test 6: Fragments, Truncation and Unknown Payloads =====
+console.log('\n📝 Test 6: Fragments, Truncation and Unknown Payloads');
+try {
+    const fragment = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2', fragmentOffset: 185, protocol: 6 }), raw(Buffer.alloc(16)));
+    assertEqual(protocols(dissect(fragment, { linkType: 'raw' })), 'ipv4/raw', 'Non-first fragment left raw');
+
+    const unknown = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 132 }), raw('sctp'));
+    assertEqual(protocols(dissect(unknown, { linkType: 'raw' })), 'ipv4/raw', 'Unknown protocol falls through to raw');
+
+    const segment = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2', totalLength: 30 }), tcp({ sport: 1, dport: 2 }));
+    const truncated = dissect(segment.subarray(0, 30), { linkType: 'raw' });
+    assertEqual(protocols(truncated), 'ipv4/raw', 'Truncated TCP header becomes raw');
+    assert(typeof truncated[1].error === 'string', 'Raw layer carries decode error');
+    assertEqual(protocols(dissect(segment.subarray(0, 10), { linkType: 'raw' })), 'raw', 'Truncated IPv4 header becomes raw');
+
+    assertEqual(protocols(dissect(Buffer.from('ffff', 'hex'), { linkType: 'null' })), 'raw', 'Unsupported link type returned raw');
+
+} catch (error) {
+    console.log(`❌ FAIL: Fragment/truncation dissection test - ${error.message}`);
+    failedTests.push('Fragment/truncation dissection test');
+}
+
+// ===== Test 7: Lenient Mode =====
+console.log('\n📝 Test 7: Lenient Mode');
+try {
+    const frame = stack(
+        ether({ src: 'aa:bb:cc:dd:ee:ff' }),
+        ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }),
+        udp({ sport: 1234, dport: 9999 }),
+        raw(Buffer.alloc(64))
+    );
+    const cut = frame.subarray(0, 60);
+
+    const strict = dissect(cut);
+    assertEqual(protocols(strict), 'ethernet/raw', 'Strict mode stops at truncated IPv4 packet');
+    assert(/Total-length/.test(strict[1].error), 'Strict failure message recorded');
+
+    const lenient = dissect(cut, { mode: 'lenient' });
+    assertEqual(protocols(lenient), 'ethernet/ipv4/udp/raw', 'Lenient mode keeps dissecting');
+    assertEqual(lenient[1].anomalies[0].field, 'totalLength', 'IPv4 anomaly attached to layer');
+    assertEqual(lenient[1].anomalies[0].offset, 16, 'Anomaly offset is absolute');
+    assertEqual(lenient[2].anomalies[0].type, 'TruncatedPacketError', 'UDP truncation attached to layer');
+    assertEqual(lenient[2].anomalies[0].offset, 42, 'UDP anomaly offset is absolute');
+    assertEqual(lenient[3].length, 18, 'Available payload kept');
+    assertEqual(lenient[0].anomalies.length, 0, 'Clean layers have empty anomaly lists');
+
+} catch (error) {
+    console.log(`❌ FAIL: Lenient mode dissection test - ${error.message}`);
+    failedTests.push('Lenient mode dissection test');
+}
+
+// ===== Test 8: Checksums =====
+console.log('\n📝 Test 8: Checksums');
+try {
+    const packet = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 1, dport: 2 }), raw('x'));
+    const layers = dissect(packet, { linkType: 'raw' });
+    assertEqual(layers[0].decoded.checksumValid, true, 'IPv4 header checksum verified');
+    assertEqual(layers[1].decoded.checksumValid, true, 'TCP checksum verified against enclosing IPv4 header');
+
+    const overIPv6 = dissect(stack(ipv6({ src: '2001:db8::1', dst: '2001:db8::2' }), udp({ sport: 1, dport: 2 }), raw('x')), { linkType: 'raw' });
+    assertEqual(overIPv6[1].decoded.checksumValid, true, 'UDP checksum verified against enclosing IPv6 header');
+
+    const offloaded = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), udp({ sport: 1, dport: 2, checksum: 0x1234 }), raw('x'));
+    assertEqual(protocols(dissect(offloaded, { linkType: 'raw' })), 'ipv4/raw', 'Strict mode rejects bad UDP checksum');
+    const skipped = dissect(offloaded, { linkType: 'raw', verifyChecksum: false });
+    assertEqual(skipped[1].decoded.checksumValid, null, 'Verification skipped for offloaded capture');
+    const lenient = dissect(offloaded, { linkType: 'raw', mode: 'lenient' });
+    assertEqual(lenient[1].anomalies[0].offset, 26, 'Checksum anomaly at absolute offset');
+
+} catch (error) {
+    console.log(`❌ FAIL: Checksum dissection test - ${error.message}`);
+    failedTests.push('Checksum dissection test');
+}
+
+// ===== Test 9: Error Handling =====
+console.log('\n📝 Test 9: Error Handling');
+assertThrows(() => dissect('not a buffer'), 'Non-buffer input rejected');
+assertThrows(() => dissect(Buffer.alloc(60), { linkType: 'bogus' }), 'Unknown link type name rejected');
+
+// ===== Test Results Summary =====
+console.log('\n📊 Test Results Summary');
+console.log('='.repeat(50));
+console.log(`Total Tests: ${testCount}`);
+console.log(`✅ Passed: ${passedTests}`);
+console.log(`❌ Failed: ${testCount - passedTests}`);
+console.log(`Success Rate: ${((passedTests / testCount) * 100).toFixed(1)}%`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test, index) => {
+        console.log(`   ${index + 1}. ${test}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
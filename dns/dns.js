@@ -12,6 +12,7 @@ const {
 
 const { encodeDomainName, parseFlags, encodeFlags } = require('./utils');
 const { DNS_TYPES, DNS_CLASSES } = require('./constants');
+const { createDecodeContext, TruncatedPacketError } = require('../errors');
 
 /**
  * DNS Header Encoder - Builds RFC 1035 compliant DNS header
@@ -31,23 +32,44 @@ function Encode(transactionId, flags, QDcount = 1, ANcount = 0, NScount = 0, ASc
 /**
  * DNS Header Decoder - Parses DNS header from packet
  * Extracts transaction ID, flags, and section counts from 12-byte header
+ * Options: { mode: 'strict' | 'lenient' }; lenient results carry an `anomalies` array
  */
-function Decode(packet) {
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
+
+    if (!Buffer.isBuffer(packet)) {
+        throw new TypeError('[DNS] Packet must be a Buffer');
+    }
     if (packet.length < 12) {
-        console.warn("Potentially malformed packet: DNS PAcket must be less that 12 bytes long")
-    };
-
-    return {
-        transactionId: checkAndRead16(packet, 0),
-        flags: parseFlags(checkAndRead16(packet, 2)),
-        questionCount: checkAndRead16(packet, 4),
-        answerCount: checkAndRead16(packet, 6),
-        authorityCount: checkAndRead16(packet, 8),
-        additionalCount: checkAndRead16(packet, 10)
-    };
+        ctx.report(new TruncatedPacketError(`[DNS] Header truncated: need 12 bytes, got ${packet.length}`, {
+            layer: 'dns', field: 'header', offset: 0, expected: 12, actual: packet.length
+        }));
+    }
+
+    // Keep whatever header fields fit
+    const output = {};
+    for (const [name, offset] of HEADER_FIELDS) {
+        if (packet.length >= offset + 2) {
+            output[name] = checkAndRead16(packet, offset);
+        }
+    }
+    if (output.flags !== undefined) {
+        output.flags = parseFlags(output.flags, ctx);
+    }
 
+    return ctx.finish(output);
 }
 
+// [name, offset] of the 16-bit header fields
+const HEADER_FIELDS = [
+    ['transactionId', 0],
+    ['flags', 2],
+    ['questionCount', 4],
+    ['answerCount', 6],
+    ['authorityCount', 8],
+    ['additionalCount', 10]
+];
+
 // Build question section
 function buildQuestion(domain, type, cls = DNS_CLASSES.IN) {
     const encodedName = encodeDomainName(domain);
@@ -170,12 +170,28 @@ try {
     // Maximum values test
     const maxFlags = { qr: 1, opcode: 15, aa: 1, tc: 1, rd: 1, ra: 1, z: 7, rcode: 15 };
     const maxHeader = DNS.Encode(0xFFFF, maxFlags, 0xFFFF, 0xFFFF, 0xFFFF, 0xFFFF);
-    const maxDecoded = DNS.Decode(maxHeader);
+    // Reserved bits and an unassigned opcode are reported
+    const maxDecoded = DNS.Decode(maxHeader, { mode: 'lenient' });
 
     assertEqual(maxDecoded.transactionId, 0xFFFF, 'Max transaction ID');
     assertEqual(maxDecoded.flags.opcode, 15, 'Max opcode');
     assertEqual(maxDecoded.flags.rcode, 15, 'Max rcode');
     assertEqual(maxDecoded.questionCount, 0xFFFF, 'Max question count');
+    assertEqual(maxDecoded.anomalies.length, 2, 'Reserved bits and opcode reported as anomalies');
+    assertEqual(maxDecoded.anomalies.every(a => a.type === 'InvalidFieldError' && a.field === 'flags' && a.offset === 2), true, 'Flag anomalies locate the flags field');
+
+    let strictError = null;
+    try {
+        DNS.Decode(maxHeader);
+    } catch (error) {
+        strictError = error;
+    }
+    assertEqual(strictError && strictError.name, 'InvalidFieldError', 'Strict mode throws on reserved bits');
+
+    const queryWithRA = Buffer.from('123401800001000000000000', 'hex');
+    assertEqual(DNS.Decode(queryWithRA, { mode: 'lenient' }).anomalies.length, 1, 'RA in a query reported');
+    const response = Buffer.from('123481800001000100000000', 'hex');
+    assertEqual(DNS.Decode(response, { mode: 'lenient' }).anomalies.length, 0, 'Ordinary response has no anomalies');
 
     // Minimum values test
     const minFlags = { qr: 0, opcode: 0, aa: 0, tc: 0, rd: 0, ra: 0, z: 0, rcode: 0 };
@@ -3,6 +3,8 @@
  * Low-level encoding/decoding functions
  */
 
+const { InvalidFieldError } = require('../errors');
+
 // Encode domain name into DNS wire format
 function encodeDomainName(name) {
     if (name === '.') return Buffer.from([0]); // Root domain
@@ -17,8 +19,8 @@ function encodeDomainName(name) {
     return Buffer.from(result);
 }
 
-// Extract flags from 16-bit field
-function parseFlags(flagsField) {
+// Extract flags from 16-bit field; problems go to the decode context, if any
+function parseFlags(flagsField, ctx) {
 
     const qr = (flagsField >>> 15) & 0x1;
     const opcode = (flagsField >>> 11) & 0xF;
@@ -29,25 +31,23 @@ function parseFlags(flagsField) {
     const z = (flagsField >>> 4) & 0x7;   // 3 reserved bits
     const rcode = flagsField & 0xF;
 
-    if (z != 0) {
-        console.warn("Potentially malformed packet : Reserved bit must always be zeor");
+    const report = message => {
+        if (ctx) {
+            ctx.report(new InvalidFieldError(`[DNS] ${message}`, { layer: 'dns', field: 'flags', offset: 2, value: flagsField }));
+        }
+    };
+
+    if (z !== 0) {
+        report(`Reserved bits must be zero, got ${z}`);
     }
     if (opcode > 5) {
-        console.warn("Potentially malformed packet : Opcode mist be less than 6");
-    }
-    if (rcode > 15) {
-        console.warn("Potentially malformed packet : querry response mist be less than 6");
+        report(`Opcode ${opcode} is not assigned (must be less than 6)`);
     }
-
-    if (qr && ra) {
-        console.warn("Weired flag combination found")
-    }
-
-    if (qr && aa) {
-        console.warn("Weired flag combination found")
+    // AA and RA only have a meaning in responses
+    if (!qr && (aa || ra)) {
+        report(`Query has response-only flags set (${[aa && 'AA', ra && 'RA'].filter(Boolean).join(', ')})`);
     }
 
-
     return {
         qr,
         opcode,
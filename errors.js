@@ -0,0 +1,130 @@
+// errors.js
+// Typed decode errors shared by every protocol decoder
+//
+// Decoders take `{ mode: 'strict' | 'lenient' }`:
+//
+//   strict  (default) → the first problem is thrown as one of the errors below
+//   lenient           → decoding continues as far as it safely can and the
+//                       result carries an `anomalies` array describing every
+//                       problem that was found
+//
+// Every error records where the problem is: the protocol layer, the field
+// name and the byte offset of that field within the buffer that was passed
+// to the decoder.
+
+const DECODE_MODES = ['strict', 'lenient'];
+
+/**
+ * Base class for all decode errors
+ */
+class DecodeError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} [details={}] - { layer, field, offset, ...extra }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+
+        const { layer = null, field = null, offset = null, ...extra } = details;
+        this.layer = layer;
+        this.field = field;
+        this.offset = offset;
+        Object.assign(this, extra);
+    }
+
+    /**
+     * Plain object form used for lenient-mode anomalies
+     * @returns {Object} { type, message, layer, field, offset, ...extra }
+     */
+    toJSON() {
+        const { name, message, stack, ...rest } = { ...this, name: this.name, message: this.message };
+        return { type: name, message, ...rest };
+    }
+}
+
+/**
+ * The buffer ends before a header, field or declared length does
+ * Extra details: { expected, actual } byte counts
+ */
+class TruncatedPacketError extends DecodeError {}
+
+/**
+ * A checksum or FCS does not match the covered bytes
+ * Extra details: { expected, actual } checksum values
+ */
+class ChecksumError extends DecodeError {}
+
+/**
+ * A field holds a value the protocol does not allow
+ * Extra details: { value }
+ */
+class InvalidFieldError extends DecodeError {}
+
+/**
+ * Create the per-call state a decoder uses to report problems
+ * @param {Object|boolean} [options={}] - Decoder options; a boolean is the legacy skipIPHeader flag
+ * @returns {Object} { options, mode, anomalies, report(error), finish(output) }
+ *
+ * @example
+ * const ctx = createDecodeContext(options);
+ * if (packet.length < 8) {
+ *     ctx.report(new TruncatedPacketError('Header too short', { layer: 'udp', field: 'header', offset: 0 }));
+ *     return ctx.finish(output);
+ * }
+ */
+function createDecodeContext(options = {}) {
+    const resolved = typeof options === 'boolean' ? { skipIPHeader: options } : { ...(options || {}) };
+    const mode = resolved.mode || 'strict';
+
+    if (!DECODE_MODES.includes(mode)) {
+        throw new Error(`Invalid decode mode "${mode}" (expected one of: ${DECODE_MODES.join(', ')})`);
+    }
+    resolved.mode = mode;
+
+    const anomalies = [];
+
+    return {
+        options: resolved,
+        mode,
+        anomalies,
+
+        /**
+         * Throw in strict mode, record and carry on in lenient mode
+         */
+        report(error) {
+            if (mode === 'strict') {
+                throw error;
+            }
+            anomalies.push(error.toJSON());
+        },
+
+        /**
+         * Merge anomalies from a nested decode, shifting offsets to this buffer
+         */
+        absorb(nested, shift = 0) {
+            for (const anomaly of nested || []) {
+                anomalies.push({ ...anomaly, offset: anomaly.offset === null ? null : anomaly.offset + shift });
+            }
+        },
+
+        /**
+         * Attach the anomalies list to a lenient-mode result
+         */
+        finish(output) {
+            if (mode === 'lenient') {
+                output.anomalies = anomalies;
+            }
+            return output;
+        }
+    };
+}
+
+module.exports = {
+    DecodeError,
+    TruncatedPacketError,
+    ChecksumError,
+    InvalidFieldError,
+    createDecodeContext,
+    DECODE_MODES
+};
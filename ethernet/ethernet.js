@@ -0,0 +1,191 @@
+// ethernet.js
+// Ethernet II frame encoder/decoder with 802.1Q / 802.1ad (QinQ) tagging
+
+const { processMAC, readMAC } = require('../arp/utils');
+const {
+    ETHER_TYPES,
+    VLAN_TPIDS,
+    crc32,
+    processEtherType,
+    isValidMAC,
+    encodeVlanTag,
+    decodeVlanTag
+} = require('./utils');
+const { createDecodeContext, TruncatedPacketError, ChecksumError } = require('../errors');
+
+// ┌─────────────────────────────────────────┐
+// │  Destination MAC (6 bytes)              │
+// ├─────────────────────────────────────────┤
+// │  Source MAC (6 bytes)                   │
+// ├─────────────────────────────────────────┤
+// │  [ 802.1ad S-Tag (4 bytes) ]  optional  │
+// ├─────────────────────────────────────────┤
+// │  [ 802.1Q C-Tag (4 bytes) ]   optional  │
+// ├─────────────────────────────────────────┤
+// │  EtherType (2 bytes)                    │
+// ├─────────────────────────────────────────┤
+// │  Payload (46-1500 bytes, padded)        │
+// ├─────────────────────────────────────────┤
+// │  [ FCS / CRC-32 (4 bytes) ]   optional  │
+// └─────────────────────────────────────────┘
+
+const HEADER_LENGTH = 14;
+const MIN_FRAME_LENGTH = 60; // Without FCS
+
+/**
+ * Encodes an Ethernet II frame.
+ *
+ * VLAN tags are listed outermost first. When a TPID is not given, every tag
+ * except the innermost defaults to 0x88A8 (S-Tag) and the innermost to
+ * 0x8100 (C-Tag), which yields a standard QinQ stack.
+ *
+ * @param {string} destMAC - Destination MAC address (e.g., 'ff:ff:ff:ff:ff:ff')
+ * @param {string} srcMAC - Source MAC address
+ * @param {string|number} etherType - EtherType name ('ipv4', 'arp', 'ipv6', ...) or number
+ * @param {Buffer} [payload=Buffer.alloc(0)] - Frame payload (e.g., output of ipv4.Encode)
+ * @param {Object} [options={}] - Framing options
+ * @param {Array<Object>} [options.vlans=[]] - VLAN tags: { vid, pcp, dei, tpid }
+ * @param {boolean} [options.fcs=false] - Append CRC-32 Frame Check Sequence
+ * @param {boolean} [options.pad=true] - Pad frame to the 60-byte minimum
+ * @returns {Buffer} Encoded Ethernet frame
+ *
+ * @example
+ * const frame = Encode('ff:ff:ff:ff:ff:ff', 'aa:bb:cc:dd:ee:ff', 'arp', arpPacket, {
+ *     vlans: [{ vid: 100 }, { vid: 20, pcp: 5 }],
+ *     fcs: true
+ * });
+ */
+function Encode(destMAC, srcMAC, etherType, payload = Buffer.alloc(0), options = {}) {
+    const { vlans = [], fcs = false, pad = true } = options;
+
+    if (!isValidMAC(destMAC) || !isValidMAC(srcMAC)) {
+        throw new Error('Invalid MAC address format (expected xx:xx:xx:xx:xx:xx)');
+    }
+
+    if (!Buffer.isBuffer(payload)) {
+        throw new Error('Payload must be a Buffer');
+    }
+
+    if (!Array.isArray(vlans)) {
+        throw new Error('VLAN tags must be an array');
+    }
+
+    const tags = vlans.map((tag, index) => encodeVlanTag({
+        ...tag,
+        tpid: tag.tpid !== undefined
+            ? tag.tpid
+            : (index < vlans.length - 1 ? ETHER_TYPES.qinq : ETHER_TYPES.vlan)
+    }));
+
+    const typeField = Buffer.alloc(2);
+    typeField.writeUInt16BE(processEtherType(etherType), 0);
+
+    let frame = Buffer.concat([
+        processMAC(destMAC),
+        processMAC(srcMAC),
+        ...tags,
+        typeField,
+        payload
+    ]);
+
+    if (pad && frame.length < MIN_FRAME_LENGTH) {
+        frame = Buffer.concat([frame, Buffer.alloc(MIN_FRAME_LENGTH - frame.length)]);
+    }
+
+    if (fcs) {
+        const trailer = Buffer.alloc(4);
+        // FCS is transmitted least significant byte first
+        trailer.writeUInt32LE(crc32(frame), 0);
+        frame = Buffer.concat([frame, trailer]);
+    }
+
+    return frame;
+}
+
+/**
+ * Decodes an Ethernet II frame, walking any stacked VLAN tags.
+ *
+ * @param {Buffer} frame - Raw Ethernet frame
+ * @param {Object} [options={}] - Decoding options
+ * @param {boolean} [options.fcs=false] - Frame ends with a 4-byte FCS to strip and verify
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @returns {Object} Decoded frame fields (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, on a truncated frame or FCS mismatch
+ */
+function Decode(frame, options = {}) {
+    const ctx = createDecodeContext(options);
+    const { fcs = false } = ctx.options;
+
+    if (!Buffer.isBuffer(frame)) {
+        throw new TypeError('[Ethernet] Decode error: input must be a Buffer');
+    }
+
+    const minLength = HEADER_LENGTH + (fcs ? 4 : 0);
+    if (frame.length < minLength) {
+        ctx.report(new TruncatedPacketError(`[Ethernet] Frame too short: ${frame.length} bytes (minimum ${minLength})`, {
+            layer: 'ethernet', field: 'header', offset: 0, expected: minLength, actual: frame.length
+        }));
+    }
+
+    const body = fcs ? frame.subarray(0, Math.max(frame.length - 4, 0)) : frame;
+    const output = { vlans: [] };
+
+    if (body.length >= 6) {
+        output.destMAC = readMAC(body.subarray(0, 6));
+    }
+    if (body.length >= 12) {
+        output.srcMAC = readMAC(body.subarray(6, 12));
+    }
+
+    // Walk VLAN tag stack until a non-TPID type field is found
+    let offset = 12;
+    while (offset + 4 <= body.length && VLAN_TPIDS.includes(body.readUInt16BE(offset))) {
+        output.vlans.push(decodeVlanTag(body, offset));
+        offset += 4;
+    }
+
+    if (offset + 2 > body.length) {
+        // Short frames were already reported above; only a cut tag stack is new here
+        if (frame.length >= minLength) {
+            ctx.report(new TruncatedPacketError('[Ethernet] Frame truncated inside VLAN tag stack', {
+                layer: 'ethernet', field: 'etherType', offset, expected: offset + 2, actual: body.length
+            }));
+        }
+        return ctx.finish(output);
+    }
+
+    const typeOrLength = body.readUInt16BE(offset);
+    offset += 2;
+
+    // Values <= 1500 are an IEEE 802.3 length field, not an EtherType
+    if (typeOrLength <= 1500) {
+        output.etherType = null;
+        output.length = typeOrLength;
+    } else {
+        output.etherType = typeOrLength;
+    }
+
+    output.headerLength = offset;
+    output.payload = body.subarray(offset);
+
+    if (fcs) {
+        output.fcs = frame.readUInt32LE(frame.length - 4);
+        output.expectedFcs = crc32(body);
+        output.fcsValid = output.fcs === output.expectedFcs;
+
+        if (!output.fcsValid) {
+            ctx.report(new ChecksumError('[Ethernet] FCS mismatch', {
+                layer: 'ethernet', field: 'fcs', offset: frame.length - 4, expected: output.expectedFcs, actual: output.fcs
+            }));
+        }
+    }
+
+    return ctx.finish(output);
+}
+
+module.exports = {
+    Encode,
+    Decode,
+    crc32,
+    ETHER_TYPES
+};
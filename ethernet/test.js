@@ -0,0 +1,218 @@
+// Ethernet Frame Builder Test Suite
+
+const Ethernet = require('./ethernet');
+const ARP = require('../arp/arp');
+const IPv4 = require('../ipv4/ipv4');
+
+// Test utilities
+let testCount = 0;
+let passedTests = 0;
+let failedTests = [];
+
+function assert(condition, testName) {
+    testCount++;
+    if (condition) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    } else {
+        console.log(`❌ FAIL: ${testName}`);
+        failedTests.push(testName);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    const condition = actual === expected;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected}`);
+        console.log(`  Actual: ${actual}`);
+    }
+}
+
+function assertBufferEqual(actual, expected, testName) {
+    const condition = Buffer.compare(actual, expected) === 0;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected.toString('hex')}`);
+        console.log(`  Actual: ${actual.toString('hex')}`);
+    }
+}
+
+function assertThrows(fn, testName) {
+    testCount++;
+    try {
+        fn();
+        console.log(`❌ FAIL: ${testName} (expected error but none thrown)`);
+        failedTests.push(testName);
+    } catch (error) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    }
+}
+
+console.log('🧪 Starting Ethernet Frame Builder Test Suite\n');
+
+// ===== Test 1: Basic Ethernet II Frame =====
+console.log('📝 Test 1: Basic Ethernet II Frame');
+try {
+    const payload = Buffer.from('Hello Ethernet!');
+    const frame = Ethernet.Encode('ff:ff:ff:ff:ff:ff', 'aa:bb:cc:dd:ee:ff', 'ipv4', payload, { pad: false });
+
+    assert(Buffer.isBuffer(frame), 'Frame is Buffer');
+    assertEqual(frame.length, 14 + payload.length, 'Frame length correct without padding');
+    assertEqual(frame.readUInt16BE(12), 0x0800, 'EtherType written at offset 12');
+
+    const decoded = Ethernet.Decode(frame);
+    assertEqual(decoded.destMAC, 'FF:FF:FF:FF:FF:FF', 'Destination MAC decoded');
+    assertEqual(decoded.srcMAC, 'AA:BB:CC:DD:EE:FF', 'Source MAC decoded');
+    assertEqual(decoded.etherType, 0x0800, 'EtherType decoded');
+    assertEqual(decoded.vlans.length, 0, 'No VLAN tags');
+    assertEqual(decoded.headerLength, 14, 'Header length is 14 bytes');
+    assertBufferEqual(decoded.payload, payload, 'Payload round-trip');
+
+} catch (error) {
+    console.log(`❌ FAIL: Basic Ethernet frame test - ${error.message}`);
+    failedTests.push('Basic Ethernet frame test');
+}
+
+// ===== Test 2: Minimum Frame Padding =====
+console.log('\n📝 Test 2: Minimum Frame Padding');
+try {
+    const arpPacket = ARP.Encode(1, 0x0800, 6, 4, 1,
+        'aa:bb:cc:dd:ee:ff', '192.168.1.100',
+        '00:00:00:00:00:00', '192.168.1.1');
+    const frame = Ethernet.Encode('ff:ff:ff:ff:ff:ff', 'aa:bb:cc:dd:ee:ff', 'arp', arpPacket);
+
+    assertEqual(frame.length, 60, 'ARP frame padded to 60 bytes');
+    assertBufferEqual(frame.subarray(42), Buffer.alloc(18), 'Padding bytes are zero');
+
+    const decoded = Ethernet.Decode(frame);
+    const arp = ARP.Decode(decoded.payload.subarray(0, 28));
+    assertEqual(decoded.etherType, 0x0806, 'ARP EtherType decoded');
+    assertEqual(arp.senderIP, '192.168.1.100', 'ARP payload decodes through Ethernet');
+
+} catch (error) {
+    console.log(`❌ FAIL: Minimum frame padding test - ${error.message}`);
+    failedTests.push('Minimum frame padding test');
+}
+
+// ===== Test 3: 802.1Q VLAN Tag =====
+console.log('\n📝 Test 3: 802.1Q VLAN Tag');
+try {
+    const payload = Buffer.alloc(46, 0xAB);
+    const frame = Ethernet.Encode('00:11:22:33:44:55', '66:77:88:99:aa:bb', 'ipv6', payload, {
+        vlans: [{ vid: 100, pcp: 5, dei: 1 }]
+    });
+
+    assertEqual(frame.length, 18 + payload.length, 'Tagged frame is 4 bytes longer');
+    assertEqual(frame.readUInt16BE(12), 0x8100, 'C-Tag TPID written');
+    assertEqual(frame.readUInt16BE(14), (5 << 13) | (1 << 12) | 100, 'TCI written');
+    assertEqual(frame.readUInt16BE(16), 0x86DD, 'Inner EtherType written');
+
+    const decoded = Ethernet.Decode(frame);
+    assertEqual(decoded.vlans.length, 1, 'One VLAN tag decoded');
+    assertEqual(decoded.vlans[0].vid, 100, 'VLAN ID decoded');
+    assertEqual(decoded.vlans[0].pcp, 5, 'VLAN PCP decoded');
+    assertEqual(decoded.vlans[0].dei, 1, 'VLAN DEI decoded');
+    assertEqual(decoded.etherType, 0x86DD, 'EtherType after tag decoded');
+    assertEqual(decoded.headerLength, 18, 'Header length includes tag');
+
+} catch (error) {
+    console.log(`❌ FAIL: 802.1Q VLAN tag test - ${error.message}`);
+    failedTests.push('802.1Q VLAN tag test');
+}
+
+// ===== Test 4: 802.1ad QinQ Stacking =====
+console.log('\n📝 Test 4: 802.1ad QinQ Stacking');
+try {
+    const frame = Ethernet.Encode('00:11:22:33:44:55', '66:77:88:99:aa:bb', 0x0800, Buffer.alloc(46), {
+        vlans: [{ vid: 300 }, { vid: 20 }, { vid: 7, tpid: 0x9100 }]
+    });
+
+    assertEqual(frame.readUInt16BE(12), 0x88A8, 'Outer tag defaults to S-Tag TPID');
+    assertEqual(frame.readUInt16BE(16), 0x88A8, 'Middle tag defaults to S-Tag TPID');
+    assertEqual(frame.readUInt16BE(20), 0x9100, 'Explicit TPID honoured');
+
+    const decoded = Ethernet.Decode(frame);
+    assertEqual(decoded.vlans.length, 3, 'Three stacked tags decoded');
+    assertEqual(decoded.vlans.map(v => v.vid).join(','), '300,20,7', 'Tag order preserved');
+    assertEqual(decoded.etherType, 0x0800, 'EtherType after stack decoded');
+
+} catch (error) {
+    console.log(`❌ FAIL: QinQ stacking test - ${error.message}`);
+    failedTests.push('QinQ stacking test');
+}
+
+// ===== Test 5: Frame Check Sequence =====
+console.log('\n📝 Test 5: Frame Check Sequence');
+try {
+    assertEqual(Ethernet.crc32(Buffer.from('123456789')), 0xCBF43926, 'CRC-32 check value');
+
+    const ipPacket = IPv4.Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'udp', [], Buffer.from('fcs'));
+    const frame = Ethernet.Encode('00:11:22:33:44:55', '66:77:88:99:aa:bb', 'ipv4', ipPacket, { fcs: true });
+
+    assertEqual(frame.length, 64, 'Minimum frame with FCS is 64 bytes');
+
+    const decoded = Ethernet.Decode(frame, { fcs: true });
+    assert(decoded.fcsValid, 'FCS verifies');
+    assertEqual(decoded.payload.length, 46, 'FCS stripped from payload');
+    assertEqual(IPv4.Decode(decoded.payload).destIp, '10.0.0.2', 'IPv4 decodes through Ethernet');
+
+    const corrupted = Buffer.from(frame);
+    corrupted[20] ^= 0xFF;
+    const lenient = Ethernet.Decode(corrupted, { fcs: true, mode: 'lenient' });
+    assert(!lenient.fcsValid, 'Corrupted frame fails FCS');
+    assertEqual(lenient.anomalies[0].type, 'ChecksumError', 'FCS mismatch reported as anomaly');
+    assertThrows(() => Ethernet.Decode(corrupted, { fcs: true }), 'Strict mode throws on FCS mismatch');
+
+} catch (error) {
+    console.log(`❌ FAIL: Frame check sequence test - ${error.message}`);
+    failedTests.push('Frame check sequence test');
+}
+
+// ===== Test 6: IEEE 802.3 Length Field =====
+console.log('\n📝 Test 6: IEEE 802.3 Length Field');
+try {
+    const frame = Ethernet.Encode('01:80:c2:00:00:00', '66:77:88:99:aa:bb', 38, Buffer.alloc(38), { pad: false });
+    const decoded = Ethernet.Decode(frame);
+
+    assertEqual(decoded.etherType, null, 'Length field is not an EtherType');
+    assertEqual(decoded.length, 38, 'Length field reported');
+
+} catch (error) {
+    console.log(`❌ FAIL: 802.3 length field test - ${error.message}`);
+    failedTests.push('802.3 length field test');
+}
+
+// ===== Test 7: Error Handling =====
+console.log('\n📝 Test 7: Error Handling');
+assertThrows(() => Ethernet.Encode('zz:bb:cc:dd:ee:ff', 'aa:bb:cc:dd:ee:ff', 'ipv4'), 'Rejects invalid MAC');
+assertThrows(() => Ethernet.Encode('aa:bb:cc:dd:ee:ff', 'aa:bb:cc:dd:ee:ff', 'bogus'), 'Rejects unknown EtherType name');
+assertThrows(() => Ethernet.Encode('aa:bb:cc:dd:ee:ff', 'aa:bb:cc:dd:ee:ff', 'ipv4', Buffer.alloc(0), { vlans: [{ vid: 4096 }] }), 'Rejects VLAN ID > 4095');
+assertThrows(() => Ethernet.Encode('aa:bb:cc:dd:ee:ff', 'aa:bb:cc:dd:ee:ff', 'ipv4', Buffer.alloc(0), { vlans: [{ vid: 1, pcp: 8 }] }), 'Rejects PCP > 7');
+assertThrows(() => Ethernet.Decode(Buffer.alloc(10)), 'Rejects frame shorter than header');
+assertThrows(() => Ethernet.Decode('not a buffer'), 'Rejects non-Buffer input');
+assertThrows(() => Ethernet.Decode(Buffer.alloc(60), { mode: 'bogus' }), 'Rejects unknown decode mode');
+
+const shortFrame = Ethernet.Decode(Buffer.from('ffffffffffffaabbccddeeff81', 'hex'), { mode: 'lenient' });
+assertEqual(shortFrame.srcMAC, 'AA:BB:CC:DD:EE:FF', 'Lenient mode keeps MACs of a short frame');
+assertEqual(shortFrame.anomalies[0].field, 'header', 'Truncation anomaly names the field');
+
+// ===== Test Results Summary =====
+console.log('\n📊 Test Results Summary');
+console.log('='.repeat(50));
+console.log(`Total Tests: ${testCount}`);
+console.log(`✅ Passed: ${passedTests}`);
+console.log(`❌ Failed: ${testCount - passedTests}`);
+console.log(`Success Rate: ${((passedTests / testCount) * 100).toFixed(1)}%`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test, index) => {
+        console.log(`   ${index + 1}. ${test}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
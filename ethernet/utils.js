@@ -0,0 +1,146 @@
+// ethernet-utils.js
+// Utility functions for Ethernet II framing and 802.1Q/802.1ad tagging
+
+/**
+ * Well-known EtherType values
+ */
+const ETHER_TYPES = {
+    ipv4: 0x0800,
+    arp: 0x0806,
+    wol: 0x0842,
+    rarp: 0x8035,
+    vlan: 0x8100,       // 802.1Q C-Tag
+    ipv6: 0x86DD,
+    mpls: 0x8847,
+    pppoe: 0x8864,
+    qinq: 0x88A8,       // 802.1ad S-Tag
+    lldp: 0x88CC
+};
+
+/**
+ * Tag Protocol Identifiers recognised while walking a VLAN tag stack.
+ * 0x9100 is the legacy pre-standard QinQ TPID still used by some vendors.
+ */
+const VLAN_TPIDS = [0x8100, 0x88A8, 0x9100];
+
+// CRC-32 (IEEE 802.3) lookup table, reflected polynomial 0xEDB88320
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate the IEEE 802.3 CRC-32 used as the Ethernet Frame Check Sequence
+ * @param {Buffer} buf - Frame bytes from destination MAC up to end of payload
+ * @returns {number} 32-bit unsigned CRC value
+ */
+function crc32(buf) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert an EtherType name or number to its 16-bit value
+ * @param {string|number} etherType - Name (e.g., 'ipv4', 'arp') or numeric value
+ * @returns {number} EtherType value
+ */
+function processEtherType(etherType) {
+    if (typeof etherType === 'number') {
+        if (!Number.isInteger(etherType) || etherType < 0 || etherType > 0xFFFF) {
+            throw new Error(`Invalid EtherType: ${etherType}. Must be 0-65535`);
+        }
+        return etherType;
+    }
+
+    if (typeof etherType !== 'string') {
+        throw new Error('EtherType must be a string or number');
+    }
+
+    const normalized = etherType.toLowerCase();
+
+    if (!(normalized in ETHER_TYPES)) {
+        throw new Error(`Invalid EtherType: ${etherType}. Supported: ${Object.keys(ETHER_TYPES).join(', ')}`);
+    }
+
+    return ETHER_TYPES[normalized];
+}
+
+/**
+ * Validate MAC address string format (colon separated)
+ * @param {string} mac - MAC address (e.g., 'aa:bb:cc:dd:ee:ff')
+ * @returns {boolean} True if valid
+ */
+function isValidMAC(mac) {
+    return typeof mac === 'string' && /^[0-9A-Fa-f]{2}(:[0-9A-Fa-f]{2}){5}$/.test(mac);
+}
+
+/**
+ * Build a 4-byte 802.1Q / 802.1ad tag
+ *
+ * +----------------+---+---+------------+
+ * |  TPID (16)     |PCP|DEI|  VID (12)  |
+ * +----------------+---+---+------------+
+ *
+ * @param {Object} tag - Tag description
+ * @param {number} tag.vid - VLAN identifier (0-4095)
+ * @param {number} [tag.pcp=0] - Priority code point (0-7)
+ * @param {number} [tag.dei=0] - Drop eligible indicator (0-1)
+ * @param {number} [tag.tpid=0x8100] - Tag protocol identifier
+ * @returns {Buffer} 4-byte tag
+ */
+function encodeVlanTag(tag) {
+    const { vid, pcp = 0, dei = 0, tpid = ETHER_TYPES.vlan } = tag;
+
+    if (!Number.isInteger(vid) || vid < 0 || vid > 4095) {
+        throw new Error(`Invalid VLAN ID: ${vid}. Must be 0-4095`);
+    }
+    if (!Number.isInteger(pcp) || pcp < 0 || pcp > 7) {
+        throw new Error(`Invalid VLAN PCP: ${pcp}. Must be 0-7`);
+    }
+    if (dei !== 0 && dei !== 1 && dei !== true && dei !== false) {
+        throw new Error(`Invalid VLAN DEI: ${dei}. Must be 0 or 1`);
+    }
+
+    const buf = Buffer.alloc(4);
+    buf.writeUInt16BE(processEtherType(tpid), 0);
+    buf.writeUInt16BE((pcp << 13) | ((dei ? 1 : 0) << 12) | vid, 2);
+    return buf;
+}
+
+/**
+ * Parse a 4-byte 802.1Q / 802.1ad tag
+ * @param {Buffer} buf - Buffer containing the tag
+ * @param {number} [offset=0] - Offset of the TPID
+ * @returns {Object} { tpid, pcp, dei, vid }
+ */
+function decodeVlanTag(buf, offset = 0) {
+    const tpid = buf.readUInt16BE(offset);
+    const tci = buf.readUInt16BE(offset + 2);
+
+    return {
+        tpid,
+        pcp: (tci >> 13) & 0x07,
+        dei: (tci >> 12) & 0x01,
+        vid: tci & 0x0FFF
+    };
+}
+
+module.exports = {
+    ETHER_TYPES,
+    VLAN_TPIDS,
+    crc32,
+    processEtherType,
+    isValidMAC,
+    encodeVlanTag,
+    decodeVlanTag
+};
@@ -1,4 +1,6 @@
 const { validateRestOfHeader, calculateIcmpChecksum } = require('./util')
+const { createDecodeContext, TruncatedPacketError, ChecksumError } = require('../errors');
+const { expectedChecksum } = require('../checksum/checksum');
 
 /**
  * Encodes an ICMP message (e.g., Echo Request/Reply) into a Buffer.
@@ -23,7 +25,6 @@ function Encode(type, code, identifier = 0, sequence = 0, data = Buffer.alloc(0)
     if (data.length > 0) data.copy(header, 8);
 
     header.writeUInt16BE(calculateIcmpChecksum(header), 2); // Fill checksum
-    console.log(header, 'HEader')
     return header;
 }
 
@@ -31,20 +32,58 @@ function Encode(type, code, identifier = 0, sequence = 0, data = Buffer.alloc(0)
  * Decodes an ICMP packet Buffer into a readable object.
  *
  * @param {Buffer} packet - Raw ICMP message
- * @returns {Object} - Parsed ICMP fields
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @param {boolean} [options.verifyChecksum=true] - Set false for captures with checksum offload
+ * @returns {Object} - Parsed ICMP fields (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, if the 8-byte header is truncated or the checksum does not match
  */
-function Decode(packet) {
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
     const output = {};
 
-    output.type = packet[0];
-    output.code = packet[1];
-    output.checksum = packet.readUInt16BE(2);
-    output.identifier = packet.readUInt16BE(4);
-    output.sequence = packet.readUInt16BE(6);
+    if (!Buffer.isBuffer(packet)) {
+        throw new TypeError('[ICMP] Packet must be a Buffer');
+    }
+    if (packet.length < 8) {
+        ctx.report(new TruncatedPacketError(`[ICMP] Packet too small: need 8 bytes for header, got ${packet.length}`, {
+            layer: 'icmp', field: 'header', offset: 0, expected: 8, actual: packet.length
+        }));
+    }
+
+    // Keep whatever header fields fit
+    for (const [name, offset, length] of HEADER_FIELDS) {
+        if (packet.length >= offset + length) {
+            output[name] = packet.readUIntBE(offset, length);
+        }
+    }
     output.data = packet.slice(8); // Remaining payload
 
-    return output;
+    // The checksum covers the whole message
+    output.checksumValid = null;
+    output.expectedChecksum = null;
+    if (packet.length >= 8 && ctx.options.verifyChecksum !== false) {
+        output.expectedChecksum = expectedChecksum(packet, 2);
+        output.checksumValid = output.expectedChecksum === output.checksum;
+
+        if (!output.checksumValid) {
+            ctx.report(new ChecksumError(`[ICMP] Checksum mismatch: expected ${output.expectedChecksum}, got ${output.checksum}`, {
+                layer: 'icmp', field: 'checksum', offset: 2, expected: output.expectedChecksum, actual: output.checksum
+            }));
+        }
+    }
+
+    return ctx.finish(output);
 }
 
+// [name, offset, length] of the 8-byte header
+const HEADER_FIELDS = [
+    ['type', 0, 1],
+    ['code', 1, 1],
+    ['checksum', 2, 2],
+    ['identifier', 4, 2],
+    ['sequence', 6, 2]
+];
+
 
 module.exports = { Encode, Decode };
@@ -126,6 +126,35 @@ try {
     failedTests.push('Edge cases test');
 }
 
+// ===== Test 6: Checksum Verification =====
+console.log('\n📝 Test 6: Checksum Verification');
+try {
+    const packet = ICMP.Encode(8, 0, 1, 2, Buffer.from('ping'));
+    const decoded = ICMP.Decode(packet);
+    assertEqual(decoded.checksumValid, true, 'Valid checksum verified');
+    assertEqual(decoded.expectedChecksum, decoded.checksum, 'Expected checksum matches');
+
+    const corrupted = Buffer.from(packet);
+    corrupted.writeUInt16BE(0xBEEF, 2);
+    const lenient = ICMP.Decode(corrupted, { mode: 'lenient' });
+    assertEqual(lenient.checksumValid, false, 'Corrupted checksum detected');
+    assertEqual(lenient.expectedChecksum, decoded.checksum, 'Expected checksum reported');
+    assertEqual(lenient.anomalies[0].type, 'ChecksumError', 'Mismatch reported as anomaly');
+
+    let thrown = null;
+    try {
+        ICMP.Decode(corrupted);
+    } catch (error) {
+        thrown = error;
+    }
+    assertEqual(thrown && thrown.name, 'ChecksumError', 'Strict mode throws ChecksumError');
+    assertEqual(ICMP.Decode(corrupted, { verifyChecksum: false }).checksumValid, null, 'Verification can be skipped');
+
+} catch (error) {
+    console.log(`❌ FAIL: Checksum verification test - ${error.message}`);
+    failedTests.push('Checksum verification test');
+}
+
 // ===== Test Results Summary =====
 console.log('\n📊 Test Results Summary');
 console.log('='.repeat(50));
@@ -1,3 +1,5 @@
+const { checksum } = require('../checksum/checksum');
+
 /**
  * ICMP Type → Rest of Header format map
  * 
@@ -183,19 +185,7 @@ validateRestOfHeader(icmpType, restOfHeader);
  * @returns {number} 16-bit checksum
  */
 function calculateIcmpChecksum(icmpMessage) {
-    let sum = 0;
-
-    for (let i = 0; i < icmpMessage.length; i += 2) {
-        const word = (icmpMessage[i] << 8) + (icmpMessage[i + 1] || 0);
-        sum += word;
-
-        // Fold carry bits beyond 16 bits
-        while (sum > 0xFFFF) {
-            sum = (sum & 0xFFFF) + (sum >>> 16);
-        }
-    }
-
-    return ~sum & 0xFFFF; // One's complement
+    return checksum(icmpMessage);
 }
 
 const typeValues = {
@@ -3,11 +3,23 @@
 
 module.exports = {
     arp: require('./arp/arp'),
+    checksum: require('./checksum/checksum'),
+    dissect: require('./dissect/dissect').dissect,
     dns: require('./dns/dns'),
+    errors: require('./errors'),
+    ethernet: require('./ethernet/ethernet'),
     icmp: require('./icmp/icmp'),
+    idlescan: require('./scan/idlescan'),
     ipv4: require('./ipv4/ipv4'),
     ipv6: require('./ipv6/ipv6'),
+    osscan: require('./scan/osscan'),
+    pcap: require('./pcap/pcap'),
+    portscan: require('./scan/portscan'),
+    sequence: require('./scan/sequence'),
+    stack: require('./stack/stack'),
     tcp: require('./tcp/tcp'),
+    tcpSession: require('./tcp/tcp-session'),
+    tcpStream: require('./tcp/tcp-stream'),
     udp: require('./udp/udp'),
     // tls: require('./tls/tls'),
 
@@ -0,0 +1,509 @@
+// fragmentation.js
+// IPv4 fragmentation (RFC 791 §3.2, RFC 815) and target-based reassembly
+//
+// Every fragment repeats the IPv4 header. Options with the copied flag set
+// (type bit 0x80, e.g. LSRR/SSRR) go into every fragment; the rest only
+// into the first one:
+//
+//   original:  │ IPv4 header + all options │ TCP + data ....................... │
+//
+//   fragment:  │ header + all options      │ MF=1, offset 0  │ piece 0         │
+//              │ header + copied options   │ MF=1, offset n  │ piece 1         │
+//              │ header + copied options   │ MF=0, offset m  │ last piece      │
+//
+// Fragment offsets count 8-byte units, so every piece but the last must be
+// a multiple of 8 bytes long.
+//
+// RFC 791 leaves overlapping fragments undefined and real stacks disagree.
+// The reassembler replays fragments in arrival order and settles every
+// overlapping byte with one of the target policies described by Novak
+// ("Target-Based Fragmentation Reassembly", 2005):
+//
+//   'first'    → the fragment received first always wins
+//   'last'     → the fragment received last always wins
+//   'bsd'      → the earlier fragment wins, unless the new one starts before it
+//   'linux'    → like 'bsd', and a new fragment at the same offset that ends
+//                after the earlier one also wins
+//   'windows'  → the earlier fragment wins, unless the new one starts before it
+//                and covers it entirely
+
+const { checksum } = require('../checksum/checksum');
+
+const POLICIES = ['first', 'last', 'bsd', 'linux', 'windows'];
+const DEFAULT_TIMEOUT = 30000; // Linux ipfrag_time
+const MAX_PACKET = 65535;
+
+/**
+ * Split an IPv4 packet into fragments
+ *
+ * Fragmenting a packet that is already a fragment works too: offsets are
+ * relative to the original datagram and the last piece keeps its MF flag.
+ *
+ * @param {Buffer} packet - Complete IPv4 packet (e.g. from ipv4.Encode)
+ * @param {Object} options
+ * @param {number} [options.mtu] - Largest fragment packet size; pieces are cut to fit
+ * @param {number[]} [options.sizes] - Consecutive piece sizes in bytes; any remainder becomes a final piece
+ * @param {Object[]} [options.boundaries] - Explicit plan of { offset, length, data?, more? } pieces in bytes
+ * @param {Object[]} [options.overlap] - Extra { offset, length?, data?, more? } pieces added after the plan,
+ *                   usually carrying different `data` to probe the target's overlap policy
+ * @param {string|number[]} [options.order='forward'] - 'forward', 'reverse' or a permutation of piece indices
+ *                   (plan pieces first, then overlap pieces)
+ * @param {number} [options.identification] - Override the packet's identification field
+ * @param {boolean} [options.ignoreDF=false] - Fragment even if Don't Fragment is set (DF is kept)
+ * @returns {Buffer[]} Fragment packets in sending order
+ *
+ * @example
+ * const fragments = fragment(packet, { mtu: 576 });
+ * const probe = fragment(packet, {
+ *     sizes: [16, 16],
+ *     overlap: [{ offset: 8, data: Buffer.alloc(16, 0x42) }],
+ *     order: [0, 2, 1, 3]
+ * });
+ */
+function fragment(packet, options = {}) {
+    const original = readHeader(packet);
+    const { order = 'forward' } = options;
+
+    if (original.flags & 0b010 && !options.ignoreDF) {
+        throw new Error('Packet has Don\'t Fragment set (use ignoreDF to fragment anyway)');
+    }
+
+    const payload = packet.subarray(original.headerLength, original.end);
+    const firstHeader = packet.subarray(0, original.headerLength);
+    const laterHeader = Buffer.concat([packet.subarray(0, 20), copiedOptions(packet.subarray(20, original.headerLength))]);
+
+    const pieces = plan(options, original.headerLength, laterHeader.length, payload.length);
+    for (const piece of options.overlap || []) {
+        pieces.push(checkPiece(piece));
+    }
+
+    const baseOffset = original.fragmentOffset * 8;
+    const fragments = pieces.map(piece => {
+        const data = piece.data || payload.subarray(piece.offset, piece.offset + piece.length);
+        const last = piece.offset + data.length >= payload.length;
+        const more = piece.more !== undefined ? piece.more : !last || !!(original.flags & 0b001);
+        const header = Buffer.from(piece.offset === 0 ? firstHeader : laterHeader);
+
+        if ((baseOffset + piece.offset) / 8 > 0x1FFF) {
+            throw new Error(`Fragment offset ${baseOffset + piece.offset} exceeds the 13-bit field`);
+        }
+        if (header.length + data.length > MAX_PACKET) {
+            throw new Error('Fragment exceeds maximum IPv4 size (65535 bytes)');
+        }
+
+        header[0] = (header[0] & 0xF0) | (header.length / 4);
+        header.writeUInt16BE(header.length + data.length, 2);
+        if (options.identification !== undefined) {
+            header.writeUInt16BE(options.identification, 4);
+        }
+        header.writeUInt16BE(((original.flags & 0b110) | (more ? 0b001 : 0)) << 13 | (baseOffset + piece.offset) / 8, 6);
+        header.writeUInt16BE(0, 10);
+        header.writeUInt16BE(checksum(header), 10);
+
+        return Buffer.concat([header, data]);
+    });
+
+    return reorder(fragments, order);
+}
+
+/**
+ * Why a buffer cannot be read as an IPv4 header, or null if it can
+ */
+function headerProblem(packet) {
+    if (packet.length < 20) {
+        return 'Packet too short for an IPv4 header';
+    }
+    if (packet[0] >> 4 !== 4) {
+        return 'Not an IPv4 packet';
+    }
+
+    const headerLength = (packet[0] & 0x0F) * 4;
+    if (headerLength < 20 || packet.readUInt16BE(2) < headerLength || packet.length < headerLength) {
+        return 'Malformed IPv4 header';
+    }
+    return null;
+}
+
+/**
+ * Read the fields fragmentation and reassembly need (strict)
+ */
+function readHeader(packet) {
+    if (!Buffer.isBuffer(packet)) {
+        throw new TypeError('Invalid packet: must be a Buffer');
+    }
+    const problem = headerProblem(packet);
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    const headerLength = (packet[0] & 0x0F) * 4;
+    const totalLength = packet.readUInt16BE(2);
+    const flagsOffset = packet.readUInt16BE(6);
+    return {
+        headerLength,
+        end: Math.min(packet.length, totalLength),
+        identification: packet.readUInt16BE(4),
+        flags: flagsOffset >> 13,
+        fragmentOffset: flagsOffset & 0x1FFF,
+        protocol: packet[9],
+        srcIp: [...packet.subarray(12, 16)].join('.'),
+        destIp: [...packet.subarray(16, 20)].join('.')
+    };
+}
+
+/**
+ * Keep only the options whose copied flag is set, padded to 4 bytes
+ */
+function copiedOptions(options) {
+    const copied = [];
+    let i = 0;
+
+    while (i < options.length) {
+        const type = options[i];
+        if (type === 0) {
+            break; // End of Option List
+        }
+        if (type === 1) {
+            i++; // NOP is not copied
+            continue;
+        }
+        const length = options[i + 1];
+        if (length === undefined || length < 2 || i + length > options.length) {
+            throw new Error(`Malformed IPv4 option at offset ${20 + i}`);
+        }
+        if (type & 0x80) {
+            copied.push(options.subarray(i, i + length));
+        }
+        i += length;
+    }
+
+    const out = Buffer.concat(copied);
+    return Buffer.concat([out, Buffer.alloc((4 - (out.length % 4)) % 4)]);
+}
+
+/**
+ * Turn mtu / sizes / boundaries into a list of { offset, length, data?, more? } pieces
+ */
+function plan(options, firstHeaderLength, laterHeaderLength, total) {
+    if (options.boundaries) {
+        return options.boundaries.map(checkPiece);
+    }
+
+    let sizes = options.sizes;
+    if (!sizes) {
+        if (!options.mtu) {
+            throw new Error('Fragmentation needs an mtu, sizes or boundaries');
+        }
+        const firstRoom = Math.floor((options.mtu - firstHeaderLength) / 8) * 8;
+        const room = Math.floor((options.mtu - laterHeaderLength) / 8) * 8;
+        if (firstRoom < 8) {
+            throw new Error(`MTU ${options.mtu} leaves no room for fragment data`);
+        }
+        sizes = [firstRoom];
+        for (let left = total - firstRoom; left > 0; left -= room) {
+            sizes.push(Math.min(room, left));
+        }
+    }
+
+    const pieces = [];
+    let offset = 0;
+    for (const size of sizes) {
+        if (offset >= total) {
+            break;
+        }
+        const length = Math.min(size, total - offset);
+        if (offset + length < total && length % 8 !== 0) {
+            throw new Error(`Fragment size ${size} must be a multiple of 8 (all but the last piece)`);
+        }
+        pieces.push({ offset, length });
+        offset += length;
+    }
+    if (offset < total || pieces.length === 0) {
+        pieces.push({ offset, length: total - offset });
+    }
+
+    return pieces;
+}
+
+function checkPiece(piece) {
+    const length = piece.data ? piece.data.length : piece.length;
+    if (!Number.isInteger(piece.offset) || piece.offset < 0 || piece.offset % 8 !== 0) {
+        throw new Error(`Fragment offset must be a multiple of 8 (got ${piece.offset})`);
+    }
+    if (!Number.isInteger(length) || length < 0) {
+        throw new Error(`Invalid fragment length: ${length}`);
+    }
+    return { ...piece, length };
+}
+
+function reorder(fragments, order) {
+    if (order === 'forward') {
+        return fragments;
+    }
+    if (order === 'reverse') {
+        return [...fragments].reverse();
+    }
+    if (Array.isArray(order)) {
+        return order.map(i => {
+            if (!fragments[i]) {
+                throw new Error(`Fragment order refers to missing piece ${i}`);
+            }
+            return fragments[i];
+        });
+    }
+    throw new Error(`Invalid fragment order: ${order}`);
+}
+
+/**
+ * Decide whether an incoming fragment overwrites bytes held by an earlier one
+ * @param {string} policy - One of POLICIES
+ * @param {Object} held - Fragment currently holding the bytes ({ offset, data })
+ * @param {Object} incoming - Newly received fragment
+ * @returns {boolean} True when the incoming bytes win
+ */
+function incomingWins(policy, held, incoming) {
+    const heldEnd = held.offset + held.data.length;
+    const incomingEnd = incoming.offset + incoming.data.length;
+
+    switch (policy) {
+        case 'first':
+            return false;
+        case 'last':
+            return true;
+        case 'bsd':
+            return incoming.offset < held.offset;
+        case 'linux':
+            return incoming.offset < held.offset || (incoming.offset === held.offset && incomingEnd > heldEnd);
+        case 'windows':
+            return incoming.offset < held.offset && incomingEnd >= heldEnd;
+        default:
+            throw new Error(`Unknown reassembly policy: ${policy}. Supported: ${POLICIES.join(', ')}`);
+    }
+}
+
+/**
+ * Create a fragment reassembler
+ *
+ * Fragments are grouped by (source, destination, protocol, identification)
+ * as RFC 791 requires. push() reports what happened to each packet:
+ *
+ *   'unfragmented' → MF clear and offset 0; packet returned unchanged
+ *   'pending'      → stored, datagram still incomplete
+ *   'duplicate'    → identical copy of a stored fragment; ignored
+ *   'invalid'      → malformed (not IPv4, truncated header, length not a multiple of 8,
+ *                    too long, conflicting end, ...); `reason` says which
+ *   'complete'     → reassembled packet in `packet`
+ *
+ * Pending and complete results list the `overlaps` the fragment caused, as
+ * { offset, length, winner: 'held' | 'incoming' }, so the view of each
+ * target stack can be predicted.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.policy='first'] - 'first', 'last', 'bsd', 'linux' or 'windows'
+ * @param {number} [options.timeout=30000] - Milliseconds to wait for missing fragments
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {Object} { policy, push(packet, time?), expire(time?), pending() }
+ */
+function createReassembler(options = {}) {
+    const { policy = 'first', timeout = DEFAULT_TIMEOUT, now = Date.now } = options;
+    const datagrams = new Map();
+
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Unknown reassembly policy: ${policy}. Supported: ${POLICIES.join(', ')}`);
+    }
+
+    /**
+     * Drop datagrams whose timer ran out
+     * @param {number} [time=now()] - Current time
+     * @returns {Object[]} { key, fragments, firstFragmentReceived } per expired datagram;
+     *                     ICMP Time Exceeded is only due when the first fragment arrived
+     */
+    function expire(time = now()) {
+        const expired = [];
+        for (const [key, datagram] of datagrams) {
+            if (time - datagram.started >= timeout) {
+                datagrams.delete(key);
+                expired.push({
+                    key,
+                    fragments: datagram.fragments.length,
+                    firstFragmentReceived: datagram.fragments.some(f => f.offset === 0)
+                });
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Feed one received packet
+     * @param {Buffer} packet - IPv4 packet
+     * @param {number} [time=now()] - Arrival time
+     * @returns {Object} { status, key?, packet?, overlaps?, reason? }
+     */
+    function push(packet, time = now()) {
+        expire(time);
+
+        // Whatever arrives off the wire is reported, not thrown
+        const problem = Buffer.isBuffer(packet) ? headerProblem(packet) : null;
+        if (problem) {
+            return { status: 'invalid', reason: problem };
+        }
+
+        const header = readHeader(packet);
+        const more = !!(header.flags & 0b001);
+        if (!more && header.fragmentOffset === 0) {
+            return { status: 'unfragmented', packet };
+        }
+
+        const key = `${header.srcIp}|${header.destIp}|${header.protocol}|${header.identification}`;
+        const piece = {
+            offset: header.fragmentOffset * 8,
+            more,
+            header: Buffer.from(packet.subarray(0, header.headerLength)),
+            data: Buffer.from(packet.subarray(header.headerLength, header.end))
+        };
+
+        if (more && piece.data.length % 8 !== 0) {
+            return { status: 'invalid', key, reason: 'Fragment length is not a multiple of 8 bytes' };
+        }
+        if (piece.offset + piece.data.length > MAX_PACKET - 20) {
+            return { status: 'invalid', key, reason: 'Fragment extends past the 65535-byte packet limit' };
+        }
+
+        let datagram = datagrams.get(key);
+        if (!datagram) {
+            datagram = { started: time, fragments: [] };
+            datagrams.set(key, datagram);
+        }
+
+        if (datagram.fragments.some(f => f.offset === piece.offset && f.more === piece.more && f.data.equals(piece.data))) {
+            return { status: 'duplicate', key };
+        }
+        if (!piece.more) {
+            const end = piece.offset + piece.data.length;
+            if (datagram.total !== undefined && datagram.total !== end) {
+                return { status: 'invalid', key, reason: 'Last fragment disagrees with the datagram length already known' };
+            }
+            datagram.total = end;
+        }
+
+        const overlaps = findOverlaps(datagram, piece, policy);
+        datagram.fragments.push(piece);
+
+        const assembled = assemble(datagram, policy);
+        if (!assembled) {
+            return { status: 'pending', key, overlaps };
+        }
+
+        datagrams.delete(key);
+        return {
+            status: 'complete',
+            key,
+            fragments: datagram.fragments.length,
+            overlaps,
+            packet: assembled
+        };
+    }
+
+    return {
+        policy,
+        push,
+        expire,
+        /**
+         * Keys of datagrams still waiting for fragments
+         * @returns {string[]} Keys
+         */
+        pending() {
+            return [...datagrams.keys()];
+        }
+    };
+}
+
+/**
+ * Describe how a new fragment overlaps the ones already stored
+ */
+function findOverlaps(datagram, piece, policy) {
+    const overlaps = [];
+    const pieceEnd = piece.offset + piece.data.length;
+
+    for (const held of datagram.fragments) {
+        const start = Math.max(held.offset, piece.offset);
+        const end = Math.min(held.offset + held.data.length, pieceEnd);
+        if (start < end) {
+            overlaps.push({
+                offset: start,
+                length: end - start,
+                winner: incomingWins(policy, held, piece) ? 'incoming' : 'held'
+            });
+        }
+    }
+    return overlaps;
+}
+
+/**
+ * Replay the fragments in arrival order once every byte up to the end is covered
+ */
+function assemble(datagram, policy) {
+    const { total, fragments } = datagram;
+    if (total === undefined) {
+        return null;
+    }
+
+    const data = Buffer.alloc(total);
+    const owner = new Int32Array(total).fill(-1);
+
+    fragments.forEach((piece, index) => {
+        const end = Math.min(piece.offset + piece.data.length, total);
+        for (let i = piece.offset; i < end; i++) {
+            if (owner[i] === -1 || incomingWins(policy, fragments[owner[i]], piece)) {
+                owner[i] = index;
+                data[i] = piece.data[i - piece.offset];
+            }
+        }
+    });
+
+    if (owner.includes(-1)) {
+        return null;
+    }
+
+    // The header (and its options) comes from the fragment that won offset 0
+    const header = fragments[owner[0]].header;
+    const packet = Buffer.concat([header, data]);
+    if (packet.length > MAX_PACKET) {
+        return null;
+    }
+    packet.writeUInt16BE(packet.length, 2);
+    packet.writeUInt16BE(packet.readUInt16BE(6) & 0x4000, 6); // Keep DF only
+    packet.writeUInt16BE(0, 10);
+    packet.writeUInt16BE(checksum(packet.subarray(0, header.length)), 10);
+    return packet;
+}
+
+/**
+ * Reassemble a list of fragments under one policy
+ * @param {Buffer[]} fragments - Fragments in arrival order
+ * @param {string} [policy='first'] - Reassembly policy
+ * @returns {Buffer|null} Reassembled packet, or null if the datagram is incomplete
+ *
+ * @example
+ * // What each target stack would see
+ * const views = Object.fromEntries(POLICIES.map(p => [p, reassemble(fragments, p)]));
+ */
+function reassemble(fragments, policy = 'first') {
+    const reassembler = createReassembler({ policy, timeout: Infinity });
+    let result = null;
+
+    for (const f of fragments) {
+        const outcome = reassembler.push(f, 0);
+        if (outcome.status === 'complete' || outcome.status === 'unfragmented') {
+            result = outcome.packet;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    POLICIES,
+    fragment,
+    createReassembler,
+    reassemble
+};
@@ -3,6 +3,7 @@
 
 const {
     processOptions,
+    parseOptions,
     processFlagsAndOffset,
     processProtocol,
     onesComplementSum,
@@ -16,6 +17,15 @@ const {
     checkAndRead8,
     checkAndWrite8
 } = require("../util");
+const Checksum = require('../checksum/checksum');
+const { POLICIES, fragment, createReassembler, reassemble } = require('./fragmentation');
+
+const {
+    createDecodeContext,
+    TruncatedPacketError,
+    ChecksumError,
+    InvalidFieldError
+} = require('../errors');
 
 /**
  * Encode an IPv4 packet with the given parameters
@@ -29,7 +39,7 @@ const {
  * @param {string} flag - Flags string (can contain 'df' and/or 'mf')
  * @param {number} fragmentOffset - Fragment offset (0-8191)
  * @param {number} ttl - Time to Live (0-255)
- * @param {string} protocol - Protocol name (e.g., 'tcp', 'udp', 'icmp')
+ * @param {string|number} protocol - Protocol name (e.g., 'tcp', 'udp', 'icmp') or number
  * @param {Array} userOptions - Array of IPv4 option objects
  * @param {Buffer} payload - Packet payload as a Buffer
  * @returns {Buffer} Complete IPv4 packet
@@ -120,7 +130,7 @@ function Encode(srcIp, destIp, version, DSCP, ECN, identification, flag, fragmen
     header.writeUInt32BE(processIP(destIp), 16);
 
     // Calculate and set checksum
-    const checksum = onesComplementSum(Buffer.concat([header, options]));
+    const checksum = onesComplementSum(header, options);
     checkAndWrite16(header, checksum, 10);
 
     // Construct and return final packet
@@ -128,13 +138,101 @@ function Encode(srcIp, destIp, version, DSCP, ECN, identification, flag, fragmen
 }
 
 /**
- * Decode basic information from an IPv4 packet
+ * Build an IPv4 packet from named fields
+ *
+ * Defaults: random identification, TTL 64, no flags, no options, empty payload.
+ * The computed total length, IHL, version and checksum can be overridden to
+ * craft malformed packets; the checksum is computed after the other overrides
+ * over the header actually written, whatever IHL claims.
+ *
+ * @param {Object} fields
+ * @param {string} fields.src - Source address
+ * @param {string} fields.dst - Destination address
+ * @param {string|number} fields.protocol - Protocol name (e.g. 'tcp') or number
+ * @param {Buffer} [fields.payload=Buffer.alloc(0)] - Payload
+ * @param {number} [fields.ttl=64] - Time to Live
+ * @param {number} [fields.id] - Identification (random by default)
+ * @param {boolean} [fields.df=false] - Don't Fragment
+ * @param {boolean} [fields.mf=false] - More Fragments
+ * @param {string} [fields.flags] - Flags string as for Encode ('df', 'mf'); takes precedence over df/mf
+ * @param {number} [fields.fragmentOffset=0] - Fragment offset in 8-byte units
+ * @param {number} [fields.dscp=0] - Differentiated Services Code Point
+ * @param {number} [fields.ecn=0] - Explicit Congestion Notification
+ * @param {Array} [fields.options=[]] - IPv4 option objects (see processOptions)
+ * @param {number} [fields.totalLength] - Override the total length field
+ * @param {number} [fields.ihl] - Override the IHL nibble
+ * @param {number} [fields.version] - Override the version nibble
+ * @param {number} [fields.checksum] - Override the header checksum
+ * @returns {Buffer} Complete IPv4 packet
+ *
+ * @example
+ * const packet = build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 'udp', payload });
+ * const bogus = build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 6, ihl: 4, checksum: 0 });
+ */
+function build(fields = {}) {
+    const {
+        src,
+        dst,
+        protocol,
+        payload = Buffer.alloc(0),
+        ttl = 64,
+        id = Math.floor(Math.random() * 0x10000),
+        df = false,
+        mf = false,
+        fragmentOffset = 0,
+        dscp = 0,
+        ecn = 0,
+        options = []
+    } = fields;
+
+    if (protocol === undefined) {
+        throw new Error('IPv4 build needs a protocol (name or number)');
+    }
+
+    const flags = fields.flags !== undefined ? fields.flags : `${df ? 'df' : ''}${mf ? 'mf' : ''}`;
+    const packet = Encode(src, dst, 4, dscp, ecn, id, flags, fragmentOffset, ttl, protocol, options, payload);
+
+    if (fields.totalLength !== undefined) {
+        checkAndWrite16(packet, fields.totalLength, 2);
+    }
+    if (fields.ihl !== undefined) {
+        checkAndWrite8(packet, (packet[0] & 0xF0) | (fields.ihl & 0x0F), 0);
+    }
+    if (fields.version !== undefined) {
+        checkAndWrite8(packet, ((fields.version & 0x0F) << 4) | (packet[0] & 0x0F), 0);
+    }
+
+    const headerLength = packet.length - payload.length;
+    checkAndWrite16(packet, 0, 10);
+    checkAndWrite16(
+        packet,
+        fields.checksum !== undefined ? fields.checksum : onesComplementSum(packet.subarray(0, headerLength)),
+        10
+    );
+    return packet;
+}
+
+/**
+ * Decode an IPv4 header, its options and payload
  * @param {Buffer} packet - IPv4 packet buffer
- * @returns {Object} Decoded packet information
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @param {boolean} [options.verifyChecksum=true] - Set false for captures with checksum offload
+ * @returns {Object} Decoded packet information, parsed `options` and the `payload` slice
+ *                   (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, on truncated or malformed headers or a header checksum mismatch
  */
-function Decode(packet) {
-    if (!Buffer.isBuffer(packet) || packet.length < 20) {
-        throw new Error('Invalid packet: must be a Buffer with at least 20 bytes');
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
+
+    if (!Buffer.isBuffer(packet)) {
+        throw new TypeError('Invalid packet: must be a Buffer');
+    }
+    if (packet.length < 20) {
+        ctx.report(new TruncatedPacketError('Invalid packet: must be a Buffer with at least 20 bytes', {
+            layer: 'ipv4', field: 'header', offset: 0, expected: 20, actual: packet.length
+        }));
+        return ctx.finish({});
     }
 
     const versionIHL = checkAndRead8(packet, 0);
@@ -144,13 +242,19 @@ function Decode(packet) {
 
 
     if (version !== 4) {
-        throw new Error('Not an IPv4 packet');
+        ctx.report(new InvalidFieldError('Not an IPv4 packet', {
+            layer: 'ipv4', field: 'version', offset: 0, value: version
+        }));
     }
-    if (headerLength < 20 || headerLength > 60) {
-        throw new Error('Invalid IHL (header length)');
+    if (headerLength < 20) {
+        ctx.report(new InvalidFieldError('Invalid IHL (header length)', {
+            layer: 'ipv4', field: 'IHL', offset: 0, value: IHL
+        }));
     }
     if (packet.length < headerLength) {
-        throw new Error('Buffer shorter than header length');
+        ctx.report(new TruncatedPacketError('Buffer shorter than header length', {
+            layer: 'ipv4', field: 'options', offset: 20, expected: headerLength, actual: packet.length
+        }));
     }
 
 
@@ -160,8 +264,14 @@ function Decode(packet) {
 
     const totalLength = checkAndRead16(packet, 2);
 
-    if (totalLength < headerLength || totalLength > packet.length) {
-        throw new Error('Total-length field exceeds actual buffer');
+    if (totalLength < headerLength) {
+        ctx.report(new InvalidFieldError('Total-length field is smaller than header length', {
+            layer: 'ipv4', field: 'totalLength', offset: 2, value: totalLength
+        }));
+    } else if (totalLength > packet.length) {
+        ctx.report(new TruncatedPacketError('Total-length field exceeds actual buffer', {
+            layer: 'ipv4', field: 'totalLength', offset: 2, expected: totalLength, actual: packet.length
+        }));
     }
 
     const identification = checkAndRead16(packet, 4);
@@ -188,7 +298,29 @@ function Decode(packet) {
         checkAndRead8(packet, 19)
     ].join('.');
 
-    return {
+    // Header checksum covers the header only, as long as it is all present
+    let checksumValid = null;
+    let expectedChecksum = null;
+    if (ctx.options.verifyChecksum !== false && headerLength >= 20 && packet.length >= headerLength) {
+        expectedChecksum = Checksum.expectedChecksum(packet.subarray(0, headerLength), 10);
+        checksumValid = expectedChecksum === checksum;
+
+        if (!checksumValid) {
+            ctx.report(new ChecksumError(`Header checksum mismatch: expected ${expectedChecksum}, got ${checksum}`, {
+                layer: 'ipv4', field: 'checksum', offset: 10, expected: expectedChecksum, actual: checksum
+            }));
+        }
+    }
+
+    // Options and payload, as far as the buffer holds them
+    const available = Math.min(packet.length, Math.max(headerLength, 20));
+    // A header cut short is reported as truncated, not as a malformed option
+    const ipOptions = headerLength > 20
+        ? parseOptions(packet.subarray(20, available), packet.length >= headerLength ? ctx : undefined)
+        : [];
+    const payload = packet.subarray(available, Math.max(available, Math.min(totalLength, packet.length)));
+
+    return ctx.finish({
         version,
         IHL,
         headerLength,
@@ -204,11 +336,15 @@ function Decode(packet) {
         ttl,
         protocol,
         checksum,
+        checksumValid,
+        expectedChecksum,
         srcIp,
         destIp,
         hasOptions: IHL > 5,
-        optionsLength: headerLength - 20
-    };
+        optionsLength: Math.max(headerLength - 20, 0),
+        options: ipOptions,
+        payload
+    });
 }
 
 // Example usage
@@ -264,4 +400,4 @@ if (require.main === module) {
     console.log(Decode(packetWithOptions));
 }
 
-module.exports = { Encode, Decode };
\ No newline at end of file
+module.exports = { Encode, Decode, build, fragment, createReassembler, reassemble, POLICIES };
\ No newline at end of file
@@ -1,7 +1,8 @@
 // ipv4-test.js
 // Comprehensive test suite for IPv4 packet encoder
 
-const { Encode, Decode } = require('./ipv4');
+const { Encode, Decode, build, fragment, createReassembler, reassemble, POLICIES } = require('./ipv4');
+const Checksum = require('../checksum/checksum');
 
 let testCount = 0;
 let passedTests = 0;
@@ -511,7 +512,7 @@ try {
     const payload = Buffer.from('pad-test');
     const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 111, '', 0, 64, 'tcp',
         [{ type: 'RAW', data: opt }], payload);
-    const dec = Decode(pkt);
+    const dec = Decode(pkt, { mode: 'lenient' }); // 0x99 bytes are no valid option
     assertEqual(dec.IHL, 7, 'IHL 7 → 28-byte header (20 + 7 + 1 pad)');
     assertEqual(dec.optionsLength, 8, 'Reported options length includes pad');
 } catch (e) {
@@ -519,6 +520,346 @@ try {
     failedTests.push('Options padding');
 }
 
+// ===== Test 31: Decode Modes =====
+console.log('\n📝 Test 31: Decode Modes');
+try {
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'udp', [], Buffer.alloc(10));
+    const cut = pkt.subarray(0, 25);
+
+    let thrown = null;
+    try {
+        Decode(cut);
+    } catch (e) {
+        thrown = e;
+    }
+    assertEqual(thrown && thrown.name, 'TruncatedPacketError', 'Strict mode throws TruncatedPacketError');
+    assertEqual(thrown && thrown.field, 'totalLength', 'Error names total-length field');
+    assertEqual(thrown && thrown.offset, 2, 'Error carries field offset');
+
+    const dec = Decode(cut, { mode: 'lenient' });
+    assertEqual(dec.destIp, '10.0.0.2', 'Lenient mode still decodes header');
+    assertEqual(dec.anomalies.length, 1, 'One anomaly reported');
+    assertEqual(dec.anomalies[0].expected, 30, 'Anomaly carries expected length');
+
+    const v6 = Buffer.from(pkt);
+    v6[0] = 0x65;
+    assertEqual(Decode(v6, { mode: 'lenient' }).anomalies[0].field, 'version', 'Wrong version reported');
+    assert(Array.isArray(Decode(pkt, { mode: 'lenient' }).anomalies), 'Clean packet has empty anomalies list');
+} catch (e) {
+    console.log(`❌ FAIL: Decode modes - ${e.message}`);
+    failedTests.push('Decode modes');
+}
+
+// ===== Test 32: Header Checksum Verification =====
+console.log('\n📝 Test 32: Header Checksum Verification');
+try {
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'udp', [], Buffer.alloc(4));
+    assertEqual(Decode(pkt).checksumValid, true, 'Valid header checksum');
+    assertEqual(Decode(pkt).expectedChecksum, pkt.readUInt16BE(10), 'Expected checksum matches header');
+
+    const ttlRewritten = Buffer.from(pkt);
+    ttlRewritten[8] = 1;
+    const dec = Decode(ttlRewritten, { mode: 'lenient' });
+    assertEqual(dec.checksumValid, false, 'Stale checksum detected after TTL rewrite');
+    assertEqual(dec.anomalies[0].type, 'ChecksumError', 'Checksum anomaly reported');
+    assertThrows(() => Decode(ttlRewritten), 'Strict mode throws ChecksumError');
+    assertEqual(Decode(ttlRewritten, { verifyChecksum: false }).checksumValid, null, 'Verification can be skipped');
+} catch (e) {
+    console.log(`❌ FAIL: Header checksum verification - ${e.message}`);
+    failedTests.push('Header checksum verification');
+}
+
+// ===== Test 33: Fragmentation =====
+console.log('\n📝 Test 33: Fragmentation');
+try {
+    const payload = Buffer.from([...Array(100).keys()]);
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 4242, '', 0, 64, 'udp', [], payload);
+    const fragments = fragment(pkt, { mtu: 60 });
+
+    assertEqual(fragments.length, 3, 'MTU 60 splits 100 bytes into 3 fragments');
+    assert(fragments.every(f => f.length <= 60), 'Every fragment fits the MTU');
+    assert(fragments.every(f => Decode(f).checksumValid), 'Every fragment has a valid header checksum');
+    assertEqual(fragments.map(f => Decode(f).fragmentOffset).join(','), '0,5,10', 'Offsets in 8-byte units');
+    assertEqual(fragments.map(f => Decode(f).flags.MF).join(','), 'true,true,false', 'MF set on all but the last');
+    assert(fragments.every(f => Decode(f).identification === 4242), 'Identification kept');
+    assertBufferEqual(Buffer.concat(fragments.map(f => f.subarray(20))), payload, 'Pieces concatenate back to the payload');
+
+    const sized = fragment(pkt, { sizes: [16, 16], identification: 7, order: 'reverse' });
+    assertEqual(sized.map(f => Decode(f).totalLength).join(','), '88,36,36', 'Sizes plan with remainder, reversed');
+    assertEqual(Decode(sized[0]).identification, 7, 'Identification override');
+
+    assertThrows(() => fragment(pkt, { sizes: [12] }), 'Non-multiple-of-8 piece rejected');
+    const df = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, 'df', 0, 64, 'udp', [], payload);
+    assertThrows(() => fragment(df, { mtu: 60 }), 'DF packet refused');
+    assertEqual(Decode(fragment(df, { mtu: 60, ignoreDF: true })[0]).flags.DF, true, 'ignoreDF keeps DF set');
+
+    // Re-fragmenting a fragment keeps offsets relative to the datagram and the MF flag
+    const again = fragment(fragments[1], { sizes: [16] });
+    assertEqual(again.map(f => Decode(f).fragmentOffset).join(','), '5,7', 'Nested offsets follow the original');
+    assertEqual(Decode(again[1]).flags.MF, true, 'Last piece of a middle fragment keeps MF');
+} catch (e) {
+    console.log(`❌ FAIL: Fragmentation - ${e.message}`);
+    failedTests.push('Fragmentation');
+}
+
+// ===== Test 34: Options in Fragments =====
+console.log('\n📝 Test 34: Options in Fragments');
+try {
+    const options = [{ type: 'RR', length: 7 }, { type: 'LSRR', length: 7 }];
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 9, '', 0, 64, 'tcp', options, Buffer.alloc(64, 0xAA));
+    const [first, second] = fragment(pkt, { sizes: [32] });
+
+    assertEqual(Decode(first).headerLength, 36, 'First fragment carries every option');
+    assertEqual(Decode(second).headerLength, 28, 'Later fragments carry only copied options');
+    assertEqual(second[20], 131, 'LSRR (copied flag set) repeated');
+    assertEqual(Decode(second).checksumValid, true, 'Checksum covers the shorter header');
+
+    const packet = reassemble([second, first]);
+    assertBufferEqual(packet, pkt, 'Reassembly restores the original header and options');
+} catch (e) {
+    console.log(`❌ FAIL: Options in fragments - ${e.message}`);
+    failedTests.push('Options in fragments');
+}
+
+// ===== Test 35: Overlap Policies =====
+console.log('\n📝 Test 35: Overlap Policies');
+try {
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 77, '', 0, 64, 'udp', [], Buffer.alloc(40, 0x2E));
+    // Arrival order matters: each piece is compared with the bytes' current holder
+    const fragments = fragment(pkt, {
+        boundaries: [
+            { offset: 8, data: Buffer.alloc(16, 'A') },
+            { offset: 0, data: Buffer.alloc(16, 'B') },   // starts before A, does not cover it
+            { offset: 16, data: Buffer.alloc(16, 'C') },  // starts after A
+            { offset: 0, data: Buffer.alloc(24, 'E') },   // same offset as B and longer
+            { offset: 8, data: Buffer.alloc(8, 'F') }
+        ],
+        overlap: [{ offset: 32, data: Buffer.alloc(8, 'D'), more: false }]
+    });
+
+    const expected = { first: 'BAACD', last: 'EFECD', bsd: 'BBECD', linux: 'EEECD', windows: 'BEECD' };
+    for (const policy of POLICIES) {
+        const packet = reassemble(fragments, policy);
+        const view = packet.subarray(20).toString().match(/.{8}/g).map(block => block[0]).join('');
+        assertEqual(view, expected[policy], `${policy} policy view`);
+        assertEqual(Decode(packet).checksumValid, true, `${policy} reassembled checksum valid`);
+    }
+
+    const reassembler = createReassembler({ policy: 'bsd' });
+    reassembler.push(fragments[0], 0);
+    const result = reassembler.push(fragments[1], 0);
+    assertEqual(result.overlaps.length, 1, 'Overlap reported');
+    assertEqual(result.overlaps[0].offset, 8, 'Overlap offset');
+    assertEqual(result.overlaps[0].length, 8, 'Overlap length');
+    assertEqual(result.overlaps[0].winner, 'incoming', 'BSD favours a fragment starting earlier');
+    assertThrows(() => createReassembler({ policy: 'solaris' }), 'Unknown policy rejected');
+} catch (e) {
+    console.log(`❌ FAIL: Overlap policies - ${e.message}`);
+    failedTests.push('Overlap policies');
+}
+
+// ===== Test 36: Reassembler Bookkeeping =====
+console.log('\n📝 Test 36: Reassembler Bookkeeping');
+try {
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 100, '', 0, 64, 'tcp', [], Buffer.alloc(48, 0x11));
+    const [a, b, c] = fragment(pkt, { sizes: [16, 16] });
+    const reassembler = createReassembler({ timeout: 1000 });
+
+    assertEqual(reassembler.push(pkt, 0).status, 'unfragmented', 'Whole packet passes through');
+    assertEqual(reassembler.push(c, 0).status, 'pending', 'Last fragment first is pending');
+    assertEqual(reassembler.pending()[0], '10.0.0.1|10.0.0.2|6|100', 'Key is src|dst|protocol|id');
+    assertEqual(reassembler.push(c, 0).status, 'duplicate', 'Duplicate ignored');
+    assertEqual(reassembler.push(a, 0).status, 'pending', 'Gap still open');
+
+    const done = reassembler.push(b, 0);
+    assertEqual(done.status, 'complete', 'Datagram complete');
+    assertEqual(done.fragments, 3, 'Fragment count');
+    assertBufferEqual(done.packet, pkt, 'Reassembled packet identical to the original');
+    assertEqual(reassembler.pending().length, 0, 'Nothing left pending');
+
+    const odd = Buffer.from(a);
+    odd.writeUInt16BE(odd.readUInt16BE(2) - 4, 2);
+    assertEqual(reassembler.push(odd.subarray(0, odd.length - 4), 0).status, 'invalid', 'MF fragment not a multiple of 8 rejected');
+    assertEqual(reassembler.push(Buffer.alloc(10), 0).reason, 'Packet too short for an IPv4 header', 'Truncated packet reported as invalid');
+    const notIPv4 = Buffer.from(a);
+    notIPv4[0] = 0x65;
+    assertEqual(reassembler.push(notIPv4, 0).status, 'invalid', 'Non-IPv4 packet reported as invalid');
+
+    reassembler.push(a, 0);
+    const expired = reassembler.expire(1000);
+    assertEqual(expired.length, 1, 'Incomplete datagram expires');
+    assertEqual(expired[0].firstFragmentReceived, true, 'First fragment was received');
+
+    const other = fragment(pkt, { sizes: [16, 16], identification: 101 });
+    assertEqual(reassemble([other[0], other[2]]), null, 'Incomplete datagram gives null');
+} catch (e) {
+    console.log(`❌ FAIL: Reassembler bookkeeping - ${e.message}`);
+    failedTests.push('Reassembler bookkeeping');
+}
+
+// ===== Test 37: Option Decoding =====
+console.log('\n📝 Test 37: Option Decoding');
+try {
+    const payload = Buffer.from('reply');
+    const rr = Buffer.from([7, 11, 8, 10, 0, 0, 1, 0, 0, 0, 0]);
+    const ts = Buffer.from([68, 20, 13, 0x21, 10, 0, 0, 1, 0, 0, 0x30, 0x39, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const pkt = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'icmp',
+        [{ type: 'RAW', data: rr }, { type: 'NOP' }, { type: 'RAW', data: ts }], payload);
+    const dec = Decode(pkt);
+
+    assertEqual(dec.options.length, 3, 'RR, NOP and TS parsed');
+    assertEqual(dec.options[0].name, 'RR', 'Record Route name');
+    assertEqual(dec.options[0].copied, false, 'RR copied bit clear');
+    assertEqual(dec.options[0].number, 7, 'RR option number');
+    assertEqual(dec.options[0].pointer, 8, 'RR pointer');
+    assertEqual(dec.options[0].addresses.length, 2, 'RR has two slots');
+    assertEqual(dec.options[0].recorded.join(','), '10.0.0.1', 'Only slots before the pointer are recorded');
+    assertEqual(dec.options[1].name, 'NOP', 'NOP kept in order');
+
+    const stamp = dec.options[2];
+    assertEqual(stamp.name, 'TS', 'Timestamp name');
+    assertEqual(stamp.class, 2, 'Timestamp is class 2 (debugging)');
+    assertEqual(stamp.overflow, 2, 'Overflow counter');
+    assertEqual(stamp.flag, 1, 'Address + timestamp flag');
+    assertEqual(stamp.entries.length, 1, 'One entry recorded');
+    assertEqual(stamp.entries[0].address, '10.0.0.1', 'Entry address');
+    assertEqual(stamp.entries[0].timestamp, 12345, 'Entry timestamp');
+
+    assertBufferEqual(dec.payload, payload, 'Payload slice returned');
+
+    const lsrr = Decode(Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'tcp', [{ type: 'LSRR', length: 7 }], payload));
+    assertEqual(lsrr.options[0].copied, true, 'LSRR copied bit set');
+    assertEqual(lsrr.options[0].class, 0, 'LSRR class 0 (control)');
+    assertEqual(lsrr.options[0].number, 3, 'LSRR option number');
+    assertEqual(lsrr.options[0].recorded.length, 0, 'Fresh LSRR has nothing recorded');
+    assertEqual(lsrr.options[1].name, 'EOL', 'Padding byte reads as EOL');
+    assertEqual(Decode(Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'tcp', [], payload)).options.length, 0, 'No options gives an empty list');
+
+    // Option length running past the header: header fields still decode
+    const broken = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'tcp', [{ type: 'RR', length: 7 }], payload);
+    broken[21] = 12;
+    const garbled = Decode(broken, { verifyChecksum: false, mode: 'lenient' });
+    assertEqual(garbled.options.length, 1, 'Malformed option ends the list');
+    assertEqual(garbled.options[0].malformed, true, 'Malformed option flagged');
+    assertEqual(garbled.options[0].length, 8, 'Remaining option bytes kept');
+    assertBufferEqual(garbled.payload, payload, 'Payload still returned');
+    assertEqual(garbled.anomalies.length, 1, 'Malformed option reported');
+    assertEqual(garbled.anomalies[0].type, 'InvalidFieldError', 'Malformed option is an InvalidFieldError');
+    assertEqual(garbled.anomalies[0].field + '@' + garbled.anomalies[0].offset, 'options@20', 'Malformed option located');
+    assertThrows(() => Decode(broken, { verifyChecksum: false }), 'Strict mode rejects a malformed option');
+
+    const tooShort = Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'tcp', [{ type: 'NOP' }, { type: 'RR', length: 7 }], payload);
+    tooShort[22] = 1;
+    const shortOption = Decode(tooShort, { verifyChecksum: false, mode: 'lenient' });
+    assertEqual(shortOption.anomalies.length === 1 && shortOption.anomalies[0].offset, 21, 'Option length below 2 reported at its offset');
+} catch (e) {
+    console.log(`❌ FAIL: Option decoding - ${e.message}`);
+    failedTests.push('Option decoding');
+}
+
+// ===== Test 38: Populated Option Builders =====
+console.log('\n📝 Test 38: Populated Option Builders');
+try {
+    const payload = Buffer.from('opts');
+    const encode = options => Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'udp', options, payload);
+
+    const lsrr = Decode(encode([{ type: 'LSRR', addresses: ['10.0.0.254', '192.0.2.1'] }])).options[0];
+    assertEqual(lsrr.length, 11, 'LSRR sized for its hops');
+    assertEqual(lsrr.pointer, 4, 'LSRR pointer at the first hop');
+    assertEqual(lsrr.addresses.join(','), '10.0.0.254,192.0.2.1', 'LSRR hops written');
+
+    const ssrr = Decode(encode([{ type: 'SSRR', addresses: ['192.0.2.1'], pointer: 8 }])).options[0];
+    assertEqual(ssrr.name, 'SSRR', 'SSRR built');
+    assertEqual(ssrr.pointer, 8, 'Pointer override');
+
+    const rr = Decode(encode([{ type: 'RR', length: 15, addresses: ['198.51.100.1'] }])).options[0];
+    assertEqual(rr.recorded.join(','), '198.51.100.1', 'RR addresses count as recorded');
+    assertEqual(rr.addresses.length, 3, 'RR keeps free slots');
+
+    const prespecified = Decode(encode([{ type: 'TS', flag: 3, addresses: ['10.0.0.1', '10.0.0.2'] }])).options[0];
+    assertEqual(prespecified.length, 20, 'TS flag 3 sized for the addresses');
+    assertEqual(prespecified.flag, 3, 'TS flag 3');
+    assertEqual(prespecified.addresses.join(','), '10.0.0.1,10.0.0.2', 'Prespecified addresses written');
+    assertEqual(prespecified.entries.length, 0, 'No timestamps yet');
+
+    assertEqual(Decode(encode([{ type: 'TS', flag: 1, slots: 3 }])).options[0].length, 28, 'TS flag 1 uses 8-byte slots');
+    assertEqual(Decode(encode([{ type: 'TS', overflow: 2 }])).options[0].overflow, 2, 'TS overflow written');
+    assertEqual(Decode(encode([{ type: 'TS', flags: 0x11 }])).options[0].length, 12, 'Legacy flags byte keeps the old default length');
+
+    const misc = Decode(encode([
+        { type: 'RTRALT' },
+        { type: 'SID', streamId: 0xBEEF },
+        { type: 'SEC', classification: 0x3D, protectionAuthority: [0x80] },
+        { type: 'CIPSO', doi: 3, tags: [{ type: 1, data: [0, 0, 5, 0x80] }] }
+    ])).options;
+    assertEqual(misc[0].name, 'RTRALT', 'Router Alert built');
+    assertEqual(misc[0].value, 0, 'Router Alert value');
+    assertEqual(misc[0].copied, true, 'Router Alert copied bit set');
+    assertEqual(misc[1].streamId, 0xBEEF, 'Stream ID');
+    assertEqual(misc[2].classification, 0x3D, 'Security classification');
+    assertBufferEqual(misc[2].protectionAuthority, Buffer.from([0x80]), 'Protection authority flags');
+    assertEqual(misc[3].doi, 3, 'CIPSO domain of interpretation');
+    assertEqual(misc[3].tags[0].type, 1, 'CIPSO tag type');
+    assertEqual(misc[3].tags[0].data.length, 4, 'CIPSO tag data');
+
+    assertThrows(() => encode([{ type: 'TS', flag: 2 }]), 'TS flag 2 rejected');
+    assertThrows(() => encode([{ type: 'TS', flag: 3 }]), 'TS flag 3 without addresses rejected');
+    assertThrows(() => encode([{ type: 'LSRR', length: 7, addresses: ['10.0.0.1', '10.0.0.2'] }]), 'Too many hops for the length rejected');
+    assertThrows(() => encode([{ type: 'LSRR', addresses: ['10.0.0.300'] }]), 'Invalid hop address rejected');
+    assertThrows(() => encode([{ type: 'RR', length: 39 }, { type: 'NOP' }, { type: 'NOP' }]), 'Options pushing IHL past 15 rejected');
+    assertThrows(() => encode([{ type: 'SID' }]), 'Stream ID required');
+    assertEqual(Decode(encode([{ type: 'LSRR', length: 39, addresses: ['10.0.0.1'] }])).IHL, 15, 'Largest route option fits IHL 15');
+} catch (e) {
+    console.log(`❌ FAIL: Populated option builders - ${e.message}`);
+    failedTests.push('Populated option builders');
+}
+
+// ===== Test 39: Object-style Build =====
+console.log('\n📝 Test 39: Object-style Build');
+try {
+    const payload = Buffer.from('built');
+    const pkt = build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 'udp', payload });
+    const dec = Decode(pkt);
+
+    assertEqual(dec.ttl, 64, 'TTL defaults to 64');
+    assertEqual(dec.flags.DF, false, 'DF off by default');
+    assertEqual(dec.protocol, 17, 'Protocol name accepted');
+    assertEqual(dec.checksumValid, true, 'Checksum computed');
+    assertBufferEqual(dec.payload, payload, 'Payload carried');
+    assertBufferEqual(pkt, Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, dec.identification, '', 0, 64, 'udp', [], payload), 'Same bytes as Encode');
+
+    const ids = new Set(Array.from({ length: 20 }, () => Decode(build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 6 })).identification));
+    assert(ids.size > 1, 'Identification is random by default');
+
+    const full = Decode(build({
+        src: '10.0.0.1', dst: '10.0.0.2', protocol: 47, ttl: 3, id: 99, df: true, mf: true,
+        fragmentOffset: 2, dscp: 46, ecn: 1, options: [{ type: 'RTRALT' }]
+    }));
+    assertEqual(full.protocol, 47, 'Numeric protocol accepted');
+    assertEqual(full.identification, 99, 'Explicit identification');
+    assertEqual(full.flags.DF && full.flags.MF, true, 'df and mf booleans');
+    assertEqual(full.fragmentOffset, 2, 'Fragment offset');
+    assertEqual(full.DSCP, 46, 'DSCP');
+    assertEqual(full.options[0].name, 'RTRALT', 'Options passed through');
+    assertEqual(Decode(build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 'tcp', flags: 'df' })).flags.DF, true, 'Flags string accepted');
+
+    // Overrides for malformed packets
+    const bogus = build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 'tcp', payload, totalLength: 1000, ihl: 6 });
+    const lenient = Decode(bogus, { mode: 'lenient', verifyChecksum: false });
+    assertEqual(lenient.totalLength, 1000, 'Total length override');
+    assertEqual(lenient.IHL, 6, 'IHL override');
+    assertEqual(Checksum.expectedChecksum(bogus.subarray(0, 20), 10), bogus.readUInt16BE(10), 'Checksum covers the real header after overrides');
+    assertEqual(build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 'tcp', checksum: 0xBEEF }).readUInt16BE(10), 0xBEEF, 'Checksum override');
+    assertEqual(build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 'tcp', version: 6 })[0] >> 4, 6, 'Version override');
+
+    assertThrows(() => build({ src: '10.0.0.1', dst: '10.0.0.2' }), 'Protocol required');
+    assertThrows(() => build({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 256 }), 'Protocol number out of range rejected');
+    assertThrows(() => build({ src: '10.0.0.1', protocol: 'tcp' }), 'Destination required');
+} catch (e) {
+    console.log(`❌ FAIL: Object-style build - ${e.message}`);
+    failedTests.push('Object-style build');
+}
+
 // ===== Test Results Summary =====
 console.log('\n📊 Test Results Summary');
 console.log('='.repeat(50));
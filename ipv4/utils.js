@@ -1,10 +1,56 @@
 // ipv4-utils.js
 // Utility functions for IPv4 packet encoding
 
+const { checksum } = require('../checksum/checksum');
+const { InvalidFieldError } = require('../errors');
+
+// Option type octet (RFC 791 §3.1):
+// ┌────────┬─────────┬──────────────────┐
+// │ copied │  class  │      number      │
+// │ 1 bit  │ 2 bits  │      5 bits      │
+// └────────┴─────────┴──────────────────┘
+const OPTION_TYPES = {
+    EOL: 0,
+    NOP: 1,
+    RR: 7,
+    MTUP: 11,
+    MTUR: 12,
+    QS: 25,
+    TS: 68,
+    TR: 82,
+    SEC: 130,
+    LSRR: 131,
+    ESEC: 133,
+    CIPSO: 134,
+    SID: 136,
+    SSRR: 137,
+    RTRALT: 148
+};
+
+const OPTION_NAMES = Object.fromEntries(Object.entries(OPTION_TYPES).map(([name, type]) => [type, name]));
+
 /**
  * Process IPv4 options into a properly formatted and padded buffer
+ *
+ * Supported option objects:
+ *   { type: 'EOL' } / { type: 'NOP' }
+ *   { type: 'RR', length?, addresses?, pointer? }        addresses are already recorded hops
+ *   { type: 'LSRR' | 'SSRR', length?, addresses?, pointer? }   addresses are the hops to visit
+ *   { type: 'TS', flag?: 0 | 1 | 3, length?, slots?, addresses?, overflow?, pointer? }
+ *   { type: 'RTRALT', value? }                            Router Alert (RFC 2113)
+ *   { type: 'SEC', classification, protectionAuthority? } Basic Security (RFC 1108)
+ *   { type: 'ESEC', format, data? }                       Extended Security (RFC 1108)
+ *   { type: 'CIPSO', doi, tags? }                         Commercial IP Security Option
+ *   { type: 'SID', streamId }                             Stream ID (RFC 791)
+ *   { type: 'RAW', data }
+ *
  * @param {Array} options - Array of option objects with type and optional data
  * @returns {Buffer} Padded options buffer
+ * @throws {Error} If an option is invalid or the options push IHL past 15
+ *
+ * @example
+ * processOptions([{ type: 'LSRR', addresses: ['10.0.0.254', '192.0.2.1'] }]);
+ * processOptions([{ type: 'TS', flag: 3, addresses: ['10.0.0.1', '10.0.0.2'] }]);
  */
 function processOptions(options) {
     if (!options || options.length === 0) return Buffer.alloc(0);
@@ -16,58 +62,52 @@ function processOptions(options) {
             break; // EOL terminates all options
         } else if (opt.type === 'NOP') {
             buffers.push(Buffer.from([1]));
-        } else if (opt.type === 'RR') {
-            const length = opt.length || 7;
-
-            // Validate RR length: must be 7, 11, 15, 19, 23, 27, 31, 35, or 39
-            if (length < 7 || length > 39 || (length - 3) % 4 !== 0) {
-                throw new Error(`Invalid RR length: ${length}. Must be 3 + 4n where 1 <= n <= 9`);
-            }
-
-            const buf = Buffer.alloc(length);
-            buf[0] = 7;      // Type: Record Route
-            buf[1] = length; // Length
-            buf[2] = 4;      // Pointer (starts after header)
+        } else if (opt.type === 'RR' || opt.type === 'LSRR' || opt.type === 'SSRR') {
+            buffers.push(routeOption(opt));
+        } else if (opt.type === 'TS') {
+            buffers.push(timestampOption(opt));
+        } else if (opt.type === 'RTRALT') {
+            // Router Alert: 0 = every router should examine the packet
+            const buf = Buffer.alloc(4);
+            buf[0] = OPTION_TYPES.RTRALT;
+            buf[1] = 4;
+            buf.writeUInt16BE(checkUInt16(opt.value || 0, 'Router Alert value'), 2);
             buffers.push(buf);
-        } else if (opt.type === 'LSRR') {
-            // Loose Source and Record Route
-            const length = opt.length || 7;
-
-            if (length < 7 || length > 39 || (length - 3) % 4 !== 0) {
-                throw new Error(`Invalid LSRR length: ${length}. Must be 3 + 4n where 1 <= n <= 9`);
+        } else if (opt.type === 'SEC') {
+            // Basic Security: classification level plus protection authority flag bytes
+            const authority = toBytes(opt.protectionAuthority, 'SEC protection authority');
+            if (!Number.isInteger(opt.classification) || opt.classification < 0 || opt.classification > 255) {
+                throw new Error('SEC classification must be 0-255');
             }
-
-            const buf = Buffer.alloc(length);
-            buf[0] = 131;    // Type: LSRR
-            buf[1] = length; // Length
-            buf[2] = 4;      // Pointer
-            buffers.push(buf);
-        } else if (opt.type === 'SSRR') {
-            // Strict Source and Record Route
-            const length = opt.length || 7;
-
-            if (length < 7 || length > 39 || (length - 3) % 4 !== 0) {
-                throw new Error(`Invalid SSRR length: ${length}. Must be 3 + 4n where 1 <= n <= 9`);
+            buffers.push(Buffer.concat([Buffer.from([OPTION_TYPES.SEC, 3 + authority.length, opt.classification]), authority]));
+        } else if (opt.type === 'ESEC') {
+            // Extended Security: additional security info format code plus its data
+            const data = toBytes(opt.data, 'ESEC data');
+            if (!Number.isInteger(opt.format) || opt.format < 0 || opt.format > 255) {
+                throw new Error('ESEC format code must be 0-255');
             }
-
-            const buf = Buffer.alloc(length);
-            buf[0] = 137;    // Type: SSRR
-            buf[1] = length; // Length
-            buf[2] = 4;      // Pointer
-            buffers.push(buf);
-        } else if (opt.type === 'TS') {
-            // Timestamp option
-            const length = opt.length || 12;
-
-            if (length < 8 || length > 40 || length % 4 !== 0) {
-                throw new Error(`Invalid TS length: ${length}. Must be multiple of 4, between 8-40`);
+            buffers.push(Buffer.concat([Buffer.from([OPTION_TYPES.ESEC, 3 + data.length, opt.format]), data]));
+        } else if (opt.type === 'CIPSO') {
+            // CIPSO: 32-bit domain of interpretation followed by tags
+            const tags = Array.isArray(opt.tags)
+                ? Buffer.concat(opt.tags.map(tag => {
+                    const data = toBytes(tag.data, 'CIPSO tag data');
+                    return Buffer.concat([Buffer.from([tag.type, data.length + 2]), data]);
+                }))
+                : toBytes(opt.tags, 'CIPSO tags');
+            if (!Number.isInteger(opt.doi) || opt.doi < 1 || opt.doi > 0xFFFFFFFF) {
+                throw new Error('CIPSO domain of interpretation must be 1-4294967295');
             }
-
-            const buf = Buffer.alloc(length);
-            buf[0] = 68;     // Type: Timestamp
-            buf[1] = length; // Length
-            buf[2] = 5;      // Pointer
-            buf[3] = opt.flags || 0; // Overflow counter and flags
+            const buf = Buffer.alloc(6);
+            buf[0] = OPTION_TYPES.CIPSO;
+            buf[1] = 6 + tags.length;
+            buf.writeUInt32BE(opt.doi, 2);
+            buffers.push(Buffer.concat([buf, tags]));
+        } else if (opt.type === 'SID') {
+            const buf = Buffer.alloc(4);
+            buf[0] = OPTION_TYPES.SID;
+            buf[1] = 4;
+            buf.writeUInt16BE(checkUInt16(opt.streamId, 'Stream ID'), 2);
             buffers.push(buf);
         } else if (opt.type === 'RAW') {
             if (!Buffer.isBuffer(opt.data)) {
@@ -83,24 +123,110 @@ function processOptions(options) {
 
     let optionBuffer = Buffer.concat(buffers);
 
-    if (optionBuffer.length > 40) {
-        throw new Error('Total options length exceeds maximum (40 bytes)');
-    }
-
     // Pad to 4-byte boundary
     const padding = (4 - (optionBuffer.length % 4)) % 4;
     if (padding > 0) {
         optionBuffer = Buffer.concat([optionBuffer, Buffer.alloc(padding)]);
     }
 
-    // Validate total options length
+    // IHL is 4 bits: the header tops out at 15 words, leaving 40 bytes of options
     if (optionBuffer.length > 40) {
-        throw new Error('Total options length exceeds maximum (40 bytes)');
+        throw new Error(`Total options length exceeds maximum (40 bytes): ${optionBuffer.length} bytes would make IHL ${5 + optionBuffer.length / 4}`);
     }
 
     return optionBuffer;
 }
 
+/**
+ * Build a Record Route, Loose or Strict Source Route option
+ *
+ * RR starts with its pointer after the supplied (already recorded)
+ * addresses; LSRR/SSRR start at the first hop.
+ */
+function routeOption(opt) {
+    const addresses = opt.addresses || [];
+    const slots = Math.max(addresses.length, 1);
+    const length = opt.length || 3 + 4 * slots;
+
+    if (length < 7 || length > 39 || (length - 3) % 4 !== 0) {
+        throw new Error(`Invalid ${opt.type} length: ${length}. Must be 3 + 4n where 1 <= n <= 9`);
+    }
+    if (3 + 4 * addresses.length > length) {
+        throw new Error(`${opt.type} with length ${length} has room for ${(length - 3) / 4} addresses, got ${addresses.length}`);
+    }
+
+    const buf = Buffer.alloc(length);
+    buf[0] = OPTION_TYPES[opt.type];
+    buf[1] = length;
+    buf[2] = opt.pointer !== undefined ? opt.pointer : 4 + (opt.type === 'RR' ? 4 * addresses.length : 0);
+    addresses.forEach((address, i) => {
+        buf.writeUInt32BE(processIP(address), 3 + 4 * i);
+    });
+    return buf;
+}
+
+/**
+ * Build a Timestamp option
+ *
+ * flag 0 → timestamps only, flag 1 → each router records address + timestamp,
+ * flag 3 → only the prespecified `addresses` record a timestamp.
+ * Without `flag`, the legacy `flags` byte (overflow << 4 | flag) is used as is.
+ */
+function timestampOption(opt) {
+    const legacy = opt.flag === undefined && opt.flags !== undefined;
+    const flag = legacy ? opt.flags & 0x0F : opt.flag || 0;
+    const overflow = legacy ? opt.flags >> 4 : opt.overflow || 0;
+    const addresses = opt.addresses || [];
+
+    if (!legacy && ![0, 1, 3].includes(flag)) {
+        throw new Error(`Invalid TS flag: ${flag}. Must be 0 (timestamps), 1 (address + timestamp) or 3 (prespecified)`);
+    }
+    if (overflow < 0 || overflow > 15) {
+        throw new Error('TS overflow must be 0-15');
+    }
+    if (flag === 3 && addresses.length === 0 && !legacy) {
+        throw new Error('TS flag 3 needs prespecified addresses');
+    }
+    if (flag !== 3 && addresses.length > 0) {
+        throw new Error('TS addresses are only used with flag 3');
+    }
+
+    const entrySize = flag === 0 ? 4 : 8;
+    const slots = flag === 3 ? addresses.length : opt.slots || 2;
+    const length = opt.length || (legacy ? 12 : 4 + entrySize * slots);
+
+    if (length < 8 || length > 40 || length % 4 !== 0) {
+        throw new Error(`Invalid TS length: ${length}. Must be multiple of 4, between 8-40`);
+    }
+    if (4 + 8 * addresses.length > length) {
+        throw new Error(`TS with length ${length} has room for ${Math.floor((length - 4) / 8)} addresses, got ${addresses.length}`);
+    }
+
+    const buf = Buffer.alloc(length);
+    buf[0] = OPTION_TYPES.TS;
+    buf[1] = length;
+    buf[2] = opt.pointer !== undefined ? opt.pointer : 5;
+    buf[3] = (overflow << 4) | flag;
+    addresses.forEach((address, i) => {
+        buf.writeUInt32BE(processIP(address), 4 + 8 * i);
+    });
+    return buf;
+}
+
+function checkUInt16(value, name) {
+    if (!Number.isInteger(value) || value < 0 || value > 0xFFFF) {
+        throw new Error(`${name} must be 0-65535`);
+    }
+    return value;
+}
+
+function toBytes(value, name) {
+    if (value === undefined) return Buffer.alloc(0);
+    if (Buffer.isBuffer(value)) return value;
+    if (Array.isArray(value)) return Buffer.from(value);
+    throw new Error(`${name} must be a Buffer or byte array`);
+}
+
 /**
  * Process flags and fragment offset into a single 16-bit value
  * @param {string} flags - Flags string (can contain 'df', 'mf')
@@ -131,10 +257,17 @@ function processFlagsAndOffset(flags, offset) {
 
 /**
  * Convert protocol name to protocol number
- * @param {string} protocol - Protocol name (e.g., 'tcp', 'udp')
+ * @param {string|number} protocol - Protocol name (e.g., 'tcp', 'udp') or number (0-255)
  * @returns {number} Protocol number
  */
 function processProtocol(protocol) {
+    if (typeof protocol === 'number') {
+        if (!Number.isInteger(protocol) || protocol < 0 || protocol > 255) {
+            throw new Error(`Invalid protocol number: ${protocol}. Must be 0-255`);
+        }
+        return protocol;
+    }
+
     const protocols = {
         icmp: 1,
         igmp: 2,
@@ -159,30 +292,11 @@ function processProtocol(protocol) {
 
 /**
  * Calculate one's complement checksum for IPv4 header
- * @param {Buffer} packet - Packet buffer to calculate checksum for
+ * @param {...Buffer} segments - Header bytes (checksum field zeroed), optionally split in parts
  * @returns {number} 16-bit checksum value
  */
-function onesComplementSum(packet) {
-    let sum = 0;
-
-    // Process 16-bit words
-    for (let i = 0; i < packet.length; i += 2) {
-        let word;
-        if (i + 1 < packet.length) {
-            word = (packet[i] << 8) | packet[i + 1];
-        } else {
-            word = packet[i] << 8; // Pad last byte with zero
-        }
-
-        sum += word;
-
-        // Fold carries
-        while (sum > 0xFFFF) {
-            sum = (sum & 0xFFFF) + (sum >>> 16);
-        }
-    }
-
-    return ~sum & 0xFFFF;
+function onesComplementSum(...segments) {
+    return checksum(...segments);
 }
 
 /**
@@ -214,6 +328,136 @@ function processIP(ip) {
     return ((numBytes[0] << 24) | (numBytes[1] << 16) | (numBytes[2] << 8) | numBytes[3]) >>> 0;
 }
 
+/**
+ * Parse the options area of an IPv4 header
+ *
+ * An option whose length is invalid or runs past the header ends the list
+ * as one entry with `malformed: true` holding the remaining bytes, and is
+ * reported to the decode context (which throws in strict mode).
+ *
+ * @param {Buffer} data - Option bytes (header bytes 20 to IHL * 4)
+ * @param {Object} [ctx] - Decode context to report malformed options to
+ * @returns {Object[]} Parsed options; route options carry `addresses`/`recorded`,
+ *                     timestamps carry `overflow`, `flag` and `entries`
+ */
+function parseOptions(data, ctx) {
+    const options = [];
+    let i = 0;
+
+    while (i < data.length) {
+        const type = data[i];
+        const bits = {
+            type,
+            name: OPTION_NAMES[type] || 'Unknown',
+            copied: (type & 0x80) !== 0,
+            class: (type >> 5) & 0x03,
+            number: type & 0x1F
+        };
+
+        if (type === OPTION_TYPES.EOL || type === OPTION_TYPES.NOP) {
+            options.push({ ...bits, length: 1 });
+            i += 1;
+            if (type === OPTION_TYPES.EOL) {
+                break; // The rest is padding
+            }
+            continue;
+        }
+
+        const length = data[i + 1];
+        if (length === undefined || length < 2 || i + length > data.length) {
+            // Unparseable from here on; hand back the rest so nothing is lost
+            options.push({ ...bits, length: data.length - i, data: data.subarray(i), malformed: true });
+            if (ctx) {
+                const problem = length === undefined || length < 2
+                    ? `length ${length === undefined ? 'missing' : length} is below 2`
+                    : `length ${length} runs past the header`;
+                ctx.report(new InvalidFieldError(`Option ${bits.name} (type ${type}) ${problem}`, {
+                    layer: 'ipv4', field: 'options', offset: 20 + i, value: type
+                }));
+            }
+            break;
+        }
+
+        const raw = data.subarray(i, i + length);
+        options.push({ ...bits, length, data: raw.subarray(2), ...parseOptionValue(type, raw) });
+        i += length;
+    }
+
+    return options;
+}
+
+/**
+ * Decode the fields of the options we know the layout of
+ */
+function parseOptionValue(type, raw) {
+    switch (type) {
+        case OPTION_TYPES.RR:
+        case OPTION_TYPES.LSRR:
+        case OPTION_TYPES.SSRR: {
+            if (raw.length < 3) {
+                return {};
+            }
+            // The pointer is 1-based from the option start; slots before it are filled
+            const pointer = raw[2];
+            const addresses = [];
+            for (let j = 3; j + 4 <= raw.length; j += 4) {
+                addresses.push([...raw.subarray(j, j + 4)].join('.'));
+            }
+            const filled = Math.max(0, Math.min(addresses.length, Math.floor((pointer - 4) / 4)));
+            return { pointer, addresses, recorded: addresses.slice(0, filled) };
+        }
+        case OPTION_TYPES.TS: {
+            if (raw.length < 4) {
+                return {};
+            }
+            const pointer = raw[2];
+            const overflow = raw[3] >> 4;
+            const flag = raw[3] & 0x0F;
+            const withAddress = flag === 1 || flag === 3;
+            const size = withAddress ? 8 : 4;
+            const entries = [];
+
+            for (let j = 4; j + size <= raw.length && j + size < pointer; j += size) {
+                entries.push(withAddress
+                    ? { address: [...raw.subarray(j, j + 4)].join('.'), timestamp: raw.readUInt32BE(j + 4) }
+                    : { timestamp: raw.readUInt32BE(j) });
+            }
+            const output = { pointer, overflow, flag, entries };
+            if (flag === 3) {
+                // Prespecified addresses, including those not reached yet
+                output.addresses = [];
+                for (let j = 4; j + 8 <= raw.length; j += 8) {
+                    output.addresses.push([...raw.subarray(j, j + 4)].join('.'));
+                }
+            }
+            return output;
+        }
+        case OPTION_TYPES.SEC:
+            return raw.length >= 3 ? { classification: raw[2], protectionAuthority: raw.subarray(3) } : {};
+        case OPTION_TYPES.ESEC:
+            return raw.length >= 3 ? { format: raw[2] } : {};
+        case OPTION_TYPES.CIPSO: {
+            if (raw.length < 6) {
+                return {};
+            }
+            const tags = [];
+            for (let j = 6; j + 2 <= raw.length && raw[j + 1] >= 2 && j + raw[j + 1] <= raw.length; j += raw[j + 1]) {
+                tags.push({ type: raw[j], data: raw.subarray(j + 2, j + raw[j + 1]) });
+            }
+            return { doi: raw.readUInt32BE(2), tags };
+        }
+        case OPTION_TYPES.SID:
+            return raw.length === 4 ? { streamId: raw.readUInt16BE(2) } : {};
+        case OPTION_TYPES.RTRALT:
+            return raw.length === 4 ? { value: raw.readUInt16BE(2) } : {};
+        case OPTION_TYPES.MTUP:
+        case OPTION_TYPES.MTUR:
+            return raw.length === 4 ? { mtu: raw.readUInt16BE(2) } : {};
+        default:
+            return {};
+    }
+}
+
 /**
  * Validate all encoding parameters
  * @param {Object} params - Object containing all encoding parameters
@@ -252,7 +496,9 @@ function validateParameters(params) {
 }
 
 module.exports = {
+    OPTION_TYPES,
     processOptions,
+    parseOptions,
     processFlagsAndOffset,
     processProtocol,
     onesComplementSum,
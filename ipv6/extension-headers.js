@@ -0,0 +1,661 @@
+// extension-headers.js
+// IPv6 extension header builders and chain parser (RFC 8200, RFC 8754, RFC 4302, RFC 4303)
+//
+// Every extension header starts with the protocol number of the header that
+// follows it, so a chain is built from the inside out:
+//
+//   IPv6 (nextHeader 0) → Hop-by-Hop (43) → Routing (44) → Fragment (6) → TCP
+//
+// Hop-by-Hop / Destination Options:
+// ┌─────────────┬─────────────┬───────────────────────────┐
+// │ Next Header │ Hdr Ext Len │ Options (TLVs, padded)    │
+// └─────────────┴─────────────┴───────────────────────────┘
+//
+// Routing:
+// ┌─────────────┬─────────────┬──────────────┬───────────────┐
+// │ Next Header │ Hdr Ext Len │ Routing Type │ Segments Left │
+// ├─────────────┴─────────────┴──────────────┴───────────────┤
+// │ Type-specific data                                       │
+// └──────────────────────────────────────────────────────────┘
+//
+// Fragment (8 bytes):
+// ┌─────────────┬──────────┬──────────────────────────┬─────┬───┐
+// │ Next Header │ Reserved │ Fragment Offset (13 bit) │ Res │ M │
+// ├─────────────┴──────────┴──────────────────────────┴─────┴───┤
+// │ Identification (32 bits)                                    │
+// └─────────────────────────────────────────────────────────────┘
+//
+// Hdr Ext Len counts 8-byte units beyond the first 8 bytes; AH counts
+// 4-byte units minus 2. ESP has no next-header byte up front: it wraps
+// everything after it and carries the next header in its trailer.
+
+const { expandIPv6, bufferToIP } = require('./util');
+const { createDecodeContext, TruncatedPacketError, InvalidFieldError } = require('../errors');
+
+// Next-header values of the extension headers
+const EXTENSION_HEADERS = {
+    hopByHop: 0,
+    routing: 43,
+    fragment: 44,
+    esp: 50,
+    authentication: 51,
+    noNextHeader: 59,
+    destinationOptions: 60
+};
+
+// Hop-by-Hop / Destination option types
+const OPTION_TYPES = {
+    pad1: 0x00,
+    padN: 0x01,
+    routerAlert: 0x05,
+    jumboPayload: 0xC2
+};
+
+const OPTION_NAMES = {
+    [OPTION_TYPES.pad1]: 'Pad1',
+    [OPTION_TYPES.padN]: 'PadN',
+    [OPTION_TYPES.routerAlert]: 'RouterAlert',
+    [OPTION_TYPES.jumboPayload]: 'JumboPayload'
+};
+
+const HEADER_NAMES = {
+    [EXTENSION_HEADERS.hopByHop]: 'hopByHop',
+    [EXTENSION_HEADERS.routing]: 'routing',
+    [EXTENSION_HEADERS.fragment]: 'fragment',
+    [EXTENSION_HEADERS.esp]: 'esp',
+    [EXTENSION_HEADERS.authentication]: 'authentication',
+    [EXTENSION_HEADERS.destinationOptions]: 'destinationOptions'
+};
+
+// ─── Option builders ────────────────────────────────────────────────────────
+
+/**
+ * Pad1 option: a single zero byte
+ * @returns {Buffer} 1-byte option
+ */
+function pad1() {
+    return Buffer.from([OPTION_TYPES.pad1]);
+}
+
+/**
+ * PadN option covering n bytes in total
+ * @param {number} n - Total padding size including type and length (2-257)
+ * @returns {Buffer} n-byte option
+ */
+function padN(n) {
+    if (!Number.isInteger(n) || n < 2 || n > 257) {
+        throw new Error(`PadN size must be 2-257 bytes (got ${n})`);
+    }
+    const buf = Buffer.alloc(n);
+    buf[0] = OPTION_TYPES.padN;
+    buf[1] = n - 2;
+    return buf;
+}
+
+/**
+ * Router Alert option (RFC 2711)
+ * @param {number} [value=0] - 0 = MLD, 1 = RSVP, 2 = Active Networks
+ * @returns {Buffer} 4-byte option
+ */
+function routerAlert(value = 0) {
+    const buf = Buffer.alloc(4);
+    buf[0] = OPTION_TYPES.routerAlert;
+    buf[1] = 2;
+    buf.writeUInt16BE(value, 2);
+    return buf;
+}
+
+/**
+ * Jumbo Payload option (RFC 2675); must be paired with an IPv6 payload length of 0
+ * @param {number} length - Jumbo payload length (> 65535)
+ * @returns {Buffer} 6-byte option (alignment requirement 4n+2)
+ */
+function jumboPayload(length) {
+    const buf = Buffer.alloc(6);
+    buf[0] = OPTION_TYPES.jumboPayload;
+    buf[1] = 4;
+    buf.writeUInt32BE(length >>> 0, 2);
+    return buf;
+}
+
+/**
+ * Arbitrary option TLV
+ * @param {number} type - Option type (top bits: action and may-change)
+ * @param {Buffer} [data=Buffer.alloc(0)] - Option data
+ * @returns {Buffer} Option
+ */
+function option(type, data = Buffer.alloc(0)) {
+    if (data.length > 255) {
+        throw new Error(`Option data too long: ${data.length} bytes (max 255)`);
+    }
+    return Buffer.concat([Buffer.from([type & 0xFF, data.length]), data]);
+}
+
+// ─── Header builders ────────────────────────────────────────────────────────
+//
+// Each builder returns a header object { header, type, fields, build(nextHeader, payload) }
+// whose build() prepends the header to the payload; chain() wires the next-header values.
+
+/**
+ * Hop-by-Hop Options header
+ * @param {Buffer[]} [options=[]] - Option TLVs; the header is padded to 8 bytes with Pad1/PadN
+ * @returns {Object} Header object
+ */
+function hopByHop(options = []) {
+    return optionsHeader('hopByHop', EXTENSION_HEADERS.hopByHop, options);
+}
+
+/**
+ * Destination Options header
+ * @param {Buffer[]} [options=[]] - Option TLVs; the header is padded to 8 bytes with Pad1/PadN
+ * @returns {Object} Header object
+ */
+function destinationOptions(options = []) {
+    return optionsHeader('destinationOptions', EXTENSION_HEADERS.destinationOptions, options);
+}
+
+function optionsHeader(name, type, options) {
+    return {
+        header: name,
+        type,
+        fields: { options },
+        build(nextHeader, payload = Buffer.alloc(0)) {
+            const body = Buffer.concat([Buffer.from([nextHeader, 0]), ...options]);
+            const padded = padTo8(body);
+            padded[1] = padded.length / 8 - 1;
+            return Buffer.concat([padded, payload]);
+        }
+    };
+}
+
+/**
+ * Routing header
+ * @param {Object} fields
+ * @param {number} [fields.routingType=0] - 0 (deprecated source route), 2 (Mobile IPv6) or 4 (SRH)
+ * @param {number} [fields.segmentsLeft] - Defaults to the number of remaining segments
+ * @param {string[]} [fields.addresses] - Type 0: intermediate and final addresses
+ * @param {string} [fields.homeAddress] - Type 2: home address
+ * @param {string[]} [fields.segments] - Type 4: segment list, final segment first (RFC 8754)
+ * @param {number} [fields.lastEntry] - Type 4: index of the last segment list entry
+ * @param {number} [fields.flags=0] - Type 4: flags byte
+ * @param {number} [fields.tag=0] - Type 4: tag
+ * @param {Buffer} [fields.tlvs] - Type 4: TLVs after the segment list
+ * @param {Buffer} [fields.data] - Any other type: data after the first 4 bytes
+ * @returns {Object} Header object
+ */
+function routing(fields = {}) {
+    const { routingType = 0 } = fields;
+
+    return {
+        header: 'routing',
+        type: EXTENSION_HEADERS.routing,
+        fields,
+        build(nextHeader, payload = Buffer.alloc(0)) {
+            const { segmentsLeft, data } = routingData(routingType, fields);
+            const header = padTo8(Buffer.concat([Buffer.from([nextHeader, 0, routingType, segmentsLeft]), data]), true);
+            header[1] = header.length / 8 - 1;
+            return Buffer.concat([header, payload]);
+        }
+    };
+}
+
+function routingData(routingType, fields) {
+    switch (routingType) {
+        case 0: {
+            const addresses = fields.addresses || [];
+            const data = Buffer.alloc(4 + addresses.length * 16);
+            addresses.forEach((address, i) => expandIPv6(address).copy(data, 4 + i * 16));
+            return { segmentsLeft: pick(fields.segmentsLeft, addresses.length), data };
+        }
+        case 2: {
+            if (!fields.homeAddress) {
+                throw new Error('Type 2 routing header needs a homeAddress');
+            }
+            const data = Buffer.alloc(20);
+            expandIPv6(fields.homeAddress).copy(data, 4);
+            return { segmentsLeft: pick(fields.segmentsLeft, 1), data };
+        }
+        case 4: {
+            const segments = fields.segments || [];
+            if (segments.length === 0) {
+                throw new Error('Segment routing header needs at least one segment');
+            }
+            const tlvs = fields.tlvs || Buffer.alloc(0);
+            const data = Buffer.alloc(4 + segments.length * 16);
+            data[0] = pick(fields.lastEntry, segments.length - 1);
+            data[1] = fields.flags || 0;
+            data.writeUInt16BE(fields.tag || 0, 2);
+            segments.forEach((segment, i) => expandIPv6(segment).copy(data, 4 + i * 16));
+            return { segmentsLeft: pick(fields.segmentsLeft, segments.length - 1), data: Buffer.concat([data, tlvs]) };
+        }
+        default:
+            return { segmentsLeft: fields.segmentsLeft || 0, data: fields.data || Buffer.alloc(4) };
+    }
+}
+
+/**
+ * Fragment header
+ * @param {Object} [fields={}]
+ * @param {number} [fields.fragmentOffset=0] - Offset in 8-byte units (0-8191)
+ * @param {boolean} [fields.moreFragments=false] - M flag
+ * @param {number} [fields.identification=0] - 32-bit identification
+ * @param {number} [fields.reserved=0] - Reserved byte (malformed packet testing)
+ * @param {number} [fields.res=0] - 2-bit reserved field beside the M flag
+ * @returns {Object} Header object
+ */
+function fragment(fields = {}) {
+    const { fragmentOffset = 0, moreFragments = false, identification = 0, reserved = 0, res = 0 } = fields;
+
+    if (!Number.isInteger(fragmentOffset) || fragmentOffset < 0 || fragmentOffset > 8191) {
+        throw new Error(`Fragment offset must be 0-8191 (got ${fragmentOffset})`);
+    }
+
+    return {
+        header: 'fragment',
+        type: EXTENSION_HEADERS.fragment,
+        fields,
+        build(nextHeader, payload = Buffer.alloc(0)) {
+            const header = Buffer.alloc(8);
+            header[0] = nextHeader;
+            header[1] = reserved;
+            header.writeUInt16BE((fragmentOffset << 3) | ((res & 0x03) << 1) | (moreFragments ? 1 : 0), 2);
+            header.writeUInt32BE(identification >>> 0, 4);
+            return Buffer.concat([header, payload]);
+        }
+    };
+}
+
+/**
+ * Authentication Header (RFC 4302)
+ * @param {Object} [fields={}]
+ * @param {number} [fields.spi=0] - Security Parameters Index
+ * @param {number} [fields.sequenceNumber=0] - Sequence number
+ * @param {Buffer} [fields.icv=Buffer.alloc(12)] - Integrity Check Value (multiple of 4 bytes; 12 = HMAC-SHA1-96)
+ * @returns {Object} Header object
+ */
+function authentication(fields = {}) {
+    const { spi = 0, sequenceNumber = 0, icv = Buffer.alloc(12) } = fields;
+
+    if (icv.length % 4 !== 0) {
+        throw new Error(`AH ICV must be a multiple of 4 bytes (got ${icv.length})`);
+    }
+
+    return {
+        header: 'authentication',
+        type: EXTENSION_HEADERS.authentication,
+        fields,
+        build(nextHeader, payload = Buffer.alloc(0)) {
+            const header = Buffer.alloc(12 + icv.length);
+            header[0] = nextHeader;
+            header[1] = header.length / 4 - 2;
+            header.writeUInt32BE(spi >>> 0, 4);
+            header.writeUInt32BE(sequenceNumber >>> 0, 8);
+            icv.copy(header, 12);
+            return Buffer.concat([header, payload]);
+        }
+    };
+}
+
+/**
+ * Encapsulating Security Payload (RFC 4303) with NULL encryption (RFC 2410)
+ *
+ * ┌──────────────────────────────────────────────────────────┐
+ * │ SPI (4) │ Sequence Number (4)                            │
+ * ├──────────────────────────────────────────────────────────┤
+ * │ Payload │ Padding │ Pad Length (1) │ Next Header (1)     │
+ * ├──────────────────────────────────────────────────────────┤
+ * │ ICV (optional)                                           │
+ * └──────────────────────────────────────────────────────────┘
+ *
+ * @param {Object} [fields={}]
+ * @param {number} [fields.spi=0] - Security Parameters Index
+ * @param {number} [fields.sequenceNumber=0] - Sequence number
+ * @param {Buffer} [fields.padding] - Padding bytes; default 1, 2, 3... up to 4-byte alignment
+ * @param {Buffer} [fields.icv=Buffer.alloc(0)] - Integrity Check Value
+ * @returns {Object} Header object
+ */
+function esp(fields = {}) {
+    const { spi = 0, sequenceNumber = 0, icv = Buffer.alloc(0) } = fields;
+
+    return {
+        header: 'esp',
+        type: EXTENSION_HEADERS.esp,
+        fields,
+        build(nextHeader, payload = Buffer.alloc(0)) {
+            const padding = fields.padding || Buffer.from(
+                Array.from({ length: (4 - ((payload.length + 2) % 4)) % 4 }, (_, i) => i + 1)
+            );
+            const header = Buffer.alloc(8);
+            header.writeUInt32BE(spi >>> 0, 0);
+            header.writeUInt32BE(sequenceNumber >>> 0, 4);
+            return Buffer.concat([header, payload, padding, Buffer.from([padding.length, nextHeader]), icv]);
+        }
+    };
+}
+
+/**
+ * Chain extension headers in front of an upper-layer payload
+ * @param {Object[]} headers - Header objects, outermost first
+ * @param {number} protocol - Upper-layer protocol after the last header (e.g. 6 = TCP, 59 = none)
+ * @param {Buffer} [payload=Buffer.alloc(0)] - Upper-layer bytes
+ * @returns {{nextHeader: number, data: Buffer}} Next-header value for the IPv6 header and the bytes that follow it
+ *
+ * @example
+ * const { nextHeader, data } = chain([hopByHop([routerAlert(0)]), fragment({ identification: 1 })], 58, icmpv6);
+ * ipv6.Encode(src, dst, 0, 0, data, 0, nextHeader, 1);
+ */
+function chain(headers, protocol, payload = Buffer.alloc(0)) {
+    let nextHeader = protocol;
+    let data = payload;
+
+    for (const header of [...headers].reverse()) {
+        if (!header || typeof header.build !== 'function') {
+            throw new Error('Extension headers must be built with the ipv6 extension header builders');
+        }
+        data = header.build(nextHeader, data);
+        nextHeader = header.type;
+    }
+
+    return { nextHeader, data };
+}
+
+/**
+ * Pad an options header (or routing data) with zeros / Pad1 / PadN to a multiple of 8 bytes
+ */
+function padTo8(body, zeros = false) {
+    const missing = (8 - (body.length % 8)) % 8;
+    if (missing === 0) {
+        return Buffer.from(body);
+    }
+    if (zeros) {
+        return Buffer.concat([body, Buffer.alloc(missing)]);
+    }
+    return Buffer.concat([body, missing === 1 ? pad1() : padN(missing)]);
+}
+
+function pick(value, fallback) {
+    return value !== undefined ? value : fallback;
+}
+
+// ─── Parser ─────────────────────────────────────────────────────────────────
+
+/**
+ * Decode an extension header chain
+ * @param {Buffer} buffer - Bytes following the IPv6 fixed header
+ * @param {number} nextHeader - Next-header value from the IPv6 header
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @returns {Object} { headers, protocol, offset } - protocol and offset of the upper layer (null when unknown)
+ */
+function Decode(buffer, nextHeader, options = {}) {
+    const ctx = createDecodeContext(options);
+
+    if (!Buffer.isBuffer(buffer)) {
+        throw new TypeError('[IPv6] Extension headers must be a Buffer');
+    }
+    return ctx.finish(parseChain(buffer, nextHeader, ctx, 0));
+}
+
+/**
+ * Walk the chain, reporting problems through a decode context
+ * @param {Buffer} buffer - Buffer holding the chain
+ * @param {number} nextHeader - First next-header value
+ * @param {Object} ctx - Decode context
+ * @param {number} [start=0] - Offset of the first extension header in buffer
+ * @param {number} [baseOffset=0] - Added to offsets in reported errors
+ * @returns {Object} { headers, protocol, offset }
+ */
+function parseChain(buffer, nextHeader, ctx, start = 0, baseOffset = 0) {
+    const headers = [];
+    let offset = start;
+    let protocol = nextHeader;
+
+    while (HEADER_NAMES[protocol] !== undefined) {
+        const name = HEADER_NAMES[protocol];
+
+        if (protocol === EXTENSION_HEADERS.hopByHop && headers.length > 0) {
+            ctx.report(new InvalidFieldError('[IPv6] Hop-by-Hop Options header must immediately follow the IPv6 header', {
+                layer: 'ipv6', field: name, offset: baseOffset + offset, value: headers.length
+            }));
+        }
+
+        const length = headerLength(buffer, offset, protocol);
+        if (length === null || offset + length > buffer.length) {
+            ctx.report(new TruncatedPacketError(`[IPv6] ${name} header truncated at offset ${offset}`, {
+                layer: 'ipv6', field: name, offset: baseOffset + offset,
+                expected: length === null ? null : length, actual: buffer.length - offset
+            }));
+            return { headers, protocol: null, offset };
+        }
+
+        const raw = buffer.subarray(offset, offset + length);
+        const header = { header: name, type: protocol, offset: baseOffset + offset, length };
+        Object.assign(header, parseHeader(protocol, raw, ctx, baseOffset + offset));
+        headers.push(header);
+
+        offset += length;
+
+        // ESP encrypts everything after it: the next header is in the (encrypted) trailer.
+        // Behind a non-first fragment there is only data, no further headers.
+        if (protocol === EXTENSION_HEADERS.esp || (protocol === EXTENSION_HEADERS.fragment && header.fragmentOffset !== 0)) {
+            return { headers, protocol: null, offset };
+        }
+        protocol = header.nextHeader;
+    }
+
+    return { headers, protocol, offset };
+}
+
+/**
+ * Total size of the header at offset, or null if its length field is missing
+ */
+function headerLength(buffer, offset, protocol) {
+    switch (protocol) {
+        case EXTENSION_HEADERS.fragment:
+            return 8;
+        case EXTENSION_HEADERS.esp:
+            return buffer.length - offset >= 8 ? buffer.length - offset : null;
+        case EXTENSION_HEADERS.authentication:
+            return buffer.length - offset >= 2 ? (buffer[offset + 1] + 2) * 4 : null;
+        default:
+            return buffer.length - offset >= 2 ? (buffer[offset + 1] + 1) * 8 : null;
+    }
+}
+
+function parseHeader(protocol, raw, ctx, offset) {
+    switch (protocol) {
+        case EXTENSION_HEADERS.hopByHop:
+        case EXTENSION_HEADERS.destinationOptions:
+            return { nextHeader: raw[0], options: parseOptions(raw.subarray(2), ctx, offset + 2) };
+        case EXTENSION_HEADERS.routing:
+            return parseRouting(raw);
+        case EXTENSION_HEADERS.fragment: {
+            const word = raw.readUInt16BE(2);
+            return {
+                nextHeader: raw[0],
+                reserved: raw[1],
+                fragmentOffset: word >> 3,
+                res: (word >> 1) & 0x03,
+                moreFragments: (word & 0x01) === 1,
+                identification: raw.readUInt32BE(4)
+            };
+        }
+        case EXTENSION_HEADERS.authentication:
+            return {
+                nextHeader: raw[0],
+                payloadLength: raw[1],
+                reserved: raw.readUInt16BE(2),
+                spi: raw.length >= 8 ? raw.readUInt32BE(4) : null,
+                sequenceNumber: raw.length >= 12 ? raw.readUInt32BE(8) : null,
+                icv: raw.subarray(Math.min(12, raw.length))
+            };
+        case EXTENSION_HEADERS.esp:
+            return {
+                spi: raw.readUInt32BE(0),
+                sequenceNumber: raw.readUInt32BE(4),
+                data: raw.subarray(8)
+            };
+        default:
+            return { nextHeader: raw[0] };
+    }
+}
+
+function parseOptions(data, ctx, baseOffset) {
+    const options = [];
+    let i = 0;
+
+    while (i < data.length) {
+        const type = data[i];
+
+        if (type === OPTION_TYPES.pad1) {
+            options.push({ type, name: 'Pad1', length: 1 });
+            i += 1;
+            continue;
+        }
+        if (i + 2 > data.length || i + 2 + data[i + 1] > data.length) {
+            ctx.report(new TruncatedPacketError(`[IPv6] Option ${type} overruns its header`, {
+                layer: 'ipv6', field: 'options', offset: baseOffset + i,
+                expected: i + 2 > data.length ? 2 : data[i + 1] + 2, actual: data.length - i
+            }));
+            break;
+        }
+
+        const value = data.subarray(i + 2, i + 2 + data[i + 1]);
+        const parsed = {
+            type,
+            name: OPTION_NAMES[type] || 'Unknown',
+            action: type >> 6,          // What to do if unrecognised (RFC 8200 §4.2)
+            mayChange: ((type >> 5) & 1) === 1,
+            length: value.length + 2,
+            data: value
+        };
+
+        if (type === OPTION_TYPES.routerAlert && value.length === 2) {
+            parsed.value = value.readUInt16BE(0);
+        }
+        if (type === OPTION_TYPES.jumboPayload && value.length === 4) {
+            parsed.payloadLength = value.readUInt32BE(0);
+        }
+
+        options.push(parsed);
+        i += parsed.length;
+    }
+
+    return options;
+}
+
+function parseRouting(raw) {
+    const routingType = raw[2];
+    const output = { nextHeader: raw[0], routingType, segmentsLeft: raw[3] };
+    const addressesFrom = offset => {
+        const addresses = [];
+        for (let i = offset; i + 16 <= raw.length; i += 16) {
+            addresses.push(bufferToIP(raw.subarray(i, i + 16)));
+        }
+        return addresses;
+    };
+
+    if (routingType === 0) {
+        output.addresses = addressesFrom(8);
+    } else if (routingType === 2 && raw.length >= 24) {
+        output.homeAddress = bufferToIP(raw.subarray(8, 24));
+    } else if (routingType === 4) {
+        output.lastEntry = raw[4];
+        output.flags = raw[5];
+        output.tag = raw.readUInt16BE(6);
+
+        const listEnd = Math.min(8 + (raw[4] + 1) * 16, raw.length);
+        output.segments = addressesFrom(8).slice(0, (listEnd - 8) / 16);
+        output.tlvs = raw.subarray(listEnd);
+    } else {
+        output.data = raw.subarray(4);
+    }
+
+    return output;
+}
+
+/**
+ * Unwrap a NULL-encrypted ESP payload (RFC 2410)
+ * @param {Object|Buffer} esp - Parsed ESP header, or its data after SPI and sequence number
+ * @param {number} [icvLength=0] - ICV size negotiated for the SA
+ * @returns {Object} { payload, padding, padLength, nextHeader, icv }
+ */
+function openNullEsp(esp, icvLength = 0) {
+    const data = Buffer.isBuffer(esp) ? esp : esp.data;
+    const trailer = data.length - icvLength - 2;
+
+    if (trailer < 0) {
+        throw new Error('ESP data too short for its trailer');
+    }
+
+    const padLength = data[trailer];
+    if (padLength > trailer) {
+        throw new Error(`ESP pad length ${padLength} exceeds the payload`);
+    }
+
+    return {
+        payload: data.subarray(0, trailer - padLength),
+        padding: data.subarray(trailer - padLength, trailer),
+        padLength,
+        nextHeader: data[trailer + 1],
+        icv: data.subarray(trailer + 2)
+    };
+}
+
+/**
+ * Destination address used in the upper-layer pseudo-header (RFC 8200 §8.1)
+ *
+ * While a Routing header still has segments left the packet is addressed to
+ * the next hop; the checksum covers the final destination instead.
+ *
+ * @param {Object[]} headers - Parsed headers, or header objects from the builders
+ * @param {string} destination - Destination address of the IPv6 header
+ * @returns {string} Final destination address
+ */
+function finalDestination(headers = [], destination) {
+    const route = headers.find(header => header.header === 'routing');
+    if (!route) {
+        return destination;
+    }
+
+    const fields = route.fields || route;
+    const { routingType = 0 } = fields;
+    const segmentsLeft = pick(fields.segmentsLeft, routingType === 0
+        ? (fields.addresses || []).length
+        : routingType === 4 ? (fields.segments || []).length - 1 : 1);
+
+    if (segmentsLeft <= 0) {
+        return destination;
+    }
+    if (routingType === 0 && fields.addresses && fields.addresses.length) {
+        return fields.addresses[fields.addresses.length - 1];
+    }
+    if (routingType === 2 && fields.homeAddress) {
+        return fields.homeAddress;
+    }
+    if (routingType === 4 && fields.segments && fields.segments.length) {
+        return fields.segments[0];
+    }
+    return destination;
+}
+
+module.exports = {
+    EXTENSION_HEADERS,
+    OPTION_TYPES,
+    pad1,
+    padN,
+    routerAlert,
+    jumboPayload,
+    option,
+    hopByHop,
+    destinationOptions,
+    routing,
+    fragment,
+    authentication,
+    esp,
+    chain,
+    Decode,
+    parseChain,
+    openNullEsp,
+    finalDestination
+};
@@ -0,0 +1,384 @@
+// fragmentation.js
+// IPv6 fragmentation and reassembly (RFC 8200 §4.5, RFC 5722, RFC 6946)
+//
+// A packet is split into an unfragmentable part, repeated in every fragment,
+// and a fragmentable part that is cut into pieces behind a Fragment header:
+//
+//   original:  │ IPv6 │ Hop-by-Hop │ Routing │ Dest Opts │ TCP + data ........ │
+//              └──── unfragmentable ────────┘└────────── fragmentable ────────┘
+//
+//   fragment:  │ IPv6 │ Hop-by-Hop │ Routing │ Fragment │ piece of fragmentable │
+//
+// Fragment offsets count 8-byte units, so every piece but the last must be
+// a multiple of 8 bytes long.
+
+const { bufferToIP } = require('./util');
+const { EXTENSION_HEADERS, fragment: fragmentHeader, parseChain } = require('./extension-headers');
+const { createDecodeContext, DecodeError, TruncatedPacketError, InvalidFieldError } = require('../errors');
+
+const DEFAULT_TIMEOUT = 60000; // RFC 8200: 60 seconds from the first fragment
+const MAX_PAYLOAD = 65535;
+
+/**
+ * Split an IPv6 packet into fragments
+ *
+ * @param {Buffer} packet - Complete IPv6 packet (e.g. from ipv6.Encode)
+ * @param {Object} options
+ * @param {number} [options.mtu] - Largest fragment packet size; pieces are cut to fit
+ * @param {number[]} [options.sizes] - Consecutive piece sizes in bytes; any remainder becomes a final piece
+ * @param {Object[]} [options.boundaries] - Explicit plan of { offset, length, data?, more? } pieces in bytes.
+ *                   Pieces may overlap, leave gaps or carry different `data` for evasion testing.
+ * @param {string|number[]} [options.order='forward'] - 'forward', 'reverse' or a permutation of piece indices
+ * @param {number} [options.identification] - 32-bit identification (random by default)
+ * @param {boolean} [options.atomic=false] - Emit one atomic fragment (offset 0, M = 0) holding the whole payload
+ * @returns {Buffer[]} Fragment packets in sending order
+ *
+ * @example
+ * const fragments = fragment(packet, { mtu: 1280 });
+ * const evasive = fragment(packet, { boundaries: [{ offset: 0, length: 16 }, { offset: 8, length: 24 }], order: 'reverse' });
+ */
+function fragment(packet, options = {}) {
+    const { unfragmentable, nextHeader, fragmentable, patchOffset } = split(packet);
+    const { identification = Math.floor(Math.random() * 0x100000000), order = 'forward' } = options;
+
+    const pieces = options.atomic
+        ? [{ offset: 0, length: fragmentable.length, more: false }]
+        : plan(options, unfragmentable.length, fragmentable.length);
+
+    const fragments = pieces.map(piece => {
+        const data = piece.data || fragmentable.subarray(piece.offset, piece.offset + piece.length);
+        const more = piece.more !== undefined ? piece.more : piece.offset + data.length < fragmentable.length;
+        const header = fragmentHeader({ fragmentOffset: piece.offset / 8, moreFragments: more, identification });
+
+        const out = Buffer.concat([unfragmentable, header.build(nextHeader, data)]);
+        out[patchOffset] = EXTENSION_HEADERS.fragment;
+        out.writeUInt16BE(out.length - 40, 4);
+        return out;
+    });
+
+    return reorder(fragments, order);
+}
+
+/**
+ * Read the fixed header fields and extension header chain (strict)
+ */
+function decodeChain(packet) {
+    if (!Buffer.isBuffer(packet)) {
+        throw new TypeError('[IPv6] Packet must be a Buffer');
+    }
+    if (packet.length < 40) {
+        throw new TruncatedPacketError(`[IPv6] Header truncated: need 40 bytes, got ${packet.length}`, {
+            layer: 'ipv6', field: 'header', offset: 0, expected: 40, actual: packet.length
+        });
+    }
+    if (packet[0] >> 4 !== 6) {
+        throw new InvalidFieldError(`[IPv6] Not an IPv6 packet (version ${packet[0] >> 4})`, {
+            layer: 'ipv6', field: 'version', offset: 0, expected: 6, actual: packet[0] >> 4
+        });
+    }
+
+    const payloadLength = packet.readUInt16BE(4);
+    const end = payloadLength > 0 ? Math.min(packet.length, 40 + payloadLength) : packet.length;
+    const { headers } = parseChain(packet.subarray(0, end), packet[6], createDecodeContext(), 40);
+
+    return {
+        nextHeader: packet[6],
+        end,
+        sourceAddr: bufferToIP(packet.subarray(8, 24)),
+        destinationAddr: bufferToIP(packet.subarray(24, 40)),
+        extensionHeaders: headers
+    };
+}
+
+/**
+ * Separate the unfragmentable part (IPv6 header plus any Hop-by-Hop, Destination
+ * Options and Routing headers up to the last Routing header) from the rest
+ */
+function split(packet) {
+    const decoded = decodeChain(packet);
+    const headers = decoded.extensionHeaders;
+
+    if (headers.some(header => header.type === EXTENSION_HEADERS.fragment)) {
+        throw new Error('Packet already carries a Fragment header');
+    }
+
+    let count = 0;
+    const lastRouting = headers.map(header => header.type).lastIndexOf(EXTENSION_HEADERS.routing);
+    if (lastRouting !== -1) {
+        count = lastRouting + 1;
+    } else if (headers.length && headers[0].type === EXTENSION_HEADERS.hopByHop) {
+        count = 1;
+    }
+
+    const end = count ? headers[count - 1].offset + headers[count - 1].length : 40;
+    const nextHeader = count ? headers[count - 1].nextHeader : decoded.nextHeader;
+
+    return {
+        unfragmentable: packet.subarray(0, end),
+        nextHeader,
+        fragmentable: packet.subarray(end, decoded.end),
+        // Byte holding the next-header value that must now point at the Fragment header
+        patchOffset: count ? headers[count - 1].offset : 6
+    };
+}
+
+/**
+ * Turn mtu / sizes / boundaries into a list of { offset, length, data?, more? } pieces
+ */
+function plan(options, unfragmentableLength, total) {
+    if (options.boundaries) {
+        return options.boundaries.map(piece => {
+            const length = piece.data ? piece.data.length : piece.length;
+            checkOffset(piece.offset);
+            if (!Number.isInteger(length) || length < 0) {
+                throw new Error(`Invalid fragment length: ${length}`);
+            }
+            return { ...piece, length };
+        });
+    }
+
+    let sizes = options.sizes;
+    if (!sizes) {
+        if (!options.mtu) {
+            throw new Error('Fragmentation needs an mtu, sizes or boundaries');
+        }
+        const room = Math.floor((options.mtu - unfragmentableLength - 8) / 8) * 8;
+        if (room < 8) {
+            throw new Error(`MTU ${options.mtu} leaves no room for fragment data`);
+        }
+        sizes = [];
+        for (let left = total; left > 0; left -= room) {
+            sizes.push(Math.min(room, left));
+        }
+    }
+
+    const pieces = [];
+    let offset = 0;
+    for (const size of sizes) {
+        if (offset >= total) {
+            break;
+        }
+        const length = Math.min(size, total - offset);
+        if (offset + length < total && length % 8 !== 0) {
+            throw new Error(`Fragment size ${size} must be a multiple of 8 (all but the last piece)`);
+        }
+        pieces.push({ offset, length });
+        offset += length;
+    }
+    if (offset < total || pieces.length === 0) {
+        pieces.push({ offset, length: total - offset });
+    }
+
+    return pieces;
+}
+
+function checkOffset(offset) {
+    if (!Number.isInteger(offset) || offset < 0 || offset % 8 !== 0 || offset / 8 > 8191) {
+        throw new Error(`Fragment offset must be a multiple of 8 below 65536 bytes (got ${offset})`);
+    }
+}
+
+function reorder(fragments, order) {
+    if (order === 'forward') {
+        return fragments;
+    }
+    if (order === 'reverse') {
+        return [...fragments].reverse();
+    }
+    if (Array.isArray(order)) {
+        return order.map(i => {
+            if (!fragments[i]) {
+                throw new Error(`Fragment order refers to missing piece ${i}`);
+            }
+            return fragments[i];
+        });
+    }
+    throw new Error(`Invalid fragment order: ${order}`);
+}
+
+/**
+ * Create a fragment reassembler
+ *
+ * Fragments are grouped by (source, destination, identification). push()
+ * reports what happened to each packet:
+ *
+ *   'unfragmented' → no Fragment header; packet returned unchanged
+ *   'atomic'       → offset 0 and M = 0 (RFC 6946); processed on its own, header removed
+ *   'pending'      → stored, datagram still incomplete
+ *   'duplicate'    → identical copy of a stored fragment; ignored
+ *   'overlap'      → overlaps a stored fragment; the whole datagram is discarded (RFC 5722)
+ *   'discarded'    → belongs to a datagram already discarded for overlap
+ *   'invalid'      → malformed (not IPv6, truncated header chain, length not a multiple
+ *                    of 8, too long, ...); `reason` says which
+ *   'complete'     → reassembled packet in `packet`
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.timeout=60000] - Milliseconds to wait for missing fragments
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {Object} { push(packet, time?), expire(time?), pending() }
+ */
+function createReassembler(options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, now = Date.now } = options;
+    const datagrams = new Map();
+
+    /**
+     * Drop datagrams whose timer ran out
+     * @param {number} [time=now()] - Current time
+     * @returns {Object[]} { key, fragments, firstFragmentReceived } per expired datagram;
+     *                     ICMP Time Exceeded is only due when the first fragment arrived
+     */
+    function expire(time = now()) {
+        const expired = [];
+        for (const [key, datagram] of datagrams) {
+            if (time - datagram.started >= timeout) {
+                datagrams.delete(key);
+                if (!datagram.discarded) {
+                    expired.push({
+                        key,
+                        fragments: datagram.fragments.length,
+                        firstFragmentReceived: datagram.fragments.some(f => f.offset === 0)
+                    });
+                }
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Feed one received packet
+     * @param {Buffer} packet - IPv6 packet
+     * @param {number} [time=now()] - Arrival time
+     * @returns {Object} { status, key?, packet?, reason? }
+     */
+    function push(packet, time = now()) {
+        expire(time);
+
+        // Whatever arrives off the wire is reported, not thrown
+        let decoded;
+        try {
+            decoded = decodeChain(packet);
+        } catch (error) {
+            if (!(error instanceof DecodeError)) {
+                throw error;
+            }
+            return { status: 'invalid', reason: error.message };
+        }
+
+        const index = decoded.extensionHeaders.findIndex(header => header.type === EXTENSION_HEADERS.fragment);
+        if (index === -1) {
+            return { status: 'unfragmented', packet };
+        }
+
+        const header = decoded.extensionHeaders[index];
+        const key = `${decoded.sourceAddr}|${decoded.destinationAddr}|${header.identification}`;
+        const piece = {
+            offset: header.fragmentOffset * 8,
+            more: header.moreFragments,
+            data: packet.subarray(header.offset + 8, decoded.end)
+        };
+        const patchOffset = index === 0 ? 6 : decoded.extensionHeaders[index - 1].offset;
+
+        if (piece.offset === 0 && !piece.more) {
+            return { status: 'atomic', key, atomic: true, packet: rebuild(packet.subarray(0, header.offset), patchOffset, header.nextHeader, piece.data) };
+        }
+        if (piece.more && piece.data.length % 8 !== 0) {
+            return { status: 'invalid', key, reason: 'Fragment length is not a multiple of 8 bytes' };
+        }
+        if (piece.offset + piece.data.length > MAX_PAYLOAD) {
+            return { status: 'invalid', key, reason: 'Fragment extends past the 65535-byte payload limit' };
+        }
+
+        let datagram = datagrams.get(key);
+        if (!datagram) {
+            datagram = { started: time, fragments: [], discarded: false };
+            datagrams.set(key, datagram);
+        }
+        if (datagram.discarded) {
+            return { status: 'discarded', key };
+        }
+
+        const clash = datagram.fragments.find(f => piece.offset < f.offset + f.data.length && f.offset < piece.offset + piece.data.length);
+        if (clash) {
+            if (clash.offset === piece.offset && clash.more === piece.more && clash.data.equals(piece.data)) {
+                return { status: 'duplicate', key };
+            }
+            // RFC 5722: drop everything, including fragments still to come
+            datagram.discarded = true;
+            datagram.fragments = [];
+            return { status: 'overlap', key, offset: piece.offset };
+        }
+
+        if (piece.offset === 0) {
+            datagram.first = { unfragmentable: Buffer.from(packet.subarray(0, header.offset)), patchOffset, nextHeader: header.nextHeader };
+        }
+        if (!piece.more) {
+            if (datagram.fragments.some(f => f.offset + f.data.length > piece.offset + piece.data.length)) {
+                datagram.discarded = true;
+                datagram.fragments = [];
+                return { status: 'invalid', key, reason: 'Last fragment ends before data already received' };
+            }
+            datagram.total = piece.offset + piece.data.length;
+        }
+        datagram.fragments.push({ ...piece, data: Buffer.from(piece.data) });
+
+        const data = assemble(datagram);
+        if (!data) {
+            return { status: 'pending', key };
+        }
+
+        datagrams.delete(key);
+        const { unfragmentable, patchOffset: firstPatchOffset, nextHeader } = datagram.first;
+        return {
+            status: 'complete',
+            key,
+            fragments: datagram.fragments.length,
+            packet: rebuild(unfragmentable, firstPatchOffset, nextHeader, data)
+        };
+    }
+
+    return {
+        push,
+        expire,
+        /**
+         * Keys of datagrams still waiting for fragments
+         * @returns {string[]} Keys
+         */
+        pending() {
+            return [...datagrams.entries()].filter(([, d]) => !d.discarded).map(([key]) => key);
+        }
+    };
+}
+
+/**
+ * Join the fragment data once the first and last fragments are in and nothing is missing
+ */
+function assemble(datagram) {
+    if (!datagram.first || datagram.total === undefined) {
+        return null;
+    }
+
+    const sorted = [...datagram.fragments].sort((a, b) => a.offset - b.offset);
+    let expected = 0;
+    for (const f of sorted) {
+        if (f.offset !== expected) {
+            return null;
+        }
+        expected += f.data.length;
+    }
+    return expected === datagram.total ? Buffer.concat(sorted.map(f => f.data)) : null;
+}
+
+/**
+ * Put the unfragmentable part back in front of the data, without the Fragment header
+ */
+function rebuild(unfragmentable, patchOffset, nextHeader, data) {
+    const packet = Buffer.concat([unfragmentable, data]);
+    packet[patchOffset] = nextHeader;
+    packet.writeUInt16BE(packet.length - 40 > 0xFFFF ? 0 : packet.length - 40, 4);
+    return packet;
+}
+
+module.exports = {
+    fragment,
+    createReassembler
+};
@@ -1,6 +1,25 @@
 const { expandIPv6, bufferToIP } = require('./util');
+const { createDecodeContext, TruncatedPacketError, InvalidFieldError } = require('../errors');
+const ExtensionHeaders = require('./extension-headers');
+const { fragment, createReassembler } = require('./fragmentation');
 
-function Encode(sourceIP, destnationIP, DSCP, ECN, payload, flowNumber, nextHeader, hopLimit) {
+/**
+ * Encodes an IPv6 packet
+ * @param {string} sourceIP - Source address
+ * @param {string} destnationIP - Destination address
+ * @param {number} DSCP - Differentiated services code point
+ * @param {number} ECN - Explicit congestion notification
+ * @param {Buffer} payload - Upper-layer bytes
+ * @param {number} flowNumber - 20-bit flow label
+ * @param {number} nextHeader - Upper-layer protocol (after any extension headers)
+ * @param {number} hopLimit - Hop limit
+ * @param {Object[]} [extensionHeaders=[]] - Extension header objects (see ExtensionHeaders), outermost first
+ * @returns {Buffer} IPv6 packet
+ */
+function Encode(sourceIP, destnationIP, DSCP, ECN, payload, flowNumber, nextHeader, hopLimit, extensionHeaders = []) {
+    if (extensionHeaders.length > 0) {
+        ({ nextHeader, data: payload } = ExtensionHeaders.chain(extensionHeaders, nextHeader, payload));
+    }
 
     let header = Buffer.alloc(40);
 
@@ -19,7 +38,19 @@ function Encode(sourceIP, destnationIP, DSCP, ECN, payload, flowNumber, nextHead
     return Buffer.concat([header, payload]);
 }
 
-function Decode(packet) {
+/**
+ * Decodes the IPv6 fixed header
+ * @param {Buffer} packet - IPv6 packet buffer
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @param {boolean} [options.parseExtensions=false] - Walk the extension header chain, adding
+ *                  `extensionHeaders`, `upperLayerProtocol` and `upperLayerOffset` (null when unknown, e.g. after ESP)
+ * @returns {Object} Decoded header and payload (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, on a truncated header or payload
+ */
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
+
     let version = {
         0b0100: 'ipv4',
         0b0110: 'ipv6',
@@ -27,10 +58,26 @@ function Decode(packet) {
 
     let output = {};
 
+    if (!Buffer.isBuffer(packet)) {
+        throw new TypeError('[IPv6] Packet must be a Buffer');
+    }
+    if (packet.length < 40) {
+        ctx.report(new TruncatedPacketError(`[IPv6] Header truncated: need 40 bytes, got ${packet.length}`, {
+            layer: 'ipv6', field: 'header', offset: 0, expected: 40, actual: packet.length
+        }));
+        return ctx.finish(output);
+    }
+
     let firstWord = packet.readUInt32BE(0);
     let Traffic = (firstWord >> 20) & 0xFF;
 
-    output['Version'] = version[(firstWord >> 28)];
+    if ((firstWord >>> 28) !== 6) {
+        ctx.report(new InvalidFieldError('[IPv6] Not an IPv6 packet', {
+            layer: 'ipv6', field: 'Version', offset: 0, value: firstWord >>> 28
+        }));
+    }
+
+    output['Version'] = version[(firstWord >>> 28)];
     output['DSCP'] = (Traffic >> 2) & 0x3F;
     output['ECN'] = (Traffic) & 0x03;
     output['flowLabel'] = firstWord & 0xFFFFF;
@@ -41,7 +88,24 @@ function Decode(packet) {
     output['destinationAddr'] = bufferToIP(packet.slice(24, 40));
     output['payload'] = packet.slice(40);
 
-    return output;
+    if (output['payload'].length < output['payloadLength']) {
+        ctx.report(new TruncatedPacketError(
+            `[IPv6] Payload truncated: payload length says ${output['payloadLength']} bytes, got ${output['payload'].length}`,
+            { layer: 'ipv6', field: 'payloadLength', offset: 4, expected: output['payloadLength'], actual: output['payload'].length }
+        ));
+    }
+
+    if (ctx.options.parseExtensions) {
+        // A Jumbo Payload packet has a payload length of zero
+        const end = output['payloadLength'] > 0 ? Math.min(packet.length, 40 + output['payloadLength']) : packet.length;
+        const { headers, protocol, offset } = ExtensionHeaders.parseChain(packet.subarray(0, end), output['nextHeader'], ctx, 40);
+
+        output['extensionHeaders'] = headers;
+        output['upperLayerProtocol'] = protocol;
+        output['upperLayerOffset'] = protocol === null ? null : offset;
+    }
+
+    return ctx.finish(output);
 }
 
-module.exports = { Encode, Decode };
\ No newline at end of file
+module.exports = { Encode, Decode, ExtensionHeaders, fragment, createReassembler };
\ No newline at end of file
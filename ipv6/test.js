@@ -1,4 +1,4 @@
-const { Encode, Decode } = require('./ipv6'); // Adjust path as needed
+const { Encode, Decode, ExtensionHeaders, fragment, createReassembler } = require('./ipv6'); // Adjust path as needed
 
 let testCount = 0;
 let passedTests = 0;
@@ -291,6 +291,304 @@ try {
     failedTests.push('Binary header structure test');
 }
 
+// ===== Test 12: Hop-by-Hop and Destination Options =====
+console.log('\n📝 Test 12: Hop-by-Hop and Destination Options');
+try {
+    const { hopByHop, destinationOptions, routerAlert, padN, option, chain } = ExtensionHeaders;
+
+    const hbh = hopByHop([routerAlert(0)]).build(58);
+    assertEqual(hbh.length, 8, 'Router Alert header padded to 8 bytes');
+    assertBufferEqual(hbh, Buffer.from('3a00050200000100', 'hex'), 'Router Alert + PadN(2) layout');
+
+    const odd = hopByHop([option(0x3E, Buffer.from([1, 2, 3]))]).build(59);
+    assertEqual(odd[7], 0x00, 'Single missing byte filled with Pad1');
+
+    const dest = destinationOptions([padN(6), option(0x1E, Buffer.alloc(10))]).build(6);
+    assertEqual(dest.length, 24, 'Destination options span three 8-byte units');
+    assertEqual(dest[1], 2, 'Hdr Ext Len counts units beyond the first');
+
+    const { nextHeader, data } = chain([hopByHop([routerAlert(1)]), destinationOptions()], 17, Buffer.from('udp'));
+    assertEqual(nextHeader, 0, 'Chain starts with Hop-by-Hop');
+    assertEqual(data[0], 60, 'Hop-by-Hop points at Destination Options');
+    assertEqual(data[8], 17, 'Destination Options points at the upper layer');
+
+    const decoded = Decode(Encode('2001:db8::1', 'ff02::1', 0, 0, data.subarray(16), 0, 17, 1, [hopByHop([routerAlert(1)]), destinationOptions()]), { parseExtensions: true });
+    assertEqual(decoded.nextHeader, 0, 'Encode writes the first extension header type');
+    assertEqual(decoded.extensionHeaders.length, 2, 'Both headers parsed');
+    assertEqual(decoded.extensionHeaders[0].options[0].name, 'RouterAlert', 'Router Alert recognised');
+    assertEqual(decoded.extensionHeaders[0].options[0].value, 1, 'Router Alert value');
+    assertEqual(decoded.extensionHeaders[1].options[0].name, 'PadN', 'Padding reported');
+    assertEqual(decoded.upperLayerProtocol, 17, 'Upper-layer protocol after the chain');
+    assertEqual(decoded.upperLayerOffset, 56, 'Upper-layer offset after the chain');
+
+    const unknown = Decode(Encode('::1', '::2', 0, 0, Buffer.alloc(0), 0, 59, 64, [destinationOptions([option(0xC7, Buffer.alloc(2))])]), { parseExtensions: true });
+    assertEqual(unknown.extensionHeaders[0].options[0].action, 3, 'Unrecognised-option action bits');
+    assertEqual(unknown.extensionHeaders[0].options[0].mayChange, false, 'May-change bit');
+    assertEqual(unknown.upperLayerProtocol, 59, 'No Next Header ends the chain');
+
+} catch (error) {
+    console.log(`❌ FAIL: Options header test - ${error.message}`);
+    failedTests.push('Options header test');
+}
+
+// ===== Test 13: Jumbo Payload =====
+console.log('\n📝 Test 13: Jumbo Payload');
+try {
+    const { hopByHop, jumboPayload } = ExtensionHeaders;
+    const packet = Encode('2001:db8::1', '2001:db8::2', 0, 0, Buffer.alloc(8), 0, 6, 64, [hopByHop([jumboPayload(70000)])]);
+    packet.writeUInt16BE(0, 4); // Jumbograms carry a zero payload length
+
+    const decoded = Decode(packet, { parseExtensions: true, mode: 'lenient' });
+    const jumbo = decoded.extensionHeaders[0].options[0];
+    assertEqual(jumbo.name, 'JumboPayload', 'Jumbo Payload recognised');
+    assertEqual(jumbo.payloadLength, 70000, 'Jumbo payload length decoded');
+    assertEqual((packet.indexOf(0xC2, 40) - 40) % 4, 2, 'Jumbo option at 4n+2 alignment');
+    assertEqual(decoded.upperLayerProtocol, 6, 'Chain walked despite zero payload length');
+
+} catch (error) {
+    console.log(`❌ FAIL: Jumbo payload test - ${error.message}`);
+    failedTests.push('Jumbo payload test');
+}
+
+// ===== Test 14: Routing Headers =====
+console.log('\n📝 Test 14: Routing Headers');
+try {
+    const { routing, finalDestination } = ExtensionHeaders;
+
+    const type0 = routing({ addresses: ['2001:db8::a', '2001:db8::b'] });
+    const rh0 = type0.build(6);
+    assertEqual(rh0.length, 40, 'Type 0 header with two addresses');
+    assertEqual(rh0[1], 4, 'Type 0 Hdr Ext Len');
+    assertEqual(rh0[3], 2, 'Segments left defaults to address count');
+
+    const srh = routing({ routingType: 4, segments: ['2001:db8::3', '2001:db8::2', '2001:db8::1'], tag: 7 });
+    const decoded = Decode(Encode('2001:db8::9', '2001:db8::1', 0, 0, Buffer.alloc(0), 0, 59, 64, [srh]), { parseExtensions: true });
+    const parsed = decoded.extensionHeaders[0];
+    assertEqual(parsed.routingType, 4, 'SRH routing type');
+    assertEqual(parsed.segmentsLeft, 2, 'SRH segments left');
+    assertEqual(parsed.lastEntry, 2, 'SRH last entry');
+    assertEqual(parsed.tag, 7, 'SRH tag');
+    assertEqual(parsed.segments[0], '2001:db8:0:0:0:0:0:3', 'SRH segment list, final segment first');
+    assertEqual(parsed.length, 56, 'SRH length');
+
+    const mobile = Decode(Encode('::1', '::2', 0, 0, Buffer.alloc(0), 0, 59, 64, [routing({ routingType: 2, homeAddress: '2001:db8::77' })]), { parseExtensions: true });
+    assertEqual(mobile.extensionHeaders[0].homeAddress, '2001:db8:0:0:0:0:0:77', 'Type 2 home address');
+    assertEqual(mobile.extensionHeaders[0].length, 24, 'Type 2 header is 24 bytes');
+
+    assertEqual(finalDestination([type0], '2001:db8::ffff'), '2001:db8::b', 'Type 0 final destination is the last address');
+    assertEqual(finalDestination([parsed], decoded.destinationAddr), '2001:db8:0:0:0:0:0:3', 'SRH final destination is segment 0');
+    assertEqual(finalDestination([{ ...parsed, segmentsLeft: 0 }], '2001:db8::3'), '2001:db8::3', 'No segments left keeps destination');
+
+} catch (error) {
+    console.log(`❌ FAIL: Routing header test - ${error.message}`);
+    failedTests.push('Routing header test');
+}
+
+// ===== Test 15: Fragment, AH and ESP =====
+console.log('\n📝 Test 15: Fragment, AH and ESP');
+try {
+    const { fragment, authentication, esp, openNullEsp } = ExtensionHeaders;
+
+    const frag = fragment({ fragmentOffset: 185, moreFragments: true, identification: 0xDEADBEEF }).build(17);
+    assertBufferEqual(frag, Buffer.from('110005c9deadbeef', 'hex'), 'Fragment header layout');
+
+    const ah = authentication({ spi: 0x100, sequenceNumber: 5 }).build(6);
+    assertEqual(ah.length, 24, 'AH with 96-bit ICV is 24 bytes');
+    assertEqual(ah[1], 4, 'AH payload length in 4-byte units minus 2');
+
+    const headers = [fragment({ identification: 9 }), authentication({ spi: 0x100, sequenceNumber: 5 }), esp({ spi: 0x200, sequenceNumber: 1 })];
+    const packet = Encode('2001:db8::1', '2001:db8::2', 0, 0, Buffer.from('tcp!!'), 0, 6, 64, headers);
+    const decoded = Decode(packet, { parseExtensions: true });
+
+    assertEqual(decoded.extensionHeaders.map(h => h.header).join(','), 'fragment,authentication,esp', 'Chain order preserved');
+    assertEqual(decoded.extensionHeaders[0].nextHeader, 51, 'Fragment points at AH');
+    assertEqual(decoded.extensionHeaders[1].nextHeader, 50, 'AH points at ESP');
+    assertEqual(decoded.extensionHeaders[1].spi, 0x100, 'AH SPI');
+    assertEqual(decoded.extensionHeaders[2].spi, 0x200, 'ESP SPI');
+    assertEqual(decoded.upperLayerProtocol, null, 'Upper layer unknown behind ESP');
+
+    const inner = openNullEsp(decoded.extensionHeaders[2]);
+    assertBufferEqual(inner.payload, Buffer.from('tcp!!'), 'NULL-encrypted ESP payload recovered');
+    assertEqual(inner.nextHeader, 6, 'ESP trailer next header');
+    assertEqual((5 + inner.padLength + 2) % 4, 0, 'ESP padded to 4-byte alignment');
+
+    try {
+        fragment({ fragmentOffset: 9000 });
+        assert(false, 'Fragment offset out of range rejected');
+    } catch (error) {
+        assert(true, 'Fragment offset out of range rejected');
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: Fragment/AH/ESP test - ${error.message}`);
+    failedTests.push('Fragment/AH/ESP test');
+}
+
+// ===== Test 16: Long and Malformed Chains =====
+console.log('\n📝 Test 16: Long and Malformed Chains');
+try {
+    const { hopByHop, destinationOptions, routing, fragment, padN } = ExtensionHeaders;
+
+    const long = Array.from({ length: 20 }, () => destinationOptions([padN(14)]));
+    const decoded = Decode(Encode('::1', '::2', 0, 0, Buffer.alloc(0), 0, 59, 64, long), { parseExtensions: true });
+    assertEqual(decoded.extensionHeaders.length, 20, 'Twenty chained headers parsed');
+    assertEqual(decoded.upperLayerOffset, 40 + 20 * 16, 'Offset past the whole chain');
+
+    const misplaced = Encode('::1', '::2', 0, 0, Buffer.alloc(0), 0, 59, 64, [fragment(), hopByHop()]);
+    const lenient = Decode(misplaced, { parseExtensions: true, mode: 'lenient' });
+    assertEqual(lenient.anomalies[0].type, 'InvalidFieldError', 'Hop-by-Hop after another header reported');
+    assertEqual(lenient.anomalies[0].offset, 48, 'Anomaly at the misplaced header');
+
+    const truncated = Encode('::1', '::2', 0, 0, Buffer.alloc(0), 0, 59, 64, [routing({ addresses: ['::a'] })]).subarray(0, 50);
+    const cut = Decode(truncated, { parseExtensions: true, mode: 'lenient' });
+    assertEqual(cut.anomalies.some(a => a.field === 'routing' && a.type === 'TruncatedPacketError'), true, 'Truncated routing header reported');
+    assertEqual(cut.upperLayerProtocol, null, 'Upper layer unknown after truncation');
+
+    try {
+        Decode(truncated, { parseExtensions: true });
+        assert(false, 'Strict mode throws on a truncated chain');
+    } catch (error) {
+        assertEqual(error.name, 'TruncatedPacketError', 'Strict mode throws on a truncated chain');
+    }
+
+    const plain = Decode(Encode('::1', '::2', 0, 0, Buffer.from('not a header'), 0, 0, 64));
+    assertEqual(plain.extensionHeaders, undefined, 'Chain not parsed unless asked');
+
+} catch (error) {
+    console.log(`❌ FAIL: Chain test - ${error.message}`);
+    failedTests.push('Chain test');
+}
+
+// ===== Test 17: Fragmentation =====
+console.log('\n📝 Test 17: Fragmentation');
+try {
+    const { hopByHop, routing, destinationOptions, routerAlert } = ExtensionHeaders;
+    const payload = Buffer.from(Array.from({ length: 3000 }, (_, i) => i & 0xFF));
+    const packet = Encode('2001:db8::1', '2001:db8::2', 0, 0, payload, 0, 17, 64, [
+        hopByHop([routerAlert(0)]),
+        routing({ addresses: ['2001:db8::2'], segmentsLeft: 0 }),
+        destinationOptions()
+    ]);
+
+    const fragments = fragment(packet, { mtu: 1280, identification: 0xABCD });
+    assertEqual(fragments.length, 3, 'Split into three fragments');
+    assert(fragments.every(f => f.length <= 1280), 'Every fragment fits the MTU');
+
+    const first = Decode(fragments[0], { parseExtensions: true });
+    assertEqual(first.extensionHeaders.map(h => h.header).join(','), 'hopByHop,routing,fragment,destinationOptions', 'Unfragmentable part repeated before the Fragment header');
+    assertEqual(first.extensionHeaders[1].nextHeader, 44, 'Routing header points at the Fragment header');
+    assertEqual(first.extensionHeaders[2].nextHeader, 60, 'Fragment header points at the Destination Options');
+    assertEqual(first.extensionHeaders[2].identification, 0xABCD, 'Identification set');
+    assertEqual(first.extensionHeaders[2].moreFragments, true, 'M flag on the first fragment');
+    assertEqual(first.payloadLength, fragments[0].length - 40, 'Payload length rewritten');
+
+    const last = Decode(fragments[2], { parseExtensions: true });
+    assertEqual(last.extensionHeaders[2].moreFragments, false, 'M flag clear on the last fragment');
+    assertEqual(last.extensionHeaders[2].fragmentOffset % 1, 0, 'Offset in 8-byte units');
+
+    const sized = fragment(packet, { sizes: [64, 64], identification: 1 });
+    assertEqual(sized.length, 3, 'Remainder after explicit sizes becomes a final fragment');
+    assertEqual(Decode(sized[1], { parseExtensions: true }).extensionHeaders[2].fragmentOffset, 8, 'Second piece at offset 64 bytes');
+
+    const reversed = fragment(packet, { mtu: 1280, identification: 1, order: 'reverse' });
+    assertEqual(Decode(reversed[0], { parseExtensions: true }).extensionHeaders[2].moreFragments, false, 'Reverse order sends the last piece first');
+
+    const atomic = fragment(Encode('::1', '::2', 0, 0, Buffer.from('tiny'), 0, 17, 64), { atomic: true, identification: 5 });
+    const atomicHeader = Decode(atomic[0], { parseExtensions: true }).extensionHeaders[0];
+    assertEqual(atomicHeader.fragmentOffset === 0 && !atomicHeader.moreFragments, true, 'Atomic fragment has offset 0 and M = 0');
+
+    try {
+        fragment(packet, { sizes: [60, 64] });
+        assert(false, 'Non-final size that is not a multiple of 8 rejected');
+    } catch (error) {
+        assert(true, 'Non-final size that is not a multiple of 8 rejected');
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: Fragmentation test - ${error.message}`);
+    failedTests.push('Fragmentation test');
+}
+
+// ===== Test 18: Reassembly =====
+console.log('\n📝 Test 18: Reassembly');
+try {
+    let clock = 0;
+    const reassembler = createReassembler({ now: () => clock });
+    const payload = Buffer.from(Array.from({ length: 2000 }, (_, i) => (i * 7) & 0xFF));
+    const packet = Encode('2001:db8::1', '2001:db8::2', 0, 0, payload, 0, 6, 64, [ExtensionHeaders.hopByHop()]);
+    const fragments = fragment(packet, { sizes: [512, 512, 512], identification: 42, order: [2, 0, 3, 1] });
+
+    const statuses = fragments.map(f => reassembler.push(f));
+    assertEqual(statuses.slice(0, 3).map(r => r.status).join(','), 'pending,pending,pending', 'Out-of-order fragments held');
+    assertEqual(statuses[3].status, 'complete', 'Datagram completed by the missing piece');
+    assertBufferEqual(statuses[3].packet, packet, 'Reassembled packet matches the original');
+    assertEqual(reassembler.pending().length, 0, 'Nothing left pending');
+
+    assertEqual(reassembler.push(packet).status, 'unfragmented', 'Unfragmented packet passed through');
+
+    const atomic = reassembler.push(fragment(packet, { atomic: true, identification: 7 })[0]);
+    assertEqual(atomic.status, 'atomic', 'Atomic fragment reported');
+    assertBufferEqual(atomic.packet, packet, 'Atomic fragment processed in isolation');
+
+    const again = fragment(packet, { sizes: [512], identification: 43 });
+    assertEqual(reassembler.push(again[0]).status, 'pending', 'Duplicate test: first copy stored');
+    assertEqual(reassembler.push(again[0]).status, 'duplicate', 'Exact duplicate ignored');
+
+    // Timeouts
+    const slow = fragment(packet, { sizes: [512], identification: 44 });
+    reassembler.push(slow[0]);
+    clock = 60000;
+    const expired = reassembler.expire();
+    assertEqual(expired.length, 2, 'Incomplete datagrams expire after 60 seconds');
+    assertEqual(expired.every(e => e.firstFragmentReceived), true, 'Time Exceeded due when the first fragment arrived');
+    assertEqual(reassembler.push(slow[1]).status, 'pending', 'Late fragment starts a new datagram');
+
+} catch (error) {
+    console.log(`❌ FAIL: Reassembly test - ${error.message}`);
+    failedTests.push('Reassembly test');
+}
+
+// ===== Test 19: Overlapping Fragments (RFC 5722) =====
+console.log('\n📝 Test 19: Overlapping Fragments (RFC 5722)');
+try {
+    const reassembler = createReassembler({ now: () => 0 });
+    const packet = Encode('2001:db8::1', '2001:db8::2', 0, 0, Buffer.alloc(48, 0x41), 0, 17, 64);
+
+    const overlapping = fragment(packet, {
+        identification: 9,
+        boundaries: [
+            { offset: 0, length: 24 },
+            { offset: 16, data: Buffer.alloc(16, 0x42) },
+            { offset: 32, length: 16 }
+        ]
+    });
+    assertEqual(Decode(overlapping[1], { parseExtensions: true }).extensionHeaders[0].fragmentOffset, 2, 'Overlapping piece starts inside the first');
+    assertBufferEqual(overlapping[1].subarray(48), Buffer.alloc(16, 0x42), 'Overlapping piece carries substitute data');
+
+    assertEqual(reassembler.push(overlapping[0]).status, 'pending', 'First fragment stored');
+    const overlap = reassembler.push(overlapping[1]);
+    assertEqual(overlap.status, 'overlap', 'Overlap detected');
+    assertEqual(overlap.offset, 16, 'Overlap offset reported');
+    assertEqual(reassembler.push(overlapping[2]).status, 'discarded', 'Later fragments of the datagram discarded');
+    assertEqual(reassembler.pending().length, 0, 'Discarded datagram not pending');
+
+    const badLength = fragment(packet, { identification: 10, boundaries: [{ offset: 0, length: 20, more: true }] });
+    assertEqual(reassembler.push(badLength[0]).status, 'invalid', 'Non-final fragment length must be a multiple of 8');
+
+    const tooShort = reassembler.push(Buffer.alloc(10));
+    assertEqual(tooShort.status, 'invalid', 'Truncated packet reported as invalid');
+    assertEqual(tooShort.reason, '[IPv6] Header truncated: need 40 bytes, got 10', 'Truncation given as the reason');
+    const notIPv6 = Buffer.from(overlapping[0]);
+    notIPv6[0] = 0x45;
+    assertEqual(reassembler.push(notIPv6).status, 'invalid', 'Non-IPv6 packet reported as invalid');
+    const cutChain = reassembler.push(overlapping[0].subarray(0, 44));
+    assertEqual(cutChain.status + ' ' + /truncated/i.test(cutChain.reason), 'invalid true', 'Truncated Fragment header reported as invalid');
+
+} catch (error) {
+    console.log(`❌ FAIL: Overlap test - ${error.message}`);
+    failedTests.push('Overlap test');
+}
+
 // ===== Test Results Summary =====
 console.log('\n📊 Test Results Summary');
 console.log('='.repeat(50));
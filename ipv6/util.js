@@ -19,6 +19,29 @@ function expandIPv6(ip) {
     return buffer;
 }
 
+/**
+ * Validates an IPv6 address in colon-hex notation (with at most one "::")
+ * @param {string} ip - IPv6 address string
+ * @returns {boolean} True if valid IPv6 address
+ */
+function isValidIPv6(ip) {
+    if (typeof ip !== 'string') {
+        return false;
+    }
+
+    const parts = ip.split('::');
+    if (parts.length > 2) {
+        return false;
+    }
+
+    const groups = parts.flatMap(part => (part ? part.split(':') : []));
+    if (!groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) {
+        return false;
+    }
+
+    return parts.length === 2 ? groups.length < 8 : groups.length === 8;
+}
+
 function bufferToIP(buffer) {
     const groups = [];
     for (let i = 0; i < 8; i++) {
@@ -28,4 +51,4 @@ function bufferToIP(buffer) {
     return groups.join(':');
 }
 
-module.exports = { expandIPv6, bufferToIP }
\ No newline at end of file
+module.exports = { expandIPv6, bufferToIP, isValidIPv6 }
\ No newline at end of file
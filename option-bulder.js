@@ -14,6 +14,8 @@
  * Data: Variable length option-specific data
  */
 
+const MPTCP = require('./tcp/mptcp');
+
 /**
  * End of Option List (RFC 793)
  * Kind: 0, Length: 1 byte
@@ -126,6 +128,151 @@ function optTimestamp(tsval = 0xFFFFFFFF, tsecr = 0) {
     return b;
 }
 
+/**
+ * Selective Acknowledgment blocks (RFC 2018)
+ * Kind: 5, Length: 2 + 8n bytes (1-4 blocks)
+ * 
+ * Each block reports a contiguous range of data received out of order:
+ * left edge is the first sequence number, right edge the one after the last.
+ * Four blocks fill 34 bytes, so only three fit next to a Timestamp option.
+ * 
+ * Format: [Kind=5][Length][Left Edge 1][Right Edge 1]...[Left Edge n][Right Edge n]
+ * 
+ * @param {Array} blocks - 1-4 blocks as { left, right } or [left, right]
+ * @returns {Buffer} SACK option
+ */
+function optSACKBlocks(blocks) {
+    if (!Array.isArray(blocks) || blocks.length < 1 || blocks.length > 4) {
+        throw new Error('SACK needs 1-4 blocks');
+    }
+
+    const b = Buffer.alloc(2 + 8 * blocks.length);
+    b[0] = 0x05;                    // Kind = 5 (SACK)
+    b[1] = b.length;                // Length = 2 + 8n bytes
+    blocks.forEach((block, i) => {
+        const [left, right] = Array.isArray(block) ? block : [block.left, block.right];
+        b.writeUInt32BE(left >>> 0, 2 + 8 * i);
+        b.writeUInt32BE(right >>> 0, 6 + 8 * i);
+    });
+    return b;
+}
+
+/**
+ * TCP Fast Open cookie (RFC 7413)
+ * Kind: 34, Length: 2 (cookie request) or 6-18 bytes
+ * 
+ * A SYN with an empty option asks the server for a cookie; a SYN carrying
+ * the cookie lets data in the SYN be delivered before the handshake ends.
+ * 
+ * Format: [Kind=34][Length][Cookie (4-16 bytes, optional)]
+ * 
+ * @param {Buffer} [cookie] - Cookie from the server; omit to request one
+ * @returns {Buffer} TFO option
+ */
+function optTFO(cookie = Buffer.alloc(0)) {
+    if (!Buffer.isBuffer(cookie) || (cookie.length > 0 && (cookie.length < 4 || cookie.length > 16))) {
+        throw new Error('TFO cookie must be a Buffer of 4-16 bytes (or empty to request one)');
+    }
+    return Buffer.concat([Buffer.from([34, 2 + cookie.length]), cookie]);
+}
+
+/**
+ * TCP MD5 Signature (RFC 2385)
+ * Kind: 19, Length: 18 bytes
+ * 
+ * Carries an MD5 digest over the pseudo-header, the base TCP header, the
+ * data and a shared key. The digest depends on the finished segment, so
+ * build the option first (zeroed by default) and sign the segment with
+ * tcp.TCPMD5.sign(), or pass md5Key to tcp.build().
+ * 
+ * Format: [Kind=19][Length=18][Digest (16 bytes)]
+ * 
+ * @param {Buffer} [digest=16 zero bytes] - Precomputed digest
+ * @returns {Buffer} 18-byte MD5 signature option
+ */
+function optMD5(digest = Buffer.alloc(16)) {
+    if (!Buffer.isBuffer(digest) || digest.length !== 16) {
+        throw new Error('MD5 digest must be a 16-byte Buffer');
+    }
+    return Buffer.concat([Buffer.from([19, 18]), digest]);
+}
+
+/**
+ * User Timeout (RFC 5482)
+ * Kind: 28, Length: 4 bytes
+ * 
+ * Asks the peer how long to keep retransmitting before giving up.
+ * 
+ * Format: [Kind=28][Length=4][G (1 bit)][User Timeout (15 bits)]
+ * 
+ * @param {number} timeout - Timeout value (0-32767)
+ * @param {string} [granularity='seconds'] - 'seconds' or 'minutes' (sets G)
+ * @returns {Buffer} 4-byte User Timeout option
+ */
+function optUserTimeout(timeout, granularity = 'seconds') {
+    if (!Number.isInteger(timeout) || timeout < 0 || timeout > 0x7FFF) {
+        throw new Error('User Timeout must be 0-32767');
+    }
+    if (granularity !== 'seconds' && granularity !== 'minutes') {
+        throw new Error(`User Timeout granularity must be 'seconds' or 'minutes' (got ${granularity})`);
+    }
+
+    const b = Buffer.alloc(4);
+    b[0] = 28;                      // Kind = 28 (User Timeout)
+    b[1] = 4;                       // Length = 4 bytes total
+    b.writeUInt16BE((granularity === 'minutes' ? 0x8000 : 0) | timeout, 2);
+    return b;
+}
+
+/**
+ * Experimental option (RFC 4727, RFC 6994)
+ * Kind: 253 or 254, Length: 4+ bytes
+ * 
+ * Shared experimental kinds are told apart by a 16-bit Experiment ID
+ * (e.g. 0xF989 for the pre-RFC TCP Fast Open).
+ * 
+ * Format: [Kind][Length][ExID (16-bit)][Data...]
+ * 
+ * @param {number} exid - Experiment ID (0-65535)
+ * @param {Buffer} [data=Buffer.alloc(0)] - Experiment data
+ * @param {number} [kind=254] - 253 or 254
+ * @returns {Buffer} Experimental option
+ */
+function optExperimental(exid, data = Buffer.alloc(0), kind = 254) {
+    if (kind !== 253 && kind !== 254) {
+        throw new Error('Experimental option kind must be 253 or 254');
+    }
+    if (!Number.isInteger(exid) || exid < 0 || exid > 0xFFFF) {
+        throw new Error('Experiment ID must be 0-65535');
+    }
+    if (!Buffer.isBuffer(data) || data.length > 36) {
+        throw new Error('Experiment data must be a Buffer of at most 36 bytes');
+    }
+
+    const b = Buffer.alloc(4);
+    b[0] = kind;
+    b[1] = 4 + data.length;
+    b.writeUInt16BE(exid, 2);
+    return Buffer.concat([b, data]);
+}
+
+/**
+ * Multipath TCP Option (Kind 30) - RFC 8684
+ * 
+ * Builds any MPTCP subtype; tokens and HMACs are derived from the keys.
+ * See tcp/mptcp.js for the fields each subtype accepts.
+ * 
+ * Format: [Kind=30][Length][Subtype (4 bits) | ...][...]
+ * 
+ * @param {string} subtype - MP_CAPABLE, MP_JOIN, DSS, ADD_ADDR, REMOVE_ADDR,
+ *                           MP_PRIO, MP_FAIL, MP_FASTCLOSE or MP_TCPRST
+ * @param {Object} [fields={}] - Subtype fields
+ * @returns {Buffer} MPTCP option
+ */
+function optMPTCP(subtype, fields = {}) {
+    return MPTCP.build(subtype, fields);
+}
+
 /**
  * TCP Options Padding Function
  * 
@@ -154,6 +301,63 @@ function optPadding(buf) {
     return Buffer.concat([buf, Buffer.alloc(padLength, 0x01)]);
 }
 
+/**
+ * Option names accepted by buildOptions (case-insensitive), mapped to builders
+ * Names follow the nmap / scapy notation, e.g. ['MSS', 1460], ['WS', 7], 'SACKOK', ['TS', 1, 0]
+ */
+const OPTION_BUILDERS = {
+    EOL: optEOL,
+    NOP: optNOP,
+    MSS: optMSS,
+    WS: optWScale,
+    WSCALE: optWScale,
+    SACKOK: optSACK,
+    TS: optTimestamp,
+    TIMESTAMP: optTimestamp,
+    SACK: optSACKBlocks,
+    TFO: optTFO,
+    MD5: optMD5,
+    UTO: optUserTimeout,
+    USERTIMEOUT: optUserTimeout,
+    EXP: optExperimental,
+    EXPERIMENTAL: optExperimental,
+    MPTCP: optMPTCP
+};
+
+/**
+ * Build a padded options block from a list of named options
+ *
+ * Each entry is a name ('NOP'), a [name, ...args] array passed to the
+ * matching builder (['MSS', 1460]) or a raw Buffer used as is.
+ *
+ * @param {Array} list - Option entries in wire order
+ * @returns {Buffer} Options padded with NOPs to a multiple of 4 bytes
+ * @throws {Error} On unknown option names or if the options exceed 40 bytes
+ *
+ * @example
+ * buildOptions([['MSS', 1460], ['WS', 7], 'SACKOK', ['TS', 1, 0]]);
+ */
+function buildOptions(list = []) {
+    const parts = list.map(entry => {
+        if (Buffer.isBuffer(entry)) {
+            return entry;
+        }
+
+        const [name, ...args] = Array.isArray(entry) ? entry : [entry];
+        const builder = typeof name === 'string' ? OPTION_BUILDERS[name.toUpperCase()] : undefined;
+        if (!builder) {
+            throw new Error(`Unknown TCP option: ${name}. Supported: ${Object.keys(OPTION_BUILDERS).join(', ')}`);
+        }
+        return builder(...args);
+    });
+
+    const options = optPadding(Buffer.concat(parts));
+    if (options.length > 40) {
+        throw new Error(`TCP options need ${options.length} bytes (maximum is 40)`);
+    }
+    return options;
+}
+
 /*
  * USAGE EXAMPLES:
  * 
@@ -170,6 +374,9 @@ function optPadding(buf) {
  * const simpleOpts = Buffer.concat([optMSS(1460)]); // 4 bytes, no padding needed
  * const needsPadding = Buffer.concat([optWScale(3)]); // 3 bytes, needs 1 NOP
  * 
+ * // Multipath TCP SYN/ACK announcing the server key
+ * const mpOptions = buildOptions([['MSS', 1460], ['MPTCP', 'MP_CAPABLE', { senderKey: keyB }]]);
+ * 
  * IMPORTANT NOTES:
  * 
  * 1. Option Order: While not strictly required, common practice is:
@@ -182,7 +389,8 @@ function optPadding(buf) {
  *    (often system uptime). TSecr should echo the most recent TSval received.
  * 
  * 4. Maximum Options Length: Total options cannot exceed 40 bytes
- *    (TCP header max is 60 bytes, base header is 20 bytes).
+ *    (TCP header max is 60 bytes, base header is 20 bytes). buildOptions()
+ *    rejects lists that do not fit.
  * 
  * 5. Padding with NOP: Using NOP (0x01) for padding is preferred over
  *    EOL (0x00) because NOP can appear anywhere and multiple times.
@@ -191,4 +399,20 @@ function optPadding(buf) {
  *    they would result in window sizes > 1GB, which is impractical.
  */
 
-module.exports = { optEOL, optNOP, optMSS, optWScale, optSACK, optTimestamp, optPadding }
\ No newline at end of file
+module.exports = {
+    optEOL,
+    optNOP,
+    optMSS,
+    optWScale,
+    optSACK,
+    optTimestamp,
+    optSACKBlocks,
+    optTFO,
+    optMD5,
+    optUserTimeout,
+    optExperimental,
+    optMPTCP,
+    optPadding,
+    buildOptions,
+    OPTION_BUILDERS
+};
\ No newline at end of file
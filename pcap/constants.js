@@ -0,0 +1,56 @@
+/**
+ * PCAP / PCAPNG Constants
+ */
+
+// Link-layer header types (https://www.tcpdump.org/linktypes.html)
+const LINKTYPES = {
+    NULL: 0,            // BSD loopback
+    ETHERNET: 1,        // Ethernet II
+    RAW: 101,           // Raw IP, version taken from first nibble
+    LINUX_SLL: 113,     // Linux "cooked" capture
+    IPV4: 228,          // Raw IPv4
+    IPV6: 229           // Raw IPv6
+};
+
+// Classic pcap magic numbers as read in the writer's byte order
+const PCAP_MAGIC = {
+    MICROSECONDS: 0xA1B2C3D4,
+    NANOSECONDS: 0xA1B23C4D
+};
+
+// PCAPNG block types
+const PCAPNG_BLOCK = {
+    SECTION_HEADER: 0x0A0D0D0A,
+    INTERFACE_DESCRIPTION: 0x00000001,
+    PACKET: 0x00000002,             // Obsolete
+    SIMPLE_PACKET: 0x00000003,
+    ENHANCED_PACKET: 0x00000006
+};
+
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1A2B3C4D;
+
+// Interface Description Block option codes
+const PCAPNG_IDB_OPTION = {
+    END_OF_OPT: 0,
+    IF_TSRESOL: 9,
+    IF_TSOFFSET: 14
+};
+
+const PCAP_VERSION_MAJOR = 2;
+const PCAP_VERSION_MINOR = 4;
+const PCAP_GLOBAL_HEADER_LENGTH = 24;
+const PCAP_RECORD_HEADER_LENGTH = 16;
+const DEFAULT_SNAPLEN = 262144;
+
+module.exports = {
+    LINKTYPES,
+    PCAP_MAGIC,
+    PCAPNG_BLOCK,
+    PCAPNG_BYTE_ORDER_MAGIC,
+    PCAPNG_IDB_OPTION,
+    PCAP_VERSION_MAJOR,
+    PCAP_VERSION_MINOR,
+    PCAP_GLOBAL_HEADER_LENGTH,
+    PCAP_RECORD_HEADER_LENGTH,
+    DEFAULT_SNAPLEN
+};
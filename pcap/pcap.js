@@ -0,0 +1,16 @@
+// pcap.js
+// Capture file support (libpcap classic format writer, pcap/pcapng reader)
+
+const { PcapWriter, createFileWriter, Encode, writeFile } = require('./writer');
+const { read, Decode } = require('./reader');
+const { LINKTYPES } = require('./constants');
+
+module.exports = {
+    Encode,
+    Decode,
+    read,
+    PcapWriter,
+    createFileWriter,
+    writeFile,
+    LINKTYPES
+};
@@ -0,0 +1,439 @@
+// pcap-reader.js
+// libpcap classic and pcapng capture file reader
+
+const fs = require('fs');
+const {
+    PCAP_MAGIC,
+    PCAPNG_BLOCK,
+    PCAPNG_BYTE_ORDER_MAGIC,
+    PCAPNG_IDB_OPTION,
+    PCAP_GLOBAL_HEADER_LENGTH,
+    PCAP_RECORD_HEADER_LENGTH
+} = require('./constants');
+
+// Refuse single records/blocks larger than this; such lengths only come
+// from corrupt files and would otherwise make us buffer the whole input.
+const MAX_UNIT_LENGTH = 0x10000000;
+
+// Smallest well-formed pcapng block of each type that carries fixed fields
+// (12 bytes of type/length/trailing length plus the fixed body)
+const MIN_BLOCK_LENGTH = {
+    [PCAPNG_BLOCK.INTERFACE_DESCRIPTION]: 20,
+    [PCAPNG_BLOCK.PACKET]: 32,
+    [PCAPNG_BLOCK.SIMPLE_PACKET]: 16,
+    [PCAPNG_BLOCK.ENHANCED_PACKET]: 32
+};
+
+/**
+ * Minimal pull-based byte buffer over an (async) iterator of Buffer chunks
+ */
+class ByteReader {
+    constructor(iterator) {
+        this.iterator = iterator;
+        this.buffer = Buffer.alloc(0);
+        this.position = 0;  // Absolute file offset of buffer[0]
+        this.done = false;
+    }
+
+    /**
+     * Pull chunks until at least n bytes are buffered
+     * @returns {Promise<boolean>|boolean} False if the input ended first
+     */
+    fill(n) {
+        if (this.buffer.length >= n || this.done) {
+            return this.buffer.length >= n;
+        }
+        const next = this.iterator.next();
+        if (next && typeof next.then === 'function') {
+            return next.then(result => this._append(result) && this.fill(n));
+        }
+        return this._append(next) && this.fill(n);
+    }
+
+    take(n) {
+        const out = this.buffer.subarray(0, n);
+        this.buffer = this.buffer.subarray(n);
+        this.position += n;
+        return out;
+    }
+
+    _append({ value, done }) {
+        if (done) {
+            this.done = true;
+        } else if (value && value.length) {
+            this.buffer = this.buffer.length ? Buffer.concat([this.buffer, value]) : Buffer.from(value);
+        }
+        return true;
+    }
+}
+
+/**
+ * Work out how many bytes the next unit (file header, record or block) needs
+ * @param {Object} state - Parser state
+ * @param {Buffer} buf - Currently buffered bytes
+ * @returns {{need: number}|{length: number}|{error: string}} Bytes required
+ */
+function measureUnit(state, buf) {
+    if (!state.format) {
+        if (buf.length < 4) return { need: 4 };
+        const magic = buf.readUInt32LE(0);
+
+        if (magic === PCAPNG_BLOCK.SECTION_HEADER) {
+            state.format = 'pcapng';
+            return measureUnit(state, buf);
+        }
+
+        const beMagic = buf.readUInt32BE(0);
+        if (magic === PCAP_MAGIC.MICROSECONDS || beMagic === PCAP_MAGIC.MICROSECONDS ||
+            magic === PCAP_MAGIC.NANOSECONDS || beMagic === PCAP_MAGIC.NANOSECONDS) {
+            state.format = 'pcap';
+            state.littleEndian = magic === PCAP_MAGIC.MICROSECONDS || magic === PCAP_MAGIC.NANOSECONDS;
+            state.nanosecond = magic === PCAP_MAGIC.NANOSECONDS || beMagic === PCAP_MAGIC.NANOSECONDS;
+            return { length: PCAP_GLOBAL_HEADER_LENGTH };
+        }
+
+        return { error: `Unrecognised capture file magic 0x${beMagic.toString(16).padStart(8, '0')}` };
+    }
+
+    if (state.format === 'pcap') {
+        if (buf.length < PCAP_RECORD_HEADER_LENGTH) return { need: PCAP_RECORD_HEADER_LENGTH };
+        const capturedLength = read32(buf, 8, state.littleEndian);
+        if (capturedLength > MAX_UNIT_LENGTH) {
+            return { error: `Record captured length ${capturedLength} is implausibly large` };
+        }
+        return { length: PCAP_RECORD_HEADER_LENGTH + capturedLength };
+    }
+
+    // pcapng: the section header type is byte-order independent, but its
+    // length can only be read once the byte-order magic is known.
+    if (buf.length < 8) return { need: 8 };
+    if (buf.readUInt32LE(0) === PCAPNG_BLOCK.SECTION_HEADER) {
+        if (buf.length < 12) return { need: 12 };
+        if (buf.readUInt32LE(8) === PCAPNG_BYTE_ORDER_MAGIC) {
+            state.littleEndian = true;
+        } else if (buf.readUInt32BE(8) === PCAPNG_BYTE_ORDER_MAGIC) {
+            state.littleEndian = false;
+        } else {
+            return { error: 'Invalid pcapng byte-order magic' };
+        }
+    }
+
+    const totalLength = read32(buf, 4, state.littleEndian);
+    if (totalLength < 12 || totalLength % 4 !== 0 || totalLength > MAX_UNIT_LENGTH) {
+        return { error: `Invalid pcapng block length ${totalLength}` };
+    }
+    return { length: totalLength };
+}
+
+/**
+ * Parse one complete unit
+ * @param {Object} state - Parser state
+ * @param {Buffer} unit - Unit bytes
+ * @param {number} offset - Absolute file offset of the unit
+ * @returns {Object|null} Packet record, or null for non-packet units
+ */
+function parseUnit(state, unit, offset) {
+    if (state.format === 'pcap') {
+        if (!state.headerRead) {
+            state.headerRead = true;
+            state.linkType = read32(unit, 20, state.littleEndian);
+            state.snaplen = read32(unit, 16, state.littleEndian);
+            return null;
+        }
+        return parsePcapRecord(state, unit, offset);
+    }
+
+    const type = read32(unit, 0, state.littleEndian);
+    const minimum = MIN_BLOCK_LENGTH[type];
+    if (minimum !== undefined && unit.length < minimum) {
+        return errorRecord(`Block type ${type} of ${unit.length} bytes is shorter than its ${minimum}-byte minimum`, unit, offset);
+    }
+
+    switch (type) {
+        case PCAPNG_BLOCK.SECTION_HEADER:
+            state.interfaces = [];
+            return null;
+        case PCAPNG_BLOCK.INTERFACE_DESCRIPTION:
+            state.interfaces.push(parseInterfaceDescription(state, unit));
+            return null;
+        case PCAPNG_BLOCK.ENHANCED_PACKET:
+        case PCAPNG_BLOCK.PACKET:
+            return parseEnhancedPacket(state, unit, offset, type);
+        case PCAPNG_BLOCK.SIMPLE_PACKET:
+            return parseSimplePacket(state, unit, offset);
+        default:
+            return null; // Statistics, name resolution, custom blocks...
+    }
+}
+
+function parsePcapRecord(state, unit, offset) {
+    const le = state.littleEndian;
+    const seconds = read32(unit, 0, le);
+    const fraction = read32(unit, 4, le);
+    const capturedLength = read32(unit, 8, le);
+    const originalLength = read32(unit, 12, le);
+    const data = unit.subarray(PCAP_RECORD_HEADER_LENGTH, PCAP_RECORD_HEADER_LENGTH + capturedLength);
+
+    return buildRecord({
+        timestamp: { seconds, nanoseconds: state.nanosecond ? fraction : fraction * 1000 },
+        linkType: state.linkType,
+        interfaceId: 0,
+        data,
+        capturedLength,
+        originalLength,
+        offset
+    });
+}
+
+function parseInterfaceDescription(state, unit) {
+    const le = state.littleEndian;
+    const iface = {
+        linkType: le ? unit.readUInt16LE(8) : unit.readUInt16BE(8),
+        snaplen: read32(unit, 12, le),
+        tsresol: 6,             // Default resolution: microseconds
+        tsresolBinary: false,
+        tsoffset: 0
+    };
+
+    let i = 16;
+    const end = unit.length - 4;
+    while (i + 4 <= end) {
+        const code = le ? unit.readUInt16LE(i) : unit.readUInt16BE(i);
+        const length = le ? unit.readUInt16LE(i + 2) : unit.readUInt16BE(i + 2);
+        if (code === PCAPNG_IDB_OPTION.END_OF_OPT || i + 4 + length > end) break;
+
+        if (code === PCAPNG_IDB_OPTION.IF_TSRESOL && length >= 1) {
+            const value = unit[i + 4];
+            iface.tsresolBinary = (value & 0x80) !== 0;
+            iface.tsresol = value & 0x7F;
+        } else if (code === PCAPNG_IDB_OPTION.IF_TSOFFSET && length >= 8) {
+            iface.tsoffset = Number(le ? unit.readBigInt64LE(i + 4) : unit.readBigInt64BE(i + 4));
+        }
+
+        i += 4 + length + ((4 - (length % 4)) % 4);
+    }
+
+    return iface;
+}
+
+function parseEnhancedPacket(state, unit, offset, type) {
+    const le = state.littleEndian;
+    const obsolete = type === PCAPNG_BLOCK.PACKET;
+    const interfaceId = obsolete
+        ? (le ? unit.readUInt16LE(8) : unit.readUInt16BE(8))
+        : read32(unit, 8, le);
+    const iface = state.interfaces[interfaceId];
+
+    if (!iface) {
+        return errorRecord(`Packet references undefined interface ${interfaceId}`, unit, offset, { interfaceId });
+    }
+
+    const high = BigInt(read32(unit, 12, le));
+    const low = BigInt(read32(unit, 16, le));
+    const capturedLength = read32(unit, 20, le);
+    const originalLength = read32(unit, 24, le);
+
+    if (28 + capturedLength > unit.length - 4) {
+        return errorRecord(`Captured length ${capturedLength} overruns block`, unit, offset, { interfaceId });
+    }
+
+    return buildRecord({
+        timestamp: convertTimestamp((high << 32n) | low, iface),
+        linkType: iface.linkType,
+        interfaceId,
+        data: unit.subarray(28, 28 + capturedLength),
+        capturedLength,
+        originalLength,
+        offset
+    });
+}
+
+function parseSimplePacket(state, unit, offset) {
+    const iface = state.interfaces[0];
+
+    if (!iface) {
+        return errorRecord('Simple packet block without an interface', unit, offset, { interfaceId: 0 });
+    }
+
+    const originalLength = read32(unit, 8, state.littleEndian);
+    const available = unit.length - 16;
+    let capturedLength = Math.min(originalLength, available);
+    if (iface.snaplen) {
+        capturedLength = Math.min(capturedLength, iface.snaplen);
+    }
+
+    return buildRecord({
+        timestamp: null,        // Simple packet blocks carry no timestamp
+        linkType: iface.linkType,
+        interfaceId: 0,
+        data: unit.subarray(12, 12 + capturedLength),
+        capturedLength,
+        originalLength,
+        offset
+    });
+}
+
+/**
+ * Convert a pcapng 64-bit timestamp to seconds + nanoseconds
+ */
+function convertTimestamp(value, iface) {
+    const unitsPerSecond = iface.tsresolBinary
+        ? 2n ** BigInt(iface.tsresol)
+        : 10n ** BigInt(iface.tsresol);
+    const seconds = value / unitsPerSecond;
+    const remainder = value % unitsPerSecond;
+
+    return {
+        seconds: Number(seconds) + iface.tsoffset,
+        nanoseconds: Number((remainder * 1000000000n) / unitsPerSecond)
+    };
+}
+
+function buildRecord(fields) {
+    return {
+        ...fields,
+        // Packet was cut short by the capture's snap length
+        clipped: fields.capturedLength < fields.originalLength,
+        truncated: false
+    };
+}
+
+function errorRecord(error, data, offset, fields = {}) {
+    return {
+        timestamp: null,
+        linkType: null,
+        interfaceId: null,
+        ...fields,
+        data,
+        offset,
+        truncated: true,
+        error
+    };
+}
+
+/**
+ * Describe bytes left over when the input ends part-way through a unit
+ */
+function truncatedRecord(state, buf, offset, expected) {
+    const error = `Capture truncated: unit at offset ${offset} needs ${expected} bytes, only ${buf.length} available`;
+
+    if (state.format === 'pcap' && state.headerRead && buf.length >= PCAP_RECORD_HEADER_LENGTH) {
+        const record = parsePcapRecord(state, buf, offset);
+        return { ...record, truncated: true, error };
+    }
+
+    return errorRecord(error, buf, offset);
+}
+
+function read32(buf, offset, littleEndian) {
+    return littleEndian ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset);
+}
+
+function toChunkIterator(source) {
+    if (Buffer.isBuffer(source)) {
+        return [source][Symbol.iterator]();
+    }
+    if (typeof source === 'string') {
+        return fs.createReadStream(source)[Symbol.asyncIterator]();
+    }
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+        return source[Symbol.asyncIterator]();
+    }
+    if (source && typeof source[Symbol.iterator] === 'function') {
+        return source[Symbol.iterator]();
+    }
+    throw new Error('Capture source must be a Buffer, file path, stream or iterable of Buffers');
+}
+
+/**
+ * Read packet records from a pcap or pcapng capture.
+ *
+ * Records are { timestamp, linkType, interfaceId, data, capturedLength,
+ * originalLength, clipped, truncated, offset }. `clipped` marks packets cut
+ * by the snap length; a record with `truncated: true` and an `error` message
+ * is yielded (and reading stops) when the input ends mid-record or a length
+ * field is corrupt.
+ *
+ * @param {Buffer|string|AsyncIterable<Buffer>} source - Capture bytes, file path or readable stream
+ * @returns {AsyncGenerator<Object>} Packet records in file order
+ *
+ * @example
+ * for await (const record of read('capture.pcapng')) {
+ *     const frame = ethernet.Decode(record.data);
+ * }
+ */
+async function* read(source) {
+    const reader = new ByteReader(toChunkIterator(source));
+    const state = { format: null, interfaces: [] };
+
+    while (true) {
+        let measure = measureUnit(state, reader.buffer);
+        while (measure.need && await reader.fill(measure.need)) {
+            measure = measureUnit(state, reader.buffer);
+        }
+
+        if (measure.error) {
+            yield errorRecord(measure.error, reader.buffer, reader.position);
+            return;
+        }
+        if (measure.need) {
+            if (reader.buffer.length > 0) {
+                yield truncatedRecord(state, reader.buffer, reader.position, measure.need);
+            }
+            return;
+        }
+        if (!(await reader.fill(measure.length))) {
+            yield truncatedRecord(state, reader.buffer, reader.position, measure.length);
+            return;
+        }
+
+        const offset = reader.position;
+        const record = parseUnit(state, reader.take(measure.length), offset);
+        if (record) yield record;
+    }
+}
+
+/**
+ * Synchronously decode an in-memory pcap or pcapng capture
+ * @param {Buffer} buffer - Complete capture file contents
+ * @returns {Array<Object>} Packet records (same shape as read())
+ */
+function Decode(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+        throw new Error('Capture must be a Buffer');
+    }
+
+    const reader = new ByteReader([buffer][Symbol.iterator]());
+    const state = { format: null, interfaces: [] };
+    const records = [];
+
+    while (true) {
+        let measure = measureUnit(state, reader.buffer);
+        while (measure.need && reader.fill(measure.need)) {
+            measure = measureUnit(state, reader.buffer);
+        }
+
+        if (measure.error) {
+            records.push(errorRecord(measure.error, reader.buffer, reader.position));
+            break;
+        }
+        if (measure.need) {
+            if (reader.buffer.length > 0) {
+                records.push(truncatedRecord(state, reader.buffer, reader.position, measure.need));
+            }
+            break;
+        }
+        if (!reader.fill(measure.length)) {
+            records.push(truncatedRecord(state, reader.buffer, reader.position, measure.length));
+            break;
+        }
+
+        const offset = reader.position;
+        const record = parseUnit(state, reader.take(measure.length), offset);
+        if (record) records.push(record);
+    }
+
+    return records;
+}
+
+module.exports = { read, Decode };
@@ -0,0 +1,437 @@
+// PCAP Capture File Test Suite
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PCAP = require('./pcap');
+const IPv4 = require('../ipv4/ipv4');
+const UDP = require('../udp/udp');
+const Ethernet = require('../ethernet/ethernet');
+
+// Test utilities
+let testCount = 0;
+let passedTests = 0;
+let failedTests = [];
+
+function assert(condition, testName) {
+    testCount++;
+    if (condition) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    } else {
+        console.log(`❌ FAIL: ${testName}`);
+        failedTests.push(testName);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    const condition = actual === expected;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected}`);
+        console.log(`  Actual: ${actual}`);
+    }
+}
+
+function assertBufferEqual(actual, expected, testName) {
+    const condition = Buffer.compare(actual, expected) === 0;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected.toString('hex')}`);
+        console.log(`  Actual: ${actual.toString('hex')}`);
+    }
+}
+
+function assertThrows(fn, testName) {
+    testCount++;
+    try {
+        fn();
+        console.log(`❌ FAIL: ${testName} (expected error but none thrown)`);
+        failedTests.push(testName);
+    } catch (error) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    }
+}
+
+function buildUdpOverIPv4(payload) {
+    const udp = UDP.Encode('10.0.0.1', '10.0.0.2', 40000, 53, payload);
+    return IPv4.Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'udp', [], udp);
+}
+
+// Minimal little-endian pcapng block builders
+function pcapngBlock(type, body) {
+    const block = Buffer.alloc(12 + body.length);
+    block.writeUInt32LE(type, 0);
+    block.writeUInt32LE(block.length, 4);
+    body.copy(block, 8);
+    block.writeUInt32LE(block.length, block.length - 4);
+    return block;
+}
+
+function pad4(buf) {
+    return Buffer.concat([buf, Buffer.alloc((4 - (buf.length % 4)) % 4)]);
+}
+
+function sectionHeaderBody() {
+    const body = Buffer.alloc(16);
+    body.writeUInt32LE(0x1A2B3C4D, 0);
+    body.writeUInt16LE(1, 4);
+    body.writeUInt16LE(0, 6);
+    body.writeBigInt64LE(-1n, 8);
+    return body;
+}
+
+function idbOption(code, value) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16LE(code, 0);
+    header.writeUInt16LE(value.length, 2);
+    return pad4(Buffer.concat([header, value]));
+}
+
+function interfaceBody(linkType, snaplen, options = []) {
+    const body = Buffer.alloc(8);
+    body.writeUInt16LE(linkType, 0);
+    body.writeUInt32LE(snaplen, 4);
+    return Buffer.concat([body, ...options, ...(options.length ? [Buffer.alloc(4)] : [])]);
+}
+
+function enhancedPacketBody(interfaceId, units, data, originalLength = data.length) {
+    const body = Buffer.alloc(20);
+    body.writeUInt32LE(interfaceId, 0);
+    body.writeUInt32LE(Number(units >> 32n), 4);
+    body.writeUInt32LE(Number(units & 0xFFFFFFFFn), 8);
+    body.writeUInt32LE(data.length, 12);
+    body.writeUInt32LE(originalLength, 16);
+    return Buffer.concat([body, pad4(data)]);
+}
+
+function simplePacketBody(data) {
+    const body = Buffer.alloc(4);
+    body.writeUInt32LE(data.length, 0);
+    return Buffer.concat([body, pad4(data)]);
+}
+
+// Yield a buffer in small chunks to exercise record reassembly across reads
+async function* chunked(buffer, size) {
+    for (let i = 0; i < buffer.length; i += size) {
+        yield buffer.subarray(i, i + size);
+    }
+}
+
+async function run() {
+    console.log('🧪 Starting PCAP Capture File Test Suite\n');
+
+    // ===== Test 1: Global Header =====
+    console.log('📝 Test 1: Global Header');
+    try {
+        const file = PCAP.Encode([], { linkType: 'ethernet' });
+
+        assertEqual(file.length, 24, 'Empty capture is just the global header');
+        assertEqual(file.readUInt32LE(0), 0xA1B2C3D4, 'Microsecond magic number');
+        assertEqual(file.readUInt16LE(4), 2, 'Version major');
+        assertEqual(file.readUInt16LE(6), 4, 'Version minor');
+        assertEqual(file.readUInt32LE(16), 262144, 'Default snaplen');
+        assertEqual(file.readUInt32LE(20), PCAP.LINKTYPES.ETHERNET, 'Ethernet link type');
+
+        const nano = PCAP.Encode([], { linkType: 'ipv6', nanosecond: true });
+        assertEqual(nano.readUInt32LE(0), 0xA1B23C4D, 'Nanosecond magic number');
+        assertEqual(nano.readUInt32LE(20), 229, 'Raw IPv6 link type');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Global header test - ${error.message}`);
+        failedTests.push('Global header test');
+    }
+
+    // ===== Test 2: Packet Records =====
+    console.log('\n📝 Test 2: Packet Records');
+    try {
+        const packet = buildUdpOverIPv4(Buffer.from('pcap!'));
+        const file = PCAP.Encode([
+            { data: packet, timestamp: 1700000000123.456 }
+        ], { linkType: 'ipv4' });
+
+        assertEqual(file.length, 24 + 16 + packet.length, 'File length is header + record');
+        assertEqual(file.readUInt32LE(24), 1700000000, 'Record seconds');
+        assertEqual(file.readUInt32LE(28), 123456, 'Record microseconds');
+        assertEqual(file.readUInt32LE(32), packet.length, 'Captured length');
+        assertEqual(file.readUInt32LE(36), packet.length, 'Original length');
+        assertBufferEqual(file.subarray(40), packet, 'Packet bytes stored');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Packet records test - ${error.message}`);
+        failedTests.push('Packet records test');
+    }
+
+    // ===== Test 3: Nanosecond Timestamps =====
+    console.log('\n📝 Test 3: Nanosecond Timestamps');
+    try {
+        const writer = new PCAP.PcapWriter({ linkType: 'raw', nanosecond: true });
+        writer.write(Buffer.alloc(20), 1700000000123456789n);
+        writer.write(Buffer.alloc(20), { seconds: 5, microseconds: 7 });
+        const file = writer.toBuffer();
+
+        assertEqual(writer.packetCount, 2, 'Two packets written');
+        assertEqual(file.readUInt32LE(24), 1700000000, 'BigInt seconds');
+        assertEqual(file.readUInt32LE(28), 123456789, 'BigInt nanoseconds preserved');
+        assertEqual(file.readUInt32LE(60 + 4), 7000, 'Microseconds converted to nanoseconds');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Nanosecond timestamps test - ${error.message}`);
+        failedTests.push('Nanosecond timestamps test');
+    }
+
+    // ===== Test 4: Snaplen Clipping =====
+    console.log('\n📝 Test 4: Snaplen Clipping');
+    try {
+        const frame = Ethernet.Encode('ff:ff:ff:ff:ff:ff', 'aa:bb:cc:dd:ee:ff', 'ipv4', buildUdpOverIPv4(Buffer.alloc(200)));
+        const file = PCAP.Encode([frame], { snaplen: 64 });
+
+        assertEqual(file.readUInt32LE(16), 64, 'Snaplen in global header');
+        assertEqual(file.readUInt32LE(32), 64, 'Captured length clipped to snaplen');
+        assertEqual(file.readUInt32LE(36), frame.length, 'Original length preserved');
+        assertEqual(file.length, 24 + 16 + 64, 'Only snaplen bytes stored');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Snaplen clipping test - ${error.message}`);
+        failedTests.push('Snaplen clipping test');
+    }
+
+    // ===== Test 5: Streaming to a File =====
+    console.log('\n📝 Test 5: Streaming to a File');
+    const tmpFile = path.join(os.tmpdir(), `netcraft-pcap-${process.pid}.pcap`);
+    try {
+        const writer = PCAP.createFileWriter(tmpFile, { linkType: 'ipv4' });
+        const packets = [buildUdpOverIPv4(Buffer.from('one')), buildUdpOverIPv4(Buffer.from('two'))];
+        packets.forEach((packet, i) => writer.write(packet, { seconds: 10 + i, nanoseconds: 0 }));
+        await writer.close();
+
+        const onDisk = fs.readFileSync(tmpFile);
+        const inMemory = PCAP.Encode(packets.map((data, i) => ({ data, timestamp: { seconds: 10 + i, nanoseconds: 0 } })), { linkType: 'ipv4' });
+        assertBufferEqual(onDisk, inMemory, 'Streamed file matches in-memory encoding');
+        assertThrows(() => writer.write(packets[0]), 'Rejects writes after close');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Streaming to file test - ${error.message}`);
+        failedTests.push('Streaming to file test');
+    } finally {
+        fs.rmSync(tmpFile, { force: true });
+    }
+
+    // ===== Test 6: Error Handling =====
+    console.log('\n📝 Test 6: Error Handling');
+    try {
+        const unwritable = PCAP.createFileWriter(path.join(os.tmpdir(), `netcraft-missing-${process.pid}`, 'x.pcap'));
+        await new Promise(resolve => unwritable.stream.once('close', resolve));
+        assertThrows(() => unwritable.write(Buffer.alloc(4)), 'Write after a stream error throws it');
+
+        let closeError = null;
+        await unwritable.close().catch(error => {
+            closeError = error;
+        });
+        assertEqual(closeError && closeError.code, 'ENOENT', 'Close rejects with the stream error');
+
+        const unopened = PCAP.createFileWriter(path.join(os.tmpdir(), `netcraft-missing-${process.pid}`, 'y.pcap'));
+        let rejected = false;
+        await unopened.close().catch(() => {
+            rejected = true;
+        });
+        assert(rejected, 'Immediate close rejects for an unwritable path');
+    } catch (error) {
+        console.log(`❌ FAIL: Unwritable file test - ${error.message}`);
+        failedTests.push('Unwritable file test');
+    }
+    assertThrows(() => new PCAP.PcapWriter({ linkType: 'token-ring' }), 'Rejects unknown link type');
+    assertThrows(() => new PCAP.PcapWriter({ snaplen: 0 }), 'Rejects zero snaplen');
+    assertThrows(() => new PCAP.PcapWriter().write('not a buffer'), 'Rejects non-Buffer packet');
+    assertThrows(() => new PCAP.PcapWriter().write(Buffer.alloc(4), -1), 'Rejects negative timestamp');
+    assertThrows(() => new PCAP.PcapWriter().write(Buffer.alloc(4), 0, 2), 'Rejects original length below captured length');
+
+    // ===== Test 7: Reading Classic PCAP =====
+    console.log('\n📝 Test 7: Reading Classic PCAP');
+    try {
+        const packets = [buildUdpOverIPv4(Buffer.from('first')), buildUdpOverIPv4(Buffer.from('second'))];
+        const file = PCAP.Encode([
+            { data: packets[0], timestamp: { seconds: 100, microseconds: 250 } },
+            { data: packets[1], timestamp: { seconds: 101, microseconds: 0 } }
+        ], { linkType: 'ipv4' });
+
+        const records = [];
+        for await (const record of PCAP.read(file)) {
+            records.push(record);
+        }
+
+        assertEqual(records.length, 2, 'Two records read');
+        assertEqual(records[0].linkType, 228, 'Link type reported');
+        assertEqual(records[0].interfaceId, 0, 'Interface ID is 0 for classic pcap');
+        assertEqual(records[0].timestamp.seconds, 100, 'Timestamp seconds');
+        assertEqual(records[0].timestamp.nanoseconds, 250000, 'Timestamp microseconds scaled to ns');
+        assertBufferEqual(records[1].data, packets[1], 'Packet data round-trip');
+        assertEqual(IPv4.Decode(records[0].data).destIp, '10.0.0.2', 'Record feeds ipv4.Decode');
+        assertEqual(UDP.Decode(records[1].data, true).destinationPort, 53, 'Record feeds udp.Decode');
+
+        const nanoFile = PCAP.Encode([{ data: packets[0], timestamp: 5000000123n }], { nanosecond: true });
+        assertEqual(PCAP.Decode(nanoFile)[0].timestamp.nanoseconds, 123, 'Nanosecond file read');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Reading classic pcap test - ${error.message}`);
+        failedTests.push('Reading classic pcap test');
+    }
+
+    // ===== Test 8: Big-endian PCAP =====
+    console.log('\n📝 Test 8: Big-endian PCAP');
+    try {
+        const data = Buffer.from('deadbeef', 'hex');
+        const header = Buffer.alloc(24);
+        header.writeUInt32BE(0xA1B2C3D4, 0);
+        header.writeUInt16BE(2, 4);
+        header.writeUInt16BE(4, 6);
+        header.writeUInt32BE(65535, 16);
+        header.writeUInt32BE(1, 20);
+        const record = Buffer.alloc(16);
+        record.writeUInt32BE(42, 0);
+        record.writeUInt32BE(7, 4);
+        record.writeUInt32BE(data.length, 8);
+        record.writeUInt32BE(data.length + 10, 12);
+
+        const [decoded] = PCAP.Decode(Buffer.concat([header, record, data]));
+        assertEqual(decoded.linkType, 1, 'Big-endian link type');
+        assertEqual(decoded.timestamp.seconds, 42, 'Big-endian seconds');
+        assertEqual(decoded.timestamp.nanoseconds, 7000, 'Big-endian microseconds');
+        assertBufferEqual(decoded.data, data, 'Big-endian data');
+        assert(decoded.clipped, 'Snaplen-clipped packet reported');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Big-endian pcap test - ${error.message}`);
+        failedTests.push('Big-endian pcap test');
+    }
+
+    // ===== Test 9: Truncated Capture =====
+    console.log('\n📝 Test 9: Truncated Capture');
+    try {
+        const file = PCAP.Encode([Buffer.alloc(40, 1), Buffer.alloc(40, 2)]);
+        const cut = file.subarray(0, file.length - 15);
+        const records = PCAP.Decode(cut);
+
+        assertEqual(records.length, 2, 'Complete record plus truncation report');
+        assert(!records[0].truncated, 'First record intact');
+        assert(records[1].truncated, 'Second record flagged truncated');
+        assert(/truncated/.test(records[1].error), 'Truncation error message');
+        assertEqual(records[1].data.length, 25, 'Partial data returned');
+
+        const garbage = PCAP.Decode(Buffer.from('not a capture file'));
+        assert(garbage.length === 1 && garbage[0].error, 'Unknown magic reported, not thrown');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Truncated capture test - ${error.message}`);
+        failedTests.push('Truncated capture test');
+    }
+
+    // ===== Test 10: PCAPNG =====
+    console.log('\n📝 Test 10: PCAPNG');
+    try {
+        const ethFrame = Ethernet.Encode('ff:ff:ff:ff:ff:ff', 'aa:bb:cc:dd:ee:ff', 'ipv4', buildUdpOverIPv4(Buffer.from('ng')));
+        const rawPacket = buildUdpOverIPv4(Buffer.from('raw!'));
+
+        const file = Buffer.concat([
+            pcapngBlock(0x0A0D0D0A, sectionHeaderBody()),
+            pcapngBlock(1, interfaceBody(1, 0)),                                    // if 0: Ethernet, µs
+            pcapngBlock(1, interfaceBody(228, 0, [idbOption(9, Buffer.from([9]))])), // if 1: IPv4, ns
+            pcapngBlock(6, enhancedPacketBody(1, 1700000000123456789n, rawPacket)),
+            pcapngBlock(0x00000005, Buffer.alloc(8)),                                // Unknown block skipped
+            pcapngBlock(6, enhancedPacketBody(0, 1700000000654321n, ethFrame, ethFrame.length + 4)),
+            pcapngBlock(3, simplePacketBody(ethFrame))
+        ]);
+
+        const records = [];
+        for await (const record of PCAP.read(chunked(file, 7))) {
+            records.push(record);
+        }
+
+        assertEqual(records.length, 3, 'Three packet records read');
+        assertEqual(records[0].interfaceId, 1, 'EPB interface ID');
+        assertEqual(records[0].linkType, 228, 'Per-interface link type');
+        assertEqual(records[0].timestamp.seconds, 1700000000, 'Nanosecond-resolution seconds');
+        assertEqual(records[0].timestamp.nanoseconds, 123456789, 'Nanosecond-resolution fraction');
+        assertBufferEqual(records[0].data, rawPacket, 'EPB data');
+        assertEqual(records[1].linkType, 1, 'Ethernet interface link type');
+        assertEqual(records[1].timestamp.nanoseconds, 654321000, 'Default microsecond resolution');
+        assert(records[1].clipped, 'EPB clipped packet reported');
+        assertEqual(Ethernet.Decode(records[1].data).etherType, 0x0800, 'EPB feeds ethernet.Decode');
+        assertEqual(records[2].timestamp, null, 'SPB has no timestamp');
+        assertBufferEqual(records[2].data, ethFrame, 'SPB data');
+
+        const cut = PCAP.Decode(file.subarray(0, file.length - 6));
+        assert(cut[cut.length - 1].truncated, 'Truncated pcapng block reported');
+
+        // Blocks too short for their fixed fields
+        const shortEpb = Buffer.concat([
+            pcapngBlock(0x0A0D0D0A, sectionHeaderBody()),
+            pcapngBlock(1, interfaceBody(1, 0)),
+            pcapngBlock(6, Buffer.alloc(4))
+        ]);
+        const [epbError] = PCAP.Decode(shortEpb);
+        assert(epbError && epbError.truncated && /minimum/.test(epbError.error), 'Short EPB reported, not thrown');
+
+        const shortIdb = Buffer.concat([
+            pcapngBlock(0x0A0D0D0A, sectionHeaderBody()),
+            pcapngBlock(1, Buffer.alloc(0)),
+            pcapngBlock(6, enhancedPacketBody(0, 0n, rawPacket))
+        ]);
+        const streamed = [];
+        for await (const record of PCAP.read(shortIdb)) {
+            streamed.push(record);
+        }
+        assertEqual(streamed.length, 2, 'Short IDB reported and reading continues');
+        assert(/minimum/.test(streamed[0].error), 'Short IDB error record');
+        assert(/undefined interface/.test(streamed[1].error), 'Packet after short IDB has no interface');
+
+    } catch (error) {
+        console.log(`❌ FAIL: PCAPNG test - ${error.message}`);
+        failedTests.push('PCAPNG test');
+    }
+
+    // ===== Test 11: Reading from a File =====
+    console.log('\n📝 Test 11: Reading from a File');
+    const readFile = path.join(os.tmpdir(), `netcraft-pcap-read-${process.pid}.pcap`);
+    try {
+        const packets = Array.from({ length: 20 }, (_, i) => buildUdpOverIPv4(Buffer.alloc(100 + i, i)));
+        await PCAP.writeFile(readFile, packets, { linkType: 'ipv4' });
+
+        let count = 0;
+        let intact = true;
+        for await (const record of PCAP.read(readFile)) {
+            intact = intact && Buffer.compare(record.data, packets[count]) === 0;
+            count++;
+        }
+        assertEqual(count, 20, 'All records streamed from disk');
+        assert(intact, 'Streamed records match written packets');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Reading from file test - ${error.message}`);
+        failedTests.push('Reading from file test');
+    } finally {
+        fs.rmSync(readFile, { force: true });
+    }
+
+    // ===== Test Results Summary =====
+    console.log('\n📊 Test Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${testCount}`);
+    console.log(`✅ Passed: ${passedTests}`);
+    console.log(`❌ Failed: ${testCount - passedTests}`);
+    console.log(`Success Rate: ${((passedTests / testCount) * 100).toFixed(1)}%`);
+
+    if (failedTests.length > 0) {
+        console.log('\n❌ Failed Tests:');
+        failedTests.forEach((test, index) => {
+            console.log(`   ${index + 1}. ${test}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n🎉 All tests passed!');
+        process.exit(0);
+    }
+}
+
+run();
@@ -0,0 +1,84 @@
+// pcap-utils.js
+// Helpers shared by the pcap writer and reader
+
+const { LINKTYPES } = require('./constants');
+
+/**
+ * Convert a link type name or number to its LINKTYPE_* value
+ * @param {string|number} linkType - 'ethernet', 'raw', 'ipv4', 'ipv6', ... or numeric value
+ * @returns {number} Link type value
+ */
+function processLinkType(linkType) {
+    if (typeof linkType === 'number') {
+        if (!Number.isInteger(linkType) || linkType < 0 || linkType > 0xFFFF) {
+            throw new Error(`Invalid link type: ${linkType}`);
+        }
+        return linkType;
+    }
+
+    if (typeof linkType !== 'string') {
+        throw new Error('Link type must be a string or number');
+    }
+
+    const normalized = linkType.toUpperCase();
+
+    if (!(normalized in LINKTYPES)) {
+        throw new Error(`Invalid link type: ${linkType}. Supported: ${Object.keys(LINKTYPES).join(', ').toLowerCase()}`);
+    }
+
+    return LINKTYPES[normalized];
+}
+
+/**
+ * Normalise a packet timestamp to whole seconds plus nanoseconds
+ *
+ * Accepted forms:
+ * - undefined            → current time
+ * - Date                 → millisecond precision
+ * - number               → milliseconds since the epoch (as from Date.now())
+ * - bigint               → nanoseconds since the epoch
+ * - { seconds, nanoseconds } or { seconds, microseconds }
+ *
+ * @param {Date|number|bigint|Object} [timestamp] - Timestamp in any accepted form
+ * @returns {{seconds: number, nanoseconds: number}} Normalised timestamp
+ */
+function normalizeTimestamp(timestamp) {
+    if (timestamp === undefined || timestamp === null) {
+        timestamp = Date.now();
+    }
+
+    if (timestamp instanceof Date) {
+        timestamp = timestamp.getTime();
+    }
+
+    if (typeof timestamp === 'bigint') {
+        return {
+            seconds: Number(timestamp / 1000000000n),
+            nanoseconds: Number(timestamp % 1000000000n)
+        };
+    }
+
+    if (typeof timestamp === 'number') {
+        if (!Number.isFinite(timestamp) || timestamp < 0) {
+            throw new Error(`Invalid timestamp: ${timestamp}`);
+        }
+        const seconds = Math.floor(timestamp / 1000);
+        const nanoseconds = Math.round((timestamp - seconds * 1000) * 1e6);
+        return { seconds, nanoseconds: Math.min(nanoseconds, 999999999) };
+    }
+
+    if (typeof timestamp === 'object' && Number.isInteger(timestamp.seconds)) {
+        const nanoseconds = timestamp.nanoseconds !== undefined
+            ? timestamp.nanoseconds
+            : (timestamp.microseconds || 0) * 1000;
+
+        if (!Number.isInteger(nanoseconds) || nanoseconds < 0 || nanoseconds > 999999999) {
+            throw new Error('Timestamp sub-second part out of range');
+        }
+        return { seconds: timestamp.seconds, nanoseconds };
+    }
+
+    throw new Error('Timestamp must be a Date, number (ms), bigint (ns) or { seconds, nanoseconds }');
+}
+
+module.exports = { processLinkType, normalizeTimestamp };
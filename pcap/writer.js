@@ -0,0 +1,219 @@
+// pcap-writer.js
+// libpcap classic capture file writer
+
+const fs = require('fs');
+const {
+    PCAP_MAGIC,
+    PCAP_VERSION_MAJOR,
+    PCAP_VERSION_MINOR,
+    PCAP_GLOBAL_HEADER_LENGTH,
+    PCAP_RECORD_HEADER_LENGTH,
+    DEFAULT_SNAPLEN,
+    LINKTYPES
+} = require('./constants');
+const { processLinkType, normalizeTimestamp } = require('./utils');
+
+// Global header (24 bytes, little-endian)
+// ┌─────────────────────────────────────────┐
+// │  Magic Number (4 bytes)                 │
+// ├────────────────────┬────────────────────┤
+// │  Version Major (2) │  Version Minor (2) │
+// ├────────────────────┴────────────────────┤
+// │  Reserved / thiszone (4 bytes)          │
+// ├─────────────────────────────────────────┤
+// │  Reserved / sigfigs (4 bytes)           │
+// ├─────────────────────────────────────────┤
+// │  Snap Length (4 bytes)                  │
+// ├─────────────────────────────────────────┤
+// │  Link Type (4 bytes)                    │
+// └─────────────────────────────────────────┘
+//
+// Record header (16 bytes) precedes each packet:
+// seconds (4) | micro/nanoseconds (4) | captured length (4) | original length (4)
+
+/**
+ * Writes packets in the libpcap classic format, either streaming to a
+ * writable stream or collecting them in memory.
+ *
+ * @example
+ * const writer = new PcapWriter({ linkType: 'ethernet' });
+ * writer.write(frame, Date.now());
+ * fs.writeFileSync('out.pcap', writer.toBuffer());
+ */
+class PcapWriter {
+    /**
+     * @param {Object} [options={}] - Writer options
+     * @param {string|number} [options.linkType='ethernet'] - 'ethernet', 'raw', 'ipv4', 'ipv6' or LINKTYPE_* value
+     * @param {number} [options.snaplen=262144] - Maximum bytes stored per packet
+     * @param {boolean} [options.nanosecond=false] - Use nanosecond-resolution timestamps
+     * @param {stream.Writable} [options.stream] - Destination stream; buffered in memory when omitted
+     */
+    constructor(options = {}) {
+        const {
+            linkType = LINKTYPES.ETHERNET,
+            snaplen = DEFAULT_SNAPLEN,
+            nanosecond = false,
+            stream = null
+        } = options;
+
+        if (!Number.isInteger(snaplen) || snaplen <= 0 || snaplen > 0xFFFFFFFF) {
+            throw new Error(`Invalid snaplen: ${snaplen}`);
+        }
+
+        this.linkType = processLinkType(linkType);
+        this.snaplen = snaplen;
+        this.nanosecond = !!nanosecond;
+        this.stream = stream;
+        this.chunks = [];
+        this.packetCount = 0;
+        this.closed = false;
+        this.error = null;
+
+        // Keep stream errors (e.g. an unwritable path) for the next write() or close()
+        if (this.stream) {
+            this.stream.on('error', error => {
+                this.error = error;
+            });
+        }
+
+        this._emit(this._globalHeader());
+    }
+
+    /**
+     * Append one packet record
+     * @param {Buffer} data - Packet bytes starting at the link-layer header
+     * @param {Date|number|bigint|Object} [timestamp] - Capture time (see normalizeTimestamp)
+     * @param {number} [originalLength=data.length] - Length on the wire, if data is already clipped
+     * @returns {PcapWriter} this, for chaining
+     */
+    write(data, timestamp, originalLength = data && data.length) {
+        if (this.closed) {
+            throw new Error('Cannot write to a closed PcapWriter');
+        }
+        if (this.error) {
+            throw this.error;
+        }
+        if (!Buffer.isBuffer(data)) {
+            throw new Error('Packet data must be a Buffer');
+        }
+        if (!Number.isInteger(originalLength) || originalLength < data.length) {
+            throw new Error('Original length must be an integer >= captured length');
+        }
+
+        const { seconds, nanoseconds } = normalizeTimestamp(timestamp);
+        const captured = data.length > this.snaplen ? data.subarray(0, this.snaplen) : data;
+
+        const header = Buffer.alloc(PCAP_RECORD_HEADER_LENGTH);
+        header.writeUInt32LE(seconds >>> 0, 0);
+        header.writeUInt32LE(this.nanosecond ? nanoseconds : Math.floor(nanoseconds / 1000), 4);
+        header.writeUInt32LE(captured.length, 8);
+        header.writeUInt32LE(originalLength, 12);
+
+        this._emit(header);
+        this._emit(captured);
+        this.packetCount++;
+        return this;
+    }
+
+    /**
+     * Return the complete capture file (in-memory mode only)
+     * @returns {Buffer} pcap file contents
+     */
+    toBuffer() {
+        if (this.stream) {
+            throw new Error('toBuffer() is not available when writing to a stream');
+        }
+        return Buffer.concat(this.chunks);
+    }
+
+    /**
+     * Finish the capture and end the destination stream, if any
+     * @returns {Promise<void>} Resolves once all data is flushed; rejects with the stream's error
+     */
+    close() {
+        this.closed = true;
+
+        if (!this.stream) {
+            return Promise.resolve();
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.stream.once('error', reject);
+            this.stream.end(error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    _globalHeader() {
+        const header = Buffer.alloc(PCAP_GLOBAL_HEADER_LENGTH);
+        header.writeUInt32LE(this.nanosecond ? PCAP_MAGIC.NANOSECONDS : PCAP_MAGIC.MICROSECONDS, 0);
+        header.writeUInt16LE(PCAP_VERSION_MAJOR, 4);
+        header.writeUInt16LE(PCAP_VERSION_MINOR, 6);
+        header.writeInt32LE(0, 8);      // thiszone: always UTC
+        header.writeUInt32LE(0, 12);    // sigfigs: always 0
+        header.writeUInt32LE(this.snaplen, 16);
+        header.writeUInt32LE(this.linkType, 20);
+        return header;
+    }
+
+    _emit(chunk) {
+        if (this.stream) {
+            this.stream.write(chunk);
+        } else {
+            this.chunks.push(chunk);
+        }
+    }
+}
+
+/**
+ * Create a PcapWriter streaming to a file
+ * @param {string} path - Output file path
+ * @param {Object} [options={}] - PcapWriter options (linkType, snaplen, nanosecond)
+ * @returns {PcapWriter} Writer; call close() when done. Errors opening or writing the
+ *                       file are thrown by the next write() or rejected by close()
+ */
+function createFileWriter(path, options = {}) {
+    return new PcapWriter({ ...options, stream: fs.createWriteStream(path) });
+}
+
+/**
+ * Encode a list of packets into a pcap file Buffer
+ * @param {Array<Buffer|Object>} packets - Buffers, or { data, timestamp, originalLength }
+ * @param {Object} [options={}] - PcapWriter options (linkType, snaplen, nanosecond)
+ * @returns {Buffer} pcap file contents
+ *
+ * @example
+ * const file = Encode([ipv4.Encode(...)], { linkType: 'ipv4' });
+ */
+function Encode(packets, options = {}) {
+    if (!Array.isArray(packets)) {
+        throw new Error('Packets must be an array');
+    }
+
+    const writer = new PcapWriter({ ...options, stream: null });
+
+    for (const packet of packets) {
+        if (Buffer.isBuffer(packet)) {
+            writer.write(packet);
+        } else {
+            writer.write(packet.data, packet.timestamp, packet.originalLength);
+        }
+    }
+
+    return writer.toBuffer();
+}
+
+/**
+ * Write a list of packets to a pcap file
+ * @param {string} path - Output file path
+ * @param {Array<Buffer|Object>} packets - Buffers, or { data, timestamp, originalLength }
+ * @param {Object} [options={}] - PcapWriter options (linkType, snaplen, nanosecond)
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+function writeFile(path, packets, options = {}) {
+    return fs.promises.writeFile(path, Encode(packets, options));
+}
+
+module.exports = { PcapWriter, createFileWriter, Encode, writeFile };
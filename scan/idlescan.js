@@ -0,0 +1,301 @@
+// idlescan.js
+// Idle (zombie) scan: port states read from a third host's IP ID counter
+//
+//   scanner                      zombie                       target
+//      │── SYN/ACK (probe) ───────▶│                             │
+//      │◀── RST, IP ID n ──────────│                             │
+//      │── SYN, src = zombie ──────┼────────────────────────────▶│
+//      │                           │◀── SYN/ACK (open) ──────────│
+//      │                           │─── RST, IP ID n+1 ─────────▶│
+//      │                           │◀── RST (closed) ────────────│  (ignored, no ID used)
+//      │── SYN/ACK (follow-up) ───▶│                             │
+//      │◀── RST, IP ID n+2 / n+1 ──│                             │
+//
+//   delta 2 → open, delta 1 → closed|filtered, anything else → the zombie
+//   was busy with other traffic; the port is retried
+//
+// The zombie must have a global incremental (or byte-swapped) IP ID counter
+// and little traffic of its own; checkZombie() measures both with the
+// sequence analysis. Packets go out through an injectable transport, so a
+// raw socket, a replay or a simulated network all work.
+
+const TCP = require('../tcp/tcp');
+const IPv4 = require('../ipv4/ipv4');
+const { ipIdAnalysis } = require('./sequence');
+
+// IP ID delta between probe and follow-up → port state
+const DELTA_STATES = {
+    1: 'closed|filtered',
+    2: 'open'
+};
+
+const USABLE_CLASSES = ['incremental', 'broken-increment'];
+
+/**
+ * Build the SYN/ACK that makes the zombie answer with an RST (and its IP ID)
+ * @param {Object} fields
+ * @param {string} fields.scanner - Scanner address
+ * @param {string} fields.zombie - Zombie address
+ * @param {number} [fields.zombiePort=80] - Port on the zombie
+ * @param {number} [fields.sport] - Source port (random by default)
+ * @param {number} [fields.seq] - Sequence number (random by default)
+ * @param {number} [fields.ack] - Acknowledgment number (random by default)
+ * @param {number} [fields.id] - IP identification (random by default)
+ * @returns {Buffer} IPv4 packet
+ */
+function zombieProbe(fields) {
+    const { scanner, zombie, zombiePort = 80 } = fields;
+    return packet(scanner, zombie, {
+        sport: fields.sport,
+        dport: zombiePort,
+        seq: fields.seq,
+        ack: fields.ack !== undefined ? fields.ack : random(0x100000000),
+        flags: { syn: true, ack: true },
+        id: fields.id
+    });
+}
+
+/**
+ * Build the SYN to the target that appears to come from the zombie
+ * @param {Object} fields
+ * @param {string} fields.zombie - Zombie address (used as the source)
+ * @param {string} fields.target - Target address
+ * @param {number} fields.port - Port to scan
+ * @param {number} [fields.sport] - Source port (random by default)
+ * @param {number} [fields.seq] - Sequence number (random by default)
+ * @param {number} [fields.id] - IP identification (random by default)
+ * @returns {Buffer} IPv4 packet
+ */
+function spoofedSyn(fields) {
+    const { zombie, target, port } = fields;
+    return packet(zombie, target, {
+        sport: fields.sport,
+        dport: port,
+        seq: fields.seq,
+        ack: 0,
+        flags: { syn: true },
+        id: fields.id
+    });
+}
+
+/**
+ * Read the zombie's IP ID from its reply to a probe
+ * @param {Buffer} reply - Raw IPv4 packet
+ * @param {Object} [expected={}] - { zombie, zombiePort, sport } the reply must match
+ * @returns {number|null} IP identification, or null if this is not the zombie's RST
+ */
+function readIpId(reply, expected = {}) {
+    const ip = IPv4.Decode(reply, { mode: 'lenient' });
+    if (ip.protocol !== 6 || (expected.zombie !== undefined && ip.srcIp !== expected.zombie)) {
+        return null;
+    }
+
+    const segment = TCP.Decode(ip.payload, { mode: 'lenient' });
+    const matches = (segment.flags || []).includes('RST')
+        && (expected.zombiePort === undefined || segment.sourcePort === expected.zombiePort)
+        && (expected.sport === undefined || segment.destinationPort === expected.sport);
+    return matches ? ip.identification : null;
+}
+
+/**
+ * Turn the IP ID difference between probe and follow-up into a port state
+ * @param {number} before - IP ID in the reply to the first probe
+ * @param {number} after - IP ID in the reply to the follow-up probe
+ * @param {Object} [options={}]
+ * @param {boolean} [options.broken=false] - The zombie's counter is byte-swapped (steps of 256)
+ * @returns {Object} { delta, state, reason } - state is 'open', 'closed|filtered' or 'unknown'
+ *
+ * @example
+ * interpretDelta(0x1000, 0x1002);  // { delta: 2, state: 'open', reason: 'ipid-delta' }
+ */
+function interpretDelta(before, after, options = {}) {
+    const raw = (after - before + 0x10000) % 0x10000;
+    const delta = options.broken ? raw / 256 : raw;
+    const state = DELTA_STATES[delta];
+
+    if (state) {
+        return { delta, state, reason: 'ipid-delta' };
+    }
+    return { delta, state: 'unknown', reason: delta === 0 ? 'no-increment' : 'zombie-busy' };
+}
+
+/**
+ * Create an idle scan through one zombie
+ * @param {Object} config
+ * @param {string} config.scanner - Scanner address
+ * @param {string} config.zombie - Zombie address
+ * @param {number} [config.zombiePort=80] - Port probed on the zombie
+ * @param {string} config.target - Target address
+ * @param {Object} config.transport - { send(packet) } resolving to the reply (raw IPv4, an array of
+ *                                    them, or null). With a receive() method, replies are read from
+ *                                    receive() instead, which resolves to the next packet or null
+ * @param {number} [config.retries=2] - Extra attempts per port when the zombie was busy or silent
+ * @param {number} [config.samples=4] - Probes sent by checkZombie()
+ * @param {number} [config.wait=0] - Milliseconds between the spoofed SYN and the follow-up probe
+ * @returns {Object} { plan(port), checkZombie(), scanPort(port), scan(ports) }
+ *
+ * @example
+ * const idle = createIdleScan({ scanner: '10.0.0.1', zombie: '10.0.0.5', target: '10.0.0.9', transport });
+ * const { ports } = await idle.scan([22, 80, 443]);
+ * // [{ port: 22, state: 'open', reason: 'ipid-delta', delta: 2, attempts: 1 }, ...]
+ */
+function createIdleScan(config = {}) {
+    const { scanner, zombie, zombiePort = 80, target, transport, retries = 2, samples = 4, wait = 0 } = config;
+
+    if (!scanner || !zombie || !target) {
+        throw new Error('Idle scan needs scanner, zombie and target addresses');
+    }
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Idle scan needs a transport with a send(packet) method');
+    }
+
+    let broken = false;
+
+    /**
+     * The three packets that test one port
+     * @param {number} port - Port on the target
+     * @returns {Object} { probe, spoof, followUp, sports: { probe, followUp } }
+     */
+    function plan(port) {
+        const sports = { probe: 1024 + random(64512), followUp: 1024 + random(64512) };
+        return {
+            probe: zombieProbe({ scanner, zombie, zombiePort, sport: sports.probe }),
+            spoof: spoofedSyn({ zombie, target, port }),
+            followUp: zombieProbe({ scanner, zombie, zombiePort, sport: sports.followUp }),
+            sports
+        };
+    }
+
+    // Send a zombie probe and wait for its RST
+    async function probeZombie(packet, sport) {
+        const sent = await transport.send(packet);
+        const expected = { zombie, zombiePort, sport };
+
+        if (typeof transport.receive !== 'function') {
+            for (const reply of [].concat(sent || [])) {
+                const id = readIpId(reply, expected);
+                if (id !== null) {
+                    return id;
+                }
+            }
+            return null;
+        }
+
+        let reply;
+        while ((reply = await transport.receive()) !== null && reply !== undefined) {
+            const id = readIpId(reply, expected);
+            if (id !== null) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Probe the zombie repeatedly and classify its IP ID counter
+     * @returns {Promise<Object>} { usable, class, rate?, ids, analysis }
+     */
+    async function checkZombie() {
+        const replies = [];
+        for (let i = 0; i < samples; i++) {
+            const sport = 1024 + random(64512);
+            const id = await probeZombie(zombieProbe({ scanner, zombie, zombiePort, sport }), sport);
+            if (id !== null) {
+                replies.push({ ip: { identification: id }, time: Date.now() });
+            }
+        }
+
+        const analysis = ipIdAnalysis(replies);
+        const result = {
+            usable: replies.length >= 2 && USABLE_CLASSES.includes(analysis.class),
+            class: replies.length > 0 ? analysis.class : 'unresponsive',
+            rate: analysis.rate,
+            ids: analysis.values,
+            analysis
+        };
+        broken = analysis.class === 'broken-increment';
+        return result;
+    }
+
+    /**
+     * Test one port, retrying while the zombie is busy or silent
+     * @param {number} port - Port on the target
+     * @returns {Promise<Object>} { port, state, reason, delta, attempts }
+     */
+    async function scanPort(port) {
+        let outcome = { delta: null, state: 'unknown', reason: 'no-zombie-response' };
+        let attempts = 0;
+
+        while (attempts <= retries) {
+            attempts++;
+            const packets = plan(port);
+
+            const before = await probeZombie(packets.probe, packets.sports.probe);
+            if (before === null) {
+                outcome = { delta: null, state: 'unknown', reason: 'no-zombie-response' };
+                continue;
+            }
+
+            // Whatever comes back goes to the zombie, not to us
+            await transport.send(packets.spoof);
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+
+            const after = await probeZombie(packets.followUp, packets.sports.followUp);
+            if (after === null) {
+                outcome = { delta: null, state: 'unknown', reason: 'no-zombie-response' };
+                continue;
+            }
+
+            outcome = interpretDelta(before, after, { broken });
+            if (outcome.state !== 'unknown') {
+                break;
+            }
+        }
+        return { port, ...outcome, attempts };
+    }
+
+    /**
+     * Check the zombie, then scan ports one after the other
+     * @param {number[]} ports - Ports on the target
+     * @returns {Promise<Object>} { zombie: checkZombie() result, ports: scanPort() results }
+     */
+    async function scan(ports) {
+        const check = await checkZombie();
+        if (!check.usable) {
+            throw new Error(`Zombie ${zombie} is not usable: IP ID class ${check.class}`);
+        }
+
+        const results = [];
+        for (const port of ports) {
+            results.push(await scanPort(port));
+        }
+        return { zombie: check, ports: results };
+    }
+
+    return { plan, checkZombie, scanPort, scan };
+}
+
+// IPv4 + TCP packet with random defaults
+function packet(src, dst, fields) {
+    const sport = fields.sport !== undefined ? fields.sport : 1024 + random(64512);
+    const seq = fields.seq !== undefined ? fields.seq : random(0x100000000);
+    const id = fields.id !== undefined ? fields.id : random(0x10000);
+
+    const segment = TCP.Encode(src, dst, sport, fields.dport, seq, fields.ack, fields.flags, 1024, 0, Buffer.alloc(0), Buffer.alloc(0));
+    return IPv4.Encode(src, dst, 4, 0, 0, id, '', 0, 64, 'tcp', [], segment);
+}
+
+function random(limit) {
+    return Math.floor(Math.random() * limit);
+}
+
+module.exports = {
+    DELTA_STATES,
+    zombieProbe,
+    spoofedSyn,
+    readIpId,
+    interpretDelta,
+    createIdleScan
+};
@@ -0,0 +1,542 @@
+// osscan.js
+// Nmap-style (second generation) OS fingerprinting
+//
+// The engine builds the 16 probes nmap sends, matches the replies back to
+// them and computes the fingerprint tests:
+//
+//   SEQ   six SYNs to an open port, 100 ms apart       → SP GCD ISR TI CI II SS TS
+//   OPS   options of the six SYN/ACKs                  → O1-O6
+//   WIN   windows of the six SYN/ACKs                  → W1-W6
+//   ECN   SYN with ECE, CWR and NS to the open port    → R DF T TG W O CC Q
+//   T1    reply to the first SEQ probe                 → R DF T TG S A F RD Q
+//   T2-T7 odd flag combinations to open/closed ports   → R DF T TG W S A F O RD Q
+//   U1    UDP to a closed port                         → R DF T TG IPL UN RIPL RID RIPCK RUCK RUD
+//   IE    two ICMP echo requests                       → R DFI T TG CD
+//
+// Sending is left to the caller: take scan.probes, put them on the wire (or
+// feed them to a simulated host), hand every reply to scan.record() and ask
+// for scan.fingerprint().
+//
+// Test semantics follow https://nmap.org/book/osdetect-methods.html.
+
+const { stack, ipv4, tcp, udp, icmp, raw } = require('../stack/stack');
+const { dissect } = require('../dissect/dissect');
+const { crc32 } = require('../ethernet/utils');
+const { sequenceAnalysis, timestampAnalysis, ipIdClass } = require('./sequence');
+
+// Windows and options of the six SEQ probes
+const SEQ_PROBES = [
+    { window: 1, options: [['WS', 10], 'NOP', ['MSS', 1460], ['TS', 0xFFFFFFFF, 0], 'SACKOK'] },
+    { window: 63, options: [['MSS', 1400], ['WS', 0], 'SACKOK', ['TS', 0xFFFFFFFF, 0], 'EOL'] },
+    { window: 4, options: [['TS', 0xFFFFFFFF, 0], 'NOP', 'NOP', ['WS', 5], 'NOP', ['MSS', 640]] },
+    { window: 4, options: ['SACKOK', ['TS', 0xFFFFFFFF, 0], ['WS', 10], 'EOL'] },
+    { window: 16, options: [['MSS', 536], 'SACKOK', ['TS', 0xFFFFFFFF, 0], ['WS', 10], 'EOL'] },
+    { window: 512, options: [['MSS', 265], 'SACKOK', ['TS', 0xFFFFFFFF, 0]] }
+];
+
+const T_OPTIONS = [['WS', 10], 'NOP', ['MSS', 265], ['TS', 0xFFFFFFFF, 0], 'SACKOK'];
+
+// T2-T7: flags, window, DF and target port
+const T_PROBES = [
+    { name: 'T2', flags: '', window: 128, df: true, port: 'open' },
+    { name: 'T3', flags: 'SFUP', window: 256, df: false, port: 'open' },
+    { name: 'T4', flags: 'A', window: 1024, df: true, port: 'open' },
+    { name: 'T5', flags: 'S', window: 31337, df: false, port: 'closed' },
+    { name: 'T6', flags: 'A', window: 32768, df: true, port: 'closed' },
+    { name: 'T7', flags: 'FPU', window: 65535, df: false, port: 'closed', options: [['WS', 15], 'NOP', ['MSS', 265], ['TS', 0xFFFFFFFF, 0], 'SACKOK'] }
+];
+
+const U1_IP_ID = 0x1042;
+const U1_DATA = Buffer.alloc(300, 0x43); // 'C'
+const IE_SEQUENCE = 295;
+
+// Fingerprint lines and the tests each one carries, in nmap's order
+const TEST_LINES = ['SEQ', 'OPS', 'WIN', 'ECN', 'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'U1', 'IE'];
+
+/**
+ * Build the probe sequence for one target
+ * @param {Object} config
+ * @param {string} config.src - Our address
+ * @param {string} config.dst - Target address
+ * @param {number} config.openPort - An open TCP port
+ * @param {number} config.closedPort - A closed TCP port
+ * @param {number} [config.closedUdpPort=config.closedPort] - A closed UDP port
+ * @param {number} [config.sport] - First source port; probe i uses sport + i (random by default)
+ * @param {number} [config.seq] - Base sequence number (random by default)
+ * @param {number} [config.ack] - Acknowledgment number of the probes (random by default)
+ * @param {number} [config.ipId] - Base IP identification (random by default)
+ * @param {number} [config.icmpId] - ICMP echo identifier of IE #1; IE #2 uses icmpId + 1 (random by default)
+ * @param {number} [config.ttl=64] - TTL of every probe
+ * @param {number} [config.interval=100] - Milliseconds between SEQ probes
+ * @returns {Array<Object>} Probes in send order: { name, packet, delay, protocol, sport, dport, seq, ack, ... }
+ */
+function buildProbes(config = {}) {
+    const { src, dst, openPort, closedPort, ttl = 64, interval = 100 } = config;
+    if (!src || !dst) {
+        throw new Error('OS scan needs src and dst addresses');
+    }
+    if (!Number.isInteger(openPort) || !Number.isInteger(closedPort)) {
+        throw new Error('OS scan needs an open and a closed TCP port');
+    }
+
+    const closedUdpPort = config.closedUdpPort !== undefined ? config.closedUdpPort : closedPort;
+    const sport = config.sport !== undefined ? config.sport : 32768 + random(16384);
+    const seq = config.seq !== undefined ? config.seq : random(0x100000000);
+    const ack = config.ack !== undefined ? config.ack : random(0x100000000);
+    const ipId = config.ipId !== undefined ? config.ipId : random(0x10000);
+    const icmpId = config.icmpId !== undefined ? config.icmpId : random(0xFFFF);
+    const probes = [];
+
+    const tcpProbe = (name, index, fields, extra) => {
+        const probe = {
+            name,
+            protocol: 'tcp',
+            sport: sport + index,
+            dport: fields.dport,
+            seq: (seq + index) >>> 0,
+            ack: fields.ack,
+            ttl,
+            ...extra
+        };
+        probe.packet = stack(
+            ipv4({ src, dst, ttl, id: (ipId + index) & 0xFFFF, df: fields.df }),
+            tcp({ sport: probe.sport, dport: probe.dport, seq: probe.seq, ack: probe.ack, flags: fields.flags, window: fields.window, urgentPointer: fields.urgentPointer, options: fields.options })
+        );
+        probes.push(probe);
+    };
+
+    SEQ_PROBES.forEach((probe, i) => {
+        tcpProbe(`SEQ${i + 1}`, i, { dport: openPort, ack, flags: 'S', window: probe.window, options: probe.options, df: false }, { delay: i * interval });
+    });
+
+    const after = SEQ_PROBES.length * interval;
+
+    // ECN: the NS bit is the reserved bit right before CWR
+    tcpProbe('ECN', 6, {
+        dport: openPort, ack: 0, flags: 'SECN', window: 3, urgentPointer: 0xF7F5, df: false,
+        options: [['WS', 10], 'NOP', ['MSS', 1460], 'SACKOK', 'NOP', 'NOP']
+    }, { delay: after });
+
+    T_PROBES.forEach((probe, i) => {
+        tcpProbe(probe.name, 7 + i, {
+            dport: probe.port === 'open' ? openPort : closedPort,
+            ack, flags: probe.flags, window: probe.window, df: probe.df,
+            options: probe.options || T_OPTIONS
+        }, { delay: after });
+    });
+
+    const u1 = {
+        name: 'U1',
+        protocol: 'udp',
+        sport: sport + 13,
+        dport: closedUdpPort,
+        ttl,
+        delay: after,
+        packet: stack(ipv4({ src, dst, ttl, id: U1_IP_ID }), udp({ sport: sport + 13, dport: closedUdpPort }), raw(U1_DATA))
+    };
+    u1.udpChecksum = u1.packet.readUInt16BE(26);
+    probes.push(u1);
+
+    // IE: DF + code 9 + 120 zero bytes, then TOS 4 + code 0 + 150 zero bytes
+    [
+        { code: 9, dscp: 0, df: true, length: 120 },
+        { code: 0, dscp: 1, df: false, length: 150 }
+    ].forEach((probe, i) => {
+        probes.push({
+            name: `IE${i + 1}`,
+            protocol: 'icmp',
+            icmpId: icmpId + i,
+            icmpSeq: IE_SEQUENCE + i,
+            code: probe.code,
+            df: probe.df,
+            ttl,
+            delay: after,
+            packet: stack(
+                ipv4({ src, dst, ttl, id: (ipId + 14 + i) & 0xFFFF, df: probe.df, dscp: probe.dscp }),
+                icmp({ type: 8, code: probe.code, id: icmpId + i, seq: IE_SEQUENCE + i }),
+                raw(Buffer.alloc(probe.length))
+            )
+        });
+    });
+
+    return probes;
+}
+
+/**
+ * Decode a captured reply into the layers the tests look at
+ * @param {Buffer} packet - Captured packet
+ * @param {Object} [options={}]
+ * @param {string|number} [options.linkType='raw'] - Link type of the capture (see dissect)
+ * @returns {Object} { ip, tcp?, icmp?, quoted?: { ip, udp } } from the protocols' Decode()
+ */
+function decodeReply(packet, options = {}) {
+    const { linkType = 'raw' } = options;
+    const layers = dissect(packet, { linkType, mode: 'lenient' });
+    const reply = {};
+
+    for (const layer of layers) {
+        if (layer.protocol === 'ipv4') {
+            if (!reply.ip) {
+                reply.ip = layer.decoded;
+            } else {
+                reply.quoted = { ip: layer.decoded };
+            }
+        } else if (layer.protocol === 'tcp' && !reply.quoted) {
+            reply.tcp = layer.decoded;
+        } else if (layer.protocol === 'icmp' && !reply.quoted) {
+            reply.icmp = layer.decoded;
+        } else if (layer.protocol === 'udp' && reply.quoted) {
+            reply.quoted.udp = layer.decoded;
+        }
+    }
+
+    if (!reply.ip) {
+        throw new Error('Reply has no IPv4 layer');
+    }
+    return reply;
+}
+
+/**
+ * Find the probe a decoded reply answers
+ * @param {Array<Object>} probes - Probes from buildProbes()
+ * @param {Object} reply - Output of decodeReply()
+ * @returns {Object|null} Matching probe
+ */
+function matchProbe(probes, reply) {
+    if (reply.tcp) {
+        return probes.find(probe => probe.protocol === 'tcp'
+            && probe.sport === reply.tcp.destinationPort
+            && probe.dport === reply.tcp.sourcePort) || null;
+    }
+
+    if (reply.icmp && reply.icmp.type === 0) {
+        return probes.find(probe => probe.protocol === 'icmp'
+            && probe.icmpId === reply.icmp.identifier
+            && probe.icmpSeq === reply.icmp.sequence) || null;
+    }
+
+    if (reply.icmp && reply.icmp.type === 3 && reply.quoted && reply.quoted.udp) {
+        return probes.find(probe => probe.protocol === 'udp'
+            && probe.sport === reply.quoted.udp.SourcePort
+            && probe.dport === reply.quoted.udp.destinationPort) || null;
+    }
+
+    return null;
+}
+
+/**
+ * Create an OS scan for one target
+ * @param {Object} config - See buildProbes()
+ * @returns {Object} { probes, replies, record(reply, meta), analyze(options), fingerprint(options) }
+ *
+ * @example
+ * const scan = createOSScan({ src: '10.0.0.1', dst: '10.0.0.2', openPort: 22, closedPort: 1 });
+ * for (const probe of scan.probes) {
+ *     const reply = await transport.send(probe.packet);
+ *     if (reply) scan.record(reply);
+ * }
+ * console.log(scan.fingerprint());
+ */
+function createOSScan(config = {}) {
+    const probes = buildProbes(config);
+    const replies = {};
+
+    return {
+        probes,
+        replies,
+
+        /**
+         * Record a reply
+         * @param {Buffer|Object} reply - Captured packet, or the output of decodeReply()
+         * @param {Object} [meta={}]
+         * @param {string} [meta.probe] - Probe name, when the reply has already been matched
+         * @param {number} [meta.sentAt] - When the probe was actually sent (ms); defaults to its scheduled delay
+         * @param {string|number} [meta.linkType='raw'] - Link type, for Buffer replies
+         * @returns {string|null} Name of the probe the reply was recorded for
+         */
+        record(reply, meta = {}) {
+            const decoded = Buffer.isBuffer(reply) ? decodeReply(reply, meta) : reply;
+            const probe = meta.probe
+                ? probes.find(candidate => candidate.name === meta.probe)
+                : matchProbe(probes, decoded);
+
+            if (!probe) {
+                return null;
+            }
+            if (meta.sentAt !== undefined) {
+                probe.delay = meta.sentAt;
+            }
+            if (!replies[probe.name]) {
+                replies[probe.name] = decoded;
+            }
+            return probe.name;
+        },
+
+        analyze(options = {}) {
+            return computeTests(probes, replies, options);
+        },
+
+        fingerprint(options = {}) {
+            return formatFingerprint(computeTests(probes, replies, options));
+        }
+    };
+}
+
+/**
+ * Compute the fingerprint tests
+ * @param {Array<Object>} probes - Probes from buildProbes()
+ * @param {Object} replies - Decoded replies by probe name
+ * @param {Object} [options={}]
+ * @param {number} [options.distance] - Hop distance; taken from the U1 reply when omitted
+ * @returns {Object} Test values by line, e.g. { SEQ: { SP: '106', ... }, T1: { R: 'Y', ... } }
+ */
+function computeTests(probes, replies, options = {}) {
+    const byName = Object.fromEntries(probes.map(probe => [probe.name, probe]));
+    const distance = options.distance !== undefined ? options.distance : hopDistance(byName.U1, replies.U1);
+    const tests = {};
+
+    tests.SEQ = sequenceTests(probes, replies);
+    tests.OPS = {};
+    tests.WIN = {};
+    SEQ_PROBES.forEach((_, i) => {
+        const reply = replies[`SEQ${i + 1}`];
+        if (reply && reply.tcp) {
+            tests.OPS[`O${i + 1}`] = optionsString(reply.tcp.options);
+            tests.WIN[`W${i + 1}`] = hex(reply.tcp.windowSize);
+        }
+    });
+
+    tests.ECN = responseTests(replies.ECN, distance, (reply, out) => {
+        out.W = hex(reply.tcp.windowSize);
+        out.O = optionsString(reply.tcp.options);
+        out.CC = congestionControl(reply.tcp.flags);
+        out.Q = quirks(reply.tcp);
+    });
+
+    tests.T1 = responseTests(replies.SEQ1, distance, (reply, out) => {
+        Object.assign(out, segmentTests(byName.SEQ1, reply.tcp));
+    });
+
+    for (const { name } of T_PROBES) {
+        tests[name] = responseTests(replies[name], distance, (reply, out) => {
+            const { S, A, F, RD, Q } = segmentTests(byName[name], reply.tcp);
+            Object.assign(out, { W: hex(reply.tcp.windowSize), S, A, F, O: optionsString(reply.tcp.options), RD, Q });
+        });
+    }
+
+    tests.U1 = responseTests(replies.U1, distance, (reply, out) => {
+        Object.assign(out, portUnreachableTests(byName.U1, reply));
+    });
+
+    tests.IE = echoTests(byName, replies, distance);
+
+    return tests;
+}
+
+/**
+ * Format test values as an nmap fingerprint, one line per test group
+ * @param {Object} tests - Output of computeTests()
+ * @returns {string} e.g. "SEQ(SP=106%GCD=1%...)\nOPS(...)\n..."
+ */
+function formatFingerprint(tests) {
+    return TEST_LINES
+        .filter(line => tests[line])
+        .map(line => `${line}(${Object.entries(tests[line]).map(([name, value]) => `${name}=${value}`).join('%')})`)
+        .join('\n');
+}
+
+// ===== SEQ =====
+
+function sequenceTests(probes, replies) {
+    const seqProbes = probes.filter(probe => /^SEQ\d$/.test(probe.name));
+    const answered = seqProbes
+        .map((probe, index) => ({ probe, index, reply: replies[probe.name] }))
+        .filter(entry => entry.reply && entry.reply.tcp);
+    const out = {};
+
+    const samples = answered.map(entry => ({ tcp: entry.reply.tcp, ip: entry.reply.ip, time: entry.probe.delay }));
+    const isn = sequenceAnalysis(samples);
+    if (isn.gcd !== undefined) {
+        if (answered.length >= 4) {
+            out.SP = hex(isn.sp);
+        }
+        out.GCD = hex(isn.gcd);
+        out.ISR = hex(isn.isr);
+    }
+
+    const tcpIds = answered.map(entry => entry.reply.ip.identification);
+    const closedIds = ['T5', 'T6', 'T7'].filter(name => replies[name]).map(name => replies[name].ip.identification);
+    const icmpIds = ['IE1', 'IE2'].filter(name => replies[name] && replies[name].icmp).map(name => replies[name].ip.identification);
+
+    const ti = tcpIds.length >= 3 ? ipIdClass(tcpIds, true) : undefined;
+    const ci = closedIds.length >= 2 ? ipIdClass(closedIds, true) : undefined;
+    const ii = icmpIds.length >= 2 ? ipIdClass(icmpIds, false) : undefined;
+    if (ti !== undefined) out.TI = ti;
+    if (ci !== undefined) out.CI = ci;
+    if (ii !== undefined) out.II = ii;
+
+    // Shared TCP/ICMP ID sequence
+    if (['RI', 'BI', 'I'].includes(ii) && ii === ti) {
+        const first = answered[0];
+        const last = answered[answered.length - 1];
+        const avg = modDiff16(last.reply.ip.identification, first.reply.ip.identification) / (last.index - first.index);
+        out.SS = icmpIds[0] < last.reply.ip.identification + 3 * avg ? 'S' : 'O';
+    }
+
+    const timestamp = timestampAnalysis(samples).code;
+    if (timestamp !== undefined) out.TS = timestamp;
+
+    return out;
+}
+
+// ===== Per-response tests =====
+
+function responseTests(reply, distance, fill) {
+    if (!reply) {
+        return { R: 'N' };
+    }
+    const out = { R: 'Y', DF: reply.ip.flags.DF ? 'Y' : 'N', ...ttlTest(reply.ip.ttl, distance) };
+    fill(reply, out);
+    return out;
+}
+
+function segmentTests(probe, segment) {
+    return {
+        S: sequenceRelation(segment.sequenceNumber, probe.ack, 'A'),
+        A: sequenceRelation(segment.acknowledgmentNumber, probe.seq, 'S'),
+        F: flagString(segment.flags),
+        RD: segment.dataPayload && segment.dataPayload.length ? hex(crc32(segment.dataPayload)) : '0',
+        Q: quirks(segment)
+    };
+}
+
+function portUnreachableTests(probe, reply) {
+    const quoted = reply.quoted || {};
+    const out = {
+        IPL: hex(reply.ip.totalLength),
+        UN: hex(((reply.icmp.identifier << 16) | reply.icmp.sequence) >>> 0)
+    };
+
+    if (quoted.ip) {
+        out.RIPL = quoted.ip.totalLength === probe.packet.length ? 'G' : hex(quoted.ip.totalLength);
+        out.RID = quoted.ip.identification === U1_IP_ID ? 'G' : hex(quoted.ip.identification);
+        out.RIPCK = quoted.ip.checksum === 0 ? 'Z' : (quoted.ip.checksumValid ? 'G' : 'I');
+    }
+    if (quoted.udp) {
+        out.RUCK = quoted.udp.checksum === probe.udpChecksum ? 'G' : hex(quoted.udp.checksum);
+        out.RUD = quoted.udp.data.every(byte => byte === 0x43) ? 'G' : 'I';
+    }
+    return out;
+}
+
+function echoTests(byName, replies, distance) {
+    const first = replies.IE1;
+    const second = replies.IE2;
+    if (!first || !second || !first.icmp || !second.icmp) {
+        return { R: 'N' };
+    }
+
+    const dfs = [first.ip.flags.DF, second.ip.flags.DF];
+    let dfi = 'O';
+    if (!dfs[0] && !dfs[1]) dfi = 'N';
+    else if (dfs[0] === byName.IE1.df && dfs[1] === byName.IE2.df) dfi = 'S';
+    else if (dfs[0] && dfs[1]) dfi = 'Y';
+
+    const codes = [first.icmp.code, second.icmp.code];
+    let cd = 'O';
+    if (codes[0] === 0 && codes[1] === 0) cd = 'Z';
+    else if (codes[0] === byName.IE1.code && codes[1] === byName.IE2.code) cd = 'S';
+    else if (codes[0] === codes[1]) cd = hex(codes[0]);
+
+    return { R: 'Y', DFI: dfi, ...ttlTest(first.ip.ttl, distance), CD: cd };
+}
+
+// ===== Helpers =====
+
+/**
+ * Options in nmap notation: L (EOL), N (NOP), M<mss>, W<shift>, T<tsval><tsecr> (0/1), S (SACK permitted)
+ * @param {Array<Object>} options - Decoded TCP options
+ * @returns {string} e.g. "M5B4NW8NNT11"
+ */
+function optionsString(options = []) {
+    return options.map(option => {
+        switch (option.kind) {
+            case 0: return 'L';
+            case 1: return 'N';
+            case 2: return `M${hex(option.mss)}`;
+            case 3: return `W${hex(option.shift)}`;
+            case 4: return 'S';
+            case 8: return `T${option.tsval ? 1 : 0}${option.tsecr ? 1 : 0}`;
+            default: return '';
+        }
+    }).join('');
+}
+
+function flagString(flags = []) {
+    const letters = { ECE: 'E', URG: 'U', ACK: 'A', PSH: 'P', RST: 'R', SYN: 'S', FIN: 'F' };
+    return Object.keys(letters).filter(name => flags.includes(name)).map(name => letters[name]).join('');
+}
+
+function congestionControl(flags = []) {
+    const ece = flags.includes('ECE');
+    const cwr = flags.includes('CWR');
+    if (ece && cwr) return 'S';
+    if (ece) return 'Y';
+    if (cwr) return 'O';
+    return 'N';
+}
+
+function quirks(segment) {
+    let q = '';
+    if (segment.reserved || segment.ns) q += 'R';
+    if (segment.urgentPointer && !segment.flags.includes('URG')) q += 'U';
+    return q;
+}
+
+function sequenceRelation(value, reference, letter) {
+    if (value === 0) return 'Z';
+    if (value === reference) return letter;
+    if (value === ((reference + 1) >>> 0)) return `${letter}+`;
+    return 'O';
+}
+
+// T when the hop distance is known, otherwise TG (TTL rounded up to 32, 64, 128 or 255)
+function ttlTest(ttl, distance) {
+    if (distance !== undefined) {
+        return { T: hex(ttl + distance) };
+    }
+    const guess = [32, 64, 128].find(initial => ttl <= initial) || 255;
+    return { TG: hex(guess) };
+}
+
+// The U1 reply quotes our probe with the TTL it arrived with
+function hopDistance(probe, reply) {
+    if (!probe || !reply || !reply.quoted || !reply.quoted.ip) {
+        return undefined;
+    }
+    return Math.max(probe.ttl - reply.quoted.ip.ttl, 0);
+}
+
+function modDiff16(a, b) {
+    return (a - b + 0x10000) % 0x10000;
+}
+
+function hex(value) {
+    return value.toString(16).toUpperCase();
+}
+
+function random(limit) {
+    return Math.floor(Math.random() * limit);
+}
+
+module.exports = {
+    TEST_LINES,
+    buildProbes,
+    decodeReply,
+    matchProbe,
+    createOSScan,
+    computeTests,
+    formatFingerprint,
+    ipIdClass,
+    optionsString
+};
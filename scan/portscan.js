@@ -0,0 +1,173 @@
+// portscan.js
+// Nmap TCP scan types: probe presets and port-state classification
+//
+//   type     flags   reply → state
+//   syn      S       SYN/ACK or SYN → open, RST → closed, nothing / ICMP unreachable → filtered
+//   ack      A       RST → unfiltered, nothing / ICMP unreachable → filtered
+//   fin      F       RST → closed, nothing → open|filtered, ICMP unreachable → filtered
+//   null     -       (as fin)
+//   xmas     FPU     (as fin)
+//   maimon   FA      (as fin)
+//   window   A       RST with non-zero window → open, RST with zero window → closed,
+//                    nothing / ICMP unreachable → filtered
+//   custom   any     interpreted as one of the above (syn by default), as with --scanflags
+//
+// "ICMP unreachable" means type 3 with code 1, 2, 3, 9, 10 or 13. Other
+// replies are ignored by nmap and classified as no response here.
+//
+// States and reasons follow https://nmap.org/book/man-port-scanning-techniques.html.
+
+const TCP = require('../tcp/tcp');
+
+const SCAN_TYPES = {
+    syn: { flags: 'S', interpret: 'syn' },
+    ack: { flags: 'A', interpret: 'ack' },
+    fin: { flags: 'F', interpret: 'fin' },
+    null: { flags: '', interpret: 'fin' },
+    xmas: { flags: 'FPU', interpret: 'fin' },
+    maimon: { flags: 'FA', interpret: 'fin' },
+    window: { flags: 'A', interpret: 'window' }
+};
+
+// ICMP destination unreachable codes that mark a port filtered, with nmap's reason names
+const UNREACHABLE_REASONS = {
+    1: 'host-unreach',
+    2: 'proto-unreach',
+    3: 'port-unreach',
+    9: 'net-prohibited',
+    10: 'host-prohibited',
+    13: 'admin-prohibited'
+};
+
+// State when nothing (usable) comes back
+const NO_RESPONSE_STATES = {
+    syn: 'filtered',
+    ack: 'filtered',
+    fin: 'open|filtered',
+    window: 'filtered'
+};
+
+/**
+ * Build the probe segment of a scan type
+ * @param {string} type - syn, ack, fin, null, xmas, maimon, window or custom
+ * @param {Object} fields - Segment fields, as for tcp.build
+ * @param {string} fields.src - Source address (for the checksum)
+ * @param {string} fields.dst - Target address
+ * @param {number} fields.dport - Port to probe
+ * @param {number} [fields.sport] - Source port (random by default)
+ * @param {number} [fields.seq] - Sequence number (random by default)
+ * @param {number} [fields.ack] - Acknowledgment number (random by default when ACK is set, else 0)
+ * @param {number} [fields.window=1024] - Window
+ * @param {Array|Buffer} [fields.options] - Options (MSS 1460 on SYNs by default)
+ * @param {string|Object|number} [fields.flags] - Flags of a custom scan (required for custom)
+ * @returns {Buffer} TCP segment
+ *
+ * @example
+ * const segment = probe('xmas', { src: '10.0.0.1', dst: '10.0.0.2', dport: 80 });
+ */
+function probe(type, fields = {}) {
+    const flags = type === 'custom' ? fields.flags : scanType(type).flags;
+    if (flags === undefined) {
+        throw new Error('Custom scan needs flags');
+    }
+
+    const letters = typeof flags === 'string' ? flags.toUpperCase() : '';
+    const setsAck = letters.includes('A') || (typeof flags === 'object' && flags.ack) || (typeof flags === 'number' && (flags & 0x10) !== 0);
+
+    return TCP.build({
+        window: 1024,
+        options: letters.includes('S') ? [['MSS', 1460]] : [],
+        ...fields,
+        sport: fields.sport !== undefined ? fields.sport : 1024 + random(64512),
+        seq: fields.seq !== undefined ? fields.seq : random(0x100000000),
+        ack: fields.ack !== undefined ? fields.ack : (setsAck ? random(0x100000000) : 0),
+        flags
+    });
+}
+
+/**
+ * Classify a port from the reply to a probe
+ * @param {string} type - Scan type the probe was built with
+ * @param {Object|null} reply - Decoded TCP segment, decoded ICMP message, { tcp } / { icmp }
+ *                              (as from osscan.decodeReply), or null / 'timeout' when nothing came back
+ * @param {Object} [options={}]
+ * @param {string} [options.as='syn'] - Interpretation of a custom scan: syn, ack, fin or window
+ * @returns {Object} { state, reason } with nmap's state and reason names
+ *
+ * @example
+ * classify('syn', TCP.Decode(segment));  // { state: 'open', reason: 'syn-ack' }
+ * classify('fin', null);                  // { state: 'open|filtered', reason: 'no-response' }
+ */
+function classify(type, reply, options = {}) {
+    const interpret = type === 'custom' ? (options.as || 'syn') : scanType(type).interpret;
+    if (!NO_RESPONSE_STATES[interpret]) {
+        throw new Error(`Unknown custom scan interpretation: ${interpret} (expected syn, ack, fin or window)`);
+    }
+
+    const noResponse = { state: NO_RESPONSE_STATES[interpret], reason: 'no-response' };
+    const { tcp, icmp } = replyLayers(reply);
+
+    if (icmp) {
+        const reason = icmp.type === 3 ? UNREACHABLE_REASONS[icmp.code] : undefined;
+        return reason ? { state: 'filtered', reason } : noResponse;
+    }
+    if (!tcp) {
+        return noResponse;
+    }
+
+    const flags = tcp.flags || [];
+    const rst = flags.includes('RST');
+
+    switch (interpret) {
+        case 'syn':
+            if (flags.includes('SYN') && !rst) {
+                return { state: 'open', reason: flags.includes('ACK') ? 'syn-ack' : 'syn' };
+            }
+            return rst ? { state: 'closed', reason: 'reset' } : noResponse;
+        case 'ack':
+            return rst ? { state: 'unfiltered', reason: 'reset' } : noResponse;
+        case 'fin':
+            return rst ? { state: 'closed', reason: 'reset' } : noResponse;
+        case 'window':
+            if (!rst) {
+                return noResponse;
+            }
+            return tcp.windowSize > 0 ? { state: 'open', reason: 'reset' } : { state: 'closed', reason: 'reset' };
+    }
+}
+
+// Accepts a decoded layer directly or an object holding one
+function replyLayers(reply) {
+    if (!reply || reply === 'timeout') {
+        return {};
+    }
+    if (reply.tcp || reply.icmp) {
+        return { tcp: reply.tcp, icmp: reply.icmp };
+    }
+    if (Array.isArray(reply.flags)) {
+        return { tcp: reply };
+    }
+    if (reply.type !== undefined && reply.code !== undefined) {
+        return { icmp: reply };
+    }
+    return {};
+}
+
+function scanType(type) {
+    const preset = SCAN_TYPES[type];
+    if (!preset) {
+        throw new Error(`Unknown scan type: ${type}. Supported: ${Object.keys(SCAN_TYPES).join(', ')}, custom`);
+    }
+    return preset;
+}
+
+function random(limit) {
+    return Math.floor(Math.random() * limit);
+}
+
+module.exports = {
+    SCAN_TYPES,
+    UNREACHABLE_REASONS,
+    probe,
+    classify
+};
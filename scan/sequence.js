@@ -0,0 +1,353 @@
+// sequence.js
+// Sequence number and IP ID predictability analysis
+//
+// Input is a series of replies from one target, in the order they were
+// elicited. Each sample may be:
+//
+//   { tcp, ip, time }      as from osscan.decodeReply(), plus when it was sent/received
+//   a decoded TCP segment  (ISN and TCP timestamp analysis)
+//   a decoded IPv4 header  (IP ID analysis)
+//
+// Times are in milliseconds, taken from `time`, from a pcap record
+// `timestamp` ({ seconds, nanoseconds }) or from options.times. Rates need
+// them; everything else works without.
+//
+//   ISN       GCD of the increments, rate (ISR), deviation (SP), class
+//   IP ID     zero, constant, incremental, broken-increment (byte-swapped),
+//             random-positive-increments, random or per-host, and the rate
+//   TSval     rate in Hz and nmap's TS value
+//
+// Encodings follow https://nmap.org/book/osdetect-methods.html#osdetect-tbl-seq.
+
+// IP ID classes and their nmap TI/CI/II codes (constants are reported as their hex value)
+const IPID_CLASSES = {
+    zero: 'Z',
+    random: 'RD',
+    'random-positive-increments': 'RI',
+    'broken-increment': 'BI',
+    incremental: 'I'
+};
+
+/**
+ * Analyse initial sequence numbers (e.g. of SYN/ACKs to successive SYNs)
+ * @param {Array<Object>} samples - Replies, in order (see the top of this file)
+ * @param {Object} [options={}]
+ * @param {number[]} [options.times] - Times (ms) for samples that carry none
+ * @returns {Object} { count, values, diffs, gcd, rates, rate, deviation, isr, sp, class }
+ *
+ * `rates` are increments per second between neighbours and `rate` their mean.
+ * `deviation` is the standard deviation of the rates (divided by the GCD when
+ * that is above 9, as nmap does) and `isr`/`sp` the rate and deviation on
+ * nmap's 8 * log2 scale. Rate fields are undefined without times.
+ * `class` is 'constant', '64k' (steps of 64000), 'i800' (steps of 800) or
+ * 'random-increments'.
+ *
+ * @example
+ * const { gcd, isr, sp } = sequenceAnalysis(replies.map(r => ({ tcp: r.tcp, time: r.receivedAt })));
+ */
+function sequenceAnalysis(samples, options = {}) {
+    const entries = normalize(samples, options).filter(entry => entry.tcp);
+    const values = entries.map(entry => entry.tcp.sequenceNumber);
+    const out = { count: values.length, values, diffs: [] };
+
+    if (values.length < 2) {
+        return out;
+    }
+
+    for (let i = 1; i < values.length; i++) {
+        out.diffs.push(modDiff32(values[i], values[i - 1]));
+    }
+    out.gcd = out.diffs.reduce((a, b) => greatestCommonDivisor(a, b));
+
+    if (out.diffs.every(diff => diff === 0)) {
+        out.class = 'constant';
+    } else if (out.gcd % 64000 === 0) {
+        out.class = '64k';
+    } else if (out.gcd % 800 === 0) {
+        out.class = 'i800';
+    } else {
+        out.class = 'random-increments';
+    }
+
+    const rates = perSecond(entries, out.diffs);
+    if (!rates) {
+        return out;
+    }
+
+    out.rates = rates;
+    out.rate = rates.reduce((a, b) => a + b, 0) / rates.length;
+    out.isr = out.rate < 1 ? 0 : Math.round(8 * Math.log2(out.rate));
+
+    if (rates.length >= 2) {
+        const divisor = out.gcd > 9 ? out.gcd : 1;
+        const mean = out.rate / divisor;
+        const variance = rates.reduce((total, rate) => total + (rate / divisor - mean) ** 2, 0) / (rates.length - 1);
+        out.deviation = Math.sqrt(variance);
+        out.sp = out.deviation <= 1 ? 0 : Math.round(8 * Math.log2(out.deviation));
+    }
+    return out;
+}
+
+/**
+ * Analyse IP identification values
+ * @param {Array<Object>} samples - Replies, in order (see the top of this file)
+ * @param {Object} [options={}]
+ * @param {boolean} [options.allowRandom=true] - Whether RD is possible (false for nmap's II)
+ * @param {number[]} [options.times] - Times (ms) for samples that carry none
+ * @returns {Object} { count, values, diffs, class, code, increment?, rate?, hosts? }
+ *
+ * `code` is nmap's TI/CI/II value. `increment` is the mean step and `rate`
+ * the steps per second, both in counter units (a broken-increment step of
+ * 256 counts as 1), for counters that are incremental or broken-increment.
+ *
+ * Samples whose `host` (or reply destination, ip.destIp) differ are also
+ * examined per host: when the combined series looks random but each host
+ * sees its own incremental counter, the class is 'per-host' and `hosts`
+ * holds the analysis for each one.
+ *
+ * @example
+ * ipIdAnalysis(replies.map(r => r.ip));
+ * // { class: 'incremental', code: 'I', increment: 1, ... }
+ */
+function ipIdAnalysis(samples, options = {}) {
+    const { allowRandom = true } = options;
+    const entries = normalize(samples, options).filter(entry => entry.ip);
+    const out = counterAnalysis(entries, allowRandom);
+
+    const groups = new Map();
+    for (const entry of entries) {
+        const host = entry.host !== undefined ? entry.host : entry.ip.destIp;
+        if (host === undefined) {
+            continue;
+        }
+        if (!groups.has(host)) {
+            groups.set(host, []);
+        }
+        groups.get(host).push(entry);
+    }
+
+    if (groups.size > 1 && !COUNTERS.includes(out.class)) {
+        const hosts = {};
+        for (const [host, group] of groups) {
+            hosts[host] = counterAnalysis(group, allowRandom);
+        }
+        const perHost = Object.values(hosts);
+        if (perHost.every(each => each.count >= 2 && COUNTERS.includes(each.class))) {
+            out.class = 'per-host';
+            out.hosts = hosts;
+        }
+    }
+    return out;
+}
+
+/**
+ * Analyse TCP timestamp (TSval) values
+ * @param {Array<Object>} samples - Replies, in order (see the top of this file)
+ * @param {Object} [options={}]
+ * @param {number[]} [options.times] - Times (ms) for samples that carry none
+ * @returns {Object} { count, values, rate?, code? }
+ *
+ * `code` is nmap's TS value: 'U' when a reply has no timestamp, '0' when
+ * one is zero, otherwise derived from the rate in Hz.
+ */
+function timestampAnalysis(samples, options = {}) {
+    const entries = normalize(samples, options).filter(entry => entry.tcp);
+    const values = entries.map(entry => {
+        const option = (entry.tcp.options || []).find(o => o.kind === 8);
+        return option ? option.tsval : undefined;
+    });
+    const out = { count: values.length, values };
+
+    if (values.length === 0) {
+        return out;
+    }
+    if (values.some(value => value === undefined)) {
+        out.code = 'U';
+        return out;
+    }
+    if (values.some(value => value === 0)) {
+        out.code = '0';
+        return out;
+    }
+    if (values.length < 2) {
+        return out;
+    }
+
+    const diffs = [];
+    for (let i = 1; i < values.length; i++) {
+        diffs.push((values[i] - values[i - 1]) >>> 0);
+    }
+    const rates = perSecond(entries, diffs);
+    if (!rates) {
+        return out;
+    }
+
+    out.rate = rates.reduce((a, b) => a + b, 0) / rates.length;
+    if (out.rate <= 5.66) {
+        out.code = '1';
+    } else if (out.rate >= 70 && out.rate <= 150) {
+        out.code = '7';
+    } else if (out.rate > 150 && out.rate <= 350) {
+        out.code = '8';
+    } else {
+        out.code = hex(Math.round(Math.log2(out.rate)));
+    }
+    return out;
+}
+
+/**
+ * Run all three analyses over one series
+ * @param {Array<Object>} samples - Replies, in order (see the top of this file)
+ * @param {Object} [options={}] - Passed to each analysis
+ * @returns {Object} { isn, ipId, timestamps }
+ */
+function analyze(samples, options = {}) {
+    return {
+        isn: sequenceAnalysis(samples, options),
+        ipId: ipIdAnalysis(samples, options),
+        timestamps: timestampAnalysis(samples, options)
+    };
+}
+
+/**
+ * Classify a series of IP IDs (nmap's TI, CI and II)
+ * @param {number[]} ids - IP identification values in probe order
+ * @param {boolean} allowRandom - Whether RD is possible (not for II)
+ * @returns {string|undefined} Z, RD, RI, BI, I, a constant in hex, or undefined
+ */
+function ipIdClass(ids, allowRandom) {
+    if (ids.every(id => id === 0)) {
+        return 'Z';
+    }
+
+    const diffs = [];
+    for (let i = 1; i < ids.length; i++) {
+        diffs.push(modDiff16(ids[i], ids[i - 1]));
+    }
+
+    if (allowRandom && diffs.some(diff => diff >= 20000)) {
+        return 'RD';
+    }
+    if (ids.every(id => id === ids[0])) {
+        return hex(ids[0]);
+    }
+    if (diffs.some(diff => diff > 1000 && (diff % 256 !== 0 || diff >= 256000))) {
+        return 'RI';
+    }
+    if (diffs.every(diff => diff % 256 === 0 && diff <= 5120)) {
+        return 'BI';
+    }
+    if (diffs.every(diff => diff < 10)) {
+        return 'I';
+    }
+    return undefined;
+}
+
+// ===== Helpers =====
+
+const COUNTERS = ['incremental', 'broken-increment'];
+
+function counterAnalysis(entries, allowRandom) {
+    const values = entries.map(entry => entry.ip.identification);
+    const out = { count: values.length, values, diffs: [] };
+
+    if (values.length === 0) {
+        return out;
+    }
+    for (let i = 1; i < values.length; i++) {
+        out.diffs.push(modDiff16(values[i], values[i - 1]));
+    }
+
+    out.code = values.length >= 2 || values[0] === 0 ? ipIdClass(values, allowRandom) : undefined;
+    if (out.code === undefined) {
+        out.class = 'unknown';
+    } else {
+        const name = Object.keys(IPID_CLASSES).find(key => IPID_CLASSES[key] === out.code);
+        out.class = name || 'constant';
+    }
+
+    if (COUNTERS.includes(out.class)) {
+        // A byte-swapped counter moves 256 per step as seen on the wire
+        const steps = out.class === 'broken-increment' ? out.diffs.map(diff => diff / 256) : out.diffs;
+        out.increment = steps.reduce((a, b) => a + b, 0) / steps.length;
+        const elapsed = (entries[entries.length - 1].time - entries[0].time) / 1000;
+        if (elapsed > 0) {
+            out.rate = steps.reduce((a, b) => a + b, 0) / elapsed;
+        }
+    }
+    return out;
+}
+
+// Increments per second between neighbours, or null without times
+function perSecond(entries, diffs) {
+    if (entries.some(entry => entry.time === undefined)) {
+        return null;
+    }
+    return diffs.map((diff, i) => {
+        const seconds = (entries[i + 1].time - entries[i].time) / 1000;
+        return seconds > 0 ? diff / seconds : 0;
+    });
+}
+
+// Bring every sample to { tcp?, ip?, time?, host? }
+function normalize(samples, options) {
+    const { times = [] } = options;
+
+    return samples.map((sample, index) => {
+        let entry;
+        if (sample.tcp || sample.ip) {
+            entry = { tcp: sample.tcp, ip: sample.ip, host: sample.host };
+        } else if (Array.isArray(sample.flags) && sample.sequenceNumber !== undefined) {
+            entry = { tcp: sample };
+        } else if (sample.identification !== undefined) {
+            entry = { ip: sample };
+        } else {
+            throw new Error(`Sample ${index} is neither a decoded TCP segment nor an IPv4 header`);
+        }
+
+        entry.time = sample.time !== undefined ? sample.time : toMilliseconds(sample.timestamp);
+        if (entry.time === undefined && times[index] !== undefined) {
+            entry.time = times[index];
+        }
+        return entry;
+    });
+}
+
+// Pcap record timestamp { seconds, nanoseconds } in ms
+function toMilliseconds(timestamp) {
+    if (!timestamp) {
+        return undefined;
+    }
+    return Number(timestamp.seconds) * 1000 + timestamp.nanoseconds / 1e6;
+}
+
+// Shorter way around the 32-bit circle
+function modDiff32(a, b) {
+    const up = (a - b) >>> 0;
+    const down = (b - a) >>> 0;
+    return Math.min(up, down);
+}
+
+function modDiff16(a, b) {
+    return (a - b + 0x10000) % 0x10000;
+}
+
+function greatestCommonDivisor(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+function hex(value) {
+    return value.toString(16).toUpperCase();
+}
+
+module.exports = {
+    IPID_CLASSES,
+    sequenceAnalysis,
+    ipIdAnalysis,
+    timestampAnalysis,
+    analyze,
+    ipIdClass
+};
@@ -0,0 +1,521 @@
+// Scan Engine Test Suite
+
+const { createOSScan, buildProbes, decodeReply, matchProbe, computeTests, ipIdClass, optionsString } = require('./osscan');
+const PortScan = require('./portscan');
+const Sequence = require('./sequence');
+const IdleScan = require('./idlescan');
+const { stack, ether, ipv4, tcp, icmp, raw } = require('../stack/stack');
+const IPv4 = require('../ipv4/ipv4');
+const TCP = require('../tcp/tcp');
+const ICMP = require('../icmp/icmp');
+const { crc32 } = require('../ethernet/utils');
+
+// Test utilities
+let testCount = 0;
+let passedTests = 0;
+let failedTests = [];
+
+function assert(condition, testName) {
+    testCount++;
+    if (condition) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    } else {
+        console.log(`❌ FAIL: ${testName}`);
+        failedTests.push(testName);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    const condition = actual === expected;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected}`);
+        console.log(`  Actual: ${actual}`);
+    }
+}
+
+function assertThrows(fn, testName) {
+    testCount++;
+    try {
+        fn();
+        console.log(`❌ FAIL: ${testName} (expected error but none thrown)`);
+        failedTests.push(testName);
+    } catch (error) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    }
+}
+
+const SCANNER = '10.0.0.1';
+const TARGET = '10.0.0.2';
+const OPEN = 22;
+const CLOSED = 1;
+
+/**
+ * Simulated Linux host: answers a probe packet the way a 5.x kernel does
+ * (ID 0 + DF on TCP, 1 MHz / 10 ISN clock, 1000 Hz timestamps, per-host ICMP IDs)
+ */
+function linuxHost(packet, time) {
+    const ip = IPv4.Decode(packet);
+    const reply = fields => ipv4({ src: TARGET, dst: SCANNER, ttl: 64, ...fields });
+
+    if (ip.protocol === 6) {
+        const segment = TCP.Decode(ip.payload);
+        const flags = segment.flags;
+        const base = { sport: segment.destinationPort, dport: segment.sourcePort };
+
+        if (segment.destinationPort === OPEN && flags.includes('SYN') && !flags.includes('FIN')) {
+            const hasTimestamp = segment.options.some(o => o.kind === 8);
+            const options = hasTimestamp
+                ? [['MSS', 1460], 'SACKOK', ['TS', 1000 + time, 0xFFFFFFFF], 'NOP', ['WS', 7]]
+                : [['MSS', 1460], 'NOP', 'NOP', 'SACKOK', 'NOP', ['WS', 7]];
+            const ecn = flags.includes('ECE') && flags.includes('CWR');
+            return stack(reply({ id: 0, df: true }), tcp({
+                ...base,
+                seq: 0x10000000 + time * 10000,
+                ack: segment.sequenceNumber + 1,
+                flags: ecn ? 'SAE' : 'SA',
+                window: 0xFAF0,
+                options
+            }));
+        }
+        if (segment.destinationPort === OPEN) {
+            // Linux ignores null and SYN+FIN probes; ACKs get a bare RST
+            return flags.includes('ACK') && !flags.includes('SYN')
+                ? stack(reply({ id: 0, df: true }), tcp({ ...base, seq: segment.acknowledgmentNumber, flags: 'R', window: 0 }))
+                : null;
+        }
+        if (flags.includes('RST')) {
+            return null;
+        }
+        if (flags.includes('ACK')) {
+            return stack(reply({ id: 0, df: true }), tcp({ ...base, seq: segment.acknowledgmentNumber, flags: 'R', window: 0 }));
+        }
+        const consumed = (flags.includes('SYN') ? 1 : 0) + (flags.includes('FIN') ? 1 : 0) + segment.dataPayload.length;
+        return stack(reply({ id: 0, df: true }), tcp({ ...base, seq: 0, ack: segment.sequenceNumber + consumed, flags: 'RA', window: 0 }));
+    }
+
+    if (ip.protocol === 17) {
+        return stack(reply({ id: 0x2D5F }), icmp({ type: 3, code: 3 }), raw(packet));
+    }
+
+    if (ip.protocol === 1) {
+        const echo = ICMP.Decode(ip.payload);
+        linuxHost.icmpId = (linuxHost.icmpId || 0x5A10) + 1;
+        return stack(reply({ id: linuxHost.icmpId }), icmp({ type: 0, code: echo.code, id: echo.identifier, seq: echo.sequence }), raw(echo.data));
+    }
+
+    return null;
+}
+
+console.log('🧪 Starting Scan Engine Test Suite\n');
+
+// ===== Test 1: Probe Sequence =====
+console.log('📝 Test 1: Probe Sequence');
+try {
+    const probes = buildProbes({ src: SCANNER, dst: TARGET, openPort: OPEN, closedPort: CLOSED, sport: 50000, seq: 1000, ack: 5000, ipId: 100, icmpId: 7 });
+    const names = probes.map(probe => probe.name).join(',');
+    assertEqual(names, 'SEQ1,SEQ2,SEQ3,SEQ4,SEQ5,SEQ6,ECN,T2,T3,T4,T5,T6,T7,U1,IE1,IE2', 'Sixteen probes in nmap order');
+    assertEqual(probes[5].delay, 500, 'SEQ probes 100 ms apart');
+
+    const windows = probes.slice(0, 6).map(probe => TCP.Decode(IPv4.Decode(probe.packet).payload).windowSize);
+    assertEqual(windows.join(','), '1,63,4,4,16,512', 'SEQ probe windows');
+    const seqOptions = probes.slice(0, 6).map(probe => optionsString(TCP.Decode(IPv4.Decode(probe.packet).payload).options));
+    assertEqual(seqOptions[0], 'WANM5B4T10S', 'SEQ1 options');
+    assertEqual(seqOptions[2], 'T10NNW5NM280', 'SEQ3 options');
+    assertEqual(seqOptions[5], 'M109ST10', 'SEQ6 options');
+
+    const ecn = TCP.Decode(IPv4.Decode(probes[6].packet).payload);
+    assertEqual(ecn.flags.join(','), 'CWR,ECE,SYN', 'ECN probe flags');
+    assertEqual(ecn.ns, true, 'ECN probe sets the reserved bit before CWR');
+    assertEqual(ecn.urgentPointer, 0xF7F5, 'ECN urgent pointer without URG');
+
+    const t = name => probes.find(probe => probe.name === name);
+    assertEqual(TCP.Decode(IPv4.Decode(t('T2').packet).payload).flags.length, 0, 'T2 is a null scan');
+    assertEqual(IPv4.Decode(t('T4').packet).flags.DF, true, 'T4 sets DF');
+    assertEqual(t('T5').dport, CLOSED, 'T5 goes to the closed port');
+    assertEqual(optionsString(TCP.Decode(IPv4.Decode(t('T7').packet).payload).options), 'WFNM109T10S', 'T7 uses window scale 15');
+
+    const u1 = IPv4.Decode(t('U1').packet);
+    assertEqual(u1.identification, 0x1042, 'U1 IP ID');
+    assertEqual(u1.totalLength, 0x148, 'U1 is 328 bytes');
+
+    const ie1 = IPv4.Decode(t('IE1').packet);
+    const ie2 = IPv4.Decode(t('IE2').packet);
+    assertEqual(ie1.flags.DF && ICMP.Decode(ie1.payload).code === 9, true, 'IE1 has DF and code 9');
+    assertEqual(ie2.DSCP, 1, 'IE2 has TOS 4');
+    assertEqual(ICMP.Decode(ie2.payload).data.length, 150, 'IE2 carries 150 bytes');
+
+    assertThrows(() => buildProbes({ src: SCANNER, dst: TARGET, openPort: OPEN }), 'Closed port required');
+
+} catch (error) {
+    console.log(`❌ FAIL: Probe sequence test - ${error.message}`);
+    failedTests.push('Probe sequence test');
+}
+
+// ===== Test 2: Fingerprint of a Simulated Linux Host =====
+console.log('\n📝 Test 2: Fingerprint of a Simulated Linux Host');
+try {
+    const scan = createOSScan({ src: SCANNER, dst: TARGET, openPort: OPEN, closedPort: CLOSED });
+    for (const probe of scan.probes) {
+        const reply = linuxHost(probe.packet, probe.delay);
+        if (reply) {
+            assertEqual(scan.record(reply), probe.name, `Reply matched to ${probe.name}`);
+        }
+    }
+
+    const lines = scan.fingerprint().split('\n');
+    assertEqual(lines[0], 'SEQ(SP=0%GCD=F4240%ISR=BA%TI=Z%CI=Z%II=I%TS=A)', 'SEQ line');
+    assertEqual(lines[1], 'OPS(O1=M5B4ST11NW7%O2=M5B4ST11NW7%O3=M5B4ST11NW7%O4=M5B4ST11NW7%O5=M5B4ST11NW7%O6=M5B4ST11NW7)', 'OPS line');
+    assertEqual(lines[2], 'WIN(W1=FAF0%W2=FAF0%W3=FAF0%W4=FAF0%W5=FAF0%W6=FAF0)', 'WIN line');
+    assertEqual(lines[3], 'ECN(R=Y%DF=Y%T=40%W=FAF0%O=M5B4NNSNW7%CC=Y%Q=)', 'ECN line');
+    assertEqual(lines[4], 'T1(R=Y%DF=Y%T=40%S=O%A=S+%F=AS%RD=0%Q=)', 'T1 line');
+    assertEqual(lines[5], 'T2(R=N)', 'T2 line');
+    assertEqual(lines[6], 'T3(R=N)', 'T3 line');
+    assertEqual(lines[7], 'T4(R=Y%DF=Y%T=40%W=0%S=A%A=Z%F=R%O=%RD=0%Q=)', 'T4 line');
+    assertEqual(lines[8], 'T5(R=Y%DF=Y%T=40%W=0%S=Z%A=S+%F=AR%O=%RD=0%Q=)', 'T5 line');
+    assertEqual(lines[9], 'T6(R=Y%DF=Y%T=40%W=0%S=A%A=Z%F=R%O=%RD=0%Q=)', 'T6 line');
+    assertEqual(lines[10], 'T7(R=Y%DF=Y%T=40%W=0%S=Z%A=S+%F=AR%O=%RD=0%Q=)', 'T7 line');
+    assertEqual(lines[11], 'U1(R=Y%DF=N%T=40%IPL=164%UN=0%RIPL=G%RID=G%RIPCK=G%RUCK=G%RUD=G)', 'U1 line');
+    assertEqual(lines[12], 'IE(R=Y%DFI=N%T=40%CD=S)', 'IE line');
+
+    const far = computeTests(scan.probes, scan.replies, { distance: 3 });
+    assertEqual(far.T1.T, '43', 'Explicit distance added to the reply TTL');
+    const unknown = computeTests(scan.probes, { SEQ1: scan.replies.SEQ1 }, {});
+    assertEqual(unknown.T1.TG, '40', 'TTL guess without a U1 reply');
+    assertEqual(unknown.SEQ.GCD, undefined, 'No GCD from a single response');
+
+} catch (error) {
+    console.log(`❌ FAIL: Simulated host fingerprint test - ${error.message}`);
+    failedTests.push('Simulated host fingerprint test');
+}
+
+// ===== Test 3: Reply Decoding and Matching =====
+console.log('\n📝 Test 3: Reply Decoding and Matching');
+try {
+    const probes = buildProbes({ src: SCANNER, dst: TARGET, openPort: OPEN, closedPort: CLOSED, sport: 40000 });
+    const rst = stack(
+        ether({ src: '02:00:00:00:00:02', dst: '02:00:00:00:00:01' }),
+        ipv4({ src: TARGET, dst: SCANNER, ttl: 128, id: 300 }),
+        tcp({ sport: CLOSED, dport: 40011, flags: 'RA', window: 0, urgentPointer: 9, reserved: 2 }),
+        raw(Buffer.from('ERR'))
+    );
+    const decoded = decodeReply(rst, { linkType: 'ethernet' });
+    assertEqual(decoded.tcp.reserved, 2, 'Reserved bits decoded');
+    assertEqual(matchProbe(probes, decoded).name, 'T6', 'Matched by port pair');
+
+    const tests = computeTests(probes, { T6: decoded });
+    assertEqual(tests.T6.Q, 'RU', 'Reserved bits and urgent pointer quirks');
+    assertEqual(tests.T6.RD, crc32(Buffer.from('ERR')).toString(16).toUpperCase(), 'RST data CRC32');
+    assertEqual(tests.T6.TG, '80', 'TTL 128 guessed as 80');
+
+    const stray = stack(ipv4({ src: TARGET, dst: SCANNER }), tcp({ sport: 80, dport: 1234, flags: 'SA' }));
+    assertEqual(createOSScan({ src: SCANNER, dst: TARGET, openPort: OPEN, closedPort: CLOSED }).record(stray), null, 'Unrelated reply ignored');
+
+} catch (error) {
+    console.log(`❌ FAIL: Reply decoding test - ${error.message}`);
+    failedTests.push('Reply decoding test');
+}
+
+// ===== Test 4: IP ID Classes =====
+console.log('\n📝 Test 4: IP ID Classes');
+try {
+    assertEqual(ipIdClass([0, 0, 0], true), 'Z', 'All zero');
+    assertEqual(ipIdClass([100, 30000, 150], true), 'RD', 'Jump of 20,000 or more is random');
+    assertEqual(ipIdClass([100, 30000], false), 'RI', 'No RD for II');
+    assertEqual(ipIdClass([0x1F, 0x1F, 0x1F], true), '1F', 'Constant ID in hex');
+    assertEqual(ipIdClass([10, 1500, 2900], true), 'RI', 'Random positive increments');
+    assertEqual(ipIdClass([0x0100, 0x0300, 0x0400], true), 'BI', 'Broken (byte-swapped) increments');
+    assertEqual(ipIdClass([65534, 65535, 0, 2], true), 'I', 'Incremental across the wrap');
+    assertEqual(ipIdClass([10, 50, 90], true), undefined, 'Unclassified sequence omitted');
+
+} catch (error) {
+    console.log(`❌ FAIL: IP ID class test - ${error.message}`);
+    failedTests.push('IP ID class test');
+}
+
+// ===== Test 5: Scan Type Presets =====
+console.log('\n📝 Test 5: Scan Type Presets');
+try {
+    const addresses = { srcIp: SCANNER, destIp: TARGET };
+    const flagsOf = type => TCP.Decode(PortScan.probe(type, { src: SCANNER, dst: TARGET, dport: 80 }), addresses).flags.join(',');
+
+    assertEqual(flagsOf('syn'), 'SYN', 'SYN scan');
+    assertEqual(flagsOf('ack'), 'ACK', 'ACK scan');
+    assertEqual(flagsOf('fin'), 'FIN', 'FIN scan');
+    assertEqual(flagsOf('null'), '', 'NULL scan');
+    assertEqual(flagsOf('xmas'), 'URG,PSH,FIN', 'Xmas scan');
+    assertEqual(flagsOf('maimon'), 'ACK,FIN', 'Maimon scan');
+    assertEqual(flagsOf('window'), 'ACK', 'Window scan');
+
+    const syn = TCP.Decode(PortScan.probe('syn', { src: SCANNER, dst: TARGET, sport: 40000, dport: 443, seq: 77 }), addresses);
+    assertEqual(syn.checksumValid, true, 'Probe checksum valid');
+    assertEqual(syn.sequenceNumber === 77 && syn.acknowledgmentNumber === 0, true, 'SYN probe seq kept, ack zero');
+    assertEqual(optionsString(syn.options), 'M5B4', 'SYN probe announces MSS 1460');
+    assertEqual(syn.windowSize, 1024, 'Default window 1024');
+
+    const custom = TCP.Decode(PortScan.probe('custom', { src: SCANNER, dst: TARGET, dport: 80, flags: 'SF' }), addresses);
+    assertEqual(custom.flags.join(','), 'SYN,FIN', 'Custom flags');
+
+    assertThrows(() => PortScan.probe('custom', { src: SCANNER, dst: TARGET, dport: 80 }), 'Custom scan without flags rejected');
+    assertThrows(() => PortScan.probe('stealth', { src: SCANNER, dst: TARGET, dport: 80 }), 'Unknown scan type rejected');
+
+} catch (error) {
+    console.log(`❌ FAIL: Scan type preset test - ${error.message}`);
+    failedTests.push('Scan type preset test');
+}
+
+// ===== Test 6: Port State Classification =====
+console.log('\n📝 Test 6: Port State Classification');
+try {
+    const segment = (flags, window = 0) => TCP.Decode(TCP.build({ src: TARGET, dst: SCANNER, sport: 80, dport: 40000, flags, window }));
+    const unreachable = code => ICMP.Decode(ICMP.Encode(3, code));
+    const state = (type, reply, options) => PortScan.classify(type, reply, options).state;
+
+    assertEqual(state('syn', segment('SA')), 'open', 'SYN: SYN/ACK is open');
+    assertEqual(PortScan.classify('syn', segment('S')).reason, 'syn', 'SYN: bare SYN (split handshake) is open');
+    assertEqual(state('syn', segment('RA')), 'closed', 'SYN: RST is closed');
+    assertEqual(state('syn', null), 'filtered', 'SYN: no response is filtered');
+    assertEqual(state('syn', unreachable(13)), 'filtered', 'SYN: admin prohibited is filtered');
+    assertEqual(PortScan.classify('syn', unreachable(13)).reason, 'admin-prohibited', 'SYN: unreachable reason');
+
+    assertEqual(state('ack', segment('R')), 'unfiltered', 'ACK: RST is unfiltered');
+    assertEqual(state('ack', 'timeout'), 'filtered', 'ACK: no response is filtered');
+    assertEqual(state('ack', unreachable(3)), 'filtered', 'ACK: port unreachable is filtered');
+
+    for (const type of ['fin', 'null', 'xmas', 'maimon']) {
+        assertEqual(state(type, null), 'open|filtered', `${type}: no response is open|filtered`);
+        assertEqual(state(type, segment('RA')), 'closed', `${type}: RST is closed`);
+        assertEqual(state(type, unreachable(10)), 'filtered', `${type}: host prohibited is filtered`);
+    }
+
+    assertEqual(state('window', segment('R', 4096)), 'open', 'Window: RST with window is open');
+    assertEqual(state('window', segment('R', 0)), 'closed', 'Window: RST without window is closed');
+    assertEqual(state('window', null), 'filtered', 'Window: no response is filtered');
+
+    assertEqual(state('custom', segment('RA')), 'closed', 'Custom: SYN interpretation by default');
+    assertEqual(state('custom', null, { as: 'fin' }), 'open|filtered', 'Custom: FIN interpretation');
+    assertEqual(state('syn', { icmp: unreachable(0) }), 'filtered', 'Unlisted ICMP code counts as no response');
+    assertEqual(PortScan.classify('syn', { icmp: unreachable(0) }).reason, 'no-response', 'Unlisted ICMP code reason');
+    assertEqual(state('fin', { tcp: segment('A') }), 'open|filtered', 'Unexpected segment ignored');
+
+    const scanReply = decodeReply(stack(ipv4({ src: TARGET, dst: SCANNER }), tcp({ sport: 80, dport: 40000, flags: 'SA' })));
+    assertEqual(state('syn', scanReply), 'open', 'Accepts decodeReply output');
+
+    assertThrows(() => PortScan.classify('custom', null, { as: 'connect' }), 'Unknown interpretation rejected');
+
+} catch (error) {
+    console.log(`❌ FAIL: Port state classification test - ${error.message}`);
+    failedTests.push('Port state classification test');
+}
+
+// ===== Test 7: Sequence and IP ID Analysis =====
+console.log('\n📝 Test 7: Sequence and IP ID Analysis');
+try {
+    const replyTo = (scanner, fields) => decodeReply(stack(
+        ipv4({ src: TARGET, dst: scanner, id: fields.id }),
+        tcp({ sport: OPEN, dport: 40000, seq: fields.seq, flags: 'SA', options: fields.tsval !== undefined ? [['TS', fields.tsval, 0]] : [] })
+    ));
+    const times = [0, 110, 215, 330, 440, 555];
+
+    // 1 MHz ISN clock, 1000 Hz timestamps, incremental IDs
+    const clocked = times.map((time, i) => ({ ...replyTo(SCANNER, { seq: 0xFFF00000 + time * 1000, id: (65533 + i) % 0x10000, tsval: 5000 + time }), time }));
+    const isn = Sequence.sequenceAnalysis(clocked);
+    assertEqual(isn.count, 6, 'ISN count');
+    assertEqual(isn.gcd, 5000, 'ISN GCD across the 32-bit wrap');
+    assertEqual(isn.rate, 1000000, 'ISN rate per second');
+    assertEqual(isn.isr, Math.round(8 * Math.log2(1000000)), 'ISR on the nmap scale');
+    assertEqual(isn.deviation, 0, 'Steady clock has no deviation');
+    assertEqual(isn.sp, 0, 'SP of a steady clock');
+    assertEqual(isn.class, 'random-increments', 'ISN class');
+
+    const ids = Sequence.ipIdAnalysis(clocked);
+    assertEqual(ids.class + ' ' + ids.code, 'incremental I', 'Incremental IP IDs across the wrap');
+    assertEqual(ids.increment, 1, 'IP ID increment');
+    assertEqual(Math.round(ids.rate * 1000) / 1000, Math.round(5 / 0.555 * 1000) / 1000, 'IP ID rate per second');
+
+    const stamps = Sequence.timestampAnalysis(clocked);
+    assertEqual(stamps.rate + ' ' + stamps.code, '1000 A', 'TCP timestamp rate and TS code');
+
+    // Other counter styles
+    const ipOnly = values => values.map(id => IPv4.Decode(stack(ipv4({ src: TARGET, dst: SCANNER, id, protocol: 6 }), raw(Buffer.alloc(0)))));
+    assertEqual(Sequence.ipIdAnalysis(ipOnly([0, 0, 0])).class, 'zero', 'Zero IP IDs');
+    assertEqual(Sequence.ipIdAnalysis(ipOnly([0x1F, 0x1F])).class, 'constant', 'Constant IP ID');
+    assertEqual(Sequence.ipIdAnalysis(ipOnly([100, 40000, 900])).class, 'random', 'Random IP IDs');
+    assertEqual(Sequence.ipIdAnalysis(ipOnly([100, 40000]), { allowRandom: false }).code, 'RI', 'No RD without allowRandom');
+    const broken = Sequence.ipIdAnalysis(ipOnly([0x0100, 0x0300, 0x0400]), { times: [0, 1000, 2000] });
+    assertEqual(broken.class + ' ' + broken.increment + ' ' + broken.rate, 'broken-increment 1.5 1.5', 'Broken increment counted in counter steps');
+    assertEqual(Sequence.ipIdAnalysis(ipOnly([10, 50, 90])).class, 'unknown', 'Unclassified IP IDs');
+
+    // Per-host counters: interleaved they look random, per scanner address they increment
+    const perHost = [
+        replyTo('10.0.0.1', { seq: 1, id: 100 }),
+        replyTo('10.0.0.9', { seq: 1, id: 30000 }),
+        replyTo('10.0.0.1', { seq: 1, id: 101 }),
+        replyTo('10.0.0.9', { seq: 1, id: 30001 })
+    ];
+    const hosts = Sequence.ipIdAnalysis(perHost);
+    assertEqual(hosts.class, 'per-host', 'Per-host IP ID counters');
+    assertEqual(hosts.hosts['10.0.0.9'].class, 'incremental', 'Per-host breakdown');
+
+    // Predictable ISNs and bare decoded segments with separate times
+    const segments = [0, 64000, 192000].map(seq => TCP.Decode(TCP.build({ src: TARGET, dst: SCANNER, sport: 22, dport: 40000, seq, flags: 'SA' })));
+    const predictable = Sequence.sequenceAnalysis(segments, { times: [0, 500, 1000] });
+    assertEqual(predictable.class + ' ' + predictable.gcd + ' ' + predictable.rate, '64k 64000 192000', '64K ISN rule');
+    assertEqual(Sequence.sequenceAnalysis(segments).rate, undefined, 'No rate without times');
+    assertEqual(Sequence.timestampAnalysis(segments).code, 'U', 'TS U without the option');
+    assertEqual(Sequence.sequenceAnalysis([segments[0], segments[0]]).class, 'constant', 'Constant ISN');
+
+    const pcapTimed = segments.map((segment, i) => ({ tcp: segment, timestamp: { seconds: 10 + i, nanoseconds: 0 } }));
+    assertEqual(Sequence.sequenceAnalysis(pcapTimed).rates.join(','), '64000,128000', 'Pcap record timestamps');
+    assertEqual(Sequence.analyze(clocked).ipId.code, 'I', 'Combined analysis');
+
+    assertThrows(() => Sequence.sequenceAnalysis([{ foo: 1 }]), 'Unrecognised sample rejected');
+
+} catch (error) {
+    console.log(`❌ FAIL: Sequence analysis test - ${error.message}`);
+    failedTests.push('Sequence analysis test');
+}
+
+/**
+ * Simulated zombie and target behind an idle-scan transport. The zombie has
+ * a global IP ID counter (byte-swapped when `broken`); `noise` adds traffic
+ * of its own before the given zombie replies; `silent` drops them
+ */
+function idleNetwork({ zombie = '10.0.0.5', target = '10.0.0.9', open = [], broken = false, random = false, noise = {}, silent = [] } = {}) {
+    let counter = 0x3000;
+    let replies = 0;
+    const nextId = () => {
+        counter = (counter + 1) % 0x10000;
+        if (random) return Math.floor(Math.random() * 0x10000);
+        return broken ? ((counter & 0xFF) << 8) | (counter >> 8) : counter;
+    };
+    const log = [];
+
+    const transport = {
+        log,
+        send(packet) {
+            const ip = IPv4.Decode(packet);
+            const segment = TCP.Decode(ip.payload);
+            log.push({ src: ip.srcIp, dst: ip.destIp, flags: segment.flags.join(','), dport: segment.destinationPort });
+
+            if (ip.destIp === zombie && segment.flags.includes('SYN') && segment.flags.includes('ACK')) {
+                replies++;
+                for (let i = 0; i < (noise[replies] || 0); i++) nextId();
+                const id = nextId();
+                if (silent.includes(replies)) return null;
+                return stack(ipv4({ src: zombie, dst: ip.srcIp, id }), tcp({ sport: segment.destinationPort, dport: segment.sourcePort, seq: segment.acknowledgmentNumber, flags: 'R', window: 0 }));
+            }
+            if (ip.destIp === target && ip.srcIp === zombie && open.includes(segment.destinationPort)) {
+                nextId();   // The zombie resets the unexpected SYN/ACK
+            }
+            return null;
+        }
+    };
+    return transport;
+}
+
+async function run() {
+    // ===== Test 8: Idle Scan =====
+    console.log('\n📝 Test 8: Idle Scan');
+    try {
+        const hosts = { scanner: SCANNER, zombie: '10.0.0.5', target: '10.0.0.9' };
+        const addresses = (src, dst) => ({ srcIp: src, destIp: dst });
+
+        // Packets
+        const probePacket = IPv4.Decode(IdleScan.zombieProbe({ scanner: SCANNER, zombie: hosts.zombie, sport: 40000 }));
+        const probeSegment = TCP.Decode(probePacket.payload, addresses(SCANNER, hosts.zombie));
+        assertEqual(probePacket.srcIp + '>' + probePacket.destIp, '10.0.0.1>10.0.0.5', 'Zombie probe goes to the zombie');
+        assertEqual(probeSegment.flags.includes('SYN') && probeSegment.flags.includes('ACK'), true, 'Zombie probe is a SYN/ACK');
+        assertEqual(probeSegment.destinationPort + ' ' + probeSegment.checksumValid, '80 true', 'Zombie probe port and checksum');
+
+        const spoof = IPv4.Decode(IdleScan.spoofedSyn({ zombie: hosts.zombie, target: hosts.target, port: 443 }));
+        const spoofSegment = TCP.Decode(spoof.payload, addresses(hosts.zombie, hosts.target));
+        assertEqual(spoof.srcIp + '>' + spoof.destIp, '10.0.0.5>10.0.0.9', 'Spoofed SYN carries the zombie address');
+        assertEqual(spoofSegment.flags.join(',') + ' ' + spoofSegment.destinationPort, 'SYN 443', 'Spoofed SYN to the scanned port');
+        assertEqual(spoof.checksumValid && spoofSegment.checksumValid, true, 'Spoofed SYN checksums');
+
+        const rst = stack(ipv4({ src: hosts.zombie, dst: SCANNER, id: 0x1234 }), tcp({ sport: 80, dport: 40000, flags: 'R' }));
+        assertEqual(IdleScan.readIpId(rst, { zombie: hosts.zombie, zombiePort: 80, sport: 40000 }), 0x1234, 'IP ID read from the zombie RST');
+        assertEqual(IdleScan.readIpId(rst, { sport: 40001 }), null, 'RST for another probe ignored');
+
+        assertEqual(IdleScan.interpretDelta(0xFFFF, 1).state, 'open', 'Delta 2 across the wrap is open');
+        assertEqual(IdleScan.interpretDelta(10, 11).state, 'closed|filtered', 'Delta 1 is closed|filtered');
+        assertEqual(IdleScan.interpretDelta(10, 15).reason, 'zombie-busy', 'Larger delta means a busy zombie');
+        assertEqual(IdleScan.interpretDelta(0x0100, 0x0300, { broken: true }).state, 'open', 'Byte-swapped delta');
+
+        // Scan through a quiet zombie
+        const network = idleNetwork({ open: [22, 443] });
+        const idle = IdleScan.createIdleScan({ ...hosts, transport: network });
+        const plan = idle.plan(22);
+        assertEqual(IPv4.Decode(plan.spoof).srcIp, hosts.zombie, 'Plan holds the spoofed SYN');
+
+        const { zombie, ports } = await idle.scan([22, 23, 443]);
+        assertEqual(zombie.usable + ' ' + zombie.class, 'true incremental', 'Zombie has an incremental counter');
+        assertEqual(ports.map(result => `${result.port}:${result.state}`).join(' '), '22:open 23:closed|filtered 443:open', 'Port states from IP ID deltas');
+        assertEqual(ports[0].delta + ' ' + ports[0].attempts, '2 1', 'Delta and attempts reported');
+        assertEqual(network.log.filter(entry => entry.src === hosts.zombie).length, 3, 'One spoofed SYN per port');
+
+        // Byte-swapped counter
+        const broken = await IdleScan.createIdleScan({ ...hosts, transport: idleNetwork({ open: [80], broken: true }) }).scan([80, 81]);
+        assertEqual(broken.zombie.class, 'broken-increment', 'Byte-swapped zombie usable');
+        assertEqual(broken.ports.map(result => result.state).join(' '), 'open closed|filtered', 'Byte-swapped deltas scaled');
+
+        // Background traffic forces a retry; silence exhausts them
+        const busy = IdleScan.createIdleScan({ ...hosts, transport: idleNetwork({ noise: { 2: 3 } }) });
+        const retried = await busy.scanPort(25);
+        assertEqual(retried.state + ' ' + retried.attempts, 'closed|filtered 2', 'Busy zombie retried');
+
+        const silent = IdleScan.createIdleScan({ ...hosts, retries: 1, transport: idleNetwork({ silent: [1, 3] }) });
+        const unanswered = await silent.scanPort(25);
+        assertEqual(unanswered.state + ' ' + unanswered.reason + ' ' + unanswered.attempts, 'unknown no-zombie-response 2', 'Silent zombie gives up after retries');
+
+        // Transport with a separate receive()
+        const queued = idleNetwork({ open: [8080] });
+        const inbox = [];
+        const receiving = {
+            send: packet => { const reply = queued.send(packet); if (reply) inbox.push(reply); },
+            receive: async () => inbox.shift() || null
+        };
+        const viaReceive = await IdleScan.createIdleScan({ ...hosts, transport: receiving }).scanPort(8080);
+        assertEqual(viaReceive.state, 'open', 'Replies read through receive()');
+
+        // Unusable zombie
+        let rejected = null;
+        try {
+            await IdleScan.createIdleScan({ ...hosts, transport: idleNetwork({ random: true }) }).scan([22]);
+        } catch (error) {
+            rejected = error;
+        }
+        assertEqual(rejected !== null && /not usable/.test(rejected.message), true, 'Random IP ID zombie rejected');
+
+        assertThrows(() => IdleScan.createIdleScan({ ...hosts, transport: {} }), 'Transport without send rejected');
+        assertThrows(() => IdleScan.createIdleScan({ scanner: SCANNER, transport: network }), 'Missing addresses rejected');
+
+    } catch (error) {
+        console.log(`❌ FAIL: Idle scan test - ${error.message}`);
+        failedTests.push('Idle scan test');
+    }
+
+    // ===== Test Results Summary =====
+    console.log('\n📊 Test Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${testCount}`);
+    console.log(`✅ Passed: ${passedTests}`);
+    console.log(`❌ Failed: ${testCount - passedTests}`);
+    console.log(`Success Rate: ${((passedTests / testCount) * 100).toFixed(1)}%`);
+
+    if (failedTests.length > 0) {
+        console.log('\n❌ Failed Tests:');
+        failedTests.forEach((test, index) => {
+            console.log(`   ${index + 1}. ${test}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n🎉 All tests passed!');
+        process.exit(0);
+    }
+}
+
+run();
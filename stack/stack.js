@@ -0,0 +1,313 @@
+// stack.js
+// Layered packet composition: stack(ether(), ipv4(), tcp(), raw())
+//
+// Layers are listed outermost first and built innermost first, so each layer
+// sees the already-encoded payload of its child and can read the fields of
+// its parent. This lets the stack derive the values that are normally kept
+// consistent by hand:
+//
+//   ether  → EtherType from the child layer
+//   ipv4   → protocol, total length, header checksum
+//   ipv6   → next header, payload length
+//   tcp    → pseudo-header checksum from the parent IP addresses
+//   udp    → length, pseudo-header checksum from the parent IP addresses
+//
+// Any derived field can be overridden per layer to craft malformed packets.
+
+const Ethernet = require('../ethernet/ethernet');
+const ARP = require('../arp/arp');
+const IPv4 = require('../ipv4/ipv4');
+const IPv6 = require('../ipv6/ipv6');
+const TCP = require('../tcp/tcp');
+const UDP = require('../udp/udp');
+const ICMP = require('../icmp/icmp');
+const { ETHER_TYPES } = require('../ethernet/utils');
+const { checksum, pseudoHeader } = require('../checksum/checksum');
+const { finalDestination } = require('../ipv6/extension-headers');
+
+// IP protocol / IPv6 next-header numbers
+const IP_PROTOCOLS = {
+    icmp: 1,
+    ipv4: 4,
+    tcp: 6,
+    udp: 17,
+    ipv6: 41
+};
+
+/**
+ * Build a packet from a list of layers
+ * @param {...(Object|Buffer)} layers - Layer objects (outermost first); Buffers are treated as raw()
+ * @returns {Buffer} Encoded packet
+ *
+ * @example
+ * const frame = stack(
+ *     ether({ src: 'aa:bb:cc:dd:ee:ff', dst: '11:22:33:44:55:66' }),
+ *     ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }),
+ *     tcp({ sport: 40000, dport: 80, flags: { syn: true } }),
+ *     raw(Buffer.from('hello'))
+ * );
+ */
+function stack(...layers) {
+    const resolved = layers.map(layer => (Buffer.isBuffer(layer) ? raw(layer) : layer));
+
+    resolved.forEach((layer, index) => {
+        if (!layer || typeof layer.build !== 'function') {
+            throw new Error(`Invalid layer at position ${index}`);
+        }
+    });
+
+    let payload = Buffer.alloc(0);
+    for (let i = resolved.length - 1; i >= 0; i--) {
+        payload = resolved[i].build(payload, {
+            parent: resolved[i - 1] || null,
+            child: resolved[i + 1] || null
+        });
+    }
+    return payload;
+}
+
+/**
+ * Ethernet II layer
+ * @param {Object} [fields={}] - { dst, src, type, vlans, fcs, pad }
+ * @returns {Object} Layer
+ */
+function ether(fields = {}) {
+    return {
+        layer: 'ether',
+        fields,
+        build(payload, { child }) {
+            const {
+                dst = 'ff:ff:ff:ff:ff:ff',
+                src = '00:00:00:00:00:00',
+                vlans = [],
+                fcs = false,
+                pad = true
+            } = fields;
+            const type = fields.type !== undefined ? fields.type : deriveEtherType(child);
+
+            return Ethernet.Encode(dst, src, type, payload, { vlans, fcs, pad });
+        }
+    };
+}
+
+/**
+ * ARP layer (Ethernet/IPv4)
+ * @param {Object} [fields={}] - { op, hwsrc, psrc, hwdst, pdst }
+ * @returns {Object} Layer
+ */
+function arp(fields = {}) {
+    return {
+        layer: 'arp',
+        etherType: ETHER_TYPES.arp,
+        fields,
+        build() {
+            const {
+                op = 1,
+                hwsrc = '00:00:00:00:00:00',
+                psrc = '0.0.0.0',
+                hwdst = '00:00:00:00:00:00',
+                pdst = '0.0.0.0'
+            } = fields;
+
+            return ARP.Encode(1, 0x0800, 6, 4, op, hwsrc, psrc, hwdst, pdst);
+        }
+    };
+}
+
+/**
+ * IPv4 layer
+ * @param {Object} fields - { src, dst, dscp, ecn, id, flags | df/mf, fragmentOffset, ttl, options }, as for ipv4.build
+ *                          but with id defaulting to 0
+ *                          Overrides: { protocol, totalLength, ihl, version, checksum }
+ * @returns {Object} Layer
+ */
+function ipv4(fields = {}) {
+    return {
+        layer: 'ipv4',
+        etherType: ETHER_TYPES.ipv4,
+        ipProtocol: IP_PROTOCOLS.ipv4,
+        fields,
+        build(payload, { child }) {
+            return IPv4.build({
+                ...fields,
+                id: fields.id !== undefined ? fields.id : 0,
+                protocol: fields.protocol !== undefined ? fields.protocol : deriveIpProtocol(child),
+                payload
+            });
+        }
+    };
+}
+
+/**
+ * IPv6 layer
+ * @param {Object} fields - { src, dst, dscp, ecn, flowLabel, hopLimit, extensions }
+ *                          extensions: extension header objects from ipv6.ExtensionHeaders, outermost first
+ *                          Overrides: { nextHeader (protocol after the extension headers), payloadLength }
+ * @returns {Object} Layer
+ */
+function ipv6(fields = {}) {
+    return {
+        layer: 'ipv6',
+        etherType: ETHER_TYPES.ipv6,
+        ipProtocol: IP_PROTOCOLS.ipv6,
+        fields,
+        build(payload, { child }) {
+            const { src, dst, dscp = 0, ecn = 0, flowLabel = 0, hopLimit = 64, extensions = [] } = fields;
+            const nextHeader = fields.nextHeader !== undefined ? fields.nextHeader : deriveIpProtocol(child);
+            const packet = IPv6.Encode(src, dst, dscp, ecn, payload, flowLabel, nextHeader, hopLimit, extensions);
+
+            if (fields.payloadLength !== undefined) {
+                packet.writeUInt16BE(fields.payloadLength, 4);
+            }
+            return packet;
+        }
+    };
+}
+
+/**
+ * TCP layer
+ * @param {Object} fields - { sport, dport, seq, ack, flags, window, urgentPointer, options }, as for tcp.build
+ *                          but with window defaulting to 8192
+ *                          Pseudo-header addresses { src, dst } are taken from the parent IP layer.
+ *                          Overrides: { dataOffset, reserved, checksum }
+ * @returns {Object} Layer
+ */
+function tcp(fields = {}) {
+    return {
+        layer: 'tcp',
+        ipProtocol: IP_PROTOCOLS.tcp,
+        fields,
+        build(payload, { parent }) {
+            const { src, dst } = pseudoHeaderAddresses(fields, parent, 'tcp');
+
+            return TCP.build({
+                ...fields,
+                src,
+                dst,
+                flags: fields.flags !== undefined ? fields.flags : 'S',
+                window: fields.window !== undefined ? fields.window : 8192,
+                options: fields.options !== undefined ? fields.options : Buffer.alloc(0),
+                payload
+            });
+        }
+    };
+}
+
+/**
+ * UDP layer
+ * @param {Object} fields - { sport, dport }
+ *                          Pseudo-header addresses { src, dst } are taken from the parent IP layer.
+ *                          Overrides: { length, checksum }
+ * @returns {Object} Layer
+ */
+function udp(fields = {}) {
+    return {
+        layer: 'udp',
+        ipProtocol: IP_PROTOCOLS.udp,
+        fields,
+        build(payload, { parent }) {
+            const { sport = 53, dport = 53 } = fields;
+            const { src, dst } = pseudoHeaderAddresses(fields, parent, 'udp');
+
+            const datagram = UDP.Encode(src, dst, sport, dport, payload);
+
+            if (fields.length !== undefined) {
+                datagram.writeUInt16BE(fields.length, 4);
+                datagram.writeUInt16BE(0, 6);
+                const pseudo = pseudoHeader(src, dst, IP_PROTOCOLS.udp, fields.length);
+                datagram.writeUInt16BE(checksum(pseudo, datagram.subarray(0, 8), payload), 6);
+            }
+            if (fields.checksum !== undefined) {
+                datagram.writeUInt16BE(fields.checksum, 6);
+            }
+            return datagram;
+        }
+    };
+}
+
+/**
+ * ICMP (v4) layer
+ * @param {Object} [fields={}] - { type, code, id, seq }  Overrides: { checksum }
+ * @returns {Object} Layer
+ * @throws {Error} Under an ipv6 layer: ICMPv6 is a different protocol (58) with a pseudo-header checksum
+ */
+function icmp(fields = {}) {
+    return {
+        layer: 'icmp',
+        ipProtocol: IP_PROTOCOLS.icmp,
+        fields,
+        build(payload, { parent }) {
+            if (parent && parent.layer === 'ipv6') {
+                throw new Error('icmp layer builds ICMPv4 and cannot be carried by ipv6; ICMPv6 is not supported');
+            }
+            const { type = 8, code = 0, id = 0, seq = 0 } = fields;
+            const message = ICMP.Encode(type, code, id, seq, payload);
+
+            if (fields.checksum !== undefined) {
+                message.writeUInt16BE(fields.checksum, 2);
+            }
+            return message;
+        }
+    };
+}
+
+/**
+ * Raw payload layer
+ * @param {Buffer|string} data - Payload bytes (strings are UTF-8 encoded)
+ * @returns {Object} Layer
+ */
+function raw(data = Buffer.alloc(0)) {
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+
+    return {
+        layer: 'raw',
+        fields: { data: bytes },
+        build(payload) {
+            return Buffer.concat([bytes, payload]);
+        }
+    };
+}
+
+function deriveEtherType(child) {
+    if (!child || child.etherType === undefined) {
+        throw new Error(`Cannot derive EtherType for ${child ? child.layer : 'empty'} payload; set "type" explicitly`);
+    }
+    return child.etherType;
+}
+
+function deriveIpProtocol(child) {
+    if (!child || child.ipProtocol === undefined) {
+        throw new Error(`Cannot derive IP protocol for ${child ? child.layer : 'empty'} payload; set it explicitly`);
+    }
+    return child.ipProtocol;
+}
+
+/**
+ * Resolve the addresses used for a transport pseudo-header
+ */
+function pseudoHeaderAddresses(fields, parent, name) {
+    if (fields.src !== undefined && fields.dst !== undefined) {
+        return { src: fields.src, dst: fields.dst };
+    }
+    if (!parent || (parent.layer !== 'ipv4' && parent.layer !== 'ipv6')) {
+        throw new Error(`${name} layer needs a parent IP layer or explicit src/dst for its checksum`);
+    }
+    if (parent.layer === 'ipv6') {
+        // A routing header moves the pseudo-header destination to the final hop
+        return { src: parent.fields.src, dst: finalDestination(parent.fields.extensions, parent.fields.dst) };
+    }
+    return { src: parent.fields.src, dst: parent.fields.dst };
+}
+
+module.exports = {
+    stack,
+    ether,
+    arp,
+    ipv4,
+    ipv6,
+    tcp,
+    udp,
+    icmp,
+    raw,
+    IP_PROTOCOLS
+};
@@ -0,0 +1,245 @@
+// Layered Packet Stack Test Suite
+
+const { stack, ether, arp, ipv4, ipv6, tcp, udp, icmp, raw } = require('./stack');
+const Ethernet = require('../ethernet/ethernet');
+const IPv4 = require('../ipv4/ipv4');
+const IPv6 = require('../ipv6/ipv6');
+const TCP = require('../tcp/tcp');
+const UDP = require('../udp/udp');
+const ARP = require('../arp/arp');
+const { onesComplementSum } = require('../ipv4/utils');
+
+// Test utilities
+let testCount = 0;
+let passedTests = 0;
+let failedTests = [];
+
+function assert(condition, testName) {
+    testCount++;
+    if (condition) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    } else {
+        console.log(`❌ FAIL: ${testName}`);
+        failedTests.push(testName);
+    }
+}
+
+function assertEqual(actual, expected, testName) {
+    const condition = actual === expected;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected}`);
+        console.log(`  Actual: ${actual}`);
+    }
+}
+
+function assertBufferEqual(actual, expected, testName) {
+    const condition = Buffer.compare(actual, expected) === 0;
+    assert(condition, testName);
+    if (!condition) {
+        console.log(`  Expected: ${expected.toString('hex')}`);
+        console.log(`  Actual: ${actual.toString('hex')}`);
+    }
+}
+
+function assertThrows(fn, testName) {
+    testCount++;
+    try {
+        fn();
+        console.log(`❌ FAIL: ${testName} (expected error but none thrown)`);
+        failedTests.push(testName);
+    } catch (error) {
+        console.log(`✅ PASS: ${testName}`);
+        passedTests++;
+    }
+}
+
+console.log('🧪 Starting Layered Packet Stack Test Suite\n');
+
+// ===== Test 1: Ethernet / IPv4 / TCP / Raw =====
+console.log('📝 Test 1: Ethernet / IPv4 / TCP / Raw');
+try {
+    const payload = Buffer.from('GET / HTTP/1.0\r\n\r\n');
+    const frame = stack(
+        ether({ src: 'aa:bb:cc:dd:ee:ff', dst: '11:22:33:44:55:66' }),
+        ipv4({ src: '10.0.0.1', dst: '10.0.0.2', id: 7, ttl: 128 }),
+        tcp({ sport: 40000, dport: 80, seq: 1000, flags: { psh: true, ack: true } }),
+        raw(payload)
+    );
+
+    const eth = Ethernet.Decode(frame);
+    assertEqual(eth.etherType, 0x0800, 'EtherType derived from IPv4 child');
+
+    const ip = IPv4.Decode(eth.payload);
+    assertEqual(ip.protocol, 6, 'IP protocol derived from TCP child');
+    assertEqual(ip.totalLength, 20 + 20 + payload.length, 'Total length covers TCP segment');
+    assertEqual(onesComplementSum(eth.payload.subarray(0, 20)), 0, 'IPv4 header checksum valid');
+
+    const segment = eth.payload.subarray(20, ip.totalLength);
+    const expected = TCP.Encode('10.0.0.1', '10.0.0.2', 40000, 80, 1000, 0, { psh: true, ack: true }, 8192, 0, Buffer.alloc(0), payload);
+    assertBufferEqual(segment, expected, 'TCP checksum uses parent IP addresses');
+    assertBufferEqual(TCP.Decode(segment).dataPayload, payload, 'Raw payload carried');
+
+} catch (error) {
+    console.log(`❌ FAIL: Ethernet/IPv4/TCP stack test - ${error.message}`);
+    failedTests.push('Ethernet/IPv4/TCP stack test');
+}
+
+// ===== Test 2: IPv4 / UDP =====
+console.log('\n📝 Test 2: IPv4 / UDP');
+try {
+    const packet = stack(
+        ipv4({ src: '192.168.1.10', dst: '8.8.8.8' }),
+        udp({ sport: 5353, dport: 53 }),
+        Buffer.from('query')
+    );
+    const ip = IPv4.Decode(packet);
+    const datagram = packet.subarray(20);
+
+    assertEqual(ip.protocol, 17, 'IP protocol derived from UDP child');
+    assertBufferEqual(datagram, UDP.Encode('192.168.1.10', '8.8.8.8', 5353, 53, Buffer.from('query')), 'UDP length and checksum derived');
+
+} catch (error) {
+    console.log(`❌ FAIL: IPv4/UDP stack test - ${error.message}`);
+    failedTests.push('IPv4/UDP stack test');
+}
+
+// ===== Test 3: ARP and ICMP =====
+console.log('\n📝 Test 3: ARP and ICMP');
+try {
+    const frame = stack(
+        ether({ src: 'aa:bb:cc:dd:ee:ff' }),
+        arp({ hwsrc: 'aa:bb:cc:dd:ee:ff', psrc: '10.0.0.5', pdst: '10.0.0.1' })
+    );
+    const eth = Ethernet.Decode(frame);
+    assertEqual(eth.etherType, 0x0806, 'EtherType derived from ARP child');
+    assertEqual(ARP.Decode(eth.payload.subarray(0, 28)).targetIP, '10.0.0.1', 'ARP fields encoded');
+
+    const ping = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), icmp({ id: 1, seq: 2 }), raw('ping'));
+    assertEqual(IPv4.Decode(ping).protocol, 1, 'IP protocol derived from ICMP child');
+    assertEqual(onesComplementSum(ping.subarray(20)), 0, 'ICMP checksum valid');
+
+} catch (error) {
+    console.log(`❌ FAIL: ARP and ICMP stack test - ${error.message}`);
+    failedTests.push('ARP and ICMP stack test');
+}
+
+// ===== Test 4: IPv6 and Tunnelling =====
+console.log('\n📝 Test 4: IPv6 and Tunnelling');
+try {
+    const frame = stack(
+        ether(),
+        ipv6({ src: '2001:db8::1', dst: '2001:db8::2', nextHeader: 59 })
+    );
+    const eth = Ethernet.Decode(frame);
+    assertEqual(eth.etherType, 0x86DD, 'EtherType derived from IPv6 child');
+    assertEqual(IPv6.Decode(eth.payload).nextHeader, 59, 'Explicit next header honoured');
+
+    const tunnel = stack(
+        ipv4({ src: '1.1.1.1', dst: '2.2.2.2' }),
+        ipv4({ src: '10.0.0.1', dst: '10.0.0.2', protocol: 17 }),
+        raw(Buffer.alloc(8))
+    );
+    assertEqual(IPv4.Decode(tunnel).protocol, 4, 'IP-in-IP protocol derived');
+
+} catch (error) {
+    console.log(`❌ FAIL: IPv6 and tunnelling test - ${error.message}`);
+    failedTests.push('IPv6 and tunnelling test');
+}
+
+// ===== Test 5: Malformed Overrides =====
+console.log('\n📝 Test 5: Malformed Overrides');
+try {
+    const packet = stack(
+        ipv4({ src: '10.0.0.1', dst: '10.0.0.2', totalLength: 1000, ttl: 1 }),
+        tcp({ sport: 1, dport: 2, checksum: 0xBEEF, dataOffset: 15 })
+    );
+
+    assertEqual(packet.readUInt16BE(2), 1000, 'Total length override written');
+    assertEqual(onesComplementSum(packet.subarray(0, 20)), 0, 'Checksum recomputed over overridden header');
+    assertEqual(packet.readUInt16BE(36), 0xBEEF, 'TCP checksum override written');
+    assertEqual(packet[32] >> 4, 15, 'TCP data offset override written');
+
+    const badIp = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2', checksum: 0, protocol: 253, ihl: 4 }), raw('x'));
+    assertEqual(badIp.readUInt16BE(10), 0, 'IPv4 checksum override written');
+    assertEqual(badIp[9], 253, 'IPv4 protocol override written');
+    assertEqual(badIp[0] & 0x0F, 4, 'IHL override written');
+
+    const badUdp = stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), udp({ length: 4 }), raw('abc'));
+    assertEqual(badUdp.readUInt16BE(24), 4, 'UDP length override written');
+
+} catch (error) {
+    console.log(`❌ FAIL: Malformed overrides test - ${error.message}`);
+    failedTests.push('Malformed overrides test');
+}
+
+// ===== Test 6: Error Handling =====
+console.log('\n📝 Test 6: Error Handling');
+assertThrows(() => stack(tcp({ sport: 1, dport: 2 })), 'TCP without IP parent or addresses rejected');
+assertThrows(() => stack(ether(), raw('x')), 'EtherType cannot be derived from raw payload');
+assertThrows(() => stack(ipv4({ src: '10.0.0.1', dst: '10.0.0.2' })), 'IP protocol cannot be derived without child');
+assertThrows(() => stack({ layer: 'bogus' }), 'Invalid layer object rejected');
+assertThrows(() => stack(ipv6({ src: 'fe80::1', dst: 'fe80::2' }), icmp({ type: 128 })), 'ICMPv4 layer under IPv6 rejected');
+
+// ===== Test 7: Transport over IPv6 =====
+console.log('\n📝 Test 7: Transport over IPv6');
+try {
+    const frame = stack(
+        ether(),
+        ipv6({ src: '2001:db8::1', dst: '2001:db8::2' }),
+        tcp({ sport: 40000, dport: 80 }),
+        raw('GET')
+    );
+    const ip = IPv6.Decode(Ethernet.Decode(frame).payload);
+    assertEqual(ip.nextHeader, 6, 'Next header derived from TCP child');
+    assertEqual(TCP.Decode(ip.payload, { ip }).checksumValid, true, 'TCP checksum uses IPv6 pseudo-header');
+
+    const datagram = stack(
+        ipv6({ src: 'fe80::1', dst: 'fe80::2' }),
+        udp({ sport: 546, dport: 547 }),
+        raw('dhcp')
+    );
+    const udpIp = IPv6.Decode(datagram);
+    assertEqual(UDP.Decode(udpIp.payload, { ip: udpIp }).checksumValid, true, 'UDP checksum uses IPv6 pseudo-header');
+
+    // With a routing header the pseudo-header carries the final destination
+    const routed = stack(
+        ipv6({
+            src: '2001:db8::1',
+            dst: '2001:db8::a',
+            extensions: [IPv6.ExtensionHeaders.routing({ routingType: 4, segments: ['2001:db8::f', '2001:db8::a'] })]
+        }),
+        udp({ sport: 1000, dport: 2000 }),
+        raw('srh')
+    );
+    const routedIp = IPv6.Decode(routed, { parseExtensions: true });
+    assertEqual(routedIp.upperLayerProtocol, 17, 'Next header derived behind extension headers');
+    const routedUdp = routed.subarray(routedIp.upperLayerOffset);
+    assertEqual(UDP.Decode(routedUdp, { ip: routedIp }).checksumValid, true, 'Checksum covers the final destination');
+    const nextHop = UDP.Decode(routedUdp, { srcIp: '2001:db8::1', destIp: '2001:db8::a', mode: 'lenient' });
+    assertEqual(nextHop.checksumValid, false, 'Next-hop address is not the pseudo-header destination');
+
+} catch (error) {
+    console.log(`❌ FAIL: Transport over IPv6 test - ${error.message}`);
+    failedTests.push('Transport over IPv6 test');
+}
+
+// ===== Test Results Summary =====
+console.log('\n📊 Test Results Summary');
+console.log('='.repeat(50));
+console.log(`Total Tests: ${testCount}`);
+console.log(`✅ Passed: ${passedTests}`);
+console.log(`❌ Failed: ${testCount - passedTests}`);
+console.log(`Success Rate: ${((passedTests / testCount) * 100).toFixed(1)}%`);
+
+if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach((test, index) => {
+        console.log(`   ${index + 1}. ${test}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
@@ -0,0 +1,686 @@
+const crypto = require('crypto');
+const { checksum } = require('../checksum/checksum');
+const { expandIPv6, bufferToIP } = require('../ipv6/util');
+
+/**
+ * Multipath TCP options (RFC 8684, v0 from RFC 6824)
+ *
+ * All MPTCP signalling shares TCP option kind 30; the upper nibble of the
+ * third byte selects the subtype:
+ * +--------+--------+--------+--------+
+ * | Kind=30| Length |Subtype | ...    |
+ * |        |        |(4 bits)|        |
+ * +--------+--------+--------+--------+
+ *
+ * Crypto (v1):
+ * - Token: most significant 32 bits of SHA-256(key)
+ * - IDSN:  least significant 64 bits of SHA-256(key)
+ * - MP_JOIN HMAC: HMAC-SHA256(Key = own key + peer key, Msg = own nonce + peer nonce),
+ *   truncated to the leftmost 64 bits on the SYN/ACK and 160 bits on the ACK
+ * - ADD_ADDR HMAC: HMAC-SHA256(Key = own key + peer key, Msg = address ID + address + port),
+ *   truncated to the rightmost 64 bits
+ *
+ * Crypto (v0): the same with SHA-1 and HMAC-SHA1 (the 160-bit HMAC on the
+ * ACK is then the whole of it); v0 ADD_ADDR carries no HMAC. The version
+ * is the one negotiated by MP_CAPABLE and is passed to the helpers below.
+ *
+ * Keys are 8-byte Buffers or BigInts. Decoded 64-bit sequence numbers are
+ * BigInts; 32-bit ones are numbers.
+ */
+
+const KIND = 30;
+
+const SUBTYPES = {
+    MP_CAPABLE: 0x0,
+    MP_JOIN: 0x1,
+    DSS: 0x2,
+    ADD_ADDR: 0x3,
+    REMOVE_ADDR: 0x4,
+    MP_PRIO: 0x5,
+    MP_FAIL: 0x6,
+    MP_FASTCLOSE: 0x7,
+    MP_TCPRST: 0x8,
+    MP_EXPERIMENTAL: 0xF
+};
+
+const SUBTYPE_NAMES = Object.fromEntries(Object.entries(SUBTYPES).map(([name, value]) => [value, name]));
+
+// MP_TCPRST reason codes (RFC 8684 §3.6)
+const RESET_REASONS = {
+    0: 'Unspecified error',
+    1: 'MPTCP-specific error',
+    2: 'Lack of resources',
+    3: 'Administratively prohibited',
+    4: 'Too much outstanding data',
+    5: 'Unacceptable performance',
+    6: 'Middlebox interference'
+};
+
+// ===== Crypto =====
+
+// Hash behind tokens, IDSNs and HMACs, per MPTCP version
+const HASHES = { 0: 'sha1', 1: 'sha256' };
+
+function hashFor(version) {
+    if (!HASHES[version]) {
+        throw new Error(`MPTCP version must be 0 or 1 (got ${version})`);
+    }
+    return HASHES[version];
+}
+
+/**
+ * Normalises a 64-bit key
+ * @param {Buffer|bigint|number} key - 8-byte Buffer, BigInt or safe integer
+ * @param {string} [name='key'] - Field name for error messages
+ * @returns {Buffer} 8-byte key
+ */
+function toKey(key, name = 'key') {
+    if (Buffer.isBuffer(key)) {
+        if (key.length !== 8) {
+            throw new Error(`MPTCP ${name} must be 8 bytes (got ${key.length})`);
+        }
+        return key;
+    }
+    if (typeof key === 'bigint' || Number.isSafeInteger(key)) {
+        const buf = Buffer.alloc(8);
+        buf.writeBigUInt64BE(BigInt.asUintN(64, BigInt(key)));
+        return buf;
+    }
+    throw new Error(`MPTCP ${name} must be an 8-byte Buffer or a BigInt`);
+}
+
+/**
+ * Connection token derived from a key
+ * @param {Buffer|bigint} key - 64-bit key
+ * @param {number} [version=1] - MPTCP version (0 hashes with SHA-1, 1 with SHA-256)
+ * @returns {number} 32-bit token
+ */
+function token(key, version = 1) {
+    return crypto.createHash(hashFor(version)).update(toKey(key)).digest().readUInt32BE(0);
+}
+
+/**
+ * Initial data sequence number derived from a key
+ * @param {Buffer|bigint} key - 64-bit key
+ * @param {number} [version=1] - MPTCP version (0 hashes with SHA-1, 1 with SHA-256)
+ * @returns {bigint} 64-bit IDSN
+ */
+function idsn(key, version = 1) {
+    const digest = crypto.createHash(hashFor(version)).update(toKey(key)).digest();
+    return digest.readBigUInt64BE(digest.length - 8);
+}
+
+/**
+ * HMAC keyed with the concatenation of two 64-bit keys
+ * @param {Buffer|bigint} keyA - First key
+ * @param {Buffer|bigint} keyB - Second key
+ * @param {Buffer} message - Message
+ * @param {number} [version=1] - MPTCP version (0 for HMAC-SHA1, 1 for HMAC-SHA256)
+ * @returns {Buffer} 20-byte (v0) or 32-byte (v1) HMAC
+ */
+function hmac(keyA, keyB, message, version = 1) {
+    return crypto.createHmac(hashFor(version), Buffer.concat([toKey(keyA, 'local key'), toKey(keyB, 'remote key')]))
+        .update(message)
+        .digest();
+}
+
+/**
+ * MP_JOIN HMAC as sent by one side (own key and nonce first)
+ * @param {Buffer|bigint} localKey - Sender's key
+ * @param {Buffer|bigint} remoteKey - Peer's key
+ * @param {number} localNonce - Sender's 32-bit nonce
+ * @param {number} remoteNonce - Peer's 32-bit nonce
+ * @param {number} [version=1] - MPTCP version
+ * @returns {Buffer} 20- or 32-byte HMAC (truncate to 8 bytes for SYN/ACK, 20 for ACK)
+ */
+function joinHmac(localKey, remoteKey, localNonce, remoteNonce, version = 1) {
+    const nonces = Buffer.alloc(8);
+    nonces.writeUInt32BE(localNonce >>> 0, 0);
+    nonces.writeUInt32BE(remoteNonce >>> 0, 4);
+    return hmac(localKey, remoteKey, nonces, version);
+}
+
+/**
+ * ADD_ADDR HMAC (rightmost 64 bits); the port counts as 0 when absent. v1 only:
+ * v0 ADD_ADDR carries no HMAC
+ * @param {Buffer|bigint} localKey - Sender's key
+ * @param {Buffer|bigint} remoteKey - Peer's key
+ * @param {number} addressId - Address ID
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {number} [port=0] - Port
+ * @param {number} [version=1] - MPTCP version
+ * @returns {Buffer} 8-byte truncated HMAC
+ */
+function addAddrHmac(localKey, remoteKey, addressId, address, port = 0, version = 1) {
+    if (version !== 1) {
+        throw new Error('ADD_ADDR carries an HMAC only in MPTCP v1');
+    }
+    const portBytes = Buffer.alloc(2);
+    portBytes.writeUInt16BE(port);
+    const digest = hmac(localKey, remoteKey, Buffer.concat([Buffer.from([addressId]), addressBytes(address), portBytes]));
+    return digest.subarray(digest.length - 8);
+}
+
+/**
+ * DSS checksum: Internet checksum over the data and a pseudo-header of
+ * DSN (64 bits), subflow sequence number, data-level length and zero
+ * @param {bigint|number} dsn - Data sequence number
+ * @param {number} ssn - Relative subflow sequence number
+ * @param {number} dataLength - Data-level length
+ * @param {Buffer} payload - Mapped data
+ * @returns {number} 16-bit checksum
+ */
+function dssChecksum(dsn, ssn, dataLength, payload) {
+    const pseudo = Buffer.alloc(16);
+    pseudo.writeBigUInt64BE(BigInt.asUintN(64, BigInt(dsn)), 0);
+    pseudo.writeUInt32BE(ssn >>> 0, 8);
+    pseudo.writeUInt16BE(dataLength, 12);
+    return checksum(pseudo, payload);
+}
+
+// ===== Builders =====
+
+/**
+ * MP_CAPABLE (subtype 0)
+ *
+ * v1 lengths: SYN 4, SYN/ACK 12 (sender key), ACK 20 (both keys),
+ * first data 22/24 (plus data-level length and optional checksum).
+ * v0 carries the sender key on the SYN as well.
+ *
+ * @param {Object} [fields={}]
+ * @param {number} [fields.version=1] - 0 (RFC 6824) or 1 (RFC 8684)
+ * @param {boolean} [fields.checksumRequired=false] - A flag
+ * @param {boolean} [fields.extensibility=false] - B flag
+ * @param {boolean} [fields.noMoreSubflows=false] - C flag (v1)
+ * @param {boolean} [fields.hmacSha256=true] - H flag (HMAC-SHA256, or HMAC-SHA1 for v0)
+ * @param {number} [fields.flags] - Raw flag byte, overrides the booleans
+ * @param {Buffer|bigint} [fields.senderKey] - Sender's key
+ * @param {Buffer|bigint} [fields.receiverKey] - Receiver's key
+ * @param {number} [fields.dataLength] - Data-level length (v1 ACK with data)
+ * @param {number} [fields.checksum] - DSS checksum (with dataLength)
+ * @returns {Buffer} MP_CAPABLE option
+ */
+function mpCapable(fields = {}) {
+    const {
+        version = 1,
+        checksumRequired = false,
+        extensibility = false,
+        noMoreSubflows = false,
+        hmacSha256 = true,
+        senderKey,
+        receiverKey,
+        dataLength,
+        checksum: dssSum
+    } = fields;
+
+    if (version !== 0 && version !== 1) {
+        throw new Error('MP_CAPABLE version must be 0 or 1');
+    }
+    if (receiverKey !== undefined && senderKey === undefined) {
+        throw new Error('MP_CAPABLE receiver key needs the sender key');
+    }
+    if (dataLength !== undefined && (version !== 1 || receiverKey === undefined)) {
+        throw new Error('MP_CAPABLE data-level length needs version 1 and both keys');
+    }
+    if (dssSum !== undefined && dataLength === undefined) {
+        throw new Error('MP_CAPABLE checksum needs a data-level length');
+    }
+
+    const flags = fields.flags !== undefined
+        ? fields.flags
+        : (checksumRequired ? 0x80 : 0) | (extensibility ? 0x40 : 0) | (noMoreSubflows ? 0x20 : 0) | (hmacSha256 ? 0x01 : 0);
+
+    const parts = [header(SUBTYPES.MP_CAPABLE, version, [flags])];
+    if (senderKey !== undefined) parts.push(toKey(senderKey, 'sender key'));
+    if (receiverKey !== undefined) parts.push(toKey(receiverKey, 'receiver key'));
+    if (dataLength !== undefined) parts.push(uint16(dataLength, 'data-level length'));
+    if (dssSum !== undefined) parts.push(uint16(dssSum, 'checksum'));
+
+    return finish(parts);
+}
+
+/**
+ * MP_JOIN (subtype 1)
+ *
+ * stage 'syn'    → 12 bytes: token of the receiver's key and the sender's nonce
+ * stage 'synack' → 16 bytes: leftmost 64 bits of the HMAC and the sender's nonce
+ * stage 'ack'    → 24 bytes: leftmost 160 bits of the HMAC
+ *
+ * The HMAC is computed from localKey/remoteKey/nonce/remoteNonce unless given,
+ * with the hash of the MPTCP version negotiated by MP_CAPABLE.
+ *
+ * @param {Object} [fields={}]
+ * @param {string} [fields.stage='syn'] - 'syn', 'synack' or 'ack'
+ * @param {boolean} [fields.backup=false] - B flag
+ * @param {number} [fields.addressId=0] - Address ID
+ * @param {number} [fields.token] - Receiver's token (or derived from receiverKey / remoteKey)
+ * @param {number} [fields.nonce] - Sender's random nonce (random by default)
+ * @param {Buffer} [fields.hmac] - Precomputed (truncated) HMAC
+ * @param {Buffer|bigint} [fields.localKey] - Sender's key
+ * @param {Buffer|bigint} [fields.remoteKey] - Peer's key
+ * @param {number} [fields.remoteNonce] - Peer's nonce
+ * @param {number} [fields.version=1] - MPTCP version (0 uses SHA-1 for the token and HMAC)
+ * @returns {Buffer} MP_JOIN option
+ */
+function mpJoin(fields = {}) {
+    const { stage = 'syn', backup = false, addressId = 0, version = 1 } = fields;
+    const nonce = fields.nonce !== undefined ? fields.nonce : crypto.randomBytes(4).readUInt32BE(0);
+
+    const truncatedHmac = length => {
+        const mac = fields.hmac !== undefined
+            ? fields.hmac
+            : joinHmac(fields.localKey, fields.remoteKey, nonce, fields.remoteNonce, version).subarray(0, length);
+        if (!Buffer.isBuffer(mac) || mac.length !== length) {
+            throw new Error(`MP_JOIN ${stage} HMAC must be ${length} bytes`);
+        }
+        return mac;
+    };
+    const needsKeys = () => {
+        if (fields.hmac === undefined && (fields.localKey === undefined || fields.remoteKey === undefined || fields.remoteNonce === undefined)) {
+            throw new Error(`MP_JOIN ${stage} needs hmac, or localKey, remoteKey and remoteNonce`);
+        }
+    };
+
+    switch (stage) {
+        case 'syn': {
+            const receiverKey = fields.receiverKey !== undefined ? fields.receiverKey : fields.remoteKey;
+            if (fields.token === undefined && receiverKey === undefined) {
+                throw new Error('MP_JOIN SYN needs the receiver token or key');
+            }
+            const tokenValue = fields.token !== undefined ? fields.token : token(receiverKey, version);
+            return finish([header(SUBTYPES.MP_JOIN, backup ? 1 : 0, [addressId]), uint32(tokenValue), uint32(nonce)]);
+        }
+        case 'synack':
+            needsKeys();
+            return finish([header(SUBTYPES.MP_JOIN, backup ? 1 : 0, [addressId]), truncatedHmac(8), uint32(nonce)]);
+        case 'ack':
+            needsKeys();
+            return finish([header(SUBTYPES.MP_JOIN, 0, [0]), truncatedHmac(20)]);
+        default:
+            throw new Error(`MP_JOIN stage must be 'syn', 'synack' or 'ack' (got ${stage})`);
+    }
+}
+
+/**
+ * Data Sequence Signal (subtype 2)
+ *
+ * Flags: F = DATA_FIN, m = 8-byte DSN, M = mapping present,
+ *        a = 8-byte Data ACK, A = Data ACK present
+ *
+ * @param {Object} [fields={}]
+ * @param {bigint|number} [fields.dataAck] - Data ACK
+ * @param {boolean} [fields.dataAck64=false] - Send the Data ACK as 8 bytes
+ * @param {bigint|number} [fields.dsn] - Data sequence number (adds the mapping)
+ * @param {boolean} [fields.dsn64=false] - Send the DSN as 8 bytes
+ * @param {number} [fields.ssn=0] - Relative subflow sequence number
+ * @param {number} [fields.dataLength=0] - Data-level length
+ * @param {number|boolean} [fields.checksum] - DSS checksum, or true to compute it over `payload`
+ * @param {Buffer} [fields.payload] - Mapped data, for checksum: true
+ * @param {boolean} [fields.dataFin=false] - DATA_FIN
+ * @returns {Buffer} DSS option
+ */
+function dss(fields = {}) {
+    const { dataAck, dataAck64 = false, dsn, dsn64 = false, ssn = 0, dataLength = 0, dataFin = false } = fields;
+
+    const flags = (dataFin ? 0x10 : 0)
+        | (dsn !== undefined && dsn64 ? 0x08 : 0)
+        | (dsn !== undefined ? 0x04 : 0)
+        | (dataAck !== undefined && dataAck64 ? 0x02 : 0)
+        | (dataAck !== undefined ? 0x01 : 0);
+
+    const parts = [header(SUBTYPES.DSS, 0, [flags])];
+    if (dataAck !== undefined) {
+        parts.push(dataAck64 ? uint64(dataAck) : uint32(dataAck));
+    }
+    if (dsn !== undefined) {
+        parts.push(dsn64 ? uint64(dsn) : uint32(dsn), uint32(ssn), uint16(dataLength, 'data-level length'));
+
+        if (fields.checksum === true) {
+            if (!Buffer.isBuffer(fields.payload)) {
+                throw new Error('DSS checksum: true needs the mapped payload');
+            }
+            parts.push(uint16(dssChecksum(dsn, ssn, dataLength, fields.payload)));
+        } else if (fields.checksum !== undefined) {
+            parts.push(uint16(fields.checksum, 'checksum'));
+        }
+    } else if (fields.checksum !== undefined) {
+        throw new Error('DSS checksum needs a mapping (dsn)');
+    }
+
+    return finish(parts);
+}
+
+/**
+ * ADD_ADDR (subtype 3)
+ *
+ * v1 appends a truncated HMAC unless the E (echo) flag is set; v0 puts the
+ * IP version in the low nibble instead and carries no HMAC.
+ *
+ * @param {Object} fields
+ * @param {number} fields.addressId - Address ID
+ * @param {string} fields.address - IPv4 or IPv6 address
+ * @param {number} [fields.port] - Port
+ * @param {boolean} [fields.echo=false] - E flag (v1)
+ * @param {number} [fields.version=1] - 0 or 1
+ * @param {Buffer} [fields.hmac] - Precomputed 8-byte HMAC
+ * @param {Buffer|bigint} [fields.localKey] - Sender's key (to compute the HMAC)
+ * @param {Buffer|bigint} [fields.remoteKey] - Peer's key
+ * @returns {Buffer} ADD_ADDR option
+ */
+function addAddr(fields = {}) {
+    const { addressId = 0, address, port, echo = false, version = 1 } = fields;
+    const bytes = addressBytes(address);
+
+    if (version === 0) {
+        const parts = [header(SUBTYPES.ADD_ADDR, bytes.length === 4 ? 4 : 6, [addressId]), bytes];
+        if (port !== undefined) parts.push(uint16(port, 'port'));
+        return finish(parts);
+    }
+
+    const parts = [header(SUBTYPES.ADD_ADDR, echo ? 1 : 0, [addressId]), bytes];
+    if (port !== undefined) parts.push(uint16(port, 'port'));
+
+    if (!echo) {
+        if (fields.hmac === undefined && (fields.localKey === undefined || fields.remoteKey === undefined)) {
+            throw new Error('ADD_ADDR needs hmac, or localKey and remoteKey (or echo: true)');
+        }
+        const mac = fields.hmac !== undefined
+            ? fields.hmac
+            : addAddrHmac(fields.localKey, fields.remoteKey, addressId, address, port || 0);
+        if (!Buffer.isBuffer(mac) || mac.length !== 8) {
+            throw new Error('ADD_ADDR HMAC must be 8 bytes');
+        }
+        parts.push(mac);
+    }
+
+    return finish(parts);
+}
+
+/**
+ * REMOVE_ADDR (subtype 4)
+ * @param {Object} fields
+ * @param {number[]} fields.addressIds - One or more address IDs
+ * @returns {Buffer} REMOVE_ADDR option
+ */
+function removeAddr(fields = {}) {
+    const { addressIds = [] } = fields;
+    if (addressIds.length === 0) {
+        throw new Error('REMOVE_ADDR needs at least one address ID');
+    }
+    return finish([header(SUBTYPES.REMOVE_ADDR, 0, addressIds)]);
+}
+
+/**
+ * MP_PRIO (subtype 5)
+ * @param {Object} [fields={}]
+ * @param {boolean} [fields.backup=false] - B flag
+ * @param {number} [fields.addressId] - Address ID (v0 only)
+ * @returns {Buffer} MP_PRIO option
+ */
+function mpPrio(fields = {}) {
+    const { backup = false, addressId } = fields;
+    return finish([header(SUBTYPES.MP_PRIO, backup ? 1 : 0, addressId !== undefined ? [addressId] : [])]);
+}
+
+/**
+ * MP_FAIL (subtype 6)
+ * @param {Object} fields
+ * @param {bigint|number} fields.dsn - 64-bit data sequence number of the failed mapping
+ * @returns {Buffer} MP_FAIL option
+ */
+function mpFail(fields = {}) {
+    if (fields.dsn === undefined) {
+        throw new Error('MP_FAIL needs a DSN');
+    }
+    return finish([header(SUBTYPES.MP_FAIL, 0, [0]), uint64(fields.dsn)]);
+}
+
+/**
+ * MP_FASTCLOSE (subtype 7)
+ * @param {Object} fields
+ * @param {Buffer|bigint} fields.receiverKey - Peer's key, proving knowledge of the connection
+ * @returns {Buffer} MP_FASTCLOSE option
+ */
+function mpFastclose(fields = {}) {
+    if (fields.receiverKey === undefined) {
+        throw new Error('MP_FASTCLOSE needs the receiver key');
+    }
+    return finish([header(SUBTYPES.MP_FASTCLOSE, 0, [0]), toKey(fields.receiverKey, 'receiver key')]);
+}
+
+/**
+ * MP_TCPRST (subtype 8)
+ * @param {Object} [fields={}]
+ * @param {number} [fields.reason=0] - Reason code (see RESET_REASONS)
+ * @param {boolean} [fields.transient=false] - T flag
+ * @param {number} [fields.flags] - Raw U/V/W/T nibble, overrides transient
+ * @returns {Buffer} MP_TCPRST option
+ */
+function mpTcprst(fields = {}) {
+    const { reason = 0, transient = false } = fields;
+    const flags = fields.flags !== undefined ? fields.flags & 0x0F : (transient ? 0x01 : 0);
+    return finish([header(SUBTYPES.MP_TCPRST, flags, [reason])]);
+}
+
+const BUILDERS = {
+    MP_CAPABLE: mpCapable,
+    MP_JOIN: mpJoin,
+    DSS: dss,
+    ADD_ADDR: addAddr,
+    REMOVE_ADDR: removeAddr,
+    MP_PRIO: mpPrio,
+    MP_FAIL: mpFail,
+    MP_FASTCLOSE: mpFastclose,
+    MP_TCPRST: mpTcprst
+};
+
+/**
+ * Build any MPTCP option by subtype name
+ * @param {string} subtype - e.g. 'MP_CAPABLE', 'DSS' (case-insensitive)
+ * @param {Object} [fields={}] - Fields for that subtype's builder
+ * @returns {Buffer} MPTCP option
+ *
+ * @example
+ * build('MP_CAPABLE', { senderKey: keyA, receiverKey: keyB });
+ * build('DSS', { dataAck: 1000, dsn: 5000n, dsn64: true, ssn: 1, dataLength: 100 });
+ */
+function build(subtype, fields = {}) {
+    const builder = typeof subtype === 'string' ? BUILDERS[subtype.toUpperCase()] : undefined;
+    if (!builder) {
+        throw new Error(`Unknown MPTCP subtype: ${subtype}. Supported: ${Object.keys(BUILDERS).join(', ')}`);
+    }
+    return builder(fields);
+}
+
+// ===== Decoder =====
+
+/**
+ * Decode the data of an MPTCP option (everything after kind and length)
+ * @param {Buffer} data - Option data, starting with the subtype byte
+ * @returns {Object} { subtype, subtypeName, ...subtype fields }; `malformed: true` if too short
+ */
+function decode(data) {
+    const subtype = data[0] >> 4;
+    const low = data[0] & 0x0F;
+    const output = { subtype, subtypeName: SUBTYPE_NAMES[subtype] || 'Unknown' };
+    const length = data.length + 2; // Option length, as in the RFC tables
+    const malformed = () => ({ ...output, malformed: true });
+
+    switch (subtype) {
+        case SUBTYPES.MP_CAPABLE: {
+            if (data.length < 2) return malformed();
+            const flags = data[1];
+            Object.assign(output, {
+                version: low,
+                flags,
+                checksumRequired: (flags & 0x80) !== 0,
+                extensibility: (flags & 0x40) !== 0,
+                noMoreSubflows: (flags & 0x20) !== 0,
+                hmacSha256: (flags & 0x01) !== 0
+            });
+            if (data.length >= 10) output.senderKey = data.subarray(2, 10);
+            if (data.length >= 18) output.receiverKey = data.subarray(10, 18);
+            if (data.length >= 20) output.dataLength = data.readUInt16BE(18);
+            if (data.length >= 22) output.checksum = data.readUInt16BE(20);
+            return output;
+        }
+        case SUBTYPES.MP_JOIN:
+            if (length === 12) {
+                return { ...output, stage: 'syn', backup: (low & 1) === 1, addressId: data[1], token: data.readUInt32BE(2), nonce: data.readUInt32BE(6) };
+            }
+            if (length === 16) {
+                return { ...output, stage: 'synack', backup: (low & 1) === 1, addressId: data[1], hmac: data.subarray(2, 10), nonce: data.readUInt32BE(10) };
+            }
+            if (length === 24) {
+                return { ...output, stage: 'ack', hmac: data.subarray(2, 22) };
+            }
+            return malformed();
+        case SUBTYPES.DSS: {
+            if (data.length < 2) return malformed();
+            const flags = data[1];
+            let i = 2;
+            Object.assign(output, { flags, dataFin: (flags & 0x10) !== 0 });
+
+            if (flags & 0x01) {
+                const size = flags & 0x02 ? 8 : 4;
+                if (i + size > data.length) return malformed();
+                output.dataAck = size === 8 ? data.readBigUInt64BE(i) : data.readUInt32BE(i);
+                i += size;
+            }
+            if (flags & 0x04) {
+                const size = flags & 0x08 ? 8 : 4;
+                if (i + size + 6 > data.length) return malformed();
+                output.dsn = size === 8 ? data.readBigUInt64BE(i) : data.readUInt32BE(i);
+                output.ssn = data.readUInt32BE(i + size);
+                output.dataLength = data.readUInt16BE(i + size + 4);
+                i += size + 6;
+                if (i + 2 <= data.length) {
+                    output.checksum = data.readUInt16BE(i);
+                }
+            }
+            return output;
+        }
+        case SUBTYPES.ADD_ADDR: {
+            if (data.length < 2) return malformed();
+            output.addressId = data[1];
+
+            // v0 keeps the IP version in the low nibble; v1 uses it for the E flag
+            if (low === 4 || low === 6) {
+                const size = low === 4 ? 4 : 16;
+                if (data.length !== 2 + size && data.length !== 4 + size) return malformed();
+                Object.assign(output, { version: 0, address: formatAddress(data.subarray(2, 2 + size)) });
+                if (data.length === 4 + size) output.port = data.readUInt16BE(2 + size);
+                return output;
+            }
+
+            const echo = (low & 1) === 1;
+            const layouts = echo
+                ? { 8: [4, false], 10: [4, true], 20: [16, false], 22: [16, true] }
+                : { 16: [4, false], 18: [4, true], 28: [16, false], 30: [16, true] };
+            if (!layouts[length]) return malformed();
+            const [size, hasPort] = layouts[length];
+
+            Object.assign(output, { version: 1, echo, address: formatAddress(data.subarray(2, 2 + size)) });
+            if (hasPort) output.port = data.readUInt16BE(2 + size);
+            if (!echo) output.hmac = data.subarray(data.length - 8);
+            return output;
+        }
+        case SUBTYPES.REMOVE_ADDR:
+            return { ...output, addressIds: [...data.subarray(1)] };
+        case SUBTYPES.MP_PRIO:
+            return data.length >= 2
+                ? { ...output, backup: (low & 1) === 1, addressId: data[1] }
+                : { ...output, backup: (low & 1) === 1 };
+        case SUBTYPES.MP_FAIL:
+            return data.length === 10 ? { ...output, dsn: data.readBigUInt64BE(2) } : malformed();
+        case SUBTYPES.MP_FASTCLOSE:
+            return data.length === 10 ? { ...output, receiverKey: data.subarray(2, 10) } : malformed();
+        case SUBTYPES.MP_TCPRST:
+            if (data.length < 2) return malformed();
+            return {
+                ...output,
+                flags: low,
+                transient: (low & 1) === 1,
+                reason: data[1],
+                reasonName: RESET_REASONS[data[1]] || 'Unknown'
+            };
+        default:
+            return output;
+    }
+}
+
+// ===== Helpers =====
+
+function header(subtype, low, extra = []) {
+    return Buffer.from([(subtype << 4) | (low & 0x0F), ...extra]);
+}
+
+function finish(parts) {
+    const body = Buffer.concat(parts);
+    if (body.length + 2 > 40) {
+        throw new Error(`MPTCP option of ${body.length + 2} bytes exceeds the 40-byte option space`);
+    }
+    return Buffer.concat([Buffer.from([KIND, body.length + 2]), body]);
+}
+
+function uint16(value, name = 'value') {
+    if (!Number.isInteger(value) || value < 0 || value > 0xFFFF) {
+        throw new Error(`MPTCP ${name} must be 0-65535`);
+    }
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(value);
+    return buf;
+}
+
+function uint32(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(Number(BigInt.asUintN(32, BigInt(value))));
+    return buf;
+}
+
+function uint64(value) {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64BE(BigInt.asUintN(64, BigInt(value)));
+    return buf;
+}
+
+function addressBytes(address) {
+    if (typeof address !== 'string') {
+        throw new Error('MPTCP address must be an IPv4 or IPv6 string');
+    }
+    if (address.includes(':')) {
+        return expandIPv6(address);
+    }
+    const octets = address.split('.').map(Number);
+    if (octets.length !== 4 || octets.some(n => !Number.isInteger(n) || n < 0 || n > 255)) {
+        throw new Error(`Invalid IPv4 address: ${address}`);
+    }
+    return Buffer.from(octets);
+}
+
+function formatAddress(bytes) {
+    return bytes.length === 4 ? [...bytes].join('.') : bufferToIP(bytes);
+}
+
+module.exports = {
+    KIND,
+    SUBTYPES,
+    RESET_REASONS,
+    token,
+    idsn,
+    hmac,
+    joinHmac,
+    addAddrHmac,
+    dssChecksum,
+    mpCapable,
+    mpJoin,
+    dss,
+    addAddr,
+    removeAddr,
+    mpPrio,
+    mpFail,
+    mpFastclose,
+    mpTcprst,
+    build,
+    decode
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { pseudoHeader } = require('../checksum/checksum');
+const { tcpCheckSum } = require('./tcp-checksum');
+
+/**
+ * TCP MD5 Signature Option (RFC 2385)
+ *
+ * The digest is an MD5 hash over, in order:
+ * 1. Pseudo-header (source, destination, zero-padded protocol, segment length)
+ * 2. TCP header excluding options, with the checksum field set to 0
+ * 3. TCP data
+ * 4. Shared key
+ *
+ * Options are left out, so the digest can be written into the option after
+ * it has been computed; the checksum (which covers the options) is then
+ * recomputed.
+ */
+
+/**
+ * Computes the RFC 2385 digest of a segment
+ * @param {string} srcIp - Source IP address
+ * @param {string} destIp - Destination IP address
+ * @param {Buffer} segment - Complete TCP segment (header + data)
+ * @param {Buffer|string} key - Shared key
+ * @returns {Buffer} 16-byte MD5 digest
+ */
+function md5Digest(srcIp, destIp, segment, key) {
+    const headerLength = (segment[12] >> 4) * 4;
+    const base = Buffer.from(segment.subarray(0, 20));
+    base.writeUInt16BE(0, 16);
+
+    return crypto.createHash('md5')
+        .update(pseudoHeader(srcIp, destIp, 6, segment.length))
+        .update(base)
+        .update(segment.subarray(Math.max(headerLength, 20)))
+        .update(Buffer.isBuffer(key) ? key : Buffer.from(key))
+        .digest();
+}
+
+/**
+ * Finds the MD5 signature option in a segment's options
+ * @param {Buffer} segment - TCP segment
+ * @returns {number} Offset of the option's kind byte, or -1
+ */
+function findMD5Option(segment) {
+    const headerLength = Math.min((segment[12] >> 4) * 4, segment.length);
+    let i = 20;
+
+    while (i < headerLength) {
+        const kind = segment[i];
+        if (kind === 0) {
+            break;
+        }
+        if (kind === 1) {
+            i++;
+            continue;
+        }
+        const length = segment[i + 1];
+        if (!length || length < 2 || i + length > headerLength) {
+            break;
+        }
+        if (kind === 19 && length === 18) {
+            return i;
+        }
+        i += length;
+    }
+    return -1;
+}
+
+/**
+ * Writes the digest into the segment's MD5 option and fixes the checksum (in place)
+ * @param {string} srcIp - Source IP address
+ * @param {string} destIp - Destination IP address
+ * @param {Buffer} segment - TCP segment carrying an 18-byte MD5 option
+ * @param {Buffer|string} key - Shared key
+ * @returns {Buffer} The same segment, signed
+ * @throws {Error} If the segment has no MD5 signature option
+ */
+function sign(srcIp, destIp, segment, key) {
+    const offset = findMD5Option(segment);
+    if (offset === -1) {
+        throw new Error('Segment has no MD5 signature option (kind 19) to sign');
+    }
+
+    md5Digest(srcIp, destIp, segment, key).copy(segment, offset + 2);
+    segment.writeUInt16BE(0, 16);
+    segment.writeUInt16BE(tcpCheckSum(srcIp, destIp, segment), 16);
+    return segment;
+}
+
+/**
+ * Checks a segment's MD5 signature
+ * @param {string} srcIp - Source IP address
+ * @param {string} destIp - Destination IP address
+ * @param {Buffer} segment - TCP segment
+ * @param {Buffer|string} key - Shared key
+ * @returns {boolean|null} Whether the digest matches, or null if there is no MD5 option
+ */
+function verify(srcIp, destIp, segment, key) {
+    const offset = findMD5Option(segment);
+    if (offset === -1) {
+        return null;
+    }
+    return md5Digest(srcIp, destIp, segment, key).equals(segment.subarray(offset + 2, offset + 18));
+}
+
+module.exports = { md5Digest, sign, verify };
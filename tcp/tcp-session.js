@@ -0,0 +1,459 @@
+// tcp-session.js
+// TCP connection simulator (RFC 9293 state machine)
+//
+// Tracks both endpoints of one connection and generates correctly numbered
+// segments for either side. Every generated segment is delivered to the
+// peer, so both sides stay in step; segments captured elsewhere (or crafted
+// by hand) can be fed in with receive() to see whether the endpoint would
+// accept them.
+//
+//                  client                         server
+//   syn()          CLOSED → SYN-SENT    ── SYN ──▶ LISTEN → SYN-RECEIVED
+//   synAck()       SYN-SENT → ESTABLISHED ◀─ SYN,ACK ──
+//   ack('client')                       ── ACK ──▶ SYN-RECEIVED → ESTABLISHED
+//   send(side, data)                    ── PSH,ACK ──▶
+//   fin('client')  ESTABLISHED → FIN-WAIT-1 ── FIN ──▶ ESTABLISHED → CLOSE-WAIT
+//   ack('server')  FIN-WAIT-1 → FIN-WAIT-2 ◀─ ACK ──
+//   fin('server')  FIN-WAIT-2 → TIME-WAIT  ◀─ FIN ── CLOSE-WAIT → LAST-ACK
+//   ack('client')                       ── ACK ──▶ LAST-ACK → CLOSED
+//
+// Per endpoint (RFC 9293 §3.3.1):
+//   iss / irs        initial send / receive sequence numbers
+//   sndUna, sndNxt   oldest unacknowledged / next sequence number to send
+//   sndWnd           peer's receive window, scaled
+//   rcvNxt, rcvWnd   next sequence number expected / our receive window
+//   sndShift         peer's window scale (applied to windows it sends us)
+//   rcvShift         our window scale (applied to windows we send)
+//
+// Sequence numbers wrap at 2^32; SYN and FIN each consume one. Timers
+// (retransmission, 2MSL) are not simulated.
+
+const TCP = require('./tcp');
+
+const STATES = [
+    'CLOSED', 'LISTEN', 'SYN-SENT', 'SYN-RECEIVED', 'ESTABLISHED',
+    'FIN-WAIT-1', 'FIN-WAIT-2', 'CLOSE-WAIT', 'CLOSING', 'LAST-ACK', 'TIME-WAIT'
+];
+
+// States that accept data and a FIN from the peer
+const RECEIVE_STATES = ['SYN-RECEIVED', 'ESTABLISHED', 'FIN-WAIT-1', 'FIN-WAIT-2'];
+
+/**
+ * One simulated connection between a client (active opener) and a server (passive, LISTEN)
+ *
+ * @example
+ * const session = new TcpSession({
+ *     client: { ip: '10.0.0.1', port: 40000, isn: 1000 },
+ *     server: { ip: '10.0.0.2', port: 80, isn: 5000 }
+ * });
+ * const segments = [session.syn(), session.synAck(), session.ack('client'),
+ *     session.send('client', Buffer.from('GET / HTTP/1.0\r\n\r\n'))];
+ * session.client.state;   // 'ESTABLISHED'
+ */
+class TcpSession {
+    /**
+     * @param {Object} config
+     * @param {Object} config.client - Client endpoint { ip, port, isn, window, windowScale, mss }
+     * @param {Object} config.server - Server endpoint { ip, port, isn, window, windowScale, mss }
+     *                                 isn: initial sequence number (random by default)
+     *                                 window: receive window in bytes (default 65535)
+     *                                 windowScale: shift announced on the SYN (none by default)
+     *                                 mss: MSS announced on the SYN (default 1460)
+     */
+    constructor(config = {}) {
+        const { client, server } = config;
+        if (!client || !server) {
+            throw new Error('TcpSession needs client and server endpoints');
+        }
+
+        this.client = createEndpoint('client', client, 'CLOSED');
+        this.server = createEndpoint('server', server, 'LISTEN');
+        this.history = [];
+    }
+
+    /**
+     * SYN (active open); the client by default
+     * @param {string} [side='client'] - 'client' or 'server' (simultaneous open)
+     * @param {Object} [options={}] - { deliver: false } to drop the segment in transit
+     * @returns {Buffer} TCP segment
+     */
+    syn(side = 'client', options = {}) {
+        const endpoint = this._endpoint(side);
+        if (endpoint.state !== 'CLOSED' && endpoint.state !== 'LISTEN') {
+            throw new Error(`Cannot send SYN in state ${endpoint.state}`);
+        }
+
+        endpoint.state = 'SYN-SENT';
+        return this._emit(endpoint, { seq: endpoint.iss, flags: 'S', syn: true }, options);
+    }
+
+    /**
+     * SYN,ACK answering a received SYN (resent with the same ISS if called again)
+     * @param {string} [side='server'] - Side in SYN-RECEIVED
+     * @param {Object} [options={}] - { deliver: false }
+     * @returns {Buffer} TCP segment
+     */
+    synAck(side = 'server', options = {}) {
+        const endpoint = this._endpoint(side);
+        if (endpoint.state !== 'SYN-RECEIVED') {
+            throw new Error(`Cannot send SYN,ACK in state ${endpoint.state}`);
+        }
+
+        return this._emit(endpoint, { seq: endpoint.iss, flags: 'SA', syn: true }, options);
+    }
+
+    /**
+     * Bare ACK of everything received so far
+     * @param {string} side - 'client' or 'server'
+     * @param {Object} [options={}] - { deliver: false }
+     * @returns {Buffer} TCP segment
+     */
+    ack(side, options = {}) {
+        const endpoint = this._endpoint(side);
+        if (endpoint.irs === null || endpoint.state === 'CLOSED') {
+            throw new Error(`Cannot send ACK in state ${endpoint.state}`);
+        }
+
+        return this._emit(endpoint, { flags: 'A' }, options);
+    }
+
+    /**
+     * Data segment
+     * @param {string} side - 'client' or 'server'
+     * @param {Buffer|string} data - Payload (strings are UTF-8 encoded)
+     * @param {Object} [options={}] - { flags = 'PA', deliver: false }
+     * @returns {Buffer} TCP segment
+     */
+    send(side, data, options = {}) {
+        const endpoint = this._endpoint(side);
+        if (endpoint.state !== 'ESTABLISHED' && endpoint.state !== 'CLOSE-WAIT') {
+            throw new Error(`Cannot send data in state ${endpoint.state}`);
+        }
+
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        return this._emit(endpoint, { flags: options.flags || 'PA', payload }, options);
+    }
+
+    /**
+     * FIN,ACK (close)
+     * @param {string} side - 'client' or 'server'
+     * @param {Object} [options={}] - { deliver: false }
+     * @returns {Buffer} TCP segment
+     */
+    fin(side, options = {}) {
+        const endpoint = this._endpoint(side);
+        const next = { 'SYN-RECEIVED': 'FIN-WAIT-1', ESTABLISHED: 'FIN-WAIT-1', 'CLOSE-WAIT': 'LAST-ACK' }[endpoint.state];
+        if (!next) {
+            throw new Error(`Cannot send FIN in state ${endpoint.state}`);
+        }
+
+        endpoint.state = next;
+        return this._emit(endpoint, { flags: 'FA', fin: true }, options);
+    }
+
+    /**
+     * RST (abort); the sender goes straight to CLOSED
+     * @param {string} side - 'client' or 'server'
+     * @param {Object} [options={}] - { deliver: false }
+     * @returns {Buffer} TCP segment
+     */
+    rst(side, options = {}) {
+        const endpoint = this._endpoint(side);
+        if (endpoint.state === 'CLOSED' || endpoint.state === 'LISTEN') {
+            throw new Error(`Cannot send RST in state ${endpoint.state}`);
+        }
+
+        const segment = this._emit(endpoint, { flags: 'R' }, options);
+        endpoint.state = 'CLOSED';
+        return segment;
+    }
+
+    /**
+     * Feed a segment to one endpoint
+     *
+     * Applies the RFC 9293 §3.10.7 checks in order: sequence acceptability,
+     * RST, SYN, ACK, data and FIN. Segments that fail a check leave the
+     * endpoint unchanged and come back with the reason.
+     *
+     * @param {string} side - Receiving side
+     * @param {Buffer|Object} segment - Raw TCP segment or the output of tcp.Decode
+     * @returns {Object} { accepted, state, problems: [{ code, message }], dataAccepted }
+     *                   codes: invalid-state, out-of-window, unacceptable-ack, challenge-ack,
+     *                   missing-ack, ack-unsent, data-after-fin, out-of-order
+     */
+    receive(side, segment) {
+        const endpoint = this._endpoint(side);
+        const peer = this._peer(endpoint);
+        const decoded = Buffer.isBuffer(segment)
+            ? TCP.Decode(segment, { mode: 'lenient', srcIp: peer.ip, destIp: endpoint.ip })
+            : segment;
+
+        return receiveSegment(endpoint, decoded);
+    }
+
+    _endpoint(side) {
+        if (side !== 'client' && side !== 'server') {
+            throw new Error(`Unknown side: ${side} (expected 'client' or 'server')`);
+        }
+        return this[side];
+    }
+
+    _peer(endpoint) {
+        return endpoint === this.client ? this.server : this.client;
+    }
+
+    _emit(endpoint, spec, options) {
+        const peer = this._peer(endpoint);
+        const payload = spec.payload || Buffer.alloc(0);
+        const letters = spec.flags;
+        const seq = spec.seq !== undefined ? spec.seq : endpoint.sndNxt;
+
+        const synOptions = [['MSS', endpoint.mss]];
+        if (endpoint.windowScale !== null) {
+            synOptions.push('NOP', ['WS', endpoint.windowScale]);
+        }
+
+        const built = TCP.build({
+            src: endpoint.ip,
+            dst: peer.ip,
+            sport: endpoint.port,
+            dport: peer.port,
+            seq,
+            ack: letters.includes('A') ? endpoint.rcvNxt : 0,
+            flags: letters,
+            // Windows in SYNs are never scaled (RFC 7323 §2.2)
+            window: spec.syn ? Math.min(endpoint.window, 0xFFFF) : advertisedWindow(endpoint),
+            options: spec.syn ? synOptions : [],
+            payload
+        });
+
+        const consumed = payload.length + (spec.syn ? 1 : 0) + (spec.fin ? 1 : 0);
+        const end = add(seq, consumed);
+        if (after(end, endpoint.sndNxt)) {
+            endpoint.sndNxt = end;
+        }
+
+        const entry = { from: endpoint.name, to: peer.name, segment: built, result: null };
+        if (options.deliver !== false) {
+            entry.result = this.receive(peer.name, built);
+        }
+        this.history.push(entry);
+        return built;
+    }
+}
+
+function createEndpoint(name, config, state) {
+    if (!config.ip || !Number.isInteger(config.port)) {
+        throw new Error(`TcpSession ${name} needs ip and port`);
+    }
+    if (config.windowScale !== undefined && (!Number.isInteger(config.windowScale) || config.windowScale < 0 || config.windowScale > 14)) {
+        throw new Error('Window scale must be 0-14');
+    }
+
+    const iss = config.isn !== undefined ? config.isn >>> 0 : Math.floor(Math.random() * 0x100000000);
+    return {
+        name,
+        ip: config.ip,
+        port: config.port,
+        mss: config.mss !== undefined ? config.mss : 1460,
+        window: config.window !== undefined ? config.window : 65535,
+        windowScale: config.windowScale !== undefined ? config.windowScale : null,
+        state,
+        iss,
+        irs: null,
+        sndUna: iss,
+        sndNxt: iss,
+        sndWnd: 0,
+        rcvNxt: 0,
+        rcvWnd: config.window !== undefined ? config.window : 65535,
+        sndShift: 0,
+        rcvShift: 0,
+        peerMss: null,
+        peerWindowScale: null,
+        received: []
+    };
+}
+
+function receiveSegment(endpoint, segment) {
+    const problems = [];
+    const flags = segment.flags || [];
+    const has = flag => flags.includes(flag);
+    const data = segment.dataPayload || Buffer.alloc(0);
+    const seq = segment.sequenceNumber;
+    const ackNumber = segment.acknowledgmentNumber;
+    const result = accepted => ({ accepted, state: endpoint.state, problems, dataAccepted: accepted ? dataAccepted : 0 });
+    const reject = (code, message) => {
+        problems.push({ code, message });
+        return result(false);
+    };
+    let dataAccepted = 0;
+
+    switch (endpoint.state) {
+        case 'CLOSED':
+            return reject('invalid-state', 'Segment for a CLOSED endpoint (would be answered with RST)');
+
+        case 'TIME-WAIT':
+            if (has('FIN') && seq === add(endpoint.rcvNxt, -1)) {
+                return result(true); // Retransmitted FIN; re-ACK
+            }
+            break;
+
+        case 'LISTEN':
+            if (has('RST')) {
+                return reject('invalid-state', 'RST in LISTEN is ignored');
+            }
+            if (has('ACK')) {
+                return reject('invalid-state', 'ACK in LISTEN (would be answered with RST)');
+            }
+            if (!has('SYN')) {
+                return reject('invalid-state', 'Segment without SYN in LISTEN is dropped');
+            }
+            takeSyn(endpoint, segment);
+            endpoint.state = 'SYN-RECEIVED';
+            return result(true);
+
+        case 'SYN-SENT': {
+            const ackAcceptable = has('ACK') && after(ackNumber, endpoint.iss) && !after(ackNumber, endpoint.sndNxt);
+            if (has('ACK') && !ackAcceptable) {
+                return reject('unacceptable-ack', `ACK ${ackNumber} does not acknowledge our SYN (ISS ${endpoint.iss})`);
+            }
+            if (has('RST')) {
+                if (!ackAcceptable) {
+                    return reject('invalid-state', 'RST without an acceptable ACK in SYN-SENT is dropped');
+                }
+                endpoint.state = 'CLOSED';
+                return result(true);
+            }
+            if (!has('SYN')) {
+                return reject('invalid-state', 'Segment without SYN in SYN-SENT is dropped');
+            }
+            takeSyn(endpoint, segment);
+            if (ackAcceptable) {
+                endpoint.sndUna = ackNumber;
+                endpoint.state = 'ESTABLISHED';
+            } else {
+                endpoint.state = 'SYN-RECEIVED'; // Simultaneous open
+            }
+            return result(true);
+        }
+    }
+
+    // Synchronized states: first check the sequence number
+    const length = data.length + (has('SYN') ? 1 : 0) + (has('FIN') ? 1 : 0);
+    if (!acceptableSequence(endpoint, seq, length)) {
+        if (has('RST')) {
+            return reject('out-of-window', `RST with sequence ${seq} outside the receive window is dropped`);
+        }
+        return reject('out-of-window', `Sequence ${seq} (length ${length}) outside the receive window ${endpoint.rcvNxt}+${endpoint.rcvWnd}`);
+    }
+
+    if (has('RST')) {
+        if (seq !== endpoint.rcvNxt) {
+            return reject('challenge-ack', `RST at ${seq} is in the window but not at RCV.NXT ${endpoint.rcvNxt} (RFC 5961 challenge ACK)`);
+        }
+        endpoint.state = 'CLOSED';
+        return result(true);
+    }
+
+    if (has('SYN')) {
+        return reject('challenge-ack', 'SYN in a synchronized state (RFC 5961 challenge ACK)');
+    }
+
+    if (!has('ACK')) {
+        return reject('missing-ack', 'Segment without ACK in a synchronized state is dropped');
+    }
+
+    // ACK processing
+    if (after(ackNumber, endpoint.sndNxt)) {
+        return reject('ack-unsent', `ACK ${ackNumber} acknowledges data not yet sent (SND.NXT ${endpoint.sndNxt})`);
+    }
+    if (endpoint.state === 'SYN-RECEIVED') {
+        if (!after(ackNumber, endpoint.sndUna)) {
+            return reject('unacceptable-ack', `ACK ${ackNumber} does not acknowledge our SYN`);
+        }
+        endpoint.state = 'ESTABLISHED';
+    }
+    if (after(ackNumber, endpoint.sndUna)) {
+        endpoint.sndUna = ackNumber;
+    }
+    endpoint.sndWnd = segment.windowSize << endpoint.sndShift;
+
+    const finAcked = endpoint.sndUna === endpoint.sndNxt;
+    if (finAcked) {
+        if (endpoint.state === 'FIN-WAIT-1') endpoint.state = 'FIN-WAIT-2';
+        else if (endpoint.state === 'CLOSING') endpoint.state = 'TIME-WAIT';
+        else if (endpoint.state === 'LAST-ACK') endpoint.state = 'CLOSED';
+    }
+
+    // Data
+    if (data.length > 0) {
+        if (!RECEIVE_STATES.includes(endpoint.state)) {
+            problems.push({ code: 'data-after-fin', message: `Data received in ${endpoint.state}, after the peer's FIN` });
+        } else if (after(seq, endpoint.rcvNxt)) {
+            problems.push({ code: 'out-of-order', message: `Segment at ${seq} leaves a gap after RCV.NXT ${endpoint.rcvNxt}` });
+        } else {
+            const skip = (endpoint.rcvNxt - seq) >>> 0;
+            const fresh = data.subarray(Math.min(skip, data.length));
+            if (fresh.length > 0) {
+                endpoint.received.push(fresh);
+                endpoint.rcvNxt = add(endpoint.rcvNxt, fresh.length);
+                dataAccepted = fresh.length;
+            }
+        }
+    }
+
+    // FIN, once everything before it has arrived
+    if (has('FIN') && add(seq, data.length) === endpoint.rcvNxt && RECEIVE_STATES.includes(endpoint.state)) {
+        endpoint.rcvNxt = add(endpoint.rcvNxt, 1);
+        if (endpoint.state === 'ESTABLISHED' || endpoint.state === 'SYN-RECEIVED') endpoint.state = 'CLOSE-WAIT';
+        else if (endpoint.state === 'FIN-WAIT-1') endpoint.state = finAcked ? 'TIME-WAIT' : 'CLOSING';
+        else if (endpoint.state === 'FIN-WAIT-2') endpoint.state = 'TIME-WAIT';
+    }
+
+    return result(true);
+}
+
+// Record the peer's ISN, MSS and window scale from its SYN
+function takeSyn(endpoint, segment) {
+    endpoint.irs = segment.sequenceNumber;
+    endpoint.rcvNxt = add(segment.sequenceNumber, 1);
+
+    const options = segment.options || [];
+    const mss = options.find(option => option.kind === 2);
+    const scale = options.find(option => option.kind === 3);
+    endpoint.peerMss = mss ? mss.mss : null;
+    endpoint.peerWindowScale = scale ? Math.min(scale.shift, 14) : null;
+
+    // Scaling is on only when both SYNs carry the option
+    if (endpoint.windowScale !== null && endpoint.peerWindowScale !== null) {
+        endpoint.sndShift = endpoint.peerWindowScale;
+        endpoint.rcvShift = endpoint.windowScale;
+    }
+    endpoint.sndWnd = segment.windowSize;
+}
+
+// RFC 9293 §3.10.7.4 acceptability test
+function acceptableSequence(endpoint, seq, length) {
+    const { rcvNxt, rcvWnd } = endpoint;
+    const inWindow = value => !after(rcvNxt, value) && after(add(rcvNxt, rcvWnd), value);
+
+    if (length === 0) {
+        return rcvWnd === 0 ? seq === rcvNxt : inWindow(seq);
+    }
+    return rcvWnd > 0 && (inWindow(seq) || inWindow(add(seq, length - 1)));
+}
+
+function advertisedWindow(endpoint) {
+    return Math.min(endpoint.rcvWnd >>> endpoint.rcvShift, 0xFFFF);
+}
+
+// a > b in sequence space
+function after(a, b) {
+    return ((a - b) | 0) > 0;
+}
+
+function add(a, n) {
+    return (a + n) >>> 0;
+}
+
+module.exports = { TcpSession, STATES };
@@ -0,0 +1,320 @@
+// tcp-stream.js
+// TCP stream reassembly from decoded segments
+//
+// Segments are grouped by connection (the 4-tuple, either direction) and
+// put back in sequence order separately for each direction. Bytes come out
+// exactly once, in order, as soon as everything before them has arrived:
+//
+//   seq 1001 "GET / HT"  ─┐
+//   seq 1017 "\r\n\r\n"   ─┼─▶ buffered (gap at 1009)
+//   seq 1009 "TP/1.0"     ─┘─▶ chunks "TP/1.0", "\r\n\r\n"
+//
+// - Offsets are tracked relative to the first sequence number seen, so the
+//   32-bit wraparound is invisible to the caller
+// - Retransmissions of bytes already delivered are dropped; overlaps with
+//   bytes still buffered are resolved by the policy ('first' keeps what
+//   arrived first, 'last' lets the newer copy replace it). Both are reported
+// - A SYN fixes the start of the stream; without one (capture started
+//   mid-connection) the first segment does. Bytes that turn up later from
+//   before that start cannot be put in order; they are reported as
+//   `beforeStart`, not as retransmissions
+// - FIN ends a direction once all the data before it is in; RST ends the
+//   whole connection and discards what is still buffered
+// - flush() gives up on gaps and delivers what is buffered, marking the holes
+
+const TCP = require('./tcp');
+const { pseudoHeaderAddresses } = require('../util');
+
+const STREAM_POLICIES = ['first', 'last'];
+
+/**
+ * Create a stream reassembler
+ * @param {Object} [options={}]
+ * @param {string} [options.policy='first'] - Overlap policy for buffered bytes: 'first' or 'last'
+ * @returns {Object} { policy, push(segment, ip), flush(key?), connections() }
+ *
+ * @example
+ * const reassembler = createStreamReassembler();
+ * for (const { ip, tcp } of packets) {
+ *     const { direction, chunks } = reassembler.push(tcp, ip);
+ *     chunks.forEach(chunk => streams[direction].push(chunk.data));
+ * }
+ */
+function createStreamReassembler(options = {}) {
+    const { policy = 'first' } = options;
+    const connections = new Map();
+
+    if (!STREAM_POLICIES.includes(policy)) {
+        throw new Error(`Unknown stream policy: ${policy}. Supported: ${STREAM_POLICIES.join(', ')}`);
+    }
+
+    /**
+     * Feed one segment
+     *
+     * Statuses:
+     *   'syn'        → SYN recorded the start of the direction
+     *   'delivered'  → in-order data; `chunks` holds it (plus any buffered data it unblocked)
+     *   'buffered'   → data after a gap, held back
+     *   'duplicate'  → nothing new (retransmission of delivered or buffered bytes)
+     *   'before-start' → all data lies before the start of the direction (see `beforeStart`)
+     *   'empty'      → no data (e.g. a pure ACK)
+     *   'closed'     → the direction's FIN was reached; `chunks` holds the last data
+     *   'reset'      → RST; the connection is over and buffered bytes are discarded
+     *   'ignored'    → segment for a direction that is already closed or reset
+     *
+     * @param {Buffer|Object} segment - Raw TCP segment or the output of tcp.Decode
+     * @param {Object|Buffer} ip - Enclosing IP header, decoded (IPv4 or IPv6) or raw, or { srcIp, destIp }
+     * @returns {Object} { status, key, direction, chunks: [{ seq, data }], overlaps: [{ seq, length, winner }],
+     *                     beforeStart?: { seq, data }, discarded? }
+     */
+    function push(segment, ip) {
+        const addresses = pseudoHeaderAddresses({ ip }, null);
+        if (!addresses) {
+            throw new Error('Stream reassembly needs the IP addresses of each segment');
+        }
+
+        const tcp = Buffer.isBuffer(segment) ? TCP.Decode(segment, { mode: 'lenient', ip }) : segment;
+        const from = endpointName(addresses.srcIp, tcp.sourcePort);
+        const to = endpointName(addresses.destIp, tcp.destinationPort);
+        const key = from < to ? `${from}|${to}` : `${to}|${from}`;
+        const direction = `${from}>${to}`;
+
+        let connection = connections.get(key);
+        if (!connection) {
+            connection = { key, reset: false, directions: {} };
+            connections.set(key, connection);
+        }
+        if (!connection.directions[direction]) {
+            connection.directions[direction] = createDirection();
+        }
+
+        const result = { key, direction, chunks: [], overlaps: [] };
+        const flags = tcp.flags || [];
+        const stream = connection.directions[direction];
+
+        if (connection.reset || stream.closed) {
+            return { ...result, status: 'ignored' };
+        }
+
+        if (flags.includes('RST')) {
+            connection.reset = true;
+            let discarded = 0;
+            for (const each of Object.values(connection.directions)) {
+                discarded += each.pending.reduce((total, piece) => total + piece.data.length, 0);
+                each.pending = [];
+                each.closed = true;
+            }
+            return { ...result, status: 'reset', discarded };
+        }
+
+        const data = tcp.dataPayload || Buffer.alloc(0);
+        const syn = flags.includes('SYN');
+        let seq = tcp.sequenceNumber;
+
+        if (stream.baseSeq === null) {
+            // Offsets count from the first byte of data
+            stream.baseSeq = syn ? (seq + 1) >>> 0 : seq;
+        }
+        if (syn) {
+            seq = (seq + 1) >>> 0;
+        }
+
+        const offset = toOffset(stream, seq);
+        if (flags.includes('FIN')) {
+            stream.finOffset = offset + data.length;
+        }
+
+        // Bytes from before the first segment seen (no SYN, segments out of order)
+        let start = offset;
+        let bytes = data;
+        if (start < 0 && bytes.length > 0) {
+            const early = Math.min(-start, bytes.length);
+            result.beforeStart = { seq, data: bytes.subarray(0, early) };
+            bytes = bytes.subarray(early);
+            start += early;
+        }
+
+        const added = bytes.length > 0 ? store(stream, start, bytes, policy, result.overlaps) : 0;
+        result.chunks = drain(stream);
+
+        if (stream.finOffset !== null && stream.next >= stream.finOffset) {
+            stream.closed = true;
+            return { ...result, status: 'closed' };
+        }
+        if (result.chunks.length > 0) {
+            return { ...result, status: 'delivered' };
+        }
+        if (data.length === 0) {
+            return { ...result, status: syn ? 'syn' : 'empty' };
+        }
+        if (bytes.length === 0) {
+            return { ...result, status: 'before-start' };
+        }
+        return { ...result, status: added > 0 ? 'buffered' : 'duplicate' };
+    }
+
+    /**
+     * Deliver buffered data past any gaps
+     * @param {string} [key] - Connection key (all connections when omitted)
+     * @returns {Object[]} { key, direction, chunks: [{ seq, data }], gaps: [{ seq, length }] } per direction with buffered data
+     */
+    function flush(key) {
+        const results = [];
+        const selected = key !== undefined ? [connections.get(key)].filter(Boolean) : [...connections.values()];
+
+        for (const connection of selected) {
+            for (const [direction, stream] of Object.entries(connection.directions)) {
+                if (stream.pending.length === 0) {
+                    continue;
+                }
+                const gaps = [];
+                const chunks = [];
+                while (stream.pending.length > 0) {
+                    const piece = stream.pending[0];
+                    if (piece.offset > stream.next) {
+                        gaps.push({ seq: toSeq(stream, stream.next), length: piece.offset - stream.next });
+                        stream.next = piece.offset;
+                    }
+                    chunks.push(...drain(stream));
+                }
+                if (stream.finOffset !== null && stream.next >= stream.finOffset) {
+                    stream.closed = true;
+                }
+                results.push({ key: connection.key, direction, chunks, gaps });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Connection summaries
+     * @returns {Object[]} { key, reset, directions: { [direction]: { delivered, buffered, closed } } }
+     */
+    function list() {
+        return [...connections.values()].map(connection => ({
+            key: connection.key,
+            reset: connection.reset,
+            directions: Object.fromEntries(Object.entries(connection.directions).map(([direction, stream]) => [direction, {
+                delivered: stream.next,
+                buffered: stream.pending.reduce((total, piece) => total + piece.data.length, 0),
+                closed: stream.closed
+            }]))
+        }));
+    }
+
+    return { policy, push, flush, connections: list };
+}
+
+function createDirection() {
+    return {
+        baseSeq: null,      // Sequence number of offset 0
+        lastSeq: null,      // Last sequence number seen, with its offset, for unwrapping
+        lastOffset: 0,
+        next: 0,            // Offset of the next byte to deliver
+        pending: [],        // Non-overlapping { offset, data }, sorted by offset
+        finOffset: null,
+        closed: false
+    };
+}
+
+// Unwrap a 32-bit sequence number into a stream offset (nearest to the last one seen)
+function toOffset(stream, seq) {
+    if (stream.lastSeq === null) {
+        stream.lastSeq = stream.baseSeq;
+        stream.lastOffset = 0;
+    }
+    const offset = stream.lastOffset + ((seq - stream.lastSeq) | 0);
+    stream.lastSeq = seq;
+    stream.lastOffset = offset;
+    return offset;
+}
+
+function toSeq(stream, offset) {
+    return (stream.baseSeq + offset) >>> 0;
+}
+
+// Merge data into the buffered pieces, recording overlaps; returns the number of new bytes
+function store(stream, offset, data, policy, overlaps) {
+    let start = offset;
+    let bytes = data;
+
+    // Bytes already delivered are final
+    if (start < stream.next) {
+        const skip = Math.min(stream.next - start, bytes.length);
+        overlaps.push({ seq: toSeq(stream, start), length: skip, winner: 'held' });
+        bytes = bytes.subarray(skip);
+        start += skip;
+    }
+    if (bytes.length === 0) {
+        return 0;
+    }
+
+    const end = start + bytes.length;
+    const kept = [];
+    let added = [{ offset: start, data: bytes }];
+
+    for (const piece of stream.pending) {
+        const pieceEnd = piece.offset + piece.data.length;
+        const overlapStart = Math.max(start, piece.offset);
+        const overlapEnd = Math.min(end, pieceEnd);
+
+        if (overlapStart >= overlapEnd) {
+            kept.push(piece);
+            continue;
+        }
+
+        overlaps.push({ seq: toSeq(stream, overlapStart), length: overlapEnd - overlapStart, winner: policy === 'first' ? 'held' : 'incoming' });
+
+        if (policy === 'first') {
+            // Cut the held range out of every incoming piece
+            kept.push(piece);
+            added = added.flatMap(part => subtract(part, piece.offset, pieceEnd));
+        } else {
+            // Cut the incoming range out of the held piece
+            kept.push(...subtract(piece, start, end));
+        }
+    }
+
+    const fresh = added.filter(part => part.data.length > 0);
+    stream.pending = [...kept, ...fresh].sort((a, b) => a.offset - b.offset);
+
+    // Under 'last' the incoming bytes always land, replacing what was held
+    return policy === 'last' ? bytes.length : fresh.reduce((total, part) => total + part.data.length, 0);
+}
+
+// Remove [from, to) from a piece, returning what is left on either side
+function subtract(piece, from, to) {
+    const pieceEnd = piece.offset + piece.data.length;
+    const parts = [];
+    if (piece.offset < from) {
+        parts.push({ offset: piece.offset, data: piece.data.subarray(0, Math.min(from, pieceEnd) - piece.offset) });
+    }
+    if (pieceEnd > to) {
+        const cut = Math.max(to, piece.offset);
+        parts.push({ offset: cut, data: piece.data.subarray(cut - piece.offset) });
+    }
+    return parts;
+}
+
+// Emit buffered pieces that continue the stream
+function drain(stream) {
+    const chunks = [];
+    while (stream.pending.length > 0 && stream.pending[0].offset === stream.next) {
+        const piece = stream.pending.shift();
+        let data = piece.data;
+        if (stream.finOffset !== null && piece.offset + data.length > stream.finOffset) {
+            data = data.subarray(0, Math.max(stream.finOffset - piece.offset, 0));
+        }
+        if (data.length > 0) {
+            chunks.push({ seq: toSeq(stream, piece.offset), data });
+        }
+        stream.next = piece.offset + piece.data.length;
+    }
+    return chunks;
+}
+
+function endpointName(ip, port) {
+    return ip.includes(':') ? `[${ip}]:${port}` : `${ip}:${port}`;
+}
+
+module.exports = { STREAM_POLICIES, createStreamReassembler };
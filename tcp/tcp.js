@@ -1,5 +1,21 @@
-const { optPadding } = require("../option-bulder");
+const { optPadding, buildOptions } = require("../option-bulder");
 const { tcpCheckSum } = require("./tcp-checksum");
+const TCPMD5 = require("./tcp-md5");
+const MPTCP = require("./mptcp");
+const { createDecodeContext, TruncatedPacketError, InvalidFieldError, ChecksumError } = require("../errors");
+const { pseudoHeaderAddresses, isValidAddressPair, leadingIPHeaderLength, leadingIPPacketEnd } = require("../util");
+const { pseudoHeader, expectedChecksum } = require("../checksum/checksum");
+
+// [name, offset, length] of the fixed header fields read before the data offset
+const FIXED_FIELDS = [
+    ['sourcePort', 0, 2],
+    ['destinationPort', 2, 2],
+    ['sequenceNumber', 4, 4],
+    ['acknowledgmentNumber', 8, 4],
+    ['windowSize', 14, 2],
+    ['checksum', 16, 2],
+    ['urgentPointer', 18, 2]
+];
 
 /**
  * TCP Packet Encoder/Decoder
@@ -99,34 +115,166 @@ function Encode(
     return Buffer.concat([header, data]);
 }
 
+// Flag letters as used by nmap and scapy; N is the NS / AE bit in byte 12
+const FLAG_LETTERS = { F: 'fin', S: 'syn', R: 'rst', P: 'psh', A: 'ack', U: 'urg', E: 'ece', C: 'cwr' };
+
+/**
+ * Builds a TCP segment from named fields
+ *
+ * Flags use the nmap / scapy letter notation ('S', 'SA', 'FPU', ...) and
+ * options a list of named entries (see buildOptions in option-bulder.js).
+ * Encode stays the low-level path; build() adds defaults and overrides for
+ * crafting malformed segments. Overrides are applied before the checksum,
+ * which is recomputed unless overridden as well.
+ *
+ * @param {Object} fields
+ * @param {string} fields.src - Source IP address (IPv4 or IPv6, for the pseudo-header)
+ * @param {string} fields.dst - Destination IP address
+ * @param {number} [fields.sport=20] - Source port
+ * @param {number} [fields.dport=80] - Destination port
+ * @param {number} [fields.seq=0] - Sequence number
+ * @param {number} [fields.ack=0] - Acknowledgment number
+ * @param {string|Object|number} [fields.flags='S'] - Letters FSRPAUEC (+ N), an Encode-style
+ *                               flags object, or the raw flag byte
+ * @param {number} [fields.window=65535] - Receive window
+ * @param {number} [fields.urgentPointer=0] - Urgent pointer
+ * @param {Array|Buffer} [fields.options=[]] - Named option list or a raw options buffer
+ * @param {Buffer} [fields.payload=Buffer.alloc(0)] - Segment data
+ * @param {number} [fields.dataOffset] - Override the data offset nibble
+ * @param {number} [fields.reserved] - Override the three reserved bits (0-7)
+ * @param {number} [fields.checksum] - Override the checksum
+ * @param {Buffer|string} [fields.md5Key] - Sign with this key; options must include 'MD5' (RFC 2385)
+ * @returns {Buffer} Complete TCP segment
+ *
+ * @example
+ * const synAck = build({
+ *     src: '10.0.0.2', dst: '10.0.0.1', sport: 80, dport: 40000, seq: 1, ack: 1001, flags: 'SA',
+ *     options: [['MSS', 1460], ['WS', 7], 'SACKOK', ['TS', 1, 0]]
+ * });
+ */
+function build(fields = {}) {
+    const {
+        src,
+        dst,
+        sport = 20,
+        dport = 80,
+        seq = 0,
+        ack = 0,
+        flags = 'S',
+        window = 65535,
+        urgentPointer = 0,
+        options = [],
+        payload = Buffer.alloc(0)
+    } = fields;
+
+    const { flagObject, ns } = parseFlagSpec(flags);
+    const optionBytes = Buffer.isBuffer(options) ? options : buildOptions(options);
+    const segment = Encode(src, dst, sport, dport, seq, ack, flagObject, window, urgentPointer, optionBytes, payload);
+
+    let byte12 = segment[12];
+    if (ns) {
+        byte12 |= 0x01;
+    }
+    if (fields.reserved !== undefined) {
+        if (!Number.isInteger(fields.reserved) || fields.reserved < 0 || fields.reserved > 7) {
+            throw new Error('Reserved bits must be 0-7');
+        }
+        byte12 = (byte12 & 0xF1) | (fields.reserved << 1);
+    }
+    if (fields.dataOffset !== undefined) {
+        byte12 = (byte12 & 0x0F) | ((fields.dataOffset & 0x0F) << 4);
+    }
+
+    if (byte12 !== segment[12]) {
+        segment[12] = byte12;
+        segment.writeUInt16BE(0, 16);
+        segment.writeUInt16BE(tcpCheckSum(src, dst, segment), 16);
+    }
+    if (fields.md5Key !== undefined) {
+        TCPMD5.sign(src, dst, segment, fields.md5Key);
+    }
+    if (fields.checksum !== undefined) {
+        segment.writeUInt16BE(fields.checksum, 16);
+    }
+    return segment;
+}
+
+/**
+ * Normalises a flag letter string, flags object or flag byte
+ * @param {string|Object|number} flags - Flag specification
+ * @returns {Object} { flagObject, ns } for Encode plus the NS bit
+ */
+function parseFlagSpec(flags) {
+    if (typeof flags === 'number') {
+        if (!Number.isInteger(flags) || flags < 0 || flags > 0x1FF) {
+            throw new Error('Flag value must be 0-511 (0x100 is NS)');
+        }
+        const flagObject = {};
+        Object.values(FLAG_LETTERS).forEach((name, bit) => {
+            flagObject[name] = (flags & (1 << bit)) !== 0;
+        });
+        return { flagObject, ns: (flags & 0x100) !== 0 };
+    }
+    if (typeof flags === 'string') {
+        const flagObject = {};
+        let ns = false;
+        for (const letter of flags.toUpperCase()) {
+            if (letter === 'N') {
+                ns = true;
+            } else if (FLAG_LETTERS[letter]) {
+                flagObject[FLAG_LETTERS[letter]] = true;
+            } else {
+                throw new Error(`Unknown TCP flag letter: ${letter} (expected F, S, R, P, A, U, E, C or N)`);
+            }
+        }
+        return { flagObject, ns };
+    }
+    return { flagObject: flags || {}, ns: !!(flags && flags.ns) };
+}
+
 /**
  * Decodes a TCP packet into structured components
  * 
  * @param {Buffer} packet - Raw packet buffer
- * @param {boolean} [skipIPHeader=false] - Skip first 20 bytes if IP header is present
- * @returns {Object|Buffer} Parsed TCP packet object or empty buffer on error
+ * @param {Object|boolean} [options={}] - Decode options (a boolean is treated as skipIPHeader)
+ * @param {boolean} [options.skipIPHeader=false] - Skip the leading IP header (IHL * 4 bytes, or 40 for IPv6) if present
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @param {string} [options.srcIp] - Pseudo-header source address (with destIp)
+ * @param {string} [options.destIp] - Pseudo-header destination address
+ * @param {Buffer|Object} [options.ip] - Enclosing IP header (raw or decoded) to take the addresses from
+ * @param {boolean} [options.verifyChecksum=true] - Set false for captures with checksum offload
+ * @returns {Object} Parsed TCP packet object (plus `anomalies` in lenient mode)
+ *                   checksumValid / expectedChecksum are null when the addresses are unknown
+ * @throws {DecodeError} In strict mode, on truncated or malformed segments or a checksum mismatch
  */
-function Decode(packet, skipIPHeader = false) {
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
+
     if (!Buffer.isBuffer(packet)) {
-        console.warn("Packet must be a Buffer");
-        return Buffer.alloc(0);
+        throw new TypeError('[TCP Decode] Packet must be a Buffer');
     }
 
-    const tcpStart = skipIPHeader ? 20 : 0;
-    const minPacketSize = tcpStart + 20;
+    const tcpStart = ctx.options.skipIPHeader ? leadingIPHeaderLength(packet, ctx) : 0;
+    // The segment ends with the IP packet, before any link-layer padding
+    const tcpEnd = ctx.options.skipIPHeader ? leadingIPPacketEnd(packet, tcpStart) : packet.length;
+    const availableLength = tcpEnd - tcpStart;
+    const output = {};
 
-    if (packet.length < minPacketSize) {
-        console.warn("Packet too small for TCP header");
-        return Buffer.alloc(0);
+    // Parse fixed header fields; a truncated header keeps whatever fits
+    // (ICMP errors only quote the first 8 bytes of the segment)
+    for (const [name, offset, length] of FIXED_FIELDS) {
+        if (availableLength >= offset + length) {
+            output[name] = packet.readUIntBE(tcpStart + offset, length);
+        }
     }
 
-    const output = {};
-
-    // Parse fixed header fields
-    output.sourcePort = packet.readUInt16BE(tcpStart + 0);
-    output.destinationPort = packet.readUInt16BE(tcpStart + 2);
-    output.sequenceNumber = packet.readUInt32BE(tcpStart + 4);
-    output.acknowledgmentNumber = packet.readUInt32BE(tcpStart + 8);
+    if (availableLength < 20) {
+        ctx.report(new TruncatedPacketError(
+            `Packet too small for TCP header: need 20 bytes, got ${Math.max(availableLength, 0)}`,
+            { layer: 'tcp', field: 'header', offset: tcpStart, expected: 20, actual: Math.max(availableLength, 0) }
+        ));
+        return ctx.finish(output);
+    }
 
     // Parse data offset and validate reserved bits
     const dataOffsetByte = packet.readUInt8(tcpStart + 12);
@@ -134,35 +282,76 @@ function Decode(packet, skipIPHeader = false) {
     const reserved = dataOffsetByte & 0x0E; // Bits 1-3 of lower nibble
 
     if (reserved !== 0) {
-        console.warn("Non-zero reserved bits detected");
-        return Buffer.alloc(0);
-    }
-
-    const availableLength = packet.length - tcpStart;
-    if (!isValidDataOffset(dataOffset, availableLength)) {
-        return Buffer.alloc(0);
+        ctx.report(new InvalidFieldError('Non-zero reserved bits detected', {
+            layer: 'tcp', field: 'reserved', offset: tcpStart + 12, value: reserved >> 1
+        }));
     }
 
     output.dataOffset = dataOffset;
+    output.reserved = reserved >> 1;
+    output.ns = (dataOffsetByte & 0x01) === 1;
     output.flags = parseFlags(packet.readUInt8(tcpStart + 13));
-    output.windowSize = packet.readUInt16BE(tcpStart + 14);
-    output.checksum = packet.readUInt16BE(tcpStart + 16);
-    output.urgentPointer = packet.readUInt16BE(tcpStart + 18);
 
     // Parse options if present
-    const headerLength = dataOffset * 4;
-    if (headerLength > 20) {
-        const optionsLength = headerLength - 20;
-        const optionsBuffer = packet.slice(tcpStart + 20, tcpStart + 20 + optionsLength);
-        output.options = parseOptions(optionsBuffer);
-    } else {
-        output.options = [];
+    let headerLength = dataOffset * 4;
+    if (headerLength < 20) {
+        ctx.report(new InvalidFieldError(`Invalid data offset: ${dataOffset} (header length: ${headerLength} bytes)`, {
+            layer: 'tcp', field: 'dataOffset', offset: tcpStart + 12, value: dataOffset
+        }));
+        headerLength = 20;
+    }
+    if (availableLength < headerLength) {
+        ctx.report(new TruncatedPacketError(`Packet size ${availableLength} is smaller than header length ${headerLength}`, {
+            layer: 'tcp', field: 'options', offset: tcpStart + 20, expected: headerLength, actual: availableLength
+        }));
+        headerLength = availableLength;
     }
 
+    output.options = headerLength > 20
+        ? parseOptions(packet.slice(tcpStart + 20, tcpStart + headerLength), ctx, tcpStart + 20)
+        : [];
+
     // Extract payload
-    output.dataPayload = packet.slice(tcpStart + headerLength);
+    output.dataPayload = packet.slice(tcpStart + headerLength, tcpEnd);
+
+    verifyChecksum(output, packet, tcpStart, tcpEnd, ctx);
 
-    return output;
+    return ctx.finish(output);
+}
+
+/**
+ * Checks the segment checksum against the pseudo-header addresses, if known
+ * @param {Object} output - Decode output; receives checksumValid and expectedChecksum
+ * @param {Buffer} packet - Buffer handed to Decode
+ * @param {number} tcpStart - Offset of the TCP header in packet
+ * @param {number} tcpEnd - Offset just past the segment in packet
+ * @param {Object} ctx - Decode context
+ */
+function verifyChecksum(output, packet, tcpStart, tcpEnd, ctx) {
+    output.checksumValid = null;
+    output.expectedChecksum = null;
+
+    if (ctx.options.verifyChecksum === false) {
+        return;
+    }
+
+    const addresses = pseudoHeaderAddresses(ctx.options, packet);
+    if (!addresses || !isValidAddressPair(addresses.srcIp, addresses.destIp)) {
+        return;
+    }
+
+    const segment = packet.subarray(tcpStart, tcpEnd);
+    const pseudo = pseudoHeader(addresses.srcIp, addresses.destIp, 6, segment.length);
+
+    output.expectedChecksum = expectedChecksum(segment, 16, pseudo);
+    output.checksumValid = output.expectedChecksum === output.checksum;
+
+    if (!output.checksumValid) {
+        ctx.report(new ChecksumError(
+            `Checksum mismatch: expected 0x${output.expectedChecksum.toString(16)}, got 0x${output.checksum.toString(16)}`,
+            { layer: 'tcp', field: 'checksum', offset: tcpStart + 16, expected: output.expectedChecksum, actual: output.checksum }
+        ));
+    }
 }
 
 /**
@@ -179,14 +368,11 @@ function parseFlags(flagBits) {
 /**
  * Parses TCP options field
  * @param {Buffer} optionsBuffer - Raw options buffer
+ * @param {Object} [ctx] - Decode context from createDecodeContext()
+ * @param {number} [baseOffset=0] - Offset of the options within the decoded buffer
  * @returns {Array} Array of parsed option objects
  */
-function parseOptions(optionsBuffer) {
-    if (!Buffer.isBuffer(optionsBuffer)) {
-        console.warn("Options must be a Buffer");
-        return [];
-    }
-
+function parseOptions(optionsBuffer, ctx = createDecodeContext(), baseOffset = 0) {
     const OPTION_TYPES = {
         0: 'EOL',
         1: 'NOP',
@@ -196,11 +382,18 @@ function parseOptions(optionsBuffer) {
         5: 'SACK',
         8: 'Timestamps',
         14: 'AltChkSum',
-        15: 'AltChkSumData'
+        15: 'AltChkSumData',
+        19: 'MD5',
+        28: 'UserTimeout',
+        29: 'TCP-AO',
+        30: 'MPTCP',
+        34: 'TFO',
+        253: 'Experimental',
+        254: 'Experimental'
     };
 
-    const MIN_LENGTHS = { 2: 4, 3: 3, 4: 2, 5: 10, 8: 10, 14: 3, 15: 2 };
-    const MAX_LENGTHS = { 2: 4, 3: 3, 4: 2, 5: 34, 8: 10, 14: 3, 15: 40 };
+    const MIN_LENGTHS = { 2: 4, 3: 3, 4: 2, 5: 10, 8: 10, 14: 3, 15: 2, 19: 18, 28: 4, 29: 4, 30: 3, 34: 2, 253: 4, 254: 4 };
+    const MAX_LENGTHS = { 2: 4, 3: 3, 4: 2, 5: 34, 8: 10, 14: 3, 15: 40, 19: 18, 28: 4, 34: 18 };
 
     const options = [];
     let i = 0;
@@ -223,14 +416,21 @@ function parseOptions(optionsBuffer) {
 
         // Check if length byte exists
         if (i + 1 >= optionsBuffer.length) {
-            console.warn(`Option kind ${kind} missing length byte at position ${i}`);
+            ctx.report(new TruncatedPacketError(`Option kind ${kind} missing length byte at position ${i}`, {
+                layer: 'tcp', field: 'options', offset: baseOffset + i, expected: 2, actual: 1
+            }));
             break;
         }
 
         const length = optionsBuffer[i + 1];
+        const problem = optionLengthProblem(kind, length, i, optionsBuffer.length, MIN_LENGTHS, MAX_LENGTHS, OPTION_TYPES);
 
-        if (isInvalidOptionLength(kind, length, i, optionsBuffer.length, MIN_LENGTHS, MAX_LENGTHS, OPTION_TYPES)) {
-            return [];
+        // A bad length makes the rest of the option list unparseable
+        if (problem) {
+            ctx.report(new InvalidFieldError(problem, {
+                layer: 'tcp', field: 'options', offset: baseOffset + i, value: length
+            }));
+            break;
         }
 
         const data = optionsBuffer.slice(i + 2, i + length);
@@ -238,7 +438,8 @@ function parseOptions(optionsBuffer) {
             type: OPTION_TYPES[kind] || `Unknown-${kind}`,
             kind,
             length,
-            data
+            data,
+            ...decodeOptionValue(kind, data)
         });
 
         i += length;
@@ -247,70 +448,92 @@ function parseOptions(optionsBuffer) {
     return options;
 }
 
+/**
+ * Decodes the value of a known option kind (length already validated)
+ * @param {number} kind - Option kind
+ * @param {Buffer} data - Option data after the kind and length bytes
+ * @returns {Object} Named fields to merge into the option object
+ */
+function decodeOptionValue(kind, data) {
+    switch (kind) {
+        case 2:
+            return { mss: data.readUInt16BE(0) };
+        case 3:
+            return { shift: data[0] };
+        case 5: {
+            const blocks = [];
+            for (let j = 0; j + 8 <= data.length; j += 8) {
+                blocks.push({ left: data.readUInt32BE(j), right: data.readUInt32BE(j + 4) });
+            }
+            return { blocks };
+        }
+        case 8:
+            return { tsval: data.readUInt32BE(0), tsecr: data.readUInt32BE(4) };
+        case 14:
+            return { algorithm: data[0] };
+        case 19:
+            // RFC 2385: MD5 digest over pseudo-header, header, data and key
+            return { digest: data };
+        case 28:
+            // RFC 5482: G bit selects minutes (1) or seconds (0)
+            return {
+                granularity: data[0] & 0x80 ? 'minutes' : 'seconds',
+                timeout: data.readUInt16BE(0) & 0x7FFF
+            };
+        case 29:
+            // RFC 5925: KeyID, RNextKeyID, then the MAC
+            return { keyId: data[0], rNextKeyId: data[1], mac: data.subarray(2) };
+        case 30:
+            // RFC 8684: subtype in the upper nibble of the first byte
+            return MPTCP.decode(data);
+        case 34:
+            // RFC 7413: an empty cookie requests one
+            return { cookieRequest: data.length === 0, cookie: data };
+        case 253:
+        case 254:
+            // RFC 6994: 16-bit Experiment ID first
+            return { exid: data.readUInt16BE(0), experimentData: data.subarray(2) };
+        default:
+            return {};
+    }
+}
+
 /**
  * Validates TCP option length field
- * @returns {boolean} True if option is malformed
+ * @returns {string|null} Description of the problem, or null if the length is valid
  */
-function isInvalidOptionLength(kind, length, currentIndex, bufferLength, minLengths, maxLengths, optionTypes) {
+function optionLengthProblem(kind, length, currentIndex, bufferLength, minLengths, maxLengths, optionTypes) {
     // Length must be at least 2 (kind + length bytes)
     if (length < 2) {
-        console.warn(`Option kind ${kind} has invalid length ${length} (minimum is 2)`);
-        return true;
+        return `Option kind ${kind} has invalid length ${length} (minimum is 2)`;
     }
 
     // Validate minimum length for known options
     if (minLengths[kind] && length < minLengths[kind]) {
-        console.warn(`Option kind ${kind} length ${length} is below minimum ${minLengths[kind]}`);
-        return true;
+        return `Option kind ${kind} length ${length} is below minimum ${minLengths[kind]}`;
     }
 
     // Validate maximum length for known options
     if (maxLengths[kind] && length > maxLengths[kind]) {
-        console.warn(`Option kind ${kind} length ${length} exceeds maximum ${maxLengths[kind]}`);
-        return true;
+        return `Option kind ${kind} length ${length} exceeds maximum ${maxLengths[kind]}`;
     }
 
     // Length must not exceed remaining buffer
     if (currentIndex + length > bufferLength) {
-        console.warn(`Option kind ${kind} extends beyond buffer bounds`);
-        return true;
+        return `Option kind ${kind} extends beyond buffer bounds`;
     }
 
     // Cap unknown option lengths to prevent DoS
     if (!optionTypes[kind] && length > 40) {
-        console.warn(`Unknown option kind ${kind} has excessive length ${length}`);
-        return true;
+        return `Unknown option kind ${kind} has excessive length ${length}`;
     }
 
     // SACK-specific validation: length must be 2 + 8n
     if (kind === 5 && (length - 2) % 8 !== 0) {
-        console.warn(`SACK option has invalid length ${length} (must be 2 + 8n bytes)`);
-        return true;
-    }
-
-    return false;
-}
-
-/**
- * Validates TCP data offset field
- * @param {number} dataOffset - Data offset in 32-bit words
- * @param {number} packetLength - Total packet length
- * @returns {boolean} True if valid
- */
-function isValidDataOffset(dataOffset, packetLength) {
-    const headerLength = dataOffset * 4;
-
-    if (headerLength < 20 || headerLength > 60) {
-        console.warn(`Invalid data offset: ${dataOffset} (header length: ${headerLength} bytes)`);
-        return false;
-    }
-
-    if (packetLength < headerLength) {
-        console.warn(`Packet size ${packetLength} is smaller than header length ${headerLength}`);
-        return false;
+        return `SACK option has invalid length ${length} (must be 2 + 8n bytes)`;
     }
 
-    return true;
+    return null;
 }
 
 /**
@@ -331,7 +554,10 @@ function isValidIP(ipAddress) {
 module.exports = {
     Encode,
     Decode,
+    build,
     OptionBuilders: require('../option-bulder'),
     Probes: require('./tcp-option-probes'),
-    TCPChecksum: require('./tcp-checksum')
+    TCPChecksum: require('./tcp-checksum'),
+    TCPMD5,
+    MPTCP
 };
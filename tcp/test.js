@@ -683,6 +683,743 @@ try {
 //     failedTests.push('ACK number test');
 // }
 
+// ===== Test 20: Decode Modes =====
+console.log('\n📝 Test 20: Decode Modes');
+try {
+    const packet = TCP.Encode(
+        '192.168.1.1', '192.168.1.2',
+        40000, 80, 1000, 0,
+        { syn: true }, 65535, 0,
+        Buffer.from([0x02, 0x04, 0x05, 0xB4]), Buffer.alloc(0)
+    );
+
+    // ICMP errors quote only the first 8 bytes of the segment
+    const quoted = TCP.Decode(packet.subarray(0, 8), { mode: 'lenient' });
+    assertEqual(quoted.sourcePort, 40000, 'Lenient mode keeps ports of a quoted header');
+    assertEqual(quoted.sequenceNumber, 1000, 'Lenient mode keeps sequence number of a quoted header');
+    assertEqual(quoted.anomalies[0].type, 'TruncatedPacketError', 'Truncation reported as anomaly');
+
+    try {
+        TCP.Decode(packet.subarray(0, 8));
+        assert(false, 'Strict mode throws TruncatedPacketError');
+    } catch (error) {
+        assertEqual(error.name, 'TruncatedPacketError', 'Strict mode throws TruncatedPacketError');
+        assertEqual(error.layer, 'tcp', 'Error carries layer');
+        assertEqual(error.field, 'header', 'Error carries field');
+    }
+
+    const badOption = Buffer.from(packet);
+    badOption[21] = 0x08; // MSS length 8 runs past the options
+    const lenient = TCP.Decode(badOption, { mode: 'lenient' });
+    assertEqual(lenient.anomalies[0].field, 'options', 'Bad option length reported');
+    assertEqual(lenient.anomalies[0].offset, 20, 'Bad option offset reported');
+    assertEqual(lenient.flags[0], 'SYN', 'Rest of header still decoded');
+
+    const withIp = Buffer.concat([Buffer.alloc(20), packet]);
+    withIp[0] = 0x45;
+    Buffer.from([192, 168, 1, 1, 192, 168, 1, 2]).copy(withIp, 12);
+    assertEqual(TCP.Decode(withIp, true).sourcePort, 40000, 'Legacy skipIPHeader flag accepted');
+    assertEqual(TCP.Decode(withIp, { skipIPHeader: true }).options[0].type, 'MSS', 'skipIPHeader option accepted');
+
+} catch (error) {
+    console.log(`❌ FAIL: Decode modes test - ${error.message}`);
+    failedTests.push('Decode modes test');
+}
+
+// ===== Test 21: Checksum Verification =====
+console.log('\n📝 Test 21: Checksum Verification');
+try {
+    const IPv4 = require('../ipv4/ipv4');
+    const segment = TCP.Encode(
+        '10.0.0.1', '10.0.0.2',
+        40000, 80, 1000, 0,
+        { syn: true }, 65535, 0,
+        Buffer.alloc(0), Buffer.from('data')
+    );
+    const packet = IPv4.Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'tcp', [], segment);
+
+    assertEqual(TCP.Decode(segment).checksumValid, null, 'Unverified without addresses');
+    assertEqual(TCP.Decode(segment, { srcIp: '10.0.0.1', destIp: '10.0.0.2' }).checksumValid, true, 'Verified with explicit addresses');
+    assertEqual(TCP.Decode(packet, { skipIPHeader: true }).checksumValid, true, 'Verified against enclosing IP header');
+
+    // 4 option bytes in the IP header (IHL 6) are skipped too
+    const withOptions = Buffer.concat([packet.subarray(0, 20), Buffer.from([1, 1, 1, 0]), segment]);
+    withOptions[0] = 0x46;
+    withOptions.writeUInt16BE(withOptions.length, 2);
+    const behindOptions = TCP.Decode(withOptions, { skipIPHeader: true });
+    assert(behindOptions.sourcePort === 40000 && behindOptions.checksumValid === true, 'skipIPHeader honours IHL');
+    assertEqual(TCP.Decode(segment, { ip: IPv4.Decode(packet) }).checksumValid, true, 'Verified against decoded IP header');
+
+    // A bare SYN in a minimum-size Ethernet frame: the pad bytes are not part of the segment
+    const { stack, ether, ipv4, tcp } = require('../stack/stack');
+    const frame = stack(ether(), ipv4({ src: '10.0.0.1', dst: '10.0.0.2' }), tcp({ sport: 40000, dport: 80, flags: 'S' }));
+    assertEqual(frame.length, 60, 'Frame padded to the Ethernet minimum');
+    const padded = TCP.Decode(frame.subarray(14), { skipIPHeader: true });
+    assertEqual(padded.checksumValid, true, 'Padding excluded from the checksum');
+    assertEqual(padded.dataPayload.length, 0, 'Padding excluded from the payload');
+
+    const corrupted = Buffer.from(segment);
+    corrupted.writeUInt16BE(0x1234, 16);
+    const lenient = TCP.Decode(corrupted, { ip: packet, mode: 'lenient' });
+    assertEqual(lenient.checksumValid, false, 'Corrupted checksum detected');
+    assertEqual(lenient.expectedChecksum, segment.readUInt16BE(16), 'Expected checksum reported');
+    assertEqual(lenient.anomalies[0].offset, 16, 'Checksum anomaly offset');
+    try {
+        TCP.Decode(corrupted, { ip: packet });
+        assert(false, 'Strict mode throws on checksum mismatch');
+    } catch (error) {
+        assertEqual(error.name, 'ChecksumError', 'Strict mode throws on checksum mismatch');
+    }
+    assertEqual(TCP.Decode(corrupted, { ip: packet, verifyChecksum: false }).checksumValid, null, 'Verification can be skipped for offloaded captures');
+
+} catch (error) {
+    console.log(`❌ FAIL: Checksum verification test - ${error.message}`);
+    failedTests.push('Checksum verification test');
+}
+
+// ===== Test 22: TCP over IPv6 =====
+console.log('\n📝 Test 22: TCP over IPv6');
+try {
+    const IPv6 = require('../ipv6/ipv6');
+    const { checksum } = require('../checksum/checksum');
+    const segment = TCP.Encode(
+        '2001:db8::1', '2001:db8::2',
+        40000, 443, 1000, 0,
+        { syn: true }, 65535, 0,
+        Buffer.alloc(0), Buffer.from('v6')
+    );
+
+    // RFC 8200 pseudo-header written out by hand
+    const pseudo = Buffer.from(
+        '20010db8000000000000000000000001' +
+        '20010db8000000000000000000000002' +
+        '00000016' + '00000006',
+        'hex'
+    );
+    const zeroed = Buffer.from(segment);
+    zeroed.writeUInt16BE(0, 16);
+    assertEqual(segment.readUInt16BE(16), checksum(pseudo, zeroed), 'Checksum uses the 40-byte IPv6 pseudo-header');
+
+    const addresses = { srcIp: '2001:db8::1', destIp: '2001:db8::2' };
+    assertEqual(TCP.Decode(segment, addresses).checksumValid, true, 'Verified with explicit IPv6 addresses');
+
+    const packet = IPv6.Encode('2001:db8::1', '2001:db8::2', 0, 0, segment, 0, 6, 64);
+    assertEqual(TCP.Decode(packet, { skipIPHeader: true }).sourcePort, 40000, 'skipIPHeader skips 40 bytes for IPv6');
+    assertEqual(TCP.Decode(packet, { skipIPHeader: true }).checksumValid, true, 'Verified against enclosing IPv6 header');
+    assertEqual(TCP.Decode(segment, { ip: IPv6.Decode(packet) }).checksumValid, true, 'Verified against decoded IPv6 header');
+
+    const corrupted = Buffer.from(segment);
+    corrupted[corrupted.length - 1] ^= 0x01;
+    assertEqual(TCP.Decode(corrupted, { ...addresses, mode: 'lenient' }).checksumValid, false, 'Corrupted IPv6 segment detected');
+    assertEqual(TCP.Decode(segment, { srcIp: '10.0.0.1', destIp: '2001:db8::2' }).checksumValid, null, 'Mixed address families not verified');
+
+} catch (error) {
+    console.log(`❌ FAIL: TCP over IPv6 test - ${error.message}`);
+    failedTests.push('TCP over IPv6 test');
+}
+
+// ===== Test 23: Object-style Build =====
+console.log('\n📝 Test 23: Object-style Build');
+try {
+    const addresses = { srcIp: '10.0.0.2', destIp: '10.0.0.1' };
+    const synAck = TCP.build({
+        src: '10.0.0.2', dst: '10.0.0.1', sport: 80, dport: 40000, seq: 1, ack: 1001, flags: 'SA',
+        options: [['MSS', 1460], ['WS', 7], 'SACKOK', ['TS', 1, 0]]
+    });
+    const decoded = TCP.Decode(synAck, addresses);
+
+    assertEqual(decoded.flags.join(','), 'ACK,SYN', 'Flag letters SA');
+    assertEqual(decoded.options.map(o => o.type).join(','), 'MSS,WS,SACK-Permitted,Timestamps,NOP', 'Named options in order, NOP padded');
+    assertEqual(decoded.dataOffset, 10, 'Data offset covers 20 option bytes');
+    assertEqual(decoded.windowSize, 65535, 'Window defaults to 65535');
+    assertEqual(decoded.checksumValid, true, 'Checksum valid');
+
+    const sameOptions = OptionBuilders.optPadding(Buffer.concat([
+        OptionBuilders.optMSS(1460), OptionBuilders.optWScale(7), OptionBuilders.optSACK(), OptionBuilders.optTimestamp(1, 0)
+    ]));
+    assertBufferEqual(
+        synAck,
+        TCP.Encode('10.0.0.2', '10.0.0.1', 80, 40000, 1, 1001, { syn: true, ack: true }, 65535, 0, sameOptions, Buffer.alloc(0)),
+        'Same bytes as Encode with builder buffers'
+    );
+
+    const defaults = TCP.Decode(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1' }), addresses);
+    assertEqual(defaults.flags.join(','), 'SYN', 'Flags default to S');
+    assertEqual(defaults.sourcePort, 20, 'Source port defaults to 20');
+    assertEqual(defaults.destinationPort, 80, 'Destination port defaults to 80');
+
+    const xmas = TCP.Decode(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: 'FPU' }), addresses);
+    assertEqual(xmas.flags.join(','), 'URG,PSH,FIN', 'FPU letters');
+    assertEqual(TCP.Decode(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: 0x12 }), addresses).flags.join(','), 'ACK,SYN', 'Numeric flag byte');
+    assertEqual(TCP.Decode(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: { rst: true } }), addresses).flags.join(','), 'RST', 'Encode-style flag object');
+
+    const ns = TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: 'SECN' });
+    assertEqual(ns[12] & 0x01, 1, 'N sets the NS bit');
+    assertEqual(TCP.Decode(ns, addresses).checksumValid, true, 'Checksum covers the NS bit');
+
+    const raw = Buffer.from([0x02, 0x04, 0x05, 0xb4]);
+    assertBufferEqual(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', options: raw }).subarray(20, 24), raw, 'Raw options buffer accepted');
+    assertBufferEqual(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', options: [raw, 'NOP'] }).subarray(20, 24), raw, 'Buffers mix with named options');
+
+    // Overrides for malformed segments
+    const reserved = TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', reserved: 5 });
+    assertEqual((reserved[12] >> 1) & 0x07, 5, 'Reserved bits override');
+    assertEqual(TCP.Decode(reserved, { ...addresses, mode: 'lenient' }).checksumValid, true, 'Checksum recomputed after reserved override');
+
+    const shortOffset = TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', options: [['MSS', 1460]], dataOffset: 5 });
+    const lenient = TCP.Decode(shortOffset, { ...addresses, mode: 'lenient' });
+    assertEqual(lenient.dataOffset, 5, 'Data offset override');
+    assertEqual(lenient.checksumValid, true, 'Checksum recomputed after data offset override');
+    assertEqual(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', checksum: 0xDEAD }).readUInt16BE(16), 0xDEAD, 'Checksum override');
+
+    const rejects = [
+        [{ flags: 'SX' }, 'Unknown flag letter rejected'],
+        [{ options: ['BOGUS'] }, 'Unknown option name rejected'],
+        [{ options: [['TS'], ['TS'], ['TS'], ['TS'], ['TS']] }, 'Options beyond 40 bytes rejected']
+    ];
+    for (const [fields, name] of rejects) {
+        try {
+            TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', ...fields });
+            assert(false, name);
+        } catch (error) {
+            assert(true, name);
+        }
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: Object-style build test - ${error.message}`);
+    failedTests.push('Object-style build test');
+}
+
+// ===== Test 24: Semantic Option Values =====
+console.log('\n📝 Test 24: Semantic Option Values');
+try {
+    const decodeOptions = bytes => TCP.Decode(
+        TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: 'A', options: [Buffer.from(bytes)] }),
+        { verifyChecksum: false }
+    ).options;
+
+    const classic = TCP.Decode(TCP.build({
+        src: '10.0.0.2', dst: '10.0.0.1', options: [['MSS', 1460], ['WS', 7], 'SACKOK', ['TS', 123456, 654321]]
+    })).options;
+    assertEqual(classic[0].mss, 1460, 'MSS value');
+    assertEqual(classic[1].shift, 7, 'Window scale shift');
+    assertEqual(classic[3].tsval, 123456, 'TSval');
+    assertEqual(classic[3].tsecr, 654321, 'TSecr');
+    assertEqual(classic[0].data.length, 2, 'Raw data still present');
+
+    const sack = decodeOptions([1, 1, 5, 18, 0, 0, 0, 10, 0, 0, 0, 20, 0, 0, 0, 30, 0, 0, 0, 40])[2];
+    assertEqual(sack.type, 'SACK', 'SACK recognised');
+    assertEqual(sack.blocks.length, 2, 'Two SACK blocks');
+    assertEqual(sack.blocks[1].left, 30, 'SACK left edge');
+    assertEqual(sack.blocks[1].right, 40, 'SACK right edge');
+
+    const tfoRequest = decodeOptions([34, 2, 1, 1])[0];
+    assertEqual(tfoRequest.type, 'TFO', 'TFO recognised');
+    assertEqual(tfoRequest.cookieRequest, true, 'Empty TFO cookie is a request');
+    const tfo = decodeOptions([34, 10, 1, 2, 3, 4, 5, 6, 7, 8, 1, 1])[0];
+    assertEqual(tfo.cookie.toString('hex'), '0102030405060708', 'TFO cookie');
+    assertEqual(tfo.cookieRequest, false, 'Cookie present');
+
+    const md5 = decodeOptions([19, 18, ...Array(16).fill(0xAB), 1, 1])[0];
+    assertEqual(md5.type, 'MD5', 'MD5 signature recognised');
+    assertEqual(md5.digest.length, 16, '16-byte digest');
+
+    const uto = decodeOptions([28, 4, 0x80, 0x05])[0];
+    assertEqual(uto.type, 'UserTimeout', 'User Timeout recognised');
+    assertEqual(uto.granularity, 'minutes', 'Granularity bit');
+    assertEqual(uto.timeout, 5, 'Timeout value');
+
+    const ao = decodeOptions([29, 8, 3, 4, 0xAA, 0xBB, 0xCC, 0xDD])[0];
+    assertEqual(ao.type, 'TCP-AO', 'TCP-AO recognised');
+    assertEqual(ao.keyId, 3, 'KeyID');
+    assertEqual(ao.rNextKeyId, 4, 'RNextKeyID');
+    assertEqual(ao.mac.toString('hex'), 'aabbccdd', 'MAC');
+
+    const mptcp = decodeOptions([30, 4, 0x50, 0x01])[0];
+    assertEqual(mptcp.type, 'MPTCP', 'MPTCP recognised');
+    assertEqual(mptcp.subtype, 5, 'MPTCP subtype');
+
+    const exp = decodeOptions([254, 6, 0xF9, 0x89, 0x01, 0x02, 1, 1])[0];
+    assertEqual(exp.type, 'Experimental', 'Experimental kind recognised');
+    assertEqual(exp.exid, 0xF989, 'ExID');
+    assertEqual(exp.experimentData.toString('hex'), '0102', 'Experiment data');
+
+    const lenient = TCP.Decode(
+        TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', options: [Buffer.from([19, 10, 0, 0, 0, 0, 0, 0, 0, 0])] }),
+        { mode: 'lenient', verifyChecksum: false }
+    );
+    assertEqual(lenient.anomalies[0].field, 'options', 'Short MD5 option reported');
+
+} catch (error) {
+    console.log(`❌ FAIL: Semantic option values test - ${error.message}`);
+    failedTests.push('Semantic option values test');
+}
+
+// ===== Test 25: SACK, TFO, MD5, UTO and Experimental Builders =====
+console.log('\n📝 Test 25: SACK, TFO, MD5, UTO and Experimental Builders');
+try {
+    const crypto = require('crypto');
+    const addresses = { srcIp: '10.0.0.2', destIp: '10.0.0.1' };
+    const decodeBuilt = options => TCP.Decode(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: 'A', options }), addresses);
+
+    const sackBlocks = OptionBuilders.optSACKBlocks([{ left: 100, right: 200 }, [300, 400]]);
+    assertEqual(sackBlocks.length, 18, 'Two SACK blocks take 18 bytes');
+    const sack = decodeBuilt([['SACK', [[1000, 2000], [3000, 4000], [5000, 6000]]], ['TS', 1, 2]]).options;
+    assertEqual(sack[0].blocks.length, 3, 'Three SACK blocks round-trip');
+    assertEqual(sack[0].blocks[2].right, 6000, 'SACK edge round-trip');
+    assertEqual(sack[1].tsval, 1, 'Timestamp fits next to three blocks');
+
+    assertBufferEqual(OptionBuilders.optTFO(), Buffer.from([34, 2]), 'TFO cookie request');
+    const tfo = decodeBuilt([['TFO', Buffer.from('cafebabe', 'hex')]]).options[0];
+    assertEqual(tfo.cookie.toString('hex'), 'cafebabe', 'TFO cookie round-trip');
+
+    const uto = decodeBuilt([['UTO', 90, 'minutes']]).options[0];
+    assertEqual(uto.timeout, 90, 'User Timeout round-trip');
+    assertEqual(uto.granularity, 'minutes', 'User Timeout granularity');
+
+    const exp = decodeBuilt([['EXP', 0xF989, Buffer.from([1, 2, 3, 4])]]).options[0];
+    assertEqual(exp.kind, 254, 'Experimental kind defaults to 254');
+    assertEqual(exp.exid, 0xF989, 'Experiment ID round-trip');
+    assertEqual(OptionBuilders.optExperimental(1, Buffer.alloc(0), 253)[0], 253, 'Kind 253 selectable');
+
+    // RFC 2385 digest, computed independently
+    const key = 'bgp-secret';
+    const payload = Buffer.from('OPEN');
+    const signed = TCP.build({
+        src: '10.0.0.2', dst: '10.0.0.1', sport: 179, dport: 40000, flags: 'PA', seq: 7, ack: 9,
+        options: ['MD5'], md5Key: key, payload
+    });
+    const base = Buffer.from(signed.subarray(0, 20));
+    base.writeUInt16BE(0, 16);
+    const expected = crypto.createHash('md5')
+        .update(Buffer.from([10, 0, 0, 2, 10, 0, 0, 1, 0, 6, 0, signed.length]))
+        .update(base)
+        .update(payload)
+        .update(key)
+        .digest();
+    const md5 = TCP.Decode(signed, addresses);
+    assertBufferEqual(md5.options[0].digest, expected, 'MD5 digest over pseudo-header, base header, data and key');
+    assertEqual(md5.checksumValid, true, 'Checksum recomputed after signing');
+    assertEqual(TCP.TCPMD5.verify('10.0.0.2', '10.0.0.1', signed, key), true, 'Signature verifies');
+    assertEqual(TCP.TCPMD5.verify('10.0.0.2', '10.0.0.1', signed, 'wrong'), false, 'Wrong key fails');
+    assertEqual(TCP.TCPMD5.verify('10.0.0.2', '10.0.0.1', TCP.build({ src: '10.0.0.2', dst: '10.0.0.1' }), key), null, 'No MD5 option gives null');
+
+    const rejects = [
+        [() => OptionBuilders.optSACKBlocks([]), 'Empty SACK rejected'],
+        [() => OptionBuilders.optSACKBlocks([[1, 2], [3, 4], [5, 6], [7, 8], [9, 10]]), 'Five SACK blocks rejected'],
+        [() => OptionBuilders.optTFO(Buffer.alloc(2)), 'TFO cookie shorter than 4 bytes rejected'],
+        [() => OptionBuilders.optUserTimeout(40000), 'User Timeout above 15 bits rejected'],
+        [() => OptionBuilders.optExperimental(1, Buffer.alloc(0), 200), 'Non-experimental kind rejected'],
+        [() => OptionBuilders.buildOptions([['SACK', [[1, 2], [3, 4], [5, 6], [7, 8]]], ['TS']]), 'Four SACK blocks plus Timestamp exceed 40 bytes'],
+        [() => TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', md5Key: key }), 'Signing without an MD5 option rejected']
+    ];
+    for (const [fn, name] of rejects) {
+        try {
+            fn();
+            assert(false, name);
+        } catch (error) {
+            assert(true, name);
+        }
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: New option builders test - ${error.message}`);
+    failedTests.push('New option builders test');
+}
+
+// ===== Test 26: MPTCP Options =====
+console.log('\n📝 Test 26: MPTCP Options');
+try {
+    const crypto = require('crypto');
+    const { MPTCP } = TCP;
+    const addresses = { srcIp: '10.0.0.2', destIp: '10.0.0.1' };
+    const decodeBuilt = options => TCP.Decode(TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', flags: 'A', options }), addresses).options[0];
+    const keyA = Buffer.from('0102030405060708', 'hex');
+    const keyB = 0x1112131415161718n;
+    const keyBBytes = Buffer.from('1112131415161718', 'hex');
+
+    // Token and IDSN, computed independently
+    const shaA = crypto.createHash('sha256').update(keyA).digest();
+    assertEqual(MPTCP.token(keyA), shaA.readUInt32BE(0), 'Token is the top 32 bits of SHA-256(key)');
+    assert(MPTCP.idsn(keyA) === shaA.readBigUInt64BE(24), 'IDSN is the low 64 bits of SHA-256(key)');
+
+    // MP_CAPABLE v1 handshake lengths
+    assertEqual(MPTCP.mpCapable().length, 4, 'MP_CAPABLE SYN is 4 bytes');
+    assertEqual(MPTCP.mpCapable({ senderKey: keyB }).length, 12, 'MP_CAPABLE SYN/ACK is 12 bytes');
+    const capable = decodeBuilt([['MPTCP', 'MP_CAPABLE', { senderKey: keyA, receiverKey: keyB, dataLength: 100, checksum: 0xBEEF, checksumRequired: true }]]);
+    assertEqual(capable.length, 24, 'MP_CAPABLE with data and checksum is 24 bytes');
+    assertEqual(capable.subtypeName, 'MP_CAPABLE', 'MP_CAPABLE subtype decoded');
+    assertEqual(capable.version, 1, 'MP_CAPABLE version 1');
+    assertEqual(capable.checksumRequired && capable.hmacSha256, true, 'MP_CAPABLE A and H flags');
+    assertBufferEqual(capable.receiverKey, keyBBytes, 'MP_CAPABLE BigInt key written big-endian');
+    assertEqual(capable.dataLength, 100, 'MP_CAPABLE data-level length');
+    assertEqual(capable.checksum, 0xBEEF, 'MP_CAPABLE checksum');
+    assertEqual(decodeBuilt([['MPTCP', 'MP_CAPABLE', { version: 0, senderKey: keyA }]]).version, 0, 'MP_CAPABLE v0');
+
+    // MP_JOIN: token, truncated HMACs
+    const nonceA = 0xAAAAAAAA;
+    const nonceB = 0xBBBBBBBB;
+    const joinSyn = decodeBuilt([['MPTCP', 'MP_JOIN', { remoteKey: keyB, nonce: nonceA, addressId: 2, backup: true }]]);
+    assertEqual(joinSyn.stage, 'syn', 'MP_JOIN SYN recognised by length');
+    assertEqual(joinSyn.token, MPTCP.token(keyB), 'MP_JOIN SYN carries the receiver token');
+    assertEqual(joinSyn.backup && joinSyn.addressId === 2, true, 'MP_JOIN backup flag and address ID');
+
+    const macB = crypto.createHmac('sha256', Buffer.concat([keyBBytes, keyA])).update(Buffer.from('bbbbbbbbaaaaaaaa', 'hex')).digest();
+    const macA = crypto.createHmac('sha256', Buffer.concat([keyA, keyBBytes])).update(Buffer.from('aaaaaaaabbbbbbbb', 'hex')).digest();
+    const joinSynAck = decodeBuilt([['MPTCP', 'MP_JOIN', { stage: 'synack', localKey: keyB, remoteKey: keyA, nonce: nonceB, remoteNonce: nonceA }]]);
+    assertEqual(joinSynAck.length, 16, 'MP_JOIN SYN/ACK is 16 bytes');
+    assertBufferEqual(joinSynAck.hmac, macB.subarray(0, 8), 'MP_JOIN SYN/ACK HMAC truncated to 64 bits');
+    assertEqual(joinSynAck.nonce, nonceB, 'MP_JOIN SYN/ACK nonce');
+    const joinAck = decodeBuilt([['MPTCP', 'MP_JOIN', { stage: 'ack', localKey: keyA, remoteKey: keyB, nonce: nonceA, remoteNonce: nonceB }]]);
+    assertEqual(joinAck.length, 24, 'MP_JOIN ACK is 24 bytes');
+    assertBufferEqual(joinAck.hmac, macA.subarray(0, 20), 'MP_JOIN ACK HMAC truncated to 160 bits');
+
+    // v0 (RFC 6824) derives everything with SHA-1
+    const sha1A = crypto.createHash('sha1').update(keyA).digest();
+    assertEqual(MPTCP.token(keyA, 0), sha1A.readUInt32BE(0), 'v0 token is the top 32 bits of SHA-1(key)');
+    assert(MPTCP.idsn(keyA, 0) === sha1A.readBigUInt64BE(12), 'v0 IDSN is the low 64 bits of SHA-1(key)');
+    const v0JoinSyn = decodeBuilt([['MPTCP', 'MP_JOIN', { version: 0, remoteKey: keyA, nonce: nonceB }]]);
+    assertEqual(v0JoinSyn.token, sha1A.readUInt32BE(0), 'v0 MP_JOIN SYN carries the SHA-1 token');
+    const v0MacA = crypto.createHmac('sha1', Buffer.concat([keyA, keyBBytes])).update(Buffer.from('aaaaaaaabbbbbbbb', 'hex')).digest();
+    const v0JoinAck = decodeBuilt([['MPTCP', 'MP_JOIN', { version: 0, stage: 'ack', localKey: keyA, remoteKey: keyB, nonce: nonceA, remoteNonce: nonceB }]]);
+    assertBufferEqual(v0JoinAck.hmac, v0MacA, 'v0 MP_JOIN ACK carries the whole HMAC-SHA1');
+    for (const [fn, name] of [
+        [() => MPTCP.addAddrHmac(keyA, keyB, 3, '192.0.2.7', 8080, 0), 'v0 ADD_ADDR HMAC rejected'],
+        [() => MPTCP.token(keyA, 2), 'Unknown MPTCP version rejected']
+    ]) {
+        let threw = false;
+        try {
+            fn();
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, name);
+    }
+
+    // DSS
+    const dss = decodeBuilt([['MPTCP', 'DSS', { dataAck: 0x100000000n, dataAck64: true, dsn: 5000, ssn: 1, dataLength: 4, dataFin: true }]]);
+    assert(dss.dataAck === 0x100000000n, 'DSS 64-bit Data ACK');
+    assertEqual(dss.dsn, 5000, 'DSS 32-bit DSN');
+    assertEqual(dss.ssn === 1 && dss.dataLength === 4, true, 'DSS mapping fields');
+    assertEqual(dss.dataFin, true, 'DSS DATA_FIN');
+    assertEqual(dss.checksum, undefined, 'DSS without checksum');
+
+    const mapped = Buffer.from('data');
+    const pseudo = Buffer.alloc(16);
+    pseudo.writeBigUInt64BE(5000n, 0);
+    pseudo.writeUInt32BE(1, 8);
+    pseudo.writeUInt16BE(4, 12);
+    const expectedSum = require('../checksum/checksum').checksum(pseudo, mapped);
+    const dssSum = decodeBuilt([['MPTCP', 'DSS', { dsn: 5000n, dsn64: true, ssn: 1, dataLength: 4, checksum: true, payload: mapped }]]);
+    assertEqual(dssSum.checksum, expectedSum, 'DSS checksum over the 64-bit DSN pseudo-header and data');
+    assert(dssSum.dsn === 5000n, 'DSS 64-bit DSN');
+
+    // ADD_ADDR
+    const addrMac = crypto.createHmac('sha256', Buffer.concat([keyA, keyBBytes]))
+        .update(Buffer.from([3, 192, 0, 2, 7, 0x1F, 0x90]))
+        .digest()
+        .subarray(24);
+    const add = decodeBuilt([['MPTCP', 'ADD_ADDR', { addressId: 3, address: '192.0.2.7', port: 8080, localKey: keyA, remoteKey: keyB }]]);
+    assertEqual(add.length, 18, 'ADD_ADDR IPv4 with port and HMAC is 18 bytes');
+    assertEqual(add.address, '192.0.2.7', 'ADD_ADDR address');
+    assertEqual(add.port, 8080, 'ADD_ADDR port');
+    assertBufferEqual(add.hmac, addrMac, 'ADD_ADDR HMAC is the rightmost 64 bits');
+    const echo = decodeBuilt([['MPTCP', 'ADD_ADDR', { addressId: 4, address: '2001:db8::1', echo: true }]]);
+    assertEqual(echo.length, 20, 'ADD_ADDR IPv6 echo is 20 bytes');
+    assertEqual(echo.echo && echo.address === '2001:db8:0:0:0:0:0:1', true, 'ADD_ADDR IPv6 echo decoded');
+    assertEqual(decodeBuilt([['MPTCP', 'ADD_ADDR', { version: 0, addressId: 1, address: '10.1.1.1' }]]).version, 0, 'ADD_ADDR v0 recognised by IPVer');
+
+    // REMOVE_ADDR, MP_PRIO, MP_FAIL, MP_FASTCLOSE, MP_TCPRST
+    assertEqual(decodeBuilt([['MPTCP', 'REMOVE_ADDR', { addressIds: [3, 4] }]]).addressIds.join(','), '3,4', 'REMOVE_ADDR address IDs');
+    const prio = decodeBuilt([['MPTCP', 'MP_PRIO', { backup: true }]]);
+    assertEqual(prio.length === 3 && prio.backup, true, 'MP_PRIO v1 is 3 bytes with backup flag');
+    assert(decodeBuilt([['MPTCP', 'MP_FAIL', { dsn: 0xDEADBEEFn }]]).dsn === 0xDEADBEEFn, 'MP_FAIL DSN');
+    assertBufferEqual(decodeBuilt([['MPTCP', 'MP_FASTCLOSE', { receiverKey: keyB }]]).receiverKey, keyBBytes, 'MP_FASTCLOSE key');
+    const rst = decodeBuilt([['MPTCP', 'MP_TCPRST', { reason: 6, transient: true }]]);
+    assertEqual(rst.reasonName, 'Middlebox interference', 'MP_TCPRST reason');
+    assertEqual(rst.transient, true, 'MP_TCPRST T flag');
+
+    // A middlebox that truncates an option leaves it flagged, not thrown
+    const mangled = MPTCP.decode(Buffer.from([0x10, 0x00, 0x01]));
+    assertEqual(mangled.malformed, true, 'Truncated MP_JOIN flagged malformed');
+
+    const rejects = [
+        [() => MPTCP.build('MP_BOGUS'), 'Unknown subtype rejected'],
+        [() => MPTCP.mpCapable({ receiverKey: keyB }), 'Receiver key without sender key rejected'],
+        [() => MPTCP.mpCapable({ senderKey: Buffer.alloc(4) }), 'Short key rejected'],
+        [() => MPTCP.mpJoin({ stage: 'synack', nonce: 1 }), 'MP_JOIN SYN/ACK without keys rejected'],
+        [() => MPTCP.addAddr({ addressId: 1, address: '10.0.0.1' }), 'ADD_ADDR without keys or HMAC rejected'],
+        [() => MPTCP.dss({ dataAck: 1, checksum: 1 }), 'DSS checksum without mapping rejected'],
+        [() => MPTCP.removeAddr({ addressIds: [] }), 'Empty REMOVE_ADDR rejected']
+    ];
+    for (const [fn, name] of rejects) {
+        try {
+            fn();
+            assert(false, name);
+        } catch (error) {
+            assert(true, name);
+        }
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: MPTCP options test - ${error.message}`);
+    failedTests.push('MPTCP options test');
+}
+
+// ===== Test 27: TCP Session State Machine =====
+console.log('\n📝 Test 27: TCP Session State Machine');
+try {
+    const { TcpSession } = require('./tcp-session');
+    const endpoints = () => ({
+        client: { ip: '10.0.0.1', port: 40000, isn: 1000 },
+        server: { ip: '10.0.0.2', port: 80, isn: 5000 }
+    });
+    const decode = segment => TCP.Decode(segment);
+
+    // Handshake, data, teardown
+    const session = new TcpSession(endpoints());
+    assertEqual(session.server.state, 'LISTEN', 'Server starts in LISTEN');
+
+    const syn = decode(session.syn());
+    assertEqual(syn.flags.join(','), 'SYN', 'SYN flags');
+    assertEqual(syn.sequenceNumber, 1000, 'SYN carries the ISS');
+    assertEqual(session.client.state + '/' + session.server.state, 'SYN-SENT/SYN-RECEIVED', 'States after SYN');
+
+    const synAck = decode(session.synAck());
+    assertEqual(synAck.sequenceNumber === 5000 && synAck.acknowledgmentNumber === 1001, true, 'SYN,ACK numbers (SYN consumes one)');
+    assertEqual(session.client.state, 'ESTABLISHED', 'Client established on SYN,ACK');
+
+    const ack = decode(session.ack('client'));
+    assertEqual(ack.sequenceNumber === 1001 && ack.acknowledgmentNumber === 5001, true, 'Handshake ACK numbers');
+    assertEqual(session.server.state, 'ESTABLISHED', 'Server established on ACK');
+
+    const request = decode(session.send('client', 'GET / HTTP/1.0\r\n\r\n'));
+    assertEqual(request.flags.join(','), 'ACK,PSH', 'Data segment flags');
+    const response = decode(session.send('server', Buffer.alloc(100, 0x41)));
+    assertEqual(response.sequenceNumber === 5001 && response.acknowledgmentNumber === 1019, true, 'Response acknowledges the request');
+    assertEqual(Buffer.concat(session.server.received).toString(), 'GET / HTTP/1.0\r\n\r\n', 'Server received the request');
+
+    const fin = decode(session.fin('client'));
+    assertEqual(fin.sequenceNumber === 1019 && fin.acknowledgmentNumber === 5101, true, 'FIN numbers');
+    assertEqual(session.client.state + '/' + session.server.state, 'FIN-WAIT-1/CLOSE-WAIT', 'States after FIN');
+    session.ack('server');
+    assertEqual(session.client.state, 'FIN-WAIT-2', 'FIN acknowledged');
+    const serverFin = decode(session.fin('server'));
+    assertEqual(serverFin.acknowledgmentNumber, 1020, 'FIN consumes one');
+    assertEqual(session.client.state + '/' + session.server.state, 'TIME-WAIT/LAST-ACK', 'States after second FIN');
+    session.ack('client');
+    assertEqual(session.server.state, 'CLOSED', 'Server closed on last ACK');
+    assertEqual(session.history.every(entry => entry.result.accepted), true, 'Every generated segment accepted by the peer');
+
+    // Window scaling
+    const scaled = new TcpSession({
+        client: { ip: '10.0.0.1', port: 40001, isn: 1, window: 1 << 20, windowScale: 7 },
+        server: { ip: '10.0.0.2', port: 80, isn: 2, window: 1 << 20, windowScale: 8 }
+    });
+    const scaledSyn = decode(scaled.syn());
+    assertEqual(scaledSyn.windowSize, 65535, 'SYN window never scaled');
+    assertEqual(scaledSyn.options.find(o => o.kind === 3).shift, 7, 'SYN announces window scale');
+    scaled.synAck();
+    const scaledAck = decode(scaled.ack('client'));
+    assertEqual(scaledAck.windowSize, (1 << 20) >> 7, 'Window field scaled down by our shift');
+    assertEqual(scaled.server.sndWnd, 1 << 20, 'Peer window scaled up by its shift');
+
+    const unscaled = new TcpSession({
+        client: { ip: '10.0.0.1', port: 40002, isn: 1, window: 1 << 20, windowScale: 7 },
+        server: { ip: '10.0.0.2', port: 80, isn: 2 }
+    });
+    unscaled.syn();
+    unscaled.synAck();
+    assertEqual(decode(unscaled.ack('client')).windowSize, 65535, 'No scaling unless both SYNs carry the option');
+
+    // Sequence wraparound
+    const wrap = new TcpSession({ client: { ip: '10.0.0.1', port: 40003, isn: 0xFFFFFFFF }, server: { ip: '10.0.0.2', port: 80, isn: 0xFFFFFFF0 } });
+    wrap.syn();
+    wrap.synAck();
+    assertEqual(decode(wrap.ack('client')).sequenceNumber, 0, 'ISS + 1 wraps to 0');
+    const wrapped = decode(wrap.send('server', Buffer.alloc(32)));
+    assertEqual(wrapped.sequenceNumber, 0xFFFFFFF1, 'Server data starts before the wrap');
+    assertEqual(wrap.client.rcvNxt, 0x11, 'Receiver follows across the wrap');
+
+    // Segments fed in from outside
+    const forge = (fields) => TCP.build({ src: '10.0.0.2', dst: '10.0.0.1', sport: 80, dport: 40004, flags: 'PA', ...fields });
+    const live = new TcpSession({ client: { ip: '10.0.0.1', port: 40004, isn: 100 }, server: { ip: '10.0.0.2', port: 80, isn: 900 } });
+    live.syn();
+    live.synAck();
+    live.ack('client');
+
+    const farAway = live.receive('client', forge({ seq: 900 + 1 + 70000, ack: 101, payload: Buffer.from('x') }));
+    assertEqual(farAway.accepted, false, 'Out-of-window data rejected');
+    assertEqual(farAway.problems[0].code, 'out-of-window', 'Out-of-window reported');
+    assertEqual(live.receive('client', forge({ seq: 901, ack: 5000, payload: Buffer.from('x') })).problems[0].code, 'ack-unsent', 'ACK of unsent data reported');
+    assertEqual(live.receive('client', forge({ seq: 901, flags: 'S' })).problems[0].code, 'challenge-ack', 'SYN in ESTABLISHED reported');
+    assertEqual(live.receive('client', forge({ seq: 911, flags: 'R' })).problems[0].code, 'challenge-ack', 'Inexact RST reported');
+    assertEqual(live.client.state, 'ESTABLISHED', 'Rejected segments leave the state alone');
+
+    const lost = live.send('server', 'first', { deliver: false });
+    const gap = live.receive('client', forge({ seq: 906, ack: 101, payload: Buffer.from('second') }));
+    assertEqual(gap.problems[0].code, 'out-of-order', 'Gap after a lost segment reported');
+    assertEqual(live.receive('client', lost).dataAccepted, 5, 'Lost segment delivered late');
+
+    assertEqual(live.receive('client', forge({ seq: 906, flags: 'R' })).state, 'CLOSED', 'Exact RST closes the connection');
+    const closed = live.receive('client', forge({ seq: 906, ack: 101 }));
+    assertEqual(closed.problems[0].code, 'invalid-state', 'Segment after reset reported');
+
+    const listener = new TcpSession(endpoints());
+    assertEqual(listener.receive('server', TCP.build({ src: '10.0.0.1', dst: '10.0.0.2', sport: 40000, dport: 80, flags: 'A' })).problems[0].code, 'invalid-state', 'ACK to LISTEN reported');
+
+    const throwsChecks = [
+        [() => listener.send('server', 'data'), 'Data in LISTEN rejected'],
+        [() => listener.fin('client'), 'FIN in CLOSED rejected'],
+        [() => listener.ack('client'), 'ACK before SYN rejected'],
+        [() => listener.synAck('server'), 'SYN,ACK without SYN rejected'],
+        [() => listener.ack('proxy'), 'Unknown side rejected'],
+        [() => new TcpSession({ client: { ip: '10.0.0.1', port: 1, windowScale: 15 }, server: { ip: '10.0.0.2', port: 2 } }), 'Window scale above 14 rejected']
+    ];
+    for (const [fn, name] of throwsChecks) {
+        try {
+            fn();
+            assert(false, name);
+        } catch (error) {
+            assert(true, name);
+        }
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: TCP session test - ${error.message}`);
+    failedTests.push('TCP session test');
+}
+
+// ===== Test 28: TCP Stream Reassembly =====
+console.log('\n📝 Test 28: TCP Stream Reassembly');
+try {
+    const { createStreamReassembler } = require('./tcp-stream');
+    const client = { srcIp: '10.0.0.1', destIp: '10.0.0.2' };
+    const server = { srcIp: '10.0.0.2', destIp: '10.0.0.1' };
+    const segment = (seq, flags, payload = '', fromClient = true) => TCP.Decode(TCP.build({
+        src: fromClient ? client.srcIp : server.srcIp,
+        dst: fromClient ? client.destIp : server.destIp,
+        sport: fromClient ? 40000 : 80,
+        dport: fromClient ? 80 : 40000,
+        seq,
+        ack: 1,
+        flags,
+        payload: Buffer.from(payload)
+    }));
+    const text = chunks => chunks.map(chunk => chunk.data.toString()).join('');
+
+    // Out-of-order data after a handshake
+    const stream = createStreamReassembler();
+    assertEqual(stream.push(segment(1000, 'S'), client).status, 'syn', 'SYN starts the direction');
+    const first = stream.push(segment(1001, 'PA', 'GET / HT'), client);
+    assertEqual(first.status + ' ' + text(first.chunks), 'delivered GET / HT', 'In-order data delivered');
+    assertEqual(first.key, '10.0.0.1:40000|10.0.0.2:80', 'Connection key sorts endpoints');
+    assertEqual(first.direction, '10.0.0.1:40000>10.0.0.2:80', 'Direction names the sender first');
+
+    assertEqual(stream.push(segment(1015, 'PA', '\r\n\r\n'), client).status, 'buffered', 'Data after a gap buffered');
+    const filled = stream.push(segment(1009, 'A', 'TP/1.0'), client);
+    assertEqual(text(filled.chunks), 'TP/1.0\r\n\r\n', 'Gap fill releases buffered data');
+    assertEqual(filled.chunks.map(chunk => chunk.seq), [1009, 1015], 'Chunks carry sequence numbers');
+
+    const retransmit = stream.push(segment(1001, 'PA', 'GET / HT'), client);
+    assertEqual(retransmit.status, 'duplicate', 'Retransmission is a duplicate');
+    assertEqual(retransmit.overlaps, [{ seq: 1001, length: 8, winner: 'held' }], 'Retransmission reported as overlap');
+
+    // Other direction is independent; pure ACKs carry nothing
+    assertEqual(stream.push(segment(9000, 'SA', '', false), server).status, 'syn', 'Server SYN,ACK');
+    assertEqual(stream.push(segment(1019, 'A'), client).status, 'empty', 'Pure ACK is empty');
+    const reply = stream.push(segment(9001, 'PA', 'HTTP/1.0 200 OK', false), server);
+    assertEqual(reply.key, first.key, 'Both directions share the connection');
+    assertEqual(text(reply.chunks), 'HTTP/1.0 200 OK', 'Server data delivered');
+
+    // FIN closes a direction once everything before it has arrived
+    assertEqual(stream.push(segment(9020, 'FA', '', false), server).status, 'empty', 'Early FIN waits for missing data');
+    const closing = stream.push(segment(9016, 'PA', 'body', false), server);
+    assertEqual(closing.status + ' ' + text(closing.chunks), 'closed body', 'Direction closes at FIN');
+    assertEqual(stream.push(segment(9016, 'PA', 'body', false), server).status, 'ignored', 'Closed direction ignores segments');
+    assertEqual(stream.connections()[0].directions[reply.direction].delivered, 19, 'Delivered byte count');
+
+    // Overlap policies
+    const overlapping = policy => {
+        const reassembler = createStreamReassembler({ policy });
+        reassembler.push(segment(100, 'A', 'aa'), client);
+        reassembler.push(segment(106, 'A', 'XXXX'), client);
+        const result = reassembler.push(segment(104, 'A', 'yyyyyy'), client);
+        return { result, data: text(reassembler.push(segment(102, 'A', 'bb'), client).chunks) };
+    };
+    const firstWins = overlapping('first');
+    assertEqual(firstWins.data, 'bbyyXXXX', "'first' policy keeps held bytes");
+    assertEqual(firstWins.result.overlaps, [{ seq: 106, length: 4, winner: 'held' }], "'first' policy reports overlap");
+    assertEqual(firstWins.result.status, 'buffered', "'first' policy buffers the new bytes");
+    const lastWins = overlapping('last');
+    assertEqual(lastWins.data, 'bbyyyyyy', "'last' policy takes incoming bytes");
+    assertEqual(lastWins.result.overlaps[0].winner, 'incoming', "'last' policy reports overlap");
+
+    // Sequence wraparound, without a SYN (mid-stream capture)
+    const wrapping = createStreamReassembler();
+    const beforeWrap = wrapping.push(segment(0xFFFFFFFC, 'A', 'abcd'), client);
+    const afterWrap = wrapping.push(segment(4, 'A', 'ijkl'), client);
+    assertEqual(afterWrap.status, 'buffered', 'Segment past the wrap buffered');
+    const acrossWrap = wrapping.push(segment(0, 'A', 'efgh'), client);
+    assertEqual(text(beforeWrap.chunks) + text(acrossWrap.chunks), 'abcdefghijkl', 'Reassembled across the wrap');
+    assertEqual(acrossWrap.chunks.map(chunk => chunk.seq), [0, 4], 'Wrapped sequence numbers');
+
+    // Without a SYN, bytes from before the first segment seen are reported, not taken for retransmissions
+    const midStream = createStreamReassembler();
+    midStream.push(segment(1009, 'A', 'TP/1.0'), client);
+    const early = midStream.push(segment(1001, 'PA', 'GET / HT'), client);
+    assertEqual(early.status, 'before-start', 'Earlier segment reported as before-start');
+    assertEqual(early.beforeStart.seq + ' ' + early.beforeStart.data.toString(), '1001 GET / HT', 'Early bytes handed back');
+    assertEqual(early.overlaps.length, 0, 'Early bytes are no overlap');
+    const straddling = midStream.push(segment(1005, 'A', '/ HTTP/1.0 X'), client);
+    assertEqual(straddling.beforeStart.data.toString() + '|' + text(straddling.chunks), '/ HT| X', 'Straddling segment split at the start');
+    assertEqual(straddling.overlaps[0].length + ' ' + straddling.overlaps[0].winner, '6 held', 'Delivered part is a retransmission');
+
+    // RST discards buffered data; flush reports gaps
+    const reset = createStreamReassembler();
+    reset.push(segment(500, 'A', 'ab'), client);
+    reset.push(segment(510, 'A', 'zz'), client);
+    const rst = reset.push(segment(1, 'R', '', false), server);
+    assertEqual(rst.status + ' ' + rst.discarded, 'reset 2', 'RST discards buffered bytes');
+    assertEqual(reset.push(segment(502, 'A', 'cd'), client).status, 'ignored', 'Reset connection ignores segments');
+
+    const gappy = createStreamReassembler();
+    gappy.push(segment(500, 'A', 'ab'), client);
+    gappy.push(segment(506, 'A', 'gh'), client);
+    gappy.push(segment(510, 'A', 'kl'), client);
+    const [flushed] = gappy.flush();
+    assertEqual(text(flushed.chunks), 'ghkl', 'Flush delivers past gaps');
+    assertEqual(flushed.gaps, [{ seq: 502, length: 4 }, { seq: 508, length: 2 }], 'Flush reports gaps');
+    assertEqual(gappy.flush().length, 0, 'Nothing left after flush');
+
+    // Raw segments with a raw IP header, IPv6 endpoint names
+    const raw = createStreamReassembler();
+    const ipHeader = Buffer.alloc(20);
+    ipHeader[0] = 0x45;
+    Buffer.from([10, 0, 0, 1, 10, 0, 0, 2]).copy(ipHeader, 12);
+    const rawResult = raw.push(TCP.build({ src: '10.0.0.1', dst: '10.0.0.2', sport: 1, dport: 2, seq: 7, flags: 'A', payload: Buffer.from('raw') }), ipHeader);
+    assertEqual(text(rawResult.chunks), 'raw', 'Raw segment and IP header accepted');
+    const v6 = raw.push(segment(7, 'A', 'six'), { sourceAddr: '2001:db8::1', destinationAddr: '2001:db8::2' });
+    assertEqual(v6.direction, '[2001:db8::1]:40000>[2001:db8::2]:80', 'IPv6 endpoints bracketed');
+
+    const throwsChecks = [
+        [() => createStreamReassembler({ policy: 'middle' }), 'Unknown policy rejected'],
+        [() => raw.push(segment(1, 'A', 'x'), {}), 'Missing addresses rejected']
+    ];
+    for (const [fn, name] of throwsChecks) {
+        try {
+            fn();
+            assert(false, name);
+        } catch (error) {
+            assert(true, name);
+        }
+    }
+
+} catch (error) {
+    console.log(`❌ FAIL: TCP stream reassembly test - ${error.message}`);
+    failedTests.push('TCP stream reassembly test');
+}
 
 // ===== Test Results Summary =====
 console.log('\n📊 Test Results Summary');
@@ -1,5 +1,9 @@
 const tcp = require('../tcp/tcp');
 const { checkAndRead16, checkAndWrite16, checkAndRead8, checkAndWrite8 } = require('../util')
+const { createDecodeContext, TruncatedPacketError, InvalidFieldError } = require('../errors');
+
+// change_cipher_spec, alert, handshake, application_data, heartbeat
+const CONTENT_TYPES = [20, 21, 22, 23, 24];
 
 function Encode(srcIp, destIp, seqNum = 0, ackNum = 0, contentType, protocolVersion, payload) {
     // Step 1: Build TLS record
@@ -29,28 +33,78 @@ function Encode(srcIp, destIp, seqNum = 0, ackNum = 0, contentType, protocolVers
 }
 
 
-function Decode(packet) {
+/**
+ * Decodes a TCP segment carrying a TLS record
+ * @param {Buffer} packet - TCP segment bytes
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ *                           Pseudo-header options (srcIp, destIp, ip, verifyChecksum) are passed to tcp.Decode
+ * @returns {Object} { tcp, tls } (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, on a malformed segment or record
+ */
+function Decode(packet, options = {}) {
+    const ctx = createDecodeContext(options);
+
     // Step 1: Decode TCP
-    const tcpDecoded = tcp.Decode(packet);
+    const tcpDecoded = tcp.Decode(packet, ctx.options);
+    ctx.absorb(tcpDecoded.anomalies);
 
-    if (tcpDecoded) {
-        console.log("Error deciding tcp, Potentially malformed packet");
-    }
     // Step 2: Extract TLS data from TCP payload
-    const tlsData = tcpDecoded.dataPayload;
+    const tlsData = tcpDecoded.dataPayload || Buffer.alloc(0);
+    const payloadOffset = packet.length - tlsData.length;
 
     // Step 3: Decode TLS header
-    let tlsDecoded = {};
-    tlsDecoded.contentType = tlsData.readUInt8(0);
-    tlsDecoded.protocolVersion = checkAndRead16(tlsData, 1);
-    tlsDecoded.length = checkAndRead16(tlsData, 3);
-    tlsDecoded.payload = tlsData.slice(5, 5 + tlsDecoded.length);
+    const tlsDecoded = DecodeRecord(tlsData, { mode: ctx.mode });
+    ctx.absorb(tlsDecoded.anomalies, payloadOffset);
+    delete tlsDecoded.anomalies;
 
-    return {
+    return ctx.finish({
         tcp: tcpDecoded,
         tls: tlsDecoded
-    };
+    });
+}
+
+/**
+ * Decodes a single TLS record header and its fragment
+ * @param {Buffer} record - Bytes starting at the TLS record header
+ * @param {Object} [options={}] - Decode options
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @returns {Object} { contentType, protocolVersion, length, payload } (plus `anomalies` in lenient mode)
+ * @throws {DecodeError} In strict mode, on a truncated record or unknown content type
+ */
+function DecodeRecord(record, options = {}) {
+    const ctx = createDecodeContext(options);
+
+    if (!Buffer.isBuffer(record)) {
+        throw new TypeError('[TLS] Record must be a Buffer');
+    }
+    if (record.length < 5) {
+        ctx.report(new TruncatedPacketError(`[TLS] Record header truncated: need 5 bytes, got ${record.length}`, {
+            layer: 'tls', field: 'header', offset: 0, expected: 5, actual: record.length
+        }));
+        return ctx.finish({});
+    }
+
+    let tlsDecoded = {};
+    tlsDecoded.contentType = checkAndRead8(record, 0);
+    tlsDecoded.protocolVersion = checkAndRead16(record, 1);
+    tlsDecoded.length = checkAndRead16(record, 3);
+    tlsDecoded.payload = record.slice(5, 5 + tlsDecoded.length);
+
+    if (!CONTENT_TYPES.includes(tlsDecoded.contentType)) {
+        ctx.report(new InvalidFieldError(`[TLS] Unknown content type ${tlsDecoded.contentType}`, {
+            layer: 'tls', field: 'contentType', offset: 0, value: tlsDecoded.contentType
+        }));
+    }
+    if (tlsDecoded.payload.length < tlsDecoded.length) {
+        ctx.report(new TruncatedPacketError(
+            `[TLS] Record truncated: length field says ${tlsDecoded.length} bytes, got ${tlsDecoded.payload.length}`,
+            { layer: 'tls', field: 'payload', offset: 5, expected: tlsDecoded.length, actual: tlsDecoded.payload.length }
+        ));
+    }
+
+    return ctx.finish(tlsDecoded);
 }
 
 
-module.exports = { Encode, Decode }
\ No newline at end of file
+module.exports = { Encode, Decode, DecodeRecord }
\ No newline at end of file
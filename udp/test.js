@@ -125,6 +125,115 @@ try {
     failedTests.push('Edge cases test');
 }
 
+// ===== Test 6: Decode Modes =====
+console.log('\n📝 Test 6: Decode Modes');
+try {
+    const packet = UDP.Encode('10.0.0.1', '10.0.0.2', 1234, 53, Buffer.from('query'));
+
+    let thrown = null;
+    try {
+        UDP.Decode(packet.subarray(0, 4));
+    } catch (error) {
+        thrown = error;
+    }
+    assertEqual(thrown && thrown.name, 'TruncatedPacketError', 'Strict mode throws on short header');
+
+    const truncated = UDP.Decode(packet.subarray(0, 10), { mode: 'lenient' });
+    assertEqual(truncated.data.length, 2, 'Lenient mode keeps available payload');
+    assertEqual(truncated.anomalies[0].field, 'data', 'Truncated payload reported');
+
+    const ipHeader = Buffer.from('4500002100000000401100000a0000010a000002', 'hex');
+    const corrupted = Buffer.concat([ipHeader, packet]);
+    corrupted[27] ^= 0xFF;
+    const lenient = UDP.Decode(corrupted, { skipIPHeader: true, mode: 'lenient' });
+    assertEqual(lenient.anomalies[0].type, 'ChecksumError', 'Checksum mismatch reported');
+    assertEqual(lenient.anomalies[0].offset, 26, 'Checksum offset reported');
+
+} catch (error) {
+    console.log(`❌ FAIL: Decode modes test - ${error.message}`);
+    failedTests.push('Decode modes test');
+}
+
+// ===== Test 7: Checksum Verification =====
+console.log('\n📝 Test 7: Checksum Verification');
+try {
+    const datagram = UDP.Encode('192.168.0.1', '192.168.0.2', 5000, 53, Buffer.from('abc'));
+    const addresses = { srcIp: '192.168.0.1', destIp: '192.168.0.2' };
+
+    assertEqual(UDP.Decode(datagram).checksumValid, null, 'Unverified without addresses');
+    assertEqual(UDP.Decode(datagram, addresses).checksumValid, true, 'Verified with explicit addresses');
+    assertEqual(UDP.Decode(datagram, { ip: { sourceAddr: '192.168.0.1', destinationAddr: '192.168.0.2' } }).checksumValid, true, 'Decoded IP object accepted');
+
+    const corrupted = Buffer.from(datagram);
+    corrupted[8] ^= 0xFF;
+    const lenient = UDP.Decode(corrupted, { ...addresses, mode: 'lenient' });
+    assertEqual(lenient.checksumValid, false, 'Corrupted payload detected');
+    assertEqual(lenient.expectedChecksum !== lenient.checksum, true, 'Expected checksum differs');
+    assertEqual(UDP.Decode(corrupted, { ...addresses, verifyChecksum: false }).checksumValid, null, 'Verification can be skipped');
+
+    const unchecked = Buffer.from(datagram);
+    unchecked.writeUInt16BE(0, 6);
+    assertEqual(UDP.Decode(unchecked, addresses).checksumValid, null, 'Zero checksum means not computed');
+
+} catch (error) {
+    console.log(`❌ FAIL: Checksum verification test - ${error.message}`);
+    failedTests.push('Checksum verification test');
+}
+
+// ===== Test 8: UDP over IPv6 =====
+console.log('\n📝 Test 8: UDP over IPv6');
+try {
+    const IPv6 = require('../ipv6/ipv6');
+    const addresses = { srcIp: 'fe80::1', destIp: 'ff02::fb' };
+    const datagram = UDP.Encode('fe80::1', 'ff02::fb', 5353, 5353, Buffer.from('mdns'));
+
+    assertEqual(UDP.pseudoHeader('fe80::1', 'ff02::fb', 12).length, 40, 'IPv6 pseudo-header is 40 bytes');
+    assertEqual(UDP.Decode(datagram, addresses).checksumValid, true, 'Verified with IPv6 addresses');
+
+    const packet = IPv6.Encode('fe80::1', 'ff02::fb', 0, 0, datagram, 0, 17, 255);
+    assertEqual(UDP.Decode(packet, { skipIPHeader: true }).destinationPort, 5353, 'skipIPHeader skips 40 bytes for IPv6');
+    assertEqual(UDP.Decode(packet, { skipIPHeader: true }).checksumValid, true, 'Verified against enclosing IPv6 header');
+
+    // Checksum is mandatory over IPv6 (RFC 8200 §8.1)
+    const zero = Buffer.from(datagram);
+    zero.writeUInt16BE(0, 6);
+    const lenient = UDP.Decode(zero, { ...addresses, mode: 'lenient' });
+    assertEqual(lenient.checksumValid, false, 'Zero checksum is invalid over IPv6');
+    assertEqual(lenient.anomalies[0].type, 'ChecksumError', 'Zero checksum reported as ChecksumError');
+    assertEqual(UDP.Decode(zero, { srcIp: '10.0.0.1', destIp: '10.0.0.2' }).checksumValid, null, 'Zero checksum still allowed over IPv4');
+
+} catch (error) {
+    console.log(`❌ FAIL: UDP over IPv6 test - ${error.message}`);
+    failedTests.push('UDP over IPv6 test');
+}
+
+// ===== Test 9: IPv4 Header With Options =====
+console.log('\n📝 Test 9: IPv4 Header With Options');
+try {
+    const IPv4 = require('../ipv4/ipv4');
+    const datagram = UDP.Encode('10.0.0.1', '10.0.0.2', 40000, 53, Buffer.from('query'));
+    const plain = IPv4.Encode('10.0.0.1', '10.0.0.2', 4, 0, 0, 1, '', 0, 64, 'udp', [], datagram);
+
+    // Same packet with 4 option bytes (NOP, NOP, NOP, EOL): IHL 6
+    const packet = Buffer.concat([plain.subarray(0, 20), Buffer.from([1, 1, 1, 0]), datagram]);
+    packet[0] = 0x46;
+    packet.writeUInt16BE(packet.length, 2);
+
+    const decoded = UDP.Decode(packet, { skipIPHeader: true });
+    assertEqual(decoded.destinationPort, 53, 'skipIPHeader honours IHL');
+    assertEqual(decoded.checksumValid, true, 'Checksum verified behind IPv4 options');
+
+    const badIhl = Buffer.from(plain);
+    badIhl[0] = 0x44;
+    const lenient = UDP.Decode(badIhl, { skipIPHeader: true, mode: 'lenient' });
+    assertEqual(lenient.anomalies.some(a => a.layer === 'ipv4' && a.field === 'IHL'), true, 'IHL below 5 reported');
+    assertEqual(lenient.destinationPort, 53, 'IHL below 5 falls back to 20 bytes');
+
+} catch (error) {
+    console.log(`❌ FAIL: IPv4 options test - ${error.message}`);
+    failedTests.push('IPv4 options test');
+}
+
 // ===== Test Results Summary =====
 console.log('\n📊 Test Results Summary');
 console.log('='.repeat(50));
@@ -1,15 +1,26 @@
 const { buildPseudoHeader, calculateChecksum, isValidIP } = require('./util');
-const ipv4 = require('../ipv4/ipv4');
+const { isValidIPv6 } = require('../ipv6/util');
+const { expectedChecksum } = require('../checksum/checksum');
 const {
     checkAndRead16,
-    checkAndWrite16
+    checkAndWrite16,
+    pseudoHeaderAddresses,
+    isValidAddressPair,
+    leadingIPHeaderLength
 } = require("../util");
+const {
+    createDecodeContext,
+    TruncatedPacketError,
+    ChecksumError,
+    InvalidFieldError
+} = require("../errors");
 
 /**
  * Encodes a UDP packet with the given source/destination IPs and ports.
+ * IPv6 addresses select the RFC 8200 pseudo-header for the checksum.
  * 
- * @param {string} srcIp - Source IP address
- * @param {string} destIp - Destination IP address
+ * @param {string} srcIp - Source IP address (IPv4 or IPv6)
+ * @param {string} destIp - Destination IP address (same family)
  * @param {number} srcPort - Source port (0-65535)
  * @param {number} destPort - Destination port (0-65535)
  * @param {Buffer} [data=Buffer.alloc(0)] - Payload data
@@ -17,11 +28,11 @@ const {
  */
 function Encode(srcIp, destIp, srcPort, destPort, data = Buffer.alloc(0)) {
 
-    if (!isValidIP(srcIp)) {
+    if (!isValidIP(srcIp) && !isValidIPv6(srcIp)) {
         console.warn("Not a vaild source IP Address")
     }
 
-    if (!isValidIP(destIp)) {
+    if (!isValidIP(destIp) && !isValidIPv6(destIp)) {
         console.warn("Not a vaild destination IP Address")
     }
 
@@ -43,28 +54,87 @@ function Encode(srcIp, destIp, srcPort, destPort, data = Buffer.alloc(0)) {
     }
 
     const pseudoHeader = buildPseudoHeader(srcIp, destIp, 8 + data.length);
-    const checksum = calculateChecksum(pseudoHeader, header, data);
+    // A computed checksum of zero is transmitted as all ones (RFC 768)
+    const checksum = calculateChecksum(pseudoHeader, header, data) || 0xFFFF;
     checkAndWrite16(header, checksum, 6);
 
     return Buffer.concat([header, data]);
 }
 
+/**
+ * Checks the datagram checksum against the pseudo-header addresses, if known
+ * @param {Object} output - Decode output; receives checksumValid and expectedChecksum
+ * @param {Buffer} udpPacket - Buffer handed to Decode
+ * @param {number} udpStart - Offset of the UDP header in udpPacket
+ * @param {boolean} complete - Whole datagram is present
+ * @param {Object} ctx - Decode context
+ */
+function verifyChecksum(output, udpPacket, udpStart, complete, ctx) {
+    output.checksumValid = null;
+    output.expectedChecksum = null;
+
+    if (ctx.options.verifyChecksum === false || !complete) {
+        return;
+    }
+
+    const addresses = pseudoHeaderAddresses(ctx.options, udpPacket);
+    if (!addresses || !isValidAddressPair(addresses.srcIp, addresses.destIp)) {
+        return;
+    }
+
+    // Over IPv4 a zero checksum means the sender did not compute one;
+    // over IPv6 the checksum is mandatory and zero is an error (RFC 8200 §8.1)
+    const overIPv6 = isValidIPv6(addresses.srcIp);
+    if (output.checksum === 0 && !overIPv6) {
+        return;
+    }
+
+    const datagram = udpPacket.subarray(udpStart, udpStart + output['length']);
+    const pseudoHeader = buildPseudoHeader(addresses.srcIp, addresses.destIp, output['length']);
+
+    // A computed checksum of zero is transmitted as all ones (RFC 768)
+    output.expectedChecksum = expectedChecksum(datagram, 6, pseudoHeader) || 0xFFFF;
+    output.checksumValid = output.expectedChecksum === output.checksum;
+
+    if (!output.checksumValid) {
+        ctx.report(new ChecksumError(
+            `[UDP Decode] Checksum mismatch: calculated ${output.expectedChecksum}, received ${output.checksum}.`,
+            { layer: 'udp', field: 'checksum', offset: udpStart + 6, expected: output.expectedChecksum, actual: output.checksum }
+        ));
+    }
+}
+
 /**
  * Decodes a UDP packet and extracts header fields and payload.
- * * @param {Buffer} udpPacket - UDP packet buffer
- * @param {boolean} [skipIPHeader=false] - Skip first 20 bytes (IP header)
- * @returns {Object|null} Decoded packet or null if invalid
+ * @param {Buffer} udpPacket - UDP packet buffer
+ * @param {Object|boolean} [options={}] - Decode options (a boolean is treated as skipIPHeader)
+ * @param {boolean} [options.skipIPHeader=false] - Skip the leading IP header (IHL * 4 bytes, or 40 for IPv6) and verify the checksum against it
+ * @param {string} [options.mode='strict'] - 'strict' throws on the first problem, 'lenient' collects anomalies
+ * @param {string} [options.srcIp] - Pseudo-header source address (with destIp)
+ * @param {string} [options.destIp] - Pseudo-header destination address
+ * @param {Buffer|Object} [options.ip] - Enclosing IP header (raw or decoded) to take the addresses from
+ * @param {boolean} [options.verifyChecksum=true] - Set false for captures with checksum offload
+ * @returns {Object} Decoded packet (plus `anomalies` in lenient mode)
+ *                   checksumValid / expectedChecksum are null when the checksum cannot be checked
+ * @throws {DecodeError} In strict mode, on truncated datagrams or checksum mismatch
  */
-function Decode(udpPacket, skipIPHeader = false) {
+function Decode(udpPacket, options = {}) {
+    const ctx = createDecodeContext(options);
+
+    if (!Buffer.isBuffer(udpPacket)) {
+        throw new TypeError('[UDP Decode] Packet must be a Buffer');
+    }
+
     const output = {};
-    const udpStart = skipIPHeader ? 20 : 0;
-    const availableBytes = udpPacket.length - udpStart;
+    const udpStart = ctx.options.skipIPHeader ? leadingIPHeaderLength(udpPacket, ctx) : 0;
+    const availableBytes = Math.max(udpPacket.length - udpStart, 0);
 
     if (availableBytes < 8) {
-        console.warn(
-            `[UDP Decode] Packet too small: need 8 bytes for header, got ${availableBytes} bytes.`
-        );
-        return null;
+        ctx.report(new TruncatedPacketError(
+            `[UDP Decode] Packet too small: need 8 bytes for header, got ${availableBytes} bytes.`,
+            { layer: 'udp', field: 'header', offset: udpStart, expected: 8, actual: availableBytes }
+        ));
+        return ctx.finish(output);
     }
 
     output['SourcePort'] = checkAndRead16(udpPacket, udpStart);
@@ -72,43 +142,32 @@ function Decode(udpPacket, skipIPHeader = false) {
     output['length'] = checkAndRead16(udpPacket, udpStart + 4);
     output['checksum'] = checkAndRead16(udpPacket, udpStart + 6);
 
-    const declaredPayloadLength = output['length'] - 8;
+    if (output['length'] < 8) {
+        ctx.report(new InvalidFieldError(
+            `[UDP Decode] Length field ${output['length']} is smaller than the 8-byte header.`,
+            { layer: 'udp', field: 'length', offset: udpStart + 4, value: output['length'] }
+        ));
+    }
+
+    const declaredPayloadLength = Math.max(output['length'] - 8, 0);
     const availablePayloadLength = availableBytes - 8;
 
     const actualDataLength = Math.min(declaredPayloadLength, availablePayloadLength);
 
     if (availableBytes < output['length']) {
-        console.warn(
-            `[UDP Decode] Packet truncated: expected ${output['length']} bytes, got ${availableBytes} bytes. ` +
-            `Processing only ${actualDataLength} bytes of data.`
-        );
+        ctx.report(new TruncatedPacketError(
+            `[UDP Decode] Packet truncated: expected ${output['length']} bytes, got ${availableBytes} bytes.`,
+            { layer: 'udp', field: 'data', offset: udpStart + 8, expected: output['length'], actual: availableBytes }
+        ));
     }
 
 
     const data = udpPacket.slice(udpStart + 8, udpStart + 8 + actualDataLength);
     output['data'] = data;
 
-    if (udpStart) {
-        try {
-            const header = udpPacket.slice(udpStart, udpStart + 8);
-            const headerForChecksum = Buffer.from(header);
-            checkAndWrite16(headerForChecksum, 0, 6);
-            const ipData = ipv4.Decode(udpPacket);
-            const pseudoHeader = buildPseudoHeader(ipData.srcIp, ipData.destIp, output['length']);
-            const calculatedChecksum = calculateChecksum(pseudoHeader, headerForChecksum, data);
-            if (calculatedChecksum !== output.checksum) {
-                console.warn(
-                    `[UDP Decode] 🚨 Checksum Mismatch! Calculated ${calculatedChecksum}, Received ${output.checksum}. ` +
-                    `Data integrity is compromised.`
-                );
-            }
-        } catch (error) {
-            console.warn("Error while parsing udp checksum", error);
-        }
-    }
-
+    verifyChecksum(output, udpPacket, udpStart, availableBytes >= output['length'], ctx);
 
-    return output;
+    return ctx.finish(output);
 }
 module.exports = {
     Encode,
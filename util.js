@@ -1,18 +1,26 @@
+const { TruncatedPacketError, InvalidFieldError } = require('./errors');
+const { bufferToIP, isValidIPv6 } = require('./ipv6/util');
+const { finalDestination } = require('./ipv6/extension-headers');
+const { isValidIP } = require('./udp/util');
+
 /**
  * Safely read a big-endian 16-bit unsigned integer from a buffer.
  * @param {Buffer} buffer - Buffer to read from
  * @param {number} [from=0] - Byte offset at which the 16-bit value starts
- * @returns {number|null} The unsigned 16-bit value, or `null` if the buffer
- *                        is too short or not a Buffer (logged as warning).
+ * @returns {number} The unsigned 16-bit value
+ * @throws {TypeError} If the input is not a Buffer
+ * @throws {TruncatedPacketError} If the buffer is too short
  */
 function checkAndRead16(buffer, from = 0) {
     if (!Buffer.isBuffer(buffer)) {
-        console.warn('[checkAndRead16] Packet must be a Buffer');
-        return 0;
+        throw new TypeError('[checkAndRead16] Packet must be a Buffer');
     }
     if (buffer.length < from + 2) {
-        console.warn('[checkAndRead16] Buffer too short for 16-bit field');
-        return 0;
+        throw new TruncatedPacketError('[checkAndRead16] Buffer too short for 16-bit field', {
+            offset: from,
+            expected: from + 2,
+            actual: buffer.length
+        });
     }
     return buffer.readUInt16BE(from);
 }
@@ -21,17 +29,20 @@ function checkAndRead16(buffer, from = 0) {
  * Safely read a big-endian 8-bit unsigned integer from a buffer.
  * @param {Buffer} buffer - Buffer to read from
  * @param {number} [from=0] - Byte offset at which the 8-bit value starts
- * @returns {number|null} The unsigned 8-bit value, or `null` if the buffer
- *                        is too short or not a Buffer (logged as warning).
+ * @returns {number} The unsigned 8-bit value
+ * @throws {TypeError} If the input is not a Buffer
+ * @throws {TruncatedPacketError} If the buffer is too short
  */
 function checkAndRead8(buffer, from = 0) {
     if (!Buffer.isBuffer(buffer)) {
-        console.warn('[checkAndRead8] Packet must be a Buffer');
-        return 0;
+        throw new TypeError('[checkAndRead8] Packet must be a Buffer');
     }
     if (buffer.length < from + 1) {
-        console.warn('[checkAndRead8] Buffer too short for 8-bit field');
-        return 0;
+        throw new TruncatedPacketError('[checkAndRead8] Buffer too short for 8-bit field', {
+            offset: from,
+            expected: from + 1,
+            actual: buffer.length
+        });
     }
     return buffer.readUInt8(from);
 }
@@ -85,9 +96,106 @@ function checkAndWrite8(buffer, value, from = 0) {
     return 1; // bytes written
 }
 
+/**
+ * Resolve the addresses a transport decoder needs for its pseudo-header checksum.
+ * Explicit { srcIp, destIp } win; otherwise they are taken from the enclosing IP
+ * header, given as options.ip (raw header Buffer or a decoded IPv4/IPv6 object)
+ * or found at the start of the packet when options.skipIPHeader is set.
+ * @param {Object} options - Decoder options
+ * @param {Buffer} packet - Buffer handed to the decoder
+ * @returns {{srcIp: string, destIp: string}|null} Addresses, or null if unknown
+ */
+function pseudoHeaderAddresses(options, packet) {
+    if (options.srcIp !== undefined && options.destIp !== undefined) {
+        return { srcIp: options.srcIp, destIp: options.destIp };
+    }
+
+    const ip = options.ip !== undefined ? options.ip : (options.skipIPHeader ? packet : undefined);
+
+    if (Buffer.isBuffer(ip)) {
+        const version = ip.length ? ip[0] >> 4 : 0;
+        if (version === 4 && ip.length >= 20) {
+            return { srcIp: ip.subarray(12, 16).join('.'), destIp: ip.subarray(16, 20).join('.') };
+        }
+        if (version === 6 && ip.length >= 40) {
+            return { srcIp: bufferToIP(ip.subarray(8, 24)), destIp: bufferToIP(ip.subarray(24, 40)) };
+        }
+        return null;
+    }
+    if (ip && typeof ip === 'object') {
+        const srcIp = ip.srcIp !== undefined ? ip.srcIp : ip.sourceAddr;
+        // Decoded with parseExtensions, a routing header names the final destination
+        const destIp = ip.destIp !== undefined ? ip.destIp : finalDestination(ip.extensionHeaders, ip.destinationAddr);
+        return srcIp !== undefined && destIp !== undefined ? { srcIp, destIp } : null;
+    }
+    return null;
+}
+
+/**
+ * Checks that two addresses form a usable pseudo-header: both IPv4 or both IPv6
+ * @param {string} srcIp - Source address
+ * @param {string} destIp - Destination address
+ * @returns {boolean} True if the pair can be checksummed
+ */
+function isValidAddressPair(srcIp, destIp) {
+    return (isValidIP(srcIp) && isValidIP(destIp)) || (isValidIPv6(srcIp) && isValidIPv6(destIp));
+}
+
+/**
+ * Length of the IP header skipped by transport decoders with skipIPHeader:
+ * 40 bytes when the packet starts with an IPv6 header, IHL * 4 for IPv4
+ * @param {Buffer} packet - Buffer handed to the decoder
+ * @param {Object} [ctx] - Decode context; an IHL below 5 is reported and 20 bytes are skipped
+ * @returns {number} Offset of the transport header
+ */
+function leadingIPHeaderLength(packet, ctx) {
+    if (!packet.length) {
+        return 20;
+    }
+    if ((packet[0] >> 4) === 6) {
+        return 40;
+    }
+
+    const ihl = packet[0] & 0x0F;
+    if (ihl < 5) {
+        if (ctx) {
+            ctx.report(new InvalidFieldError(`IHL ${ihl} is below the minimum of 5`, {
+                layer: 'ipv4', field: 'IHL', offset: 0, value: ihl
+            }));
+        }
+        return 20;
+    }
+    return ihl * 4;
+}
+
+/**
+ * End of the IP packet that starts a buffer, from its length field: IPv4
+ * total length, or 40 + payload length for IPv6. Link-layer padding after
+ * it (e.g. Ethernet frames padded to 60 bytes) is not part of the packet
+ * @param {Buffer} packet - Buffer starting with an IP header
+ * @param {number} headerLength - Length of that header (see leadingIPHeaderLength)
+ * @returns {number} Offset just past the packet; the buffer length when it is shorter or the field is unusable
+ */
+function leadingIPPacketEnd(packet, headerLength) {
+    if (packet.length < 6) {
+        return packet.length;
+    }
+    const ipv6 = (packet[0] >> 4) === 6;
+    const length = packet.readUInt16BE(ipv6 ? 4 : 2);
+    if (ipv6 && length === 0) {
+        return packet.length;   // Jumbogram: the length is in a hop-by-hop option
+    }
+    const end = ipv6 ? 40 + length : length;
+    return end >= headerLength && end < packet.length ? end : packet.length;
+}
+
 module.exports = {
     checkAndRead16,
     checkAndWrite16,
     checkAndRead8,
-    checkAndWrite8
+    checkAndWrite8,
+    pseudoHeaderAddresses,
+    isValidAddressPair,
+    leadingIPHeaderLength,
+    leadingIPPacketEnd
 };
\ No newline at end of file